@@ -4,6 +4,17 @@ import { GeometryEngine } from './geometryEngine.js';
 import { rdkitManager } from './managers/rdkitManager.js';
 import { LatticeParams } from './crystal.js';
 import { SlabGenerator } from './managers/slabGenerator.js';
+import { InterfaceBuilder } from './managers/interfaceBuilder.js';
+import { DefectGenerator } from './managers/defectGenerator.js';
+import { StrainGenerator, parseStrain } from './managers/strainGenerator.js';
+import { SymmetryFinder } from './managers/symmetryFinder.js';
+import { formatOperation, formatFraction } from './utils/spaceGroups.js';
+import { niggliReduce, latticeMatrix } from './utils/latticeReduction.js';
+import { QC_FORMATS } from './managers/qcInputWriter.js';
+import { XRD_SOURCES, XRD_SHAPES, sourceWavelength } from './managers/xrdCalculator.js';
+import { REPRESENTATIONS } from './managers/renderManager.js';
+import { listAtomProperties } from './utils/atomProperties.js';
+import { COLORMAPS, isColormap } from './utils/colormaps.js';
 
 export class CommandRegistry {
     constructor(editor) {
@@ -157,10 +168,47 @@ export class CommandRegistry {
                 const format = args[1].toLowerCase();
                 try {
                     if (format === 'xyz') {
+                        // Several frames: a trajectory (or one molecule per frame), as when loading a file
+                        const lines = heredocData.trim().split('\n');
+                        if (lines.length > parseInt(lines[0]) + 2) {
+                            const result = this.editor.fileIOManager.importXYZ(heredocData, { shouldClear: false, autoBond: true });
+                            return result.error ? { error: result.error } : { success: result.success };
+                        }
                         // Use importSingleXYZ to add to current molecule (not importXYZ which creates new molecules)
                         this.editor.fileIOManager.importSingleXYZ(heredocData, { shouldClear: false, autoBond: true });
                         return { success: 'Atoms added from XYZ data' };
                     }
+                    if (format === 'pdb') {
+                        const result = this.editor.fileIOManager.importPDB(heredocData, { shouldClear: false });
+                        return result.error ? { error: result.error } : { success: result.success };
+                    }
+                    if (format === 'cif') {
+                        const result = this.editor.fileIOManager.importCIF(heredocData);
+                        if (!result.error) this.editor.moleculeManager.updateUI();
+                        return result;
+                    }
+                    if (format === 'poscar' || format === 'vasp') {
+                        const result = this.editor.fileIOManager.importPOSCAR(heredocData);
+                        if (!result.error) this.editor.moleculeManager.updateUI();
+                        return result;
+                    }
+                    if (format === 'pw' || format === 'qe') {
+                        const result = this.editor.fileIOManager.importPW(heredocData);
+                        if (!result.error) this.editor.moleculeManager.updateUI();
+                        return result;
+                    }
+                    if (format === 'log' || format === 'out') {
+                        return this.editor.fileIOManager.importQCOutput(heredocData, { shouldClear: false });
+                    }
+                    if (format === 'cube') {
+                        return this.editor.fileIOManager.importCube(heredocData, { shouldClear: false });
+                    }
+                    if (format === 'chgcar' || format === 'locpot') {
+                        return this.editor.fileIOManager.importVASPVolume(heredocData, format.toUpperCase());
+                    }
+                    if (format === 'molden') {
+                        return this.editor.fileIOManager.importMolden(heredocData, { shouldClear: false });
+                    }
                     return { warning: `${format} format not implemented` };
                 } catch (e) {
                     return { error: e.message };
@@ -171,15 +219,19 @@ export class CommandRegistry {
 
             // add bond <idx1> <idx2>
             if (subCmd === 'bond') {
-                if (args.length !== 3) return { error: 'Usage: add bond <idx1> <idx2>' };
+                if (args.length !== 3 && args.length !== 4) return { error: 'Usage: add bond <idx1> <idx2> [order]' };
                 const idx1 = parseInt(args[1]);
                 const idx2 = parseInt(args[2]);
                 const atom1 = this.editor.molecule.atoms[idx1];
                 const atom2 = this.editor.molecule.atoms[idx2];
                 if (!atom1 || !atom2) return { error: 'Invalid atom index' };
                 if (this.editor.molecule.getBond(atom1, atom2)) return { warning: 'Bond already exists' };
+                const order = args.length === 4 ? parseFloat(args[3]) : 1;
+                if (![0, 0.5, 1, 1.5, 2, 3].includes(order)) {
+                    return { error: 'Bond order must be 1, 2, 3, 1.5 (aromatic), 0.5 (partial) or 0 (dative)' };
+                }
 
-                this.editor.addBondToScene(atom1, atom2, 1);
+                this.editor.addBondToScene(atom1, atom2, order);
                 return { success: `Created bond ${idx1}-${idx2}` };
             }
 
@@ -248,6 +300,10 @@ export class CommandRegistry {
                                 this.editor.moleculeManager.updateUI();
                                 return { success: 'Imported CIF data' };
                             }
+                        } else if (format === 'pdb') {
+                            const result = this.editor.fileIOManager.importPDB(data, { shouldClear: false });
+                            if (result && result.error) return { error: result.error };
+                            return { success: result.success };
                         }
                         return { error: `Inline data not supported for ${format}` };
                     } catch (e) {
@@ -255,7 +311,7 @@ export class CommandRegistry {
                     }
                 }
 
-                if (['xyz', 'smi', 'smiles', 'sdf', 'mol', 'cif'].includes(format)) {
+                if (['xyz', 'smi', 'smiles', 'sdf', 'mol', 'cif', 'pdb', 'log', 'out', 'cube', 'chgcar', 'locpot', 'molden', 'pw', 'qe'].includes(format)) {
                     // Interactive format mode
                     this.editor.console.startInputMode(`${format.toUpperCase()}> `, async (data) => {
                         try {
@@ -276,6 +332,18 @@ export class CommandRegistry {
                                 if (result && result.success) {
                                     this.editor.rebuildScene();
                                 }
+                            } else if (format === 'pdb') {
+                                result = this.editor.fileIOManager.importPDB(data, { shouldClear: false });
+                            } else if (format === 'log' || format === 'out') {
+                                result = this.editor.fileIOManager.importQCOutput(data, { shouldClear: false });
+                            } else if (format === 'cube') {
+                                result = this.editor.fileIOManager.importCube(data, { shouldClear: false });
+                            } else if (format === 'chgcar' || format === 'locpot') {
+                                result = this.editor.fileIOManager.importVASPVolume(data, format.toUpperCase());
+                            } else if (format === 'molden') {
+                                result = this.editor.fileIOManager.importMolden(data, { shouldClear: false });
+                            } else if (format === 'pw' || format === 'qe') {
+                                result = this.editor.fileIOManager.importPW(data);
                             } else {
                                 this.editor.console.print('Format not implemented', 'warning');
                                 return;
@@ -287,6 +355,9 @@ export class CommandRegistry {
                                 this.editor.rebuildScene();
                                 this.editor.console.print(result.success, 'success');
                             }
+                            if (result && result.warning) {
+                                this.editor.console.print(result.warning, 'warning');
+                            }
                         } catch (e) {
                             this.editor.console.print(e.message, 'error');
                         }
@@ -1035,47 +1106,367 @@ export class CommandRegistry {
         });
 
         // Add Hydrogens Command
-        this.register('addh', ['add_hydrogens'], 'addh - Add explicit hydrogens', { isDestructive: true }, async () => {
-            const res = await this.editor.moleculeManager.addExplicitHydrogens();
-            return res.error ? { error: res.error } : { success: res.success };
+        this.register('addh', ['add_hydrogens'], 'addh [-s|--selected] [-r|--replace] - Add explicit hydrogens to open valences', { isDestructive: true }, async (args) => {
+            const selectedOnly = args.includes('-s') || args.includes('--selected');
+            const replace = args.includes('-r') || args.includes('--replace');
+            return await this.editor.moleculeManager.addExplicitHydrogens({ selectedOnly, replace });
         });
 
         // Optimize Command
-        this.register('optimize', ['opt', 'minimize'], 'optimize [method] - Optimize geometry (default: ff)', { isDestructive: true }, async (args) => {
-            const method = args.length > 0 ? args[0] : 'ff';
-            const res = await this.editor.moleculeManager.optimizeGeometry(method);
-            return res.error ? { error: res.error } : { success: res.success };
+        this.register('optimize', ['opt', 'minimize'], 'optimize [ff|mmff|uff|embed] [--steps <n>] [--gtol <val>] [--etol <val>] - Optimize geometry (default: ff)', { isDestructive: true }, async (args) => {
+            const getOption = (long, short) => {
+                const idx = args.indexOf(long) !== -1 ? args.indexOf(long) : args.indexOf(short);
+                return idx !== -1 ? parseFloat(args[idx + 1]) : undefined;
+            };
+
+            const method = args.length > 0 && !args[0].startsWith('-') ? args[0] : 'ff';
+            const options = {
+                maxSteps: getOption('--steps', '-n'),
+                gradTol: getOption('--gtol', '-g'),
+                energyTol: getOption('--etol', '-e')
+            };
+            for (const [key, value] of Object.entries(options)) {
+                if (value === undefined) delete options[key];
+                else if (isNaN(value) || value <= 0) return { error: `Invalid value for ${key}` };
+            }
+
+            return await this.editor.moleculeManager.optimizeGeometry(method, options);
+        });
+
+
+        // Trajectory Commands
+        this.register('frame', ['fr'], 'frame [n] - Show trajectory frame n (0-based, negative from the end)', (args) => {
+            const tm = this.editor.trajectoryManager;
+            const traj = tm.trajectory;
+            if (!traj) return { error: 'No trajectory loaded. Load a multi-frame XYZ file first.' };
+
+            if (args.length === 0) {
+                const frame = traj.frames[traj.current];
+                let output = `Frame ${traj.current}/${traj.frames.length - 1}`;
+                if (frame.energy !== null) output += `  E = ${frame.energy}`;
+                if (frame.comment) output += `\n${frame.comment}`;
+                return { info: output };
+            }
+
+            const index = parseInt(args[0]);
+            if (isNaN(index)) return { error: `Invalid frame index: ${args[0]}` };
+            return tm.setFrame(index);
+        });
+
+        this.register('traj', ['trajectory'], 'traj [info|play [fps]|stop|fps <n>|off] - Control trajectory playback', (args) => {
+            const tm = this.editor.trajectoryManager;
+            const traj = tm.trajectory;
+            if (!traj) return { error: 'No trajectory loaded. Load a multi-frame XYZ file first.' };
+
+            const subCmd = args.length > 0 ? args[0].toLowerCase() : 'info';
+
+            if (subCmd === 'info') {
+                const energies = traj.frames.map(f => f.energy).filter(e => e !== null);
+                let output = `${traj.frames.length} frames, ${this.editor.molecule.atoms.length} atoms, current frame ${traj.current}`;
+                output += `\nPlayback: ${tm.isPlaying ? 'playing' : 'stopped'} at ${tm.fps} fps`;
+                if (energies.length > 0) {
+                    output += `\nEnergy: min ${Math.min(...energies)}, max ${Math.max(...energies)} (${energies.length} frames)`;
+                }
+                return { info: output };
+            }
+
+            if (subCmd === 'play') {
+                let fps;
+                if (args.length > 1) {
+                    fps = parseFloat(args[1]);
+                    if (isNaN(fps) || fps <= 0) return { error: `Invalid fps: ${args[1]}` };
+                }
+                return tm.play(fps);
+            }
+
+            if (subCmd === 'stop' || subCmd === 'pause') {
+                tm.stop();
+                return { success: `Stopped at frame ${traj.current}` };
+            }
+
+            if (subCmd === 'fps') {
+                if (args.length < 2) return { info: `${tm.fps} fps` };
+                const fps = parseFloat(args[1]);
+                if (isNaN(fps) || fps <= 0) return { error: `Invalid fps: ${args[1]}` };
+                tm.setFps(fps);
+                return { success: `Playback rate set to ${fps} fps` };
+            }
+
+            if (subCmd === 'off') {
+                tm.clear();
+                return { success: 'Trajectory detached; current frame kept as the molecule geometry' };
+            }
+
+            return { error: `Unknown subcommand: ${subCmd}. Use info, play, stop, fps or off.` };
         });
 
+        // Vibration Command
+        this.register('vib', ['vibration', 'freq'], 'vib [list|<mode> [amp] [-s <hz>] [-a]|stop|arrows <mode> [scale]|arrows off|displace <mode> <amp>] - Animate normal modes', (args) => {
+            const vm = this.editor.vibrationManager;
+            if (!vm.vibrations) return { error: 'No vibrational modes loaded. Open a Gaussian log or ORCA output with frequencies first.' };
+
+            const subCmd = args.length > 0 ? args[0].toLowerCase() : 'list';
+
+            if (subCmd === 'list') {
+                return { info: vm.listModes() };
+            }
+
+            if (subCmd === 'stop') {
+                vm.stop();
+                vm.clearArrows();
+                return { success: 'Animation stopped; equilibrium geometry restored' };
+            }
+
+            if (subCmd === 'arrows') {
+                if (args[1] && args[1].toLowerCase() === 'off') {
+                    vm.clearArrows();
+                    return { success: 'Displacement arrows removed' };
+                }
+                const mode = parseInt(args[1]);
+                const scale = args[2] !== undefined ? parseFloat(args[2]) : undefined;
+                if (isNaN(mode)) return { error: 'Usage: vib arrows <mode> [scale]' };
+                if (scale !== undefined && !(scale > 0)) return { error: `Invalid arrow scale: ${args[2]}` };
+                return vm.showArrows(mode, scale);
+            }
+
+            if (subCmd === 'displace' || subCmd === 'disp') {
+                if (args.length < 3) return { error: 'Usage: vib displace <mode> <amp>' };
+                const mode = parseInt(args[1]);
+                if (isNaN(mode)) return { error: `Invalid mode index: ${args[1]}` };
+                return vm.displace(mode, parseFloat(args[2]));
+            }
+
+            // vib <mode> [amp] [-s|--speed <hz>] [-a|--arrows]
+            const mode = parseInt(args[0]);
+            if (isNaN(mode)) return { error: `Unknown subcommand: ${subCmd}. Use list, <mode>, stop, arrows or displace.` };
+
+            const options = {};
+            const speedIdx = args.indexOf('--speed') !== -1 ? args.indexOf('--speed') : args.indexOf('-s');
+            if (speedIdx !== -1) {
+                options.speed = parseFloat(args[speedIdx + 1]);
+                if (!(options.speed > 0)) return { error: `Invalid speed: ${args[speedIdx + 1]}` };
+            }
+            if (args.length > 1 && !args[1].startsWith('-')) {
+                options.amplitude = parseFloat(args[1]);
+                if (!(options.amplitude > 0)) return { error: `Invalid amplitude: ${args[1]}` };
+            }
+
+            const result = vm.start(mode, options);
+            if (result.success && (args.includes('-a') || args.includes('--arrows'))) vm.showArrows(mode);
+            return result;
+        });
+
+        // Isosurface Command
+        this.register('iso', ['isosurface'], 'iso [<value> [on|off]|on|off|opacity <0-1>|color <pos> [neg]] - Isosurfaces of volumetric data', (args) => {
+            const vm = this.editor.volumeManager;
+            if (!vm.volume) return { error: 'No volumetric data loaded. Open a cube, CHGCAR or LOCPOT file first.' };
+
+            if (args.length === 0) return { info: vm.info() };
+            const subCmd = args[0].toLowerCase();
+
+            if (subCmd === 'on' || subCmd === 'off') {
+                return vm.setVisible(subCmd === 'on');
+            }
+
+            if (subCmd === 'opacity') {
+                if (args.length < 2) return { info: `Opacity: ${vm.volume.opacity}` };
+                return vm.setOpacity(parseFloat(args[1]));
+            }
+
+            if (subCmd === 'color' || subCmd === 'colour') {
+                if (args.length < 2) return { error: 'Usage: iso color <positive> [negative]' };
+                return vm.setColors(args[1], args[2]);
+            }
+
+            // iso <value> [on|off]
+            const value = parseFloat(args[0]);
+            if (isNaN(value)) return { error: `Unknown subcommand: ${subCmd}. Use <value>, on, off, opacity or color.` };
+            // The surface pair is symmetric; accept a signed value
+            const result = vm.setIsovalue(Math.abs(value));
+            if (result.error || args.length < 2) return result;
+
+            const state = args[1].toLowerCase();
+            if (state !== 'on' && state !== 'off') return { error: `Expected on or off, got: ${args[1]}` };
+            if (state === 'off') vm.setVisible(false);
+            return result.warning ? result : { success: `Isovalue set to ±${Math.abs(value)} (${state})` };
+        });
+
+        // Molecular Surface Command
+        this.register('surface', ['surf'],
+            'surface [vdw|sas|ses [probe] [-s|<indices>] [--spacing <Å>]|on|off|clear|opacity <0-1>|color <mode>] - Molecular surfaces',
+            async (args) => {
+            const sm = this.editor.surfaceManager;
+            const usage = 'Usage: surface <vdw|sas|ses> [probe] [-s|--selected|<indices>] [--spacing <Å>]  |  surface on|off|clear|opacity <0-1>|color <element|charge [scheme]|property <name>|color> [colormap]';
+            if (args.length === 0) {
+                return sm.surface ? { info: sm.info() } : { info: `No surface. ${usage}` };
+            }
+            const subCmd = args[0].toLowerCase();
+
+            if (subCmd === 'on' || subCmd === 'off') return sm.setVisible(subCmd === 'on');
+            if (subCmd === 'clear') {
+                if (!sm.surface) return { error: 'No surface' };
+                sm.clear();
+                return { success: 'Surface removed' };
+            }
+            if (subCmd === 'opacity') {
+                if (args.length < 2) return sm.surface ? { info: `Opacity: ${sm.surface.opacity}` } : { error: 'No surface' };
+                return sm.setOpacity(parseFloat(args[1]));
+            }
+            if (subCmd === 'color' || subCmd === 'colour') {
+                if (args.length < 2) return { error: 'Usage: surface color <element|charge [scheme]|property <name>|color> [colormap]' };
+                const mode = args[1].toLowerCase();
+                // surface color charge <colormap>: default scheme
+                if (mode === 'charge' && args[2] && isColormap(args[2].toLowerCase())) {
+                    return sm.setColoring(mode, null, args[2].toLowerCase());
+                }
+                return sm.setColoring(mode, args[2], args[3] ? args[3].toLowerCase() : null);
+            }
+
+            // surface <type> [probe] [selection] [--spacing h]
+            const type = { vdw: 'vdw', sas: 'sas', ses: 'ses', connolly: 'ses', ms: 'ses' }[subCmd];
+            if (!type) return { error: `Unknown surface type: ${args[0]}. ${usage}` };
+            const rest = args.slice(1);
+            const options = {};
+            const spacingIdx = rest.indexOf('--spacing');
+            if (spacingIdx !== -1) {
+                options.spacing = parseFloat(rest[spacingIdx + 1]);
+                if (!(options.spacing > 0)) return { error: `Invalid spacing: ${rest[spacingIdx + 1]}` };
+                rest.splice(spacingIdx, 2);
+            }
+            // sas/ses: a number right after the type is the probe radius; the rest names atoms
+            if (type !== 'vdw' && rest.length > 0 && /^\d*\.?\d+$/.test(rest[0])) {
+                options.probe = parseFloat(rest.shift());
+            }
+            const { atoms, error } = parseAtomList(rest, this.editor.molecule);
+            if (error) return { error };
+            if (atoms) options.atoms = atoms;
+            return sm.compute(type, options);
+        });
+
+        // Molecular Orbital Command
+        this.register('mo', ['orbital', 'orb'], 'mo [list|<index>|homo[-n]|lumo[+n]] [--spacing <Å>] - Show molecular orbitals from Molden files', async (args) => {
+            const om = this.editor.orbitalManager;
+            if (!om.orbitals) return { error: 'No molecular orbitals loaded. Open a Molden file first.' };
+
+            if (args.length === 0 || args[0].toLowerCase() === 'list') return { info: om.list() };
+
+            const options = {};
+            const spacingIdx = args.indexOf('--spacing') !== -1 ? args.indexOf('--spacing') : args.indexOf('-s');
+            if (spacingIdx !== -1) {
+                options.spacing = parseFloat(args[spacingIdx + 1]);
+                if (!(options.spacing > 0)) return { error: `Invalid spacing: ${args[spacingIdx + 1]}` };
+            }
+            return om.show(args[0], options);
+        });
 
         // Export Command
-        this.register('export', ['exp'], 'export <format> [-s] - Export molecule (formats: xyz, smi, sdf, cif, poscar)', async (args) => {
-            if (args.length === 0) return { error: 'Usage: export <format> [-s|--split]' };
+        this.register('export', ['exp'],
+            'export <format> [-s] [-f|--frame] [-n|--name] [--no-stereo] [-m|--models] ' +
+            '[--method m] [--basis b] [-c|--charge n] [--mult n] [-j|--job type] [--nproc n] [--mem GB] [--freeze] [-d|--dialog] ' +
+            '- Export molecule (formats: xyz, smi, sdf, pdb, cif, poscar, pw, gjf, orca, qchem)',
+            async (args) => {
+            if (args.length === 0) {
+                return {
+                    error: 'Usage: export <format> [-s|--split] [-f|--frame] [-n|--name] [--no-stereo] [-m|--models]  |  ' +
+                        'export <gjf|orca|qchem> [--method m] [--basis b] [-c|--charge n] [--mult n] [-j|--job type] ' +
+                        '[--nproc n] [--mem GB] [--freeze] [-d|--dialog]'
+                };
+            }
 
             const format = args[0].toLowerCase();
             const splitFragments = args.includes('-s') || args.includes('--split');
 
             try {
                 if (format === 'xyz') {
+                    if (args.includes('-f') || args.includes('--frame')) {
+                        const frame = this.editor.trajectoryManager.exportFrameXYZ();
+                        if (!frame) return { error: 'No trajectory loaded' };
+                        return { info: frame };
+                    }
                     const data = this.editor.fileIOManager.exportXYZ({ splitFragments });
                     if (!data) return { warning: 'No atoms to export' };
                     return { info: data };
                 } else if (format === 'smi' || format === 'smiles') {
-                    const data = await this.editor.fileIOManager.exportSMILES({ splitFragments });
+                    const includeName = args.includes('-n') || args.includes('--name');
+                    const stereo = !args.includes('--no-stereo');
+                    const data = await this.editor.fileIOManager.exportSMILES({ splitFragments, includeName, stereo });
+                    if (!data) return { warning: 'No atoms to export' };
                     return { info: data };
                 } else if (format === 'sdf' || format === 'mol') {
                     const data = this.editor.fileIOManager.exportSDF({ splitFragments });
                     return { info: data };
+                } else if (format === 'pdb') {
+                    const allModels = args.includes('-m') || args.includes('--models');
+                    const data = this.editor.fileIOManager.exportPDB({ allModels });
+                    if (!data) return { warning: 'No atoms to export' };
+                    return { info: data };
                 } else if (format === 'cif') {
-                    const data = this.editor.fileIOManager.exportCIF();
+                    // export cif [--sym] [--tol Å]: asymmetric unit + symmetry operations
+                    const symmetry = args.includes('--sym') || args.includes('--symmetry');
+                    const tolIdx = args.indexOf('--tol');
+                    const tolerance = tolIdx !== -1 ? parseFloat(args[tolIdx + 1]) : 0.01;
+                    if (isNaN(tolerance) || tolerance <= 0) return { error: 'Tolerance must be a positive number (Å)' };
+                    const data = this.editor.fileIOManager.exportCIF({ symmetry, tolerance });
                     if (!data) return { error: 'Active structure is not a crystal. Load a CIF or POSCAR first.' };
                     return { info: data };
                 } else if (format === 'poscar' || format === 'vasp') {
                     const data = this.editor.fileIOManager.exportPOSCAR();
                     if (!data) return { error: 'Active structure is not a crystal. Load a CIF or POSCAR first.' };
                     return { info: data };
+                } else if (format === 'pw' || format === 'qe' || format === 'pwscf') {
+                    // export pw [--calc scf|relax|vc-relax] [--ecut Ry] [--ecutrho Ry] [--kspacing Å⁻¹] [--freeze]
+                    const getNumber = (flag) => {
+                        const idx = args.indexOf(flag);
+                        if (idx === -1) return undefined;
+                        const n = parseFloat(args[idx + 1]);
+                        if (!(n > 0)) throw new Error(`Invalid value for ${flag}: ${args[idx + 1]}`);
+                        return n;
+                    };
+                    const calcIdx = args.indexOf('--calc');
+                    const data = this.editor.fileIOManager.exportPW({
+                        calculation: calcIdx !== -1 ? (args[calcIdx + 1] || '').toLowerCase() : undefined,
+                        ecutwfc: getNumber('--ecut'),
+                        ecutrho: getNumber('--ecutrho'),
+                        kspacing: getNumber('--kspacing'),
+                        freezeSelected: args.includes('--freeze')
+                    });
+                    if (!data) return { error: 'Active structure is not a crystal. Load a CIF or POSCAR first.' };
+                    return { info: data };
+                } else if (QC_FORMATS[format]) {
+                    // export gjf|orca|qchem [--method m] [--basis b] [-c n] [--mult n] [-j job] [--nproc n] [--mem GB] [--freeze] [-d]
+                    if (args.includes('-d') || args.includes('--dialog')) {
+                        this.editor.uiManager.openQCInputDialog(QC_FORMATS[format]);
+                        return null;
+                    }
+
+                    const getOption = (long, short) => {
+                        const idx = args.indexOf(long) !== -1 ? args.indexOf(long) : (short ? args.indexOf(short) : -1);
+                        return idx !== -1 ? args[idx + 1] : undefined;
+                    };
+                    const getInt = (long, short) => {
+                        const value = getOption(long, short);
+                        if (value === undefined) return undefined;
+                        const n = Number(value);
+                        if (!Number.isInteger(n)) throw new Error(`Invalid value for ${long}: ${value}`);
+                        return n;
+                    };
+
+                    const memory = getOption('--mem');
+                    if (memory !== undefined && !(parseFloat(memory) > 0)) throw new Error(`Invalid value for --mem: ${memory}`);
+
+                    const data = this.editor.fileIOManager.exportQCInput(format, {
+                        method: getOption('--method'),
+                        basis: getOption('--basis'),
+                        charge: getInt('--charge', '-c'),
+                        multiplicity: getInt('--mult'),
+                        job: getOption('--job', '-j'),
+                        nprocs: getInt('--nproc'),
+                        memory: memory !== undefined ? parseFloat(memory) : undefined,
+                        freezeSelected: args.includes('--freeze')
+                    });
+                    return { info: data };
                 } else {
-                    return { error: `Unknown format: ${format}. Supported: xyz, smi, sdf, cif, poscar` };
+                    return { error: `Unknown format: ${format}. Supported: xyz, smi, sdf, pdb, cif, poscar, pw, gjf, orca, qchem` };
                 }
             } catch (e) {
                 return { error: e.message };
@@ -1084,9 +1475,62 @@ export class CommandRegistry {
 
         // ─── Crystal-specific commands ────────────────────────────────────────
 
-        // cell: show or set lattice parameters
-        this.register('cell', [], 'cell [a b c alpha beta gamma] - Show or set unit cell parameters', (args) => {
+        // cell: show or set lattice parameters, or change the cell of a crystal
+        this.register('cell', [],
+            'cell [a b c alpha beta gamma]  |  cell primitive|conventional [tol]  |  cell niggli - Show, set or transform the unit cell',
+            (args) => {
             const mol = this.editor.molecule;
+            const kinds = { primitive: 'primitive', prim: 'primitive', conventional: 'conventional', conv: 'conventional', niggli: 'niggli' };
+            const kind = args.length > 0 ? kinds[args[0].toLowerCase()] : undefined;
+            if (kind) {
+                if (!mol || !mol.isCrystal || !mol.lattice) return { error: 'No crystal loaded' };
+                if (kind === 'niggli' ? args.length > 1 : args.length > 2) {
+                    return { error: 'Usage: cell primitive [tol]  |  cell conventional [tol]  |  cell niggli' };
+                }
+                const tolerance = args.length > 1 ? parseFloat(args[1]) : 0.01;
+                if (isNaN(tolerance) || tolerance <= 0) return { error: 'Tolerance must be a positive number (Å)' };
+
+                try {
+                    let S, dataset = null;
+                    if (kind === 'niggli') {
+                        const U = niggliReduce(latticeMatrix(mol.lattice));
+                        S = [0, 1, 2].map(i => U.map(row => row[i]));
+                    } else {
+                        ({ matrix: S, dataset } = SymmetryFinder.standardCell(mol, kind, tolerance));
+                    }
+                    const label = `${kind[0].toUpperCase()}${kind.slice(1)}`;
+                    const group = dataset ? ` (${dataset.symbol}, ${dataset.number})` : '';
+                    // A primitive input only gets re-oriented; leave it as it is
+                    const det = new THREE.Matrix3().set(...S.flat()).determinant();
+                    if (S.every((row, i) => row.every((v, j) => v === (i === j ? 1 : 0))) ||
+                        (kind === 'primitive' && Math.abs(Math.abs(det) - 1) < 1e-6)) {
+                        return { info: `Cell is already the ${kind} cell${group}; nothing to do` };
+                    }
+
+                    const cell = mol.transformCell(S, { tolerance, name: `${mol.name} (${kind})` });
+                    if (dataset) {
+                        cell.spaceGroup = dataset.spacedSymbol;
+                        cell.spaceGroupNumber = dataset.number;
+                    }
+                    this.editor.moleculeManager.loadCrystal(cell);
+                    this.editor.moleculeManager.autoBondPBC();
+                    this.editor.rebuildScene();
+                    this.editor.saveState();
+                    // The new cell becomes the fixed base of later supercells
+                    const chkFix = document.getElementById('chk-fix-unitcell');
+                    if (chkFix && chkFix.checked) this.editor.setUnitCellBase(cell);
+                    return {
+                        success: [
+                            `${label} cell${group}: ${mol.atoms.length} → ${cell.atoms.length} atoms`,
+                            `  Transformation (rows, in the old a b c): ${S.map(r => r.map(formatFraction).join(' ')).join(', ')}`,
+                            `  Cell: ${cell.lattice.toString()}`
+                        ].join('\n')
+                    };
+                } catch (e) {
+                    return { error: e.message };
+                }
+            }
+
             if (args.length === 0) {
                 // Show current cell parameters
                 if (!mol || !mol.isCrystal || !mol.lattice) {
@@ -1110,7 +1554,7 @@ export class CommandRegistry {
                 };
             }
 
-            if (args.length !== 6) return { error: 'Usage: cell <a> <b> <c> <alpha> <beta> <gamma>' };
+            if (args.length !== 6) return { error: 'Usage: cell <a> <b> <c> <alpha> <beta> <gamma>  |  cell primitive|conventional [tol]  |  cell niggli' };
             const [a, b, c, alpha, beta, gamma] = args.map(parseFloat);
             if ([a, b, c, alpha, beta, gamma].some(isNaN)) return { error: 'All values must be numbers' };
 
@@ -1118,20 +1562,82 @@ export class CommandRegistry {
                 return { error: 'No crystal structure loaded. Import a CIF or POSCAR file first.' };
             }
 
-            mol.setLattice(new LatticeParams(a, b, c, alpha, beta, gamma));
-            // Recompute Cartesian positions from stored fractional coords
-            mol.atoms.forEach(atom => {
-                const frac = mol.getFrac(atom);
-                if (frac) {
-                    const cart = mol.lattice.fracToCart(frac.x, frac.y, frac.z);
-                    atom.position.copy(cart);
-                }
-            });
+            // Atoms keep their fractional coordinates and scale with the cell
+            try {
+                mol.deformLattice(new LatticeParams(a, b, c, alpha, beta, gamma));
+            } catch (e) {
+                return { error: e.message };
+            }
             this.editor.rebuildScene();
             this.editor.saveState();
             return { success: `Cell set: a=${a} b=${b} c=${c} α=${alpha} β=${beta} γ=${gamma}` };
         });
 
+        // strain: homogeneous deformation with fractional coordinates kept
+        this.register('strain', [],
+            'strain <exx> <eyy> <ezz> [eyz exz exy] - Strain the cell (fractions, or % with a suffix); atoms keep fractional coordinates',
+            { isDestructive: true }, (args) => {
+            const mol = this.editor.molecule;
+            if (!mol || !mol.isCrystal || !mol.lattice) return { error: 'No crystal loaded' };
+            if (args.length !== 3 && args.length !== 6) {
+                return { error: 'Usage: strain <exx> <eyy> <ezz> [eyz exz exy]  (e.g. strain 0.01 0.01 -0.02, strain 1% 0 0)' };
+            }
+            const components = args.map(parseStrain);
+            const bad = components.findIndex(isNaN);
+            if (bad >= 0) return { error: `Invalid strain: ${args[bad]}` };
+
+            const before = mol.lattice.volume();
+            try {
+                mol.applyStrain(StrainGenerator.tensor(components));
+            } catch (e) {
+                return { error: e.message };
+            }
+            this.editor.rebuildScene();
+            this.editor.saveState();
+            const after = mol.lattice.volume();
+            return {
+                success: [
+                    `Strained cell: ${mol.lattice.toString()}`,
+                    `  Volume: ${before.toFixed(3)} → ${after.toFixed(3)} Å³ (${after >= before ? '+' : ''}${((after / before - 1) * 100).toFixed(3)}%)`
+                ].join('\n')
+            };
+        });
+
+        // eos: uniformly scaled cells for equation-of-state fits
+        this.register('eos', [],
+            'eos [range=5%] [step=1%] [--linear] [--xyz] - Series of scaled cells as new tabs (or extended XYZ)',
+            (args) => {
+            const mol = this.editor.molecule;
+            if (!mol || !mol.isCrystal || !mol.lattice) return { error: 'No crystal loaded' };
+            const linear = args.some(a => a.toLowerCase() === '--linear');
+            const xyz = args.some(a => a.toLowerCase() === '--xyz');
+            const values = args.filter(a => !a.startsWith('--'));
+            if (values.length > 2) return { error: 'Usage: eos [range] [step] [--linear] [--xyz]  (e.g. eos 5% 1%)' };
+            const [range, step] = [values[0] || '5%', values[1] || '1%'].map(parseStrain);
+            if (isNaN(range) || isNaN(step)) return { error: `Invalid range or step: ${values.join(' ')}` };
+
+            let series;
+            try {
+                series = StrainGenerator.eosSeries(mol, { range, step, mode: linear ? 'linear' : 'volume' });
+            } catch (e) {
+                return { error: e.message };
+            }
+            if (xyz) return { info: StrainGenerator.toExtendedXYZ(series).trimEnd() };
+
+            const mm = this.editor.moleculeManager;
+            const lines = [`${series.length} ${linear ? 'linearly' : 'volume'} scaled cells of "${mol.name}":`];
+            series.forEach(({ crystal, scale, volume }) => {
+                const entry = mm.createMolecule(crystal.name);
+                crystal.name = entry.name;
+                mm.loadCrystal(crystal);
+                mm.autoBondPBC();
+                this.editor.rebuildScene();
+                this.editor.saveState();
+                lines.push(`  ${crystal.name.padEnd(24)} scale ${scale.toFixed(5)}  a=${crystal.lattice.a.toFixed(4)} Å  V=${volume.toFixed(3)} Å³`);
+            });
+            return { success: lines.join('\n') };
+        });
+
         // supercell: generate a supercell (diagonal or full 3×3 matrix)
         this.register('supercell', ['sc'],
             'supercell <na> <nb> <nc>  |  supercell <s11..s33 row-major> - Generate supercell',
@@ -1300,6 +1806,470 @@ export class CommandRegistry {
             }
         });
 
+        // symm: space-group detection and symmetrization
+        this.register('symm', ['symmetry'],
+            'symm [tol]  |  symm ops [tol]  |  symm refine [tol] - Find the space group (tolerance in Å) or symmetrize',
+            (args) => {
+            const mol = this.editor.molecule;
+            if (!mol || !mol.isCrystal || !mol.lattice) return { error: 'No crystal loaded' };
+
+            const rest = args.slice();
+            let mode = 'show';
+            if (rest.length > 0 && ['ops', 'refine', 'symmetrize'].includes(rest[0].toLowerCase())) {
+                mode = rest.shift().toLowerCase();
+            }
+            if (rest.length > 1) return { error: 'Usage: symm [ops|refine] [tol]' };
+            const tolerance = rest.length > 0 ? parseFloat(rest[0]) : 0.01;
+            if (isNaN(tolerance) || tolerance <= 0) return { error: 'Tolerance must be a positive number (Å)' };
+
+            try {
+                if (mode === 'refine' || mode === 'symmetrize') {
+                    const { dataset, maxShift } = SymmetryFinder.symmetrize(mol, tolerance);
+                    mol.spaceGroup = dataset.spacedSymbol;
+                    mol.spaceGroupNumber = dataset.number;
+                    this.editor.rebuildScene();
+                    this.editor.saveState();
+                    return {
+                        success: [
+                            `Symmetrized to ${dataset.symbol} (${dataset.number}), max atom shift ${maxShift.toFixed(4)} Å`,
+                            `  Cell: ${mol.lattice.toString()}`
+                        ].join('\n')
+                    };
+                }
+
+                const dataset = SymmetryFinder.analyze(mol, tolerance);
+                mol.spaceGroup = dataset.spacedSymbol;
+                mol.spaceGroupNumber = dataset.number;
+
+                if (mode === 'ops') {
+                    const lines = [`${dataset.operations.length} operations of ${dataset.symbol} (${dataset.number}) in the current cell:`];
+                    dataset.operations.forEach((op, i) => {
+                        lines.push(`  ${String(i + 1).padStart(3)}  ${formatOperation(op.rotation, op.translation)}`);
+                    });
+                    return { info: lines.join('\n') };
+                }
+
+                const rotations = dataset.operations.length / dataset.translations;
+                const fmt = v => formatFraction(v).padStart(7);
+                const lines = [
+                    `Space group: ${dataset.symbol} (${dataset.number})   Hall: ${dataset.hallSymbol}`,
+                    `Point group: ${dataset.pointGroup}   Crystal system: ${dataset.crystalSystem}   Pearson: ${dataset.pearson}`,
+                    `Tolerance: ${dataset.tolerance.toPrecision(3)} Å${dataset.tolerance < tolerance ? ` (reduced from ${tolerance})` : ''}`,
+                    `Operations: ${dataset.operations.length}` +
+                        (dataset.translations > 1 ? ` (${rotations} rotations × ${dataset.translations} translations)` : ''),
+                    `Conventional cell: ${dataset.conventionalLattice.toString()}`,
+                    `  from current cell (rows): ${dataset.transformation.matrix.map(r => r.map(formatFraction).join(' ')).join(', ')}` +
+                        `; origin shift ${dataset.transformation.originShift.map(formatFraction).join(' ')}`,
+                    ``,
+                    `Wyckoff orbits (standard setting):`,
+                    `  Elem  Mult  Site sym      x       y       z   Atoms`
+                ];
+                dataset.wyckoff.forEach(w => {
+                    const atoms = w.atoms.length > 6 ? `${w.atoms.slice(0, 6).join(',')},... (${w.atoms.length})` : w.atoms.join(',');
+                    lines.push(`  ${w.element.padEnd(4)}  ${String(w.multiplicity).padStart(4)}  ${w.siteSymmetry.padEnd(8)}${w.position.map(fmt).join(' ')}   ${atoms}`);
+                });
+                return { info: lines.join('\n') };
+            } catch (e) {
+                return { error: e.message };
+            }
+        });
+
+        // adsorb: surface adsorption sites and adsorbate placement
+        this.register('adsorb', ['ads'],
+            'adsorb [sites [depth]|off]  |  adsorb <molIndex> <siteType|siteIdx> [height] [--rot <deg>] [--tilt <deg>] [--atom <i>] - Adsorption sites and adsorbates',
+            (args) => {
+            const am = this.editor.adsorptionManager;
+            const subCmd = args.length > 0 ? args[0].toLowerCase() : 'sites';
+
+            if (subCmd === 'off' || subCmd === 'clear') {
+                am.clear();
+                return { success: 'Adsorption site markers removed' };
+            }
+            if (subCmd === 'sites' || subCmd === 'list') {
+                if (args.length === 0 && am.adsorption) return { info: am.listSites() };
+                const depth = args.length > 1 ? parseFloat(args[1]) : 0.9;
+                if (!(depth > 0)) return { error: 'Layer depth must be a positive number (Å)' };
+                return am.findSites(depth);
+            }
+
+            const options = {};
+            const rest = [];
+            const flags = { '--rot': 'rotation', '--tilt': 'tilt', '--atom': 'anchor' };
+            for (let i = 0; i < args.length; i++) {
+                const key = flags[args[i].toLowerCase()];
+                if (!key) {
+                    rest.push(args[i]);
+                    continue;
+                }
+                const value = key === 'anchor' ? parseInt(args[i + 1]) : parseFloat(args[i + 1]);
+                if (isNaN(value)) return { error: `Invalid value for ${args[i]}: ${args[i + 1]}` };
+                options[key] = value;
+                i++;
+            }
+            if (rest.length < 2 || rest.length > 3) {
+                return { error: 'Usage: adsorb <molIndex> <siteType|siteIdx> [height] [--rot <deg>] [--tilt <deg>] [--atom <i>]' };
+            }
+
+            let source = parseInt(rest[0]);
+            if (isNaN(source)) source = this.editor.moleculeManager.molecules.findIndex(m => m.name === rest[0]);
+            if (rest.length === 3) {
+                options.height = parseFloat(rest[2]);
+                if (isNaN(options.height)) return { error: `Invalid height: ${rest[2]}` };
+            }
+            return am.adsorb(source, rest[1], options);
+        });
+
+        // interface: lattice-matched heterostructures between two crystal tabs
+        this.register('interface', ['hetero'],
+            'interface <substrate> <film> [--tol <%>] [--max-area <Å²>]  |  interface <substrate> <film> <match> [--gap <Å>] [--vacuum <Å>] - Match and stack two crystals',
+            (args) => {
+            const usage = 'Usage: interface <substrate> <film> [match] [--tol <%>] [--max-area <Å²>] [--gap <Å>] [--vacuum <Å>]';
+            const options = { tolerance: 5, maxArea: 200, distance: 3.0, vacuum: 10.0 };
+            const flags = { '--tol': 'tolerance', '--max-area': 'maxArea', '--gap': 'distance', '-d': 'distance', '--vacuum': 'vacuum' };
+            const rest = [];
+            for (let i = 0; i < args.length; i++) {
+                const key = flags[args[i].toLowerCase()];
+                if (!key) {
+                    rest.push(args[i]);
+                    continue;
+                }
+                const value = parseFloat(args[i + 1]);
+                if (isNaN(value) || value < 0 || (value === 0 && key !== 'vacuum')) {
+                    return { error: `Invalid value for ${args[i]}: ${args[i + 1]}` };
+                }
+                options[key] = value;
+                i++;
+            }
+            if (rest.length < 2 || rest.length > 3) return { error: usage };
+
+            const mm = this.editor.moleculeManager;
+            const tabs = rest.slice(0, 2).map(target => {
+                const idx = /^\d+$/.test(target) ? parseInt(target) : mm.molecules.findIndex(m => m.name === target);
+                return idx >= 0 && idx < mm.molecules.length ? idx : -1;
+            });
+            const missing = tabs.indexOf(-1);
+            if (missing >= 0) return { error: `Molecule not found: ${rest[missing]}` };
+            if (tabs[0] === tabs[1]) return { error: 'Substrate and film must be different tabs' };
+            const [substrate, film] = tabs.map(idx => mm.molecules[idx].molecule);
+            const notCrystal = [substrate, film].findIndex(mol => !mol.isCrystal || !mol.lattice);
+            if (notCrystal >= 0) return { error: `"${mm.molecules[tabs[notCrystal]].name}" is not a crystal` };
+
+            let matches;
+            try {
+                matches = InterfaceBuilder.match(substrate, film, {
+                    tolerance: options.tolerance / 100,
+                    maxArea: options.maxArea
+                });
+            } catch (e) {
+                return { error: e.message };
+            }
+            if (matches.length === 0) {
+                return { warning: `No match within ${options.tolerance}% strain up to ${options.maxArea} Å². Raise --tol or --max-area.` };
+            }
+
+            const matrix = m => `[${m[0].join(' ')}; ${m[1].join(' ')}]`;
+            const percent = v => `${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}`;
+
+            if (rest.length === 2) {
+                const lines = [
+                    `${matches.length} match${matches.length === 1 ? '' : 'es'} of "${mm.molecules[tabs[1]].name}" on "${mm.molecules[tabs[0]].name}" (film strained, ≤ ${options.tolerance}%, ≤ ${options.maxArea} Å²)`,
+                    '  Idx   Area Å²  Substrate           Film                Strain %          Twist°   Atoms'
+                ];
+                matches.forEach((m, i) => {
+                    lines.push(`  ${String(i).padStart(3)} ${m.area.toFixed(2).padStart(9)}  ` +
+                        `${`${m.substrate.n}× ${matrix(m.substrate.matrix)}`.padEnd(18)}  ` +
+                        `${`${m.film.n}× ${matrix(m.film.matrix)}`.padEnd(18)}  ` +
+                        `${`${percent(m.strain[0])} ${percent(m.strain[1])}`.padEnd(16)} ${m.twist.toFixed(2).padStart(7)}   ` +
+                        `${m.atoms[0]}+${m.atoms[1]}=${m.atoms[0] + m.atoms[1]}`);
+                });
+                lines.push('Build one with: interface <substrate> <film> <Idx> [--gap <Å>] [--vacuum <Å>]');
+                return { info: lines.join('\n') };
+            }
+
+            const index = parseInt(rest[2]);
+            if (!/^\d+$/.test(rest[2]) || index >= matches.length) {
+                return { error: `Match index out of range (0-${matches.length - 1})` };
+            }
+            const match = matches[index];
+            try {
+                const crystal = InterfaceBuilder.build(substrate, film, match, options);
+                const entry = mm.createMolecule(crystal.name);
+                crystal.name = entry.name;
+                mm.loadCrystal(crystal);
+                mm.autoBondPBC();
+                this.editor.rebuildScene();
+                this.editor.saveState();
+                return {
+                    success: [
+                        `Created "${crystal.name}": ${crystal.atoms.length} atoms (${match.atoms[0]} substrate + ${match.atoms[1]} film)`,
+                        `  Film strain: ${percent(match.strain[0])}% ${percent(match.strain[1])}%,  twist: ${match.twist.toFixed(2)}°`,
+                        `  Interlayer distance: ${options.distance} Å,  Vacuum: ${options.vacuum} Å`,
+                        `  Cell: a=${crystal.lattice.a.toFixed(3)} b=${crystal.lattice.b.toFixed(3)} c=${crystal.lattice.c.toFixed(3)} Å  γ=${crystal.lattice.gamma.toFixed(2)}°`
+                    ].join('\n')
+                };
+            } catch (e) {
+                return { error: e.message };
+            }
+        });
+
+        // defect: vacancies, substitutions and interstitials in crystals
+        this.register('defect', [],
+            'defect sites [elem]  |  defect vacancy <idx...|elem|all> [--distinct]  |  defect substitute <elem> <newElem> [fraction] [seed] [--distinct]  |  defect interstitial <elem> <fx> <fy> <fz> - Point defects',
+            (args) => {
+            const usage = [
+                'Usage: defect sites [element] [--tol <Å>]',
+                '       defect vacancy <idx...|element|all> [--distinct] [--tol <Å>]',
+                '       defect substitute <element> <newElement> [fraction] [seed] [--distinct] [--tol <Å>]',
+                '       defect interstitial <element> <fx> <fy> <fz>'
+            ].join('\n');
+            const mol = this.editor.molecule;
+            const mm = this.editor.moleculeManager;
+            if (!mol || !mol.isCrystal || !mol.lattice) return { error: 'No crystal loaded' };
+            if (args.length === 0) return { error: usage };
+
+            const rest = [];
+            let distinct = false;
+            let tolerance = 0.01;
+            for (let i = 1; i < args.length; i++) {
+                const flag = args[i].toLowerCase();
+                if (flag === '--distinct' || flag === '-d') {
+                    distinct = true;
+                } else if (flag === '--tol') {
+                    tolerance = parseFloat(args[++i]);
+                    if (!(tolerance > 0)) return { error: `Invalid tolerance: ${args[i]}` };
+                } else {
+                    rest.push(args[i]);
+                }
+            }
+            const subCmd = args[0].toLowerCase();
+            const elementArg = s => s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
+            const checkElement = element => (element in ELEMENTS ? null : { error: `Invalid element: ${element}` });
+            const countOf = element => mol.atoms.filter(atom => atom.element === element).length;
+
+            // One new tab per symmetry-inequivalent site
+            const createDistinct = options => {
+                let result;
+                try {
+                    result = DefectGenerator.distinct(mol, { ...options, tolerance });
+                } catch (e) {
+                    return { error: e.message };
+                }
+                const lines = [`${result.structures.length} symmetry-distinct structure${result.structures.length === 1 ? '' : 's'} ` +
+                    `(${result.dataset.symbol}, #${result.dataset.number}):`];
+                result.structures.forEach(({ crystal, site, atom, label }) => {
+                    const entry = mm.createMolecule(crystal.name);
+                    crystal.name = entry.name;
+                    mm.loadCrystal(crystal);
+                    mm.autoBondPBC();
+                    this.editor.rebuildScene();
+                    this.editor.saveState();
+                    lines.push(`  ${label.padEnd(12)} site ${site.site} (${site.siteSymmetry}, ${site.atoms.length} atom${site.atoms.length === 1 ? '' : 's'}), ` +
+                        `atom ${atom} → "${crystal.name}"`);
+                });
+                return { success: lines.join('\n') };
+            };
+
+            if (subCmd === 'sites') {
+                if (rest.length > 1) return { error: usage };
+                const element = rest.length > 0 ? elementArg(rest[0]) : undefined;
+                let result;
+                try {
+                    result = DefectGenerator.sites(mol, { element, tolerance });
+                } catch (e) {
+                    return { error: e.message };
+                }
+                if (result.sites.length === 0) return { error: `No ${element} atoms` };
+                const lines = [
+                    `${result.sites.length} inequivalent site${result.sites.length === 1 ? '' : 's'} in ${result.dataset.symbol} (#${result.dataset.number}):`,
+                    '  Site  Elem  Sym      Atoms  Indices'
+                ];
+                result.sites.forEach(site => {
+                    const shown = site.atoms.length > 12 ? `${site.atoms.slice(0, 12).join(',')},…` : site.atoms.join(',');
+                    lines.push(`  ${String(site.site).padStart(4)}  ${site.element.padEnd(4)}  ${site.siteSymmetry.padEnd(7)} ` +
+                        `${String(site.atoms.length).padStart(6)}  ${shown}`);
+                });
+                return { info: lines.join('\n') };
+            }
+
+            if (subCmd === 'vacancy' || subCmd === 'vac') {
+                if (rest.length === 0) return { error: usage };
+                if (rest.every(s => /^\d+$/.test(s))) {
+                    if (distinct) return { error: '--distinct takes an element or all, not atom indices' };
+                    const indices = [...new Set(rest.map(Number))].sort((x, y) => x - y);
+                    const bad = indices.find(i => i >= mol.atoms.length);
+                    if (bad !== undefined) return { error: `Invalid atom index: ${bad}` };
+                    // Undo point before editing in place (sites and --distinct leave this tab alone)
+                    this.editor.saveState();
+                    this.editor.clearSelection();
+                    DefectGenerator.vacancy(mol, indices);
+                    this.editor.rebuildScene();
+                    this.editor.saveState();
+                    return { success: `Removed ${indices.length} atom${indices.length === 1 ? '' : 's'} (${indices.join(', ')})` };
+                }
+                if (rest.length > 1) return { error: usage };
+                if (rest[0].toLowerCase() === 'all') {
+                    if (!distinct) return { error: 'defect vacancy all needs --distinct' };
+                    return createDistinct({});
+                }
+                const element = elementArg(rest[0]);
+                const invalid = checkElement(element);
+                if (invalid) return invalid;
+                if (distinct) return createDistinct({ element });
+                const index = mol.atoms.findIndex(atom => atom.element === element);
+                if (index < 0) return { error: `No ${element} atoms` };
+                this.editor.saveState();
+                this.editor.clearSelection();
+                DefectGenerator.vacancy(mol, [index]);
+                this.editor.rebuildScene();
+                this.editor.saveState();
+                return { success: `Removed ${element} atom ${index}` };
+            }
+
+            if (subCmd === 'substitute' || subCmd === 'sub') {
+                if (rest.length < 2 || rest.length > 4) return { error: usage };
+                const [element, newElement] = rest.slice(0, 2).map(elementArg);
+                const invalid = checkElement(element) || checkElement(newElement);
+                if (invalid) return invalid;
+                if (element === newElement) return { error: 'New element is the same as the host' };
+                if (countOf(element) === 0) return { error: `No ${element} atoms` };
+                if (distinct) {
+                    if (rest.length > 2) return { error: '--distinct substitutes one atom per site; drop the fraction and seed' };
+                    return createDistinct({ element, newElement });
+                }
+                if (rest.length < 3) return { error: usage };
+
+                const fraction = parseFloat(rest[2]);
+                if (!(fraction > 0 && fraction <= 1)) return { error: `Fraction must be in (0, 1]: ${rest[2]}` };
+                let seed;
+                if (rest.length > 3) {
+                    if (!/^\d+$/.test(rest[3])) return { error: `Seed must be a non-negative integer: ${rest[3]}` };
+                    seed = parseInt(rest[3]) >>> 0;
+                } else {
+                    seed = Math.floor(Math.random() * 2 ** 31);
+                }
+                // Checked here so that no undo point is saved for a substitution that cannot happen
+                const hostCount = countOf(element);
+                if (Math.round(fraction * hostCount) === 0) {
+                    return { error: `${(fraction * 100).toFixed(1)}% of ${hostCount} ${element} atoms rounds to zero; use a larger supercell` };
+                }
+                this.editor.saveState();
+                const chosen = DefectGenerator.randomSubstitute(mol, element, newElement, fraction, seed);
+                this.editor.rebuildScene();
+                this.editor.saveState();
+                const host = countOf(element) + chosen.length;
+                return {
+                    success: `Substituted ${chosen.length} of ${host} ${element} by ${newElement} ` +
+                        `(${(chosen.length / host * 100).toFixed(1)}%, seed ${seed})`
+                };
+            }
+
+            if (subCmd === 'interstitial' || subCmd === 'int') {
+                if (rest.length !== 4) return { error: usage };
+                const element = elementArg(rest[0]);
+                const invalid = checkElement(element);
+                if (invalid) return invalid;
+                const frac = rest.slice(1).map(Number);
+                if (frac.some(isNaN)) return { error: 'Fractional coordinates must be numbers' };
+
+                this.editor.saveState();
+                const { nearest } = DefectGenerator.interstitial(mol, element, frac);
+                mm.autoBondPBC();
+                this.editor.rebuildScene();
+                this.editor.saveState();
+                const message = `Added ${element} interstitial (atom ${mol.atoms.length - 1}) at ` +
+                    `(${frac.map(v => v.toFixed(4)).join(', ')})`;
+                if (!nearest) return { success: message };
+                const neighbour = `nearest atom ${nearest.index} (${mol.atoms[nearest.index].element}) at ${nearest.distance.toFixed(3)} Å`;
+                return nearest.distance < 1.0
+                    ? { warning: `${message}\n  Too close: ${neighbour}` }
+                    : { success: `${message}\n  ${neighbour}` };
+            }
+
+            return { error: usage };
+        });
+
+        // xrd: simulated powder diffraction pattern
+        this.register('xrd', [],
+            'xrd [λ|source] [2θmin 2θmax] [--fwhm <deg>] [--shape gauss|lorentz|pv|stick]  |  xrd csv [peaks]  |  xrd off - Powder XRD pattern',
+            (args) => {
+            const xm = this.editor.xrdManager;
+            const subCmd = args.length > 0 ? args[0].toLowerCase() : '';
+
+            if (subCmd === 'off' || subCmd === 'close') {
+                xm.hide();
+                return { success: 'XRD panel closed' };
+            }
+            if (subCmd === 'csv') {
+                const csv = xm.toCSV(args[1] && args[1].toLowerCase() === 'peaks');
+                if (!csv) return { error: 'No XRD pattern calculated. Run xrd first.' };
+                return { info: csv.trimEnd() };
+            }
+
+            const options = {};
+            const rest = [];
+            for (let i = 0; i < args.length; i++) {
+                const flag = args[i].toLowerCase();
+                if (flag === '--fwhm' || flag === '-w') {
+                    options.fwhm = parseFloat(args[++i]);
+                    if (!(options.fwhm > 0)) return { error: `Invalid FWHM: ${args[i]}` };
+                } else if (flag === '--shape') {
+                    options.shape = (args[++i] || '').toLowerCase();
+                    if (!XRD_SHAPES.includes(options.shape)) {
+                        return { error: `Unknown peak shape: ${args[i]}. Use ${XRD_SHAPES.join(', ')}.` };
+                    }
+                } else {
+                    rest.push(args[i]);
+                }
+            }
+
+            // One value is the wavelength, two the 2θ range, three both
+            if (rest.length > 0 && isNaN(parseFloat(rest[0]))) {
+                const wavelength = sourceWavelength(rest[0]);
+                if (wavelength === null) {
+                    return { error: `Unknown X-ray source: ${rest[0]}. Use a wavelength in Å or one of ${Object.keys(XRD_SOURCES).join(', ')}.` };
+                }
+                options.wavelength = wavelength;
+                rest.shift();
+                if (rest.length !== 0 && rest.length !== 2) return { error: 'Usage: xrd [λ|source] [2θmin 2θmax]' };
+            }
+            const values = rest.map(Number);
+            if (values.some(isNaN) || values.length > 3) return { error: 'Usage: xrd [λ|source] [2θmin 2θmax]' };
+            if (values.length === 1 || values.length === 3) options.wavelength = values.shift();
+            if (values.length === 2) [options.min, options.max] = values;
+            if (options.wavelength !== undefined && !(options.wavelength > 0)) {
+                return { error: 'Wavelength must be a positive number (Å)' };
+            }
+
+            return xm.calculate(options);
+        });
+
+        // bz: Brillouin zone and high-symmetry k-path
+        this.register('bz', ['kpath', 'brillouin'],
+            'bz [tol]  |  bz kpoints|qe [n]  |  bz off - Brillouin zone and k-path (Setyawan–Curtarolo), as VASP KPOINTS or a QE K_POINTS card',
+            (args) => {
+            const bm = this.editor.brillouinZoneManager;
+            const subCmd = args.length > 0 ? args[0].toLowerCase() : '';
+
+            if (subCmd === 'off' || subCmd === 'close') {
+                bm.hide();
+                return { success: 'Brillouin zone panel closed' };
+            }
+            if (subCmd === 'kpoints' || subCmd === 'qe') {
+                const divisions = args[1] !== undefined ? Number(args[1]) : undefined;
+                if (divisions !== undefined && !(Number.isInteger(divisions) && divisions > 0)) {
+                    return { error: `Invalid number of points per line: ${args[1]}` };
+                }
+                const text = subCmd === 'qe' ? bm.toQE(divisions) : bm.toKPOINTS(divisions);
+                if (!text) return { error: 'No k-path calculated. Run bz first.' };
+                return { info: text };
+            }
+
+            if (args.length > 1) return { error: 'Usage: bz [tol]  |  bz kpoints|qe [n]  |  bz off' };
+            const tolerance = args.length === 1 ? parseFloat(args[0]) : undefined;
+            if (tolerance !== undefined && !(tolerance > 0)) return { error: `Invalid tolerance: ${args[0]}` };
+            return bm.calculate(tolerance);
+        });
+
         // poly: toggle coordination polyhedra rendering
         this.register('poly', ['polyhedra'],
             'poly [on|off] [element...] [Center>Ligand ...] - Toggle coordination polyhedra', (args) => {
@@ -1348,6 +2318,154 @@ export class CommandRegistry {
             return { success: `Polyhedra ${visible ? 'on' : 'off'}${visible ? desc : ''}` };
         });
 
+        // rep: molecular representation, globally or per atom
+        this.register('rep', ['representation', 'style'],
+            'rep [style] [-s|--selected|<indices>] - Set representation (ball-and-stick, spacefill, licorice, wireframe, polyhedra)',
+            (args) => {
+            const rm = this.editor.renderManager;
+            const molecule = this.editor.molecule;
+            const aliases = {
+                'ball-and-stick': 'ball-and-stick', bs: 'ball-and-stick', ball: 'ball-and-stick', default: 'ball-and-stick',
+                spacefill: 'spacefill', 'space-filling': 'spacefill', sf: 'spacefill', vdw: 'spacefill',
+                licorice: 'licorice', stick: 'licorice', sticks: 'licorice',
+                wireframe: 'wireframe', wire: 'wireframe', lines: 'wireframe', line: 'wireframe',
+                polyhedra: 'polyhedra', poly: 'polyhedra'
+            };
+
+            if (args.length === 0) {
+                const overrides = rm.atomRepresentations.size;
+                return {
+                    info: `Representation: ${rm.representation}` +
+                        (overrides > 0 ? ` (${overrides} atom${overrides === 1 ? '' : 's'} overridden)` : '') +
+                        `\nStyles: ${Object.keys(REPRESENTATIONS).join(', ')}`
+                };
+            }
+
+            const name = aliases[args[0].toLowerCase()];
+            if (!name) {
+                return { error: `Unknown representation: ${args[0]}. Use ${Object.keys(REPRESENTATIONS).join(', ')}` };
+            }
+            if (name === 'polyhedra' && !molecule.isCrystal) {
+                return { error: 'Polyhedra representation requires a crystal (use cell or add mol cif/poscar)' };
+            }
+
+            // Atoms to override: selection or indices/ranges; none means all atoms
+            const { atoms, error } = parseAtomList(args.slice(1), molecule);
+            if (error) return { error };
+
+            rm.setRepresentation(name, atoms);
+            return {
+                success: atoms
+                    ? `Representation ${name} for ${atoms.length} atom${atoms.length === 1 ? '' : 's'}`
+                    : `Representation: ${name}`
+            };
+        });
+
+        // color: atoms by element or by a numeric property, with a color-bar legend
+        this.register('color', ['colour'],
+            'color [by <property> [min max] [colormap]|element|maps] - Color atoms by a property (charge, bfactor, force, ...)',
+            (args) => {
+            const rm = this.editor.renderManager;
+            const usage = 'Usage: color by <property> [min max] [colormap]  |  color element  |  color maps';
+            const format = v => String(parseFloat(v.toPrecision(4)));
+            const describe = legend => `${legend.label}: ${format(legend.min)} to ${format(legend.max)}, ${legend.colormap}`;
+
+            if (args.length === 0) {
+                const properties = listAtomProperties(this.editor.molecule.atoms);
+                return {
+                    info: `Atom colors: ${rm.colorLegend ? describe(rm.colorLegend) : 'by element'}` +
+                        `\nProperties: ${properties.join(', ')}\n${usage}`
+                };
+            }
+
+            const subCmd = args[0].toLowerCase();
+            if (subCmd === 'maps' || subCmd === 'colormaps') {
+                return { info: `Colormaps: ${Object.keys(COLORMAPS).join(', ')} (append _r to reverse)` };
+            }
+            if (subCmd === 'element' || subCmd === 'off' || (subCmd === 'by' && args[1] && args[1].toLowerCase() === 'element')) {
+                rm.setColorBy(null);
+                return { success: 'Atoms colored by element' };
+            }
+            if (subCmd !== 'by' || args.length < 2 || args.length > 5) return { error: usage };
+
+            // [min max] then [colormap]
+            const rest = args.slice(2);
+            const options = {};
+            if (rest.length >= 2 && !isNaN(Number(rest[0])) && !isNaN(Number(rest[1]))) {
+                options.min = Number(rest[0]);
+                options.max = Number(rest[1]);
+                if (!(options.min < options.max)) return { error: `Invalid range: min (${rest[0]}) must be below max (${rest[1]})` };
+                rest.splice(0, 2);
+            }
+            if (rest.length === 1 && isNaN(Number(rest[0]))) {
+                options.colormap = rest[0].toLowerCase();
+                if (!isColormap(options.colormap)) {
+                    return { error: `Unknown colormap: ${rest[0]}. Use ${Object.keys(COLORMAPS).join(', ')} (append _r to reverse)` };
+                }
+            } else if (rest.length > 0) {
+                return { error: usage };
+            }
+
+            try {
+                const legend = rm.setColorBy(args[1], options);
+                return { success: `Atoms colored by ${describe(legend)}` };
+            } catch (e) {
+                return { error: e.message };
+            }
+        });
+
+        // bond: show or set bond orders
+        this.register('bond', [],
+            'bond order <i> <j> [order]  |  bond order auto [-s] - Show or set bond orders',
+            { isDestructive: true }, (args) => {
+            const usage = 'Usage: bond order <idx1> <idx2> [1|2|3|1.5|0.5|0|single|double|triple|aromatic|partial|dative]  |  bond order auto [-s|--selected]';
+            if (args.length < 2 || args[0].toLowerCase() !== 'order') return { error: usage };
+
+            const names = { single: 1, double: 2, triple: 3, aromatic: 1.5, ar: 1.5, partial: 0.5, dative: 0, coord: 0, coordination: 0 };
+            const nameOf = order => Object.keys(names).find(name => names[name] === order) || String(order);
+            const molecule = this.editor.molecule;
+
+            // bond order auto [-s]: orders perceived from geometry and valence
+            if (args[1].toLowerCase() === 'auto') {
+                const selectedOnly = args.includes('-s') || args.includes('--selected');
+                const atoms = selectedOnly ? molecule.atoms.filter(a => a.selected) : molecule.atoms;
+                if (atoms.length === 0) return { error: selectedOnly ? 'No atoms selected' : 'No atoms' };
+
+                const orders = this.editor.moleculeManager.perceiveBondOrders(atoms);
+                let changed = 0;
+                orders.forEach((order, bond) => {
+                    if (bond.order !== order) {
+                        bond.order = order;
+                        changed++;
+                    }
+                });
+                this.editor.rebuildScene();
+                return { success: `Assigned bond orders: ${changed} bond${changed === 1 ? '' : 's'} changed` };
+            }
+
+            if (args.length !== 3 && args.length !== 4) return { error: usage };
+            const idx1 = parseInt(args[1]);
+            const idx2 = parseInt(args[2]);
+            const atom1 = molecule.atoms[idx1];
+            const atom2 = molecule.atoms[idx2];
+            if (!atom1 || !atom2) return { error: 'Invalid atom index' };
+            const bond = molecule.getBond(atom1, atom2);
+            if (!bond) return { error: `No bond found between ${idx1} and ${idx2}` };
+
+            if (args.length === 3) {
+                return { info: `Bond ${idx1}-${idx2}: order ${bond.order} (${nameOf(bond.order)})` };
+            }
+
+            const value = args[3].toLowerCase();
+            const order = Object.hasOwn(names, value) ? names[value] : Number(value);
+            if (!Object.values(names).includes(order)) {
+                return { error: `Invalid bond order: ${args[3]}. Use 1, 2, 3, 1.5 (aromatic), 0.5 (partial) or 0 (dative)` };
+            }
+
+            this.editor.setBondOrder(bond, order);
+            return { success: `Bond ${idx1}-${idx2}: order ${order} (${nameOf(order)})` };
+        });
+
         // bonds: toggle bond visibility
         this.register('bonds', [], 'bonds [on|off] - Toggle bond visibility', (args) => {
             const rm = this.editor.renderManager;
@@ -1384,17 +2502,26 @@ export class CommandRegistry {
                 }
             }
 
-            // show 2d [-s|--split] [-l|--label] [-h|--hydrogen] [-p|--png]
+            // show 2d [-s|--split] [-l|--label] [-h|--hydrogen] [-p|--png [--width <px>] [--height <px>] [--dpi <n>]]
             if (subCmd === '2d') {
                 const splitFragments = args.includes('-s') || args.includes('--split');
                 const showLabels = args.includes('-l') || args.includes('--label');
                 const showHydrogens = args.includes('-h') || args.includes('--hydrogen');
                 const usePng = args.includes('-p') || args.includes('--png');
 
+                const pngOptions = {};
+                for (const key of ['width', 'height', 'dpi']) {
+                    const idx = args.indexOf(`--${key}`);
+                    if (idx === -1) continue;
+                    const value = parseFloat(args[idx + 1]);
+                    if (isNaN(value) || value <= 0) return { error: `Invalid --${key} value: ${args[idx + 1]}` };
+                    pngOptions[key] = value;
+                }
+
                 try {
                     let svgs;
                     if (usePng) {
-                        svgs = await this.editor.fileIOManager.exportPNG({ splitFragments, showLabels, showHydrogens });
+                        svgs = await this.editor.fileIOManager.exportPNG({ splitFragments, showLabels, showHydrogens, ...pngOptions });
                     } else {
                         svgs = this.editor.fileIOManager.exportSVG({ splitFragments, showLabels, showHydrogens });
                     }
@@ -1436,3 +2563,34 @@ export class CommandRegistry {
         });
     }
 }
+
+/**
+ * Atoms named by command arguments: -s/--selected, or indices and ranges (0 3 5:9, :)
+ * @param {string[]} args
+ * @param {Object} molecule
+ * @returns {{ atoms: Object[]|null, error?: string }} atoms is null when args is empty
+ */
+function parseAtomList(args, molecule) {
+    if (args.length === 0) return { atoms: null };
+    if (args.includes('-s') || args.includes('--selected')) {
+        const atoms = molecule.atoms.filter(a => a.selected);
+        return atoms.length > 0 ? { atoms } : { atoms: null, error: 'No atoms selected' };
+    }
+    const indices = new Set();
+    for (const arg of args) {
+        if (arg.includes(':')) {
+            const [s, e] = arg.split(':');
+            const start = s === '' ? 0 : parseInt(s);
+            const end = e === '' ? molecule.atoms.length - 1 : parseInt(e);
+            if (isNaN(start) || isNaN(end)) return { atoms: null, error: `Invalid range: ${arg}` };
+            for (let i = start; i <= end; i++) indices.add(i);
+        } else {
+            const idx = parseInt(arg);
+            if (isNaN(idx)) return { atoms: null, error: `Invalid atom index: ${arg}` };
+            indices.add(idx);
+        }
+    }
+    const atoms = [...indices].map(i => molecule.atoms[i]);
+    if (atoms.some(atom => !atom)) return { atoms: null, error: 'Invalid atom index' };
+    return { atoms };
+}
@@ -96,6 +96,21 @@ export class LatticeParams {
         return Math.abs(new THREE.Vector3().crossVectors(b, c).dot(a));
     }
 
+    /**
+     * Reciprocal lattice vectors a*, b*, c* (without the 2π factor), so that a·a* = 1
+     * @returns {{ a: THREE.Vector3, b: THREE.Vector3, c: THREE.Vector3 }}
+     */
+    reciprocalVectors() {
+        const { a, b, c } = this.toLatticeVectors();
+        const vol = a.dot(new THREE.Vector3().crossVectors(b, c));
+        if (Math.abs(vol) < 1e-10) throw new Error('Degenerate unit cell');
+        return {
+            a: new THREE.Vector3().crossVectors(b, c).divideScalar(vol),
+            b: new THREE.Vector3().crossVectors(c, a).divideScalar(vol),
+            c: new THREE.Vector3().crossVectors(a, b).divideScalar(vol)
+        };
+    }
+
     /**
      * Apply minimum image convention to a displacement vector.
      * Returns the shortest-image equivalent of (dx, dy, dz) under PBC.
@@ -152,7 +167,7 @@ export class LatticeParams {
  *   - lattice (LatticeParams)
  *   - fractional coordinates for each atom
  *   - space-group metadata
- *   - wrap(), generateSupercell()
+ *   - wrap(), generateSupercell(), transformCell()
  */
 export class Crystal extends Molecule {
     constructor(name = 'Crystal') {
@@ -165,6 +180,12 @@ export class Crystal extends Molecule {
         this.spaceGroupNumber = null;
         /** @type {Map<number, {x:number, y:number, z:number}>} atomId -> fractional coords */
         this.fracCoords = new Map();
+        /**
+         * Data items and loops of the CIF data block this crystal was read from, other
+         * than the cell, symmetry and atom sites (written back by CIFParser.generate)
+         * @type {{ items: Array<[string, string]>, loops: Array<{ names: string[], rows: string[][] }> }|null}
+         */
+        this.cifMetadata = null;
         /** Marker so code can distinguish Crystal from Molecule */
         this.isCrystal = true;
     }
@@ -222,6 +243,55 @@ export class Crystal extends Molecule {
         });
     }
 
+    /**
+     * Replace the lattice, keeping every atom at its fractional coordinates: the
+     * fractions are taken from the current Cartesian positions in the old lattice, so
+     * atoms scale with the cell. Updates both fracCoords and Cartesian positions.
+     * @param {LatticeParams} lattice
+     */
+    deformLattice(lattice) {
+        if (!this.lattice) throw new Error('Crystal: lattice not set');
+        lattice.toLatticeVectors(); // throws on a degenerate cell before anything changes
+        const fracs = this.atoms.map(atom =>
+            this.lattice.cartToFrac(atom.position.x, atom.position.y, atom.position.z));
+        this.setLattice(lattice);
+        this.atoms.forEach((atom, i) => {
+            const f = fracs[i];
+            atom.position.copy(lattice.fracToCart(f.x, f.y, f.z));
+            this.fracCoords.set(atom.id, { x: f.x, y: f.y, z: f.z });
+        });
+    }
+
+    /**
+     * Deform the cell by a homogeneous strain, keeping fractional coordinates.
+     * Each lattice vector v becomes (I + ε)·v in the Cartesian frame of
+     * toLatticeVectors (a along x, b in the xy plane). Any strain other than a
+     * uniform scaling resets the space group to P 1.
+     *
+     * @param {number[][]} strain 3×3 symmetric strain tensor ε (fractions; shear
+     *   components are tensor, not engineering, strains)
+     * @throws {Error} If the strained cell is degenerate
+     */
+    applyStrain(strain) {
+        if (!this.lattice) throw new Error('Crystal: lattice not set');
+        const F = new THREE.Matrix3().set(
+            1 + strain[0][0], strain[0][1], strain[0][2],
+            strain[1][0], 1 + strain[1][1], strain[1][2],
+            strain[2][0], strain[2][1], 1 + strain[2][2]
+        );
+        if (F.determinant() <= 1e-6) throw new Error('Strain collapses the cell (det(I + ε) ≤ 0)');
+        const { a, b, c } = this.lattice.toLatticeVectors();
+        this.deformLattice(LatticeParams.fromVectors(a.applyMatrix3(F), b.applyMatrix3(F), c.applyMatrix3(F)));
+
+        // Only a uniform scaling is sure to keep the space group
+        const uniform = strain.every((row, i) => row.every((v, j) =>
+            Math.abs(v - (i === j ? strain[0][0] : 0)) < 1e-12));
+        if (!uniform) {
+            this.spaceGroup = 'P 1';
+            this.spaceGroupNumber = null;
+        }
+    }
+
     /**
      * Generate a supercell using a general 3×3 integer transformation matrix S.
      *
@@ -245,23 +315,46 @@ export class Crystal extends Molecule {
             throw new Error('Transformation matrix must be 3×3');
         }
 
-        const det = S[0][0] * (S[1][1] * S[2][2] - S[1][2] * S[2][1])
-                  - S[0][1] * (S[1][0] * S[2][2] - S[1][2] * S[2][0])
-                  + S[0][2] * (S[1][0] * S[2][1] - S[1][1] * S[2][0]);
-
+        const det = determinant(S);
         if (Math.abs(det) < 0.1) {
             throw new Error(`Transformation matrix is singular (det = ${det.toFixed(4)})`);
         }
 
+        const scName = S.every((r, i) => r.every((v, j) => (i === j ? v !== 1 : v === 0)))
+            ? `${this.name} ${S[0][0]}×${S[1][1]}×${S[2][2]}`
+            : `${this.name} (matrix supercell)`;
+
+        return this.transformCell(S, { name: scName });
+    }
+
+    /**
+     * Build the same structure in another cell, given by a 3×3 matrix S in the row
+     * form of generateSupercellMatrix. S may be rational (e.g. conventional → primitive):
+     * atoms that then coincide in the new cell are merged.
+     *
+     * Fractional coordinates are derived from the Cartesian positions. The result is
+     * labelled P 1; callers that know the space group set it afterwards.
+     *
+     * @param {number[][]} S 3×3 matrix, rows = new vectors in the (a, b, c) basis
+     * @param {Object} [options]
+     * @param {number} [options.tolerance=0.01] Distance (Å) under which atoms are merged
+     * @param {string} [options.name] Name of the new crystal
+     * @returns {Crystal}
+     * @throws {Error} If S is singular, or a rational row of S is not a translation
+     *   of the structure
+     */
+    transformCell(S, { tolerance = 0.01, name = this.name } = {}) {
+        if (!this.lattice) throw new Error('Crystal: lattice not set');
+
+        const det = determinant(S);
+        if (Math.abs(det) < 1e-6) {
+            throw new Error(`Transformation matrix is singular (det = ${det.toFixed(4)})`);
+        }
+
         // ── New lattice vectors ───────────────────────────────────────────────
         const { a: va, b: vb, c: vc } = this.lattice.toLatticeVectors();
-
-        const newVa = new THREE.Vector3()
-            .addScaledVector(va, S[0][0]).addScaledVector(vb, S[0][1]).addScaledVector(vc, S[0][2]);
-        const newVb = new THREE.Vector3()
-            .addScaledVector(va, S[1][0]).addScaledVector(vb, S[1][1]).addScaledVector(vc, S[1][2]);
-        const newVc = new THREE.Vector3()
-            .addScaledVector(va, S[2][0]).addScaledVector(vb, S[2][1]).addScaledVector(vc, S[2][2]);
+        const [newVa, newVb, newVc] = S.map(r => new THREE.Vector3()
+            .addScaledVector(va, r[0]).addScaledVector(vb, r[1]).addScaledVector(vc, r[2]));
 
         // ── Coordinate transform: f_new = (S^T)^{-1} * f_old ────────────────
         // THREE.Matrix3.set() is row-major, so S^T has rows = columns of S:
@@ -273,55 +366,88 @@ export class Crystal extends Molecule {
         const ST_inv = ST.clone().invert();
 
         // ── Integer offset range ─────────────────────────────────────────────
-        // Safe bound: image of [0,1)^3 under S fits within [-R, R] in each axis.
-        const maxAbs = Math.max(...S.flat().map(Math.abs));
-        const R = Math.ceil(maxAbs) + 1;
+        // f_old = S^T f_new, so over the new cell old axis i spans the sum of the
+        // negative (resp. positive) entries of column i of S.
+        const lo = [0, 1, 2].map(i => Math.floor(S.reduce((s, r) => s + Math.min(0, r[i]), 0)) - 1);
+        const hi = [0, 1, 2].map(i => Math.ceil(S.reduce((s, r) => s + Math.max(0, r[i]), 0)) + 1);
+
+        // ── Fractional coordinates, from the Cartesian positions ─────────────
+        const fracs = this.atoms.map(atom => {
+            const f = this.lattice.cartToFrac(atom.position.x, atom.position.y, atom.position.z);
+            return f.set(f.x - Math.floor(f.x), f.y - Math.floor(f.y), f.z - Math.floor(f.z));
+        });
 
-        // ── Build supercell ──────────────────────────────────────────────────
-        const scName = S.every((r, i) => r.every((v, j) => (i === j ? v !== 1 : v === 0)))
-            ? `${this.name} ${S[0][0]}×${S[1][1]}×${S[2][2]}`
-            : `${this.name} (matrix supercell)`;
+        // A rational S is only valid if its fractional rows are translations of the structure
+        const integral = S.every(r => r.every(v => Math.abs(v - Math.round(v)) < 1e-9));
+        if (!integral) {
+            S.forEach(row => {
+                if (!this._isTranslation(fracs, row, tolerance)) {
+                    throw new Error(
+                        `Cell vector [${row.map(v => +v.toFixed(4)).join(', ')}] is not a lattice translation of the structure`
+                    );
+                }
+            });
+        }
 
-        const sc = new Crystal(scName);
-        sc.setLattice(LatticeParams.fromVectors(newVa, newVb, newVc));
+        // ── Build the new cell ───────────────────────────────────────────────
+        const cell = new Crystal(name);
+        cell.setLattice(LatticeParams.fromVectors(newVa, newVb, newVc));
         // After an arbitrary rotation/shear the space group is generally P1
-        sc.spaceGroup = 'P 1';
+        cell.spaceGroup = 'P 1';
 
         const EPS = 1e-6;
+        const placed = [];
+        const occupied = (element, f) => placed.some(p => {
+            if (p.element !== element) return false;
+            const d = [f.x - p.f.x, f.y - p.f.y, f.z - p.f.z].map(v => v - Math.round(v));
+            return cell.lattice.fracToCart(d[0], d[1], d[2]).length() < tolerance;
+        });
 
-        this.atoms.forEach(atom => {
-            const frac = this.getFracSafe(atom);
+        this.atoms.forEach((atom, index) => {
+            const frac = fracs[index];
 
-            for (let n1 = -R; n1 <= R; n1++) {
-                for (let n2 = -R; n2 <= R; n2++) {
-                    for (let n3 = -R; n3 <= R; n3++) {
+            for (let n1 = lo[0]; n1 <= hi[0]; n1++) {
+                for (let n2 = lo[1]; n2 <= hi[1]; n2++) {
+                    for (let n3 = lo[2]; n3 <= hi[2]; n3++) {
                         // Shift original fractional coord by integer lattice vector
-                        const fShifted = new THREE.Vector3(
-                            frac.x + n1,
-                            frac.y + n2,
-                            frac.z + n3
-                        );
-                        // Transform to new fractional coordinates
-                        const fNew = fShifted.clone().applyMatrix3(ST_inv);
+                        const fNew = new THREE.Vector3(frac.x + n1, frac.y + n2, frac.z + n3)
+                            .applyMatrix3(ST_inv);
 
                         if (
                             fNew.x >= -EPS && fNew.x < 1 - EPS &&
                             fNew.y >= -EPS && fNew.y < 1 - EPS &&
                             fNew.z >= -EPS && fNew.z < 1 - EPS
                         ) {
-                            sc.addAtomFractional(
-                                atom.element,
-                                ((fNew.x % 1) + 1) % 1,
-                                ((fNew.y % 1) + 1) % 1,
-                                ((fNew.z % 1) + 1) % 1
-                            );
+                            fNew.set(((fNew.x % 1) + 1) % 1, ((fNew.y % 1) + 1) % 1, ((fNew.z % 1) + 1) % 1);
+                            // A rational S maps lattice-translated copies onto the same site
+                            if (!integral && occupied(atom.element, fNew)) continue;
+                            cell.addAtomFractional(atom.element, fNew.x, fNew.y, fNew.z);
+                            placed.push({ element: atom.element, f: fNew });
                         }
                     }
                 }
             }
         });
 
-        return sc;
+        return cell;
+    }
+
+    /**
+     * Whether shifting every atom by t (fractional) lands on an atom of the same element.
+     * @param {THREE.Vector3[]} fracs Fractional coordinates of this.atoms
+     * @param {number[]} t Fractional translation
+     * @param {number} tolerance Distance in Å
+     * @returns {boolean}
+     */
+    _isTranslation(fracs, t, tolerance) {
+        return this.atoms.every((atom, i) => this.atoms.some((other, j) => {
+            if (other.element !== atom.element) return false;
+            const d = [0, 1, 2].map(k => {
+                const v = fracs[i].getComponent(k) + t[k] - fracs[j].getComponent(k);
+                return v - Math.round(v);
+            });
+            return this.lattice.fracToCart(d[0], d[1], d[2]).length() < tolerance;
+        }));
     }
 
     /**
@@ -346,6 +472,7 @@ export class Crystal extends Molecule {
             lattice: this.lattice ? this.lattice.toJSON() : null,
             spaceGroup: this.spaceGroup,
             spaceGroupNumber: this.spaceGroupNumber,
+            ...(this.cifMetadata ? { cifMetadata: this.cifMetadata } : {}),
             fracCoords: this.atoms.map(a => {
                 const f = this.fracCoords.get(a.id);
                 return f ? { id: a.id, fx: f.x, fy: f.y, fz: f.z } : null;
@@ -359,6 +486,7 @@ export class Crystal extends Molecule {
         this.lattice = data.lattice ? LatticeParams.fromJSON(data.lattice) : null;
         this.spaceGroup = data.spaceGroup || null;
         this.spaceGroupNumber = data.spaceGroupNumber || null;
+        this.cifMetadata = data.cifMetadata || null;
         this.fracCoords = new Map();
         if (data.fracCoords) {
             data.fracCoords.forEach(fc => {
@@ -367,3 +495,10 @@ export class Crystal extends Molecule {
         }
     }
 }
+
+/** Determinant of a 3×3 matrix given as rows */
+function determinant(S) {
+    return S[0][0] * (S[1][1] * S[2][2] - S[1][2] * S[2][1])
+         - S[0][1] * (S[1][0] * S[2][2] - S[1][2] * S[2][0])
+         + S[0][2] * (S[1][0] * S[2][1] - S[1][1] * S[2][0]);
+}
@@ -16,6 +16,17 @@ import { FileIOManager } from './managers/fileIOManager.js';
 import { RenderManager } from './managers/renderManager.js';
 import { GeometryController } from './managers/geometryController.js';
 import { CrystalRenderManager } from './managers/crystalRenderManager.js';
+import { TrajectoryManager } from './managers/trajectoryManager.js';
+import { VibrationManager } from './managers/vibrationManager.js';
+import { VolumeManager } from './managers/volumeManager.js';
+import { OrbitalManager } from './managers/orbitalManager.js';
+import { SurfaceManager } from './managers/surfaceManager.js';
+import { XRDManager } from './managers/xrdManager.js';
+import { BrillouinZoneManager } from './managers/brillouinZoneManager.js';
+import { AdsorptionManager } from './managers/adsorptionManager.js';
+
+/** Bond orders stepped through by clicking a bond in edit mode */
+const BOND_ORDER_CYCLE = [1, 2, 3];
 
 /**
  * Main editor class - central orchestrator for the molecular editor
@@ -42,6 +53,14 @@ export class Editor {
         this.renderManager = new RenderManager(this);
         this.geometryController = new GeometryController(this);
         this.crystalRenderManager = new CrystalRenderManager(this);
+        this.trajectoryManager = new TrajectoryManager(this);
+        this.vibrationManager = new VibrationManager(this);
+        this.volumeManager = new VolumeManager(this);
+        this.orbitalManager = new OrbitalManager(this);
+        this.surfaceManager = new SurfaceManager(this);
+        this.xrdManager = new XRDManager(this);
+        this.brillouinZoneManager = new BrillouinZoneManager(this);
+        this.adsorptionManager = new AdsorptionManager(this);
 
         // Now safe to initialize MoleculeManager (will call updateAllLabels)
         this.moleculeManager = new MoleculeManager(this);
@@ -399,11 +418,9 @@ export class Editor {
 
         if (this.mode === 'edit') {
             // Check for atom intersection first
-            const intersects = raycaster.intersectObjects(this.renderer.scene.children);
-            const atomMesh = intersects.find(i => i.object.userData.type === 'atom');
+            const atom = this.renderManager.pickAtom(raycaster);
 
-            if (atomMesh) {
-                const atom = atomMesh.object.userData.atom;
+            if (atom) {
 
                 // Smart mode: Add atom at optimal position
                 if (this.editMode === 'smart') {
@@ -422,6 +439,14 @@ export class Editor {
                 return;
             }
 
+            // Clicking a bond steps its order: single → double → triple → single
+            const bond = this.renderManager.pickBond(raycaster);
+            if (bond) {
+                const next = BOND_ORDER_CYCLE[(BOND_ORDER_CYCLE.indexOf(bond.order) + 1) % BOND_ORDER_CYCLE.length];
+                this.setBondOrder(bond, next);
+                return;
+            }
+
             // In edit mode, clicking empty space adds an atom (only in Manual mode)
             // Create a plane perpendicular to the camera at an appropriate depth
             const normal = new THREE.Vector3();
@@ -464,11 +489,9 @@ export class Editor {
                 this.addAtomToScene(this.selectedElement, target);
             }
         } else if (this.mode === 'select') {
-            const intersects = raycaster.intersectObjects(this.renderer.scene.children);
-            const atomMesh = intersects.find(i => i.object.userData.type === 'atom');
+            const atom = this.renderManager.pickAtom(raycaster);
 
-            if (atomMesh) {
-                const atom = atomMesh.object.userData.atom;
+            if (atom) {
                 this.toggleSelection(atom, event.ctrlKey || event.metaKey || event.shiftKey);
             } else {
                 if (!event.ctrlKey && !event.metaKey && !event.shiftKey) {
@@ -615,11 +638,9 @@ export class Editor {
     handleRightClick(event, raycaster) {
         // In edit mode, right-click deletes atoms
         if (this.mode === 'edit') {
-            const intersects = raycaster.intersectObjects(this.renderer.scene.children);
-            const atomMesh = intersects.find(i => i.object.userData.type === 'atom');
+            const atom = this.renderManager.pickAtom(raycaster);
 
-            if (atomMesh) {
-                const atom = atomMesh.object.userData.atom;
+            if (atom) {
                 this.saveState();
                 this.molecule.removeAtom(atom);
                 this.rebuildScene();
@@ -646,10 +667,9 @@ export class Editor {
 
         if (this.mode === 'edit') {
             // In edit mode, dragging from an atom creates a bond
-            const intersects = raycaster.intersectObjects(this.renderer.scene.children);
-            const atomMesh = intersects.find(i => i.object.userData.type === 'atom');
+            const atom = this.renderManager.pickAtom(raycaster);
 
-            if (atomMesh) {
+            if (atom) {
                 // Dragging from atom - prevent OrbitControls
                 // Disable rotation and panning in TrackballControls
                 if (this.renderer.trackballControls) {
@@ -657,7 +677,7 @@ export class Editor {
                     this.renderer.trackballControls.noPan = true;
                 }
 
-                this.dragStartAtom = atomMesh.object.userData.atom;
+                this.dragStartAtom = atom;
                 this.ghostBond = this.createGhostBond(this.dragStartAtom.position);
                 return true; // Prevent default
             } else {
@@ -671,10 +691,9 @@ export class Editor {
         } else if (this.mode === 'select') {
             // If clicking on an atom, allow OrbitControls (selection handled in Click)
             // If dragging empty space, prevent OrbitControls for Lasso
-            const intersects = raycaster.intersectObjects(this.renderer.scene.children);
-            const atomMesh = intersects.find(i => i.object.userData.type === 'atom');
+            const atom = this.renderManager.pickAtom(raycaster);
 
-            if (!atomMesh) {
+            if (!atom) {
                 // Start selection (rectangle or lasso) - prevent OrbitControls
                 if (this.renderer.trackballControls) {
                     this.renderer.trackballControls.noRotate = true;
@@ -695,10 +714,9 @@ export class Editor {
             const selectedAtoms = this.molecule.atoms.filter(a => a.selected);
             console.log('Move start. Selected:', selectedAtoms.length);
 
-            const intersects = raycaster.intersectObjects(this.renderer.scene.children);
-            const atomMesh = intersects.find(i => i.object.userData.type === 'atom');
+            const atom = this.renderManager.pickAtom(raycaster);
 
-            if (selectedAtoms.length > 0 && atomMesh && atomMesh.object.userData.atom.selected) {
+            if (selectedAtoms.length > 0 && atom && atom.selected) {
                 // Prevent OrbitControls from interfering with atom manipulation
                 if (this.renderer.trackballControls) {
                     this.renderer.trackballControls.noRotate = true;
@@ -745,10 +763,9 @@ export class Editor {
             raycaster.ray.intersectPlane(plane, target);
 
             // Check for snap to atom
-            const intersects = raycaster.intersectObjects(this.renderer.scene.children);
-            const atomMesh = intersects.find(i => i.object.userData.type === 'atom' && i.object.userData.atom !== this.dragStartAtom);
+            const snapAtom = this.renderManager.pickAtom(raycaster, this.dragStartAtom);
 
-            const endPos = atomMesh ? atomMesh.object.position : target;
+            const endPos = snapAtom ? snapAtom.position : target;
             this.updateGhostBond(endPos);
         } else if (this.mode === 'select') {
             this.selectionManager.updateSelection(event.clientX, event.clientY);
@@ -791,10 +808,7 @@ export class Editor {
                         const relative = initialPos.clone().sub(this.centroid);
                         relative.applyQuaternion(quaternion);
                         atom.position.copy(this.centroid).add(relative);
-                        if (atom.mesh) {
-                            atom.mesh.position.copy(atom.position);
-                            if (atom.outlineMesh) atom.outlineMesh.position.copy(atom.position);
-                        }
+                        this.renderManager.updateAtomPosition(atom);
                     });
                 }
             } else if (this.manipulationMode === 'orbit') {
@@ -818,10 +832,7 @@ export class Editor {
                     const relative = initialPos.clone().sub(this.centroid);
                     relative.applyQuaternion(quaternion);
                     atom.position.copy(this.centroid).add(relative);
-                    if (atom.mesh) {
-                        atom.mesh.position.copy(atom.position);
-                        if (atom.outlineMesh) atom.outlineMesh.position.copy(atom.position);
-                    }
+                    this.renderManager.updateAtomPosition(atom);
                 });
 
                 // Update initial positions to current positions for continuous rotation
@@ -858,10 +869,7 @@ export class Editor {
                 selectedAtoms.forEach(atom => {
                     const initialPos = this.initialPositions.get(atom);
                     atom.position.copy(initialPos).add(delta);
-                    if (atom.mesh) {
-                        atom.mesh.position.copy(atom.position);
-                        if (atom.outlineMesh) atom.outlineMesh.position.copy(atom.position);
-                    }
+                    this.renderManager.updateAtomPosition(atom);
                 });
             }
 
@@ -876,12 +884,10 @@ export class Editor {
             this.renderer.scene.remove(this.ghostBond);
             this.ghostBond = null;
 
-            const intersects = raycaster.intersectObjects(this.renderer.scene.children);
-            const atomMesh = intersects.find(i => i.object.userData.type === 'atom' && i.object.userData.atom !== this.dragStartAtom);
+            const endAtom = this.renderManager.pickAtom(raycaster, this.dragStartAtom);
 
-            if (atomMesh) {
+            if (endAtom) {
                 // Dragged to an existing atom
-                const endAtom = atomMesh.object.userData.atom;
 
                 // Check if bond already exists
                 const existingBond = this.molecule.getBond(this.dragStartAtom, endAtom);
@@ -935,22 +941,7 @@ export class Editor {
     }
 
     updateBonds() {
-        this.molecule.bonds.forEach(bond => {
-            if (bond.mesh) {
-                const start = bond.atom1.position;
-                const end = bond.atom2.position;
-                const mid = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
-                bond.mesh.position.copy(mid);
-
-                // Align cylinder Y-axis to the bond direction
-                const axis = new THREE.Vector3().subVectors(end, start).normalize();
-                const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis);
-                bond.mesh.setRotationFromQuaternion(quaternion);
-
-                const dist = start.distanceTo(end);
-                bond.mesh.scale.set(1, dist, 1); // Scale Y (height) to distance
-            }
-        });
+        this.renderManager.updateBondVisuals();
     }
 
     createGhostBond(startPos) {
@@ -980,16 +971,15 @@ export class Editor {
 
         const atom = existingAtom || this.molecule.addAtom(element, position);
 
-        // Create mesh via RenderManager
-        const mesh = this.renderManager.createAtomMesh(atom);
-        if (mesh) {
-            this.renderer.scene.add(mesh);
-            atom.mesh = mesh;
-        }
-
-        if (mesh) {
-            this.renderer.scene.add(mesh);
-            atom.mesh = mesh;
+        // Create mesh via RenderManager; instanced scenes are rebuilt to grow the instance buffers
+        if (this.renderManager.isInstanced) {
+            this.rebuildScene();
+        } else {
+            const mesh = this.renderManager.createAtomMesh(atom);
+            if (mesh) {
+                this.renderer.scene.add(mesh);
+                atom.mesh = mesh;
+            }
         }
 
         if (!existingAtom) this.saveState(); // Save after adding
@@ -1454,9 +1444,22 @@ export class Editor {
         this.saveState(); // Save after removing
     }
 
-    addBondToScene(atom1, atom2) {
+    /**
+     * Change a bond's order and redraw it
+     * @param {Object} bond
+     * @param {number} order - 1, 2, 3, 1.5 (aromatic), 0.5 (partial) or 0 (coordination)
+     */
+    setBondOrder(bond, order) {
+        bond.order = order;
+
+        // Update scene (the number of cylinders changes)
+        this.rebuildScene();
+        this.saveState(); // Save after changing
+    }
+
+    addBondToScene(atom1, atom2, order = 1) {
         // Add to molecule
-        this.molecule.addBond(atom1, atom2);
+        this.molecule.addBond(atom1, atom2, order);
 
         // Update scene
         this.rebuildScene();
@@ -1542,6 +1545,7 @@ export class Editor {
 
     updateAtomColors() {
         this.renderManager.updateAtomColors();
+        this.surfaceManager.updateColors();
     }
 
     renderPeriodicTable() {
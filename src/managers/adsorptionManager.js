@@ -0,0 +1,247 @@
+import * as THREE from 'three';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { AdsorptionSiteFinder, SITE_TYPES } from './adsorptionSiteFinder.js';
+
+const SITE_COLORS = {
+    top: '#ff5252',
+    bridge: '#ffd740',
+    fcc: '#69f0ae',
+    hcp: '#40c4ff',
+    hollow: '#e040fb'
+};
+
+/** Markers float this far (Å) above the site so they are not hidden inside atoms */
+const MARKER_LIFT = 1.2;
+
+/**
+ * Surface adsorption: site markers and placement of molecules from other tabs.
+ *
+ * Sites found by `findSites` are attached to the molecule entry as
+ * `entry.adsorption = { sites, normal, depth }` and reused by `adsorb`, so a surface that
+ * already carries adsorbates keeps the sites of the clean slab. Replacing the structure
+ * (supercell, cell transformations, loading a file) drops them.
+ */
+export class AdsorptionManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.markers = null;
+    }
+
+    /**
+     * Adsorption data of the active molecule entry, or null
+     * @returns {Object|null}
+     */
+    get adsorption() {
+        const entry = this.editor.moleculeManager && this.editor.moleculeManager.getActive();
+        return (entry && entry.adsorption) || null;
+    }
+
+    /**
+     * Find the sites of the current slab, show them and attach them to the entry
+     * @param {number} [depth=0.9] - Top layer thickness in Å
+     * @returns {Object} Result object with the site list
+     */
+    findSites(depth = 0.9) {
+        const mol = this.editor.molecule;
+        if (!mol || !mol.isCrystal || !mol.lattice) return ErrorHandler.error('No crystal loaded');
+
+        let found;
+        try {
+            found = AdsorptionSiteFinder.find(mol, { depth });
+        } catch (e) {
+            return ErrorHandler.error(e.message);
+        }
+        const entry = this.editor.moleculeManager.getActive();
+        entry.adsorption = { sites: found.sites, normal: found.normal, depth };
+        this.update();
+        return ErrorHandler.success(this.listSites());
+    }
+
+    /**
+     * Table of the attached sites
+     * @returns {string}
+     */
+    listSites() {
+        const { sites, depth } = this.adsorption;
+        const counts = SITE_TYPES.map(type => [type, sites.filter(s => s.type === type).length])
+            .filter(([, n]) => n > 0)
+            .map(([type, n]) => `${n} ${type}`);
+        const lines = [
+            `${sites.length} adsorption sites (${counts.join(', ')}), top layer depth ${depth} Å`,
+            `  Idx  Type    CN         x         y         z   Surface atoms`
+        ];
+        sites.forEach((site, i) => {
+            const p = site.position;
+            lines.push(`  ${String(i).padStart(3)}  ${site.type.padEnd(6)} ${String(site.coordination).padStart(3)} ` +
+                `${p.x.toFixed(3).padStart(9)} ${p.y.toFixed(3).padStart(9)} ${p.z.toFixed(3).padStart(9)}   ${site.atoms.join(',')}`);
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Forget the sites of the active entry and remove the markers
+     */
+    clear() {
+        const entry = this.editor.moleculeManager.getActive();
+        if (entry) delete entry.adsorption;
+        this.update();
+    }
+
+    /**
+     * Redraw the markers for the active entry (none when it has no sites)
+     */
+    update() {
+        this._clearMarkers();
+        const adsorption = this.adsorption;
+        if (!adsorption) return;
+
+        const crm = this.editor.crystalRenderManager;
+        this.markers = new THREE.Group();
+        this.markers.userData = { type: 'adsorptionSites' };
+        const geometry = new THREE.SphereGeometry(0.18, 16, 12);
+        adsorption.sites.forEach((site, i) => {
+            const color = SITE_COLORS[site.type];
+            const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.85, depthTest: false });
+            const marker = new THREE.Mesh(geometry, material);
+            marker.position.copy(site.position).addScaledVector(adsorption.normal, MARKER_LIFT);
+            marker.renderOrder = 10;
+            this.markers.add(marker);
+
+            if (crm) {
+                const label = crm.createTextSprite(String(i), color);
+                label.position.copy(marker.position).addScaledVector(adsorption.normal, 0.45);
+                label.scale.set(0.9, 0.45, 1);
+                label.material.depthTest = false;
+                label.renderOrder = 11;
+                this.markers.add(label);
+            }
+        });
+        this.editor.renderer.scene.add(this.markers);
+    }
+
+    _clearMarkers() {
+        if (!this.markers) return;
+        this.editor.renderer.scene.remove(this.markers);
+        this.markers.traverse(obj => {
+            if (obj.material) {
+                if (obj.material.map) obj.material.map.dispose();
+                obj.material.dispose();
+            }
+        });
+        if (this.markers.children.length > 0 && this.markers.children[0].geometry) {
+            this.markers.children[0].geometry.dispose();
+        }
+        this.markers = null;
+    }
+
+    /**
+     * Resolve a site by index or type (a type picks the site closest to the cell centre)
+     * @param {string} spec - Site index or one of SITE_TYPES
+     * @returns {{ site?: Object, index?: number, error?: string }}
+     */
+    resolveSite(spec) {
+        const { sites } = this.adsorption;
+        if (/^\d+$/.test(spec)) {
+            const index = parseInt(spec);
+            if (index >= sites.length) return { error: `Site index out of range (0-${sites.length - 1})` };
+            return { site: sites[index], index };
+        }
+        const type = spec.toLowerCase() === 'ontop' ? 'top' : spec.toLowerCase();
+        if (!SITE_TYPES.includes(type)) {
+            return { error: `Unknown site: ${spec}. Use a site index or ${SITE_TYPES.join(', ')}.` };
+        }
+        const { a, b } = this.editor.molecule.lattice.toLatticeVectors();
+        const centre = a.clone().add(b).multiplyScalar(0.5);
+        const normal = this.adsorption.normal;
+        const lateral = p => p.clone().sub(centre).projectOnPlane(normal).length();
+        let index = -1;
+        sites.forEach((site, i) => {
+            if (site.type === type && (index < 0 || lateral(site.position) < lateral(sites[index].position) - 1e-6)) index = i;
+        });
+        if (index < 0) return { error: `No ${type} sites on this surface` };
+        return { site: sites[index], index };
+    }
+
+    /**
+     * Place a copy of another tab's molecule above a site of the current slab.
+     *
+     * The adsorbate keeps its own orientation with its z axis along the surface normal
+     * and x along a; `tilt` rotates it about the in-plane axis along a, then `rotation`
+     * about the normal. The anchor atom (default: the lowest along its z) ends up
+     * `height` Å above the site.
+     *
+     * @param {number} sourceIndex - Molecule tab index
+     * @param {string} siteSpec - Site index or type
+     * @param {Object} [options]
+     * @param {number} [options.height=2] - Å
+     * @param {number} [options.rotation=0] - Degrees about the surface normal
+     * @param {number} [options.tilt=0] - Degrees about the in-plane a axis
+     * @param {number} [options.anchor] - 0-based atom index in the adsorbate
+     * @returns {Object} Result object
+     */
+    adsorb(sourceIndex, siteSpec, { height = 2, rotation = 0, tilt = 0, anchor } = {}) {
+        const mm = this.editor.moleculeManager;
+        const mol = this.editor.molecule;
+        if (!mol || !mol.isCrystal || !mol.lattice) return ErrorHandler.error('No crystal loaded');
+        if (sourceIndex < 0 || sourceIndex >= mm.molecules.length) {
+            return ErrorHandler.error(`Invalid molecule index: ${sourceIndex}`);
+        }
+        if (sourceIndex === mm.activeMoleculeIndex) return ErrorHandler.error('Cannot adsorb a structure onto itself');
+        const source = mm.molecules[sourceIndex];
+        const adsorbate = source.molecule;
+        if (adsorbate.atoms.length === 0) return ErrorHandler.error(`"${source.name}" has no atoms`);
+        if (anchor !== undefined && (anchor < 0 || anchor >= adsorbate.atoms.length)) {
+            return ErrorHandler.error(`Anchor atom index out of range (0-${adsorbate.atoms.length - 1})`);
+        }
+
+        if (!this.adsorption) {
+            const found = this.findSites();
+            if (found.error) return found;
+        }
+        const { site, index, error } = this.resolveSite(siteSpec);
+        if (error) return ErrorHandler.error(error);
+
+        if (anchor === undefined) {
+            anchor = 0;
+            adsorbate.atoms.forEach((atom, i) => {
+                if (atom.position.z < adsorbate.atoms[anchor].position.z - 1e-6) anchor = i;
+            });
+        }
+
+        // Adsorbate frame (x, y, z) → surface frame (along a, in-plane, normal)
+        const normal = this.adsorption.normal;
+        const { a } = mol.lattice.toLatticeVectors();
+        const e1 = a.clone().projectOnPlane(normal).normalize();
+        const e2 = new THREE.Vector3().crossVectors(normal, e1);
+        const frame = new THREE.Matrix4().makeBasis(e1, e2, normal);
+        const turn = new THREE.Matrix4().makeRotationAxis(normal, THREE.MathUtils.degToRad(rotation));
+        const lean = new THREE.Matrix4().makeRotationAxis(e1, THREE.MathUtils.degToRad(tilt));
+        const orient = turn.multiply(lean).multiply(frame);
+
+        const origin = adsorbate.atoms[anchor].position;
+        const target = site.position.clone().addScaledVector(normal, height);
+        const added = new Map();
+        adsorbate.atoms.forEach(atom => {
+            const position = atom.position.clone().sub(origin).applyMatrix4(orient).add(target);
+            added.set(atom, mol.addAtom(atom.element, position));
+        });
+        adsorbate.bonds.forEach(bond => {
+            const atom1 = added.get(bond.atom1);
+            const atom2 = added.get(bond.atom2);
+            if (atom1 && atom2) mol.addBond(atom1, atom2, bond.order);
+        });
+
+        this.editor.rebuildScene();
+        this.editor.saveState();
+
+        const message = `Adsorbed "${source.name}" (${added.size} atoms) on ${site.type} site ${index}, ` +
+            `atom ${anchor} (${adsorbate.atoms[anchor].element}) ${height} Å above the surface`;
+        const outside = [...added.values()].some(atom => {
+            const f = mol.lattice.cartToFrac(atom.position.x, atom.position.y, atom.position.z);
+            return f.z < 0 || f.z >= 1;
+        });
+        return outside
+            ? ErrorHandler.warning(`${message}\nSome adsorbate atoms lie outside the cell along c; increase the slab vacuum`)
+            : ErrorHandler.success(message);
+    }
+}
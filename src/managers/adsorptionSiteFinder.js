@@ -0,0 +1,278 @@
+import * as THREE from 'three';
+
+/** Site types in listing order */
+export const SITE_TYPES = ['top', 'bridge', 'fcc', 'hcp', 'hollow'];
+
+/** Sites or atoms closer than this (Å) in the surface plane are the same */
+const SAME_SITE = 0.1;
+
+/** Delaunay triangles whose circumcentres lie this close (Å) form one hollow polygon */
+const COCIRCULAR = 0.05;
+
+/**
+ * Finds adsorption sites on the top surface of a slab.
+ *
+ * Algorithm (after Montoya & Persson, npj Comput. Mater. 3, 14 (2017)):
+ *  1. The surface normal is a×b; the top surface is the atom just below the largest gap
+ *     along the normal (the vacuum), and the top layer is every atom within `depth` of it
+ *  2. Top-layer atoms are projected onto the surface plane, tiled 3×3 and triangulated
+ *     (Delaunay); neighbouring triangles with a common circumcentre are merged, so a
+ *     square of atoms gives one four-fold hollow instead of two triangles
+ *  3. Sites in the home cell: top = atoms, bridge = edge midpoints (polygon diagonals
+ *     excluded), hollow = polygon centroids
+ *  4. Three-fold hollows are hcp when an atom of the second layer lies directly below,
+ *     fcc when one of the third layer does (or when the surface has hcp hollows, as on
+ *     hcp(0001)), and plain hollows otherwise
+ */
+export class AdsorptionSiteFinder {
+    /**
+     * Enumerate the adsorption sites of a slab.
+     *
+     * @param {import('../crystal.js').Crystal} crystal - Slab with vacuum along c
+     * @param {Object} [options]
+     * @param {number} [options.depth=0.9] - Thickness of the top layer in Å
+     * @param {number} [options.minVacuum=3] - Smallest gap along the normal accepted as vacuum, Å
+     * @returns {{ normal: THREE.Vector3, sites: Object[], surfaceAtoms: number[] }}
+     *   sites: [{ type, coordination, position: THREE.Vector3, atoms: number[] }] sorted by
+     *   type (SITE_TYPES order) and in-plane position; atoms are the indices of the
+     *   top-layer atoms that define the site
+     */
+    static find(crystal, { depth = 0.9, minVacuum = 3 } = {}) {
+        if (!crystal || !crystal.isCrystal || !crystal.lattice) {
+            throw new Error('Input is not a crystal structure');
+        }
+        if (!(depth > 0)) throw new Error('Layer depth must be a positive number (Å)');
+        const atoms = crystal.atoms;
+        if (atoms.length === 0) throw new Error('Structure has no atoms');
+
+        const { a, b, c } = crystal.lattice.toLatticeVectors();
+        const normal = new THREE.Vector3().crossVectors(a, b).normalize();
+        if (normal.dot(c) < 0) normal.negate();
+        const period = c.dot(normal);
+        if (!(period > 1e-6)) throw new Error('Degenerate unit cell');
+
+        // ── Top surface: the atom just below the widest gap along the normal ──
+        const heights = atoms.map(atom => mod(atom.position.dot(normal), period));
+        const order = atoms.map((atom, i) => i).sort((i, j) => heights[i] - heights[j]);
+        let gap = -1, top = order[order.length - 1];
+        order.forEach((i, k) => {
+            const next = k + 1 < order.length ? heights[order[k + 1]] : heights[order[0]] + period;
+            if (next - heights[i] > gap) {
+                gap = next - heights[i];
+                top = i;
+            }
+        });
+        if (gap < minVacuum) {
+            throw new Error(`No vacuum gap along c (widest gap ${gap.toFixed(2)} Å); adsorption sites need a slab, e.g. from slab h k l`);
+        }
+        const topHeight = atoms[top].position.dot(normal);
+        const depthOf = atoms.map((atom, i) => mod(heights[top] - heights[i], period));
+
+        // Layers below the surface, each `depth` thick
+        const layerOf = new Array(atoms.length);
+        let layer = 0, layerStart = 0;
+        atoms.map((atom, i) => i).sort((i, j) => depthOf[i] - depthOf[j]).forEach(i => {
+            if (depthOf[i] - layerStart > depth) {
+                layer++;
+                layerStart = depthOf[i];
+            }
+            layerOf[i] = layer;
+        });
+
+        // ── In-plane frame: e1 along a, e2 = n × e1 ──────────────────────────
+        const e1 = a.clone().normalize();
+        const e2 = new THREE.Vector3().crossVectors(normal, e1);
+        const A = [a.dot(e1), a.dot(e2)];
+        const B = [b.dot(e1), b.dot(e2)];
+        const det = A[0] * B[1] - A[1] * B[0];
+        const toFrac = p => [(p[0] * B[1] - p[1] * B[0]) / det, (A[0] * p[1] - A[1] * p[0]) / det];
+        const toCart = (u, v) => [u * A[0] + v * B[0], u * A[1] + v * B[1]];
+        const project = atom => [atom.position.dot(e1), atom.position.dot(e2)];
+        const wrap = p => {
+            const [u, v] = toFrac(p);
+            return toCart(mod(u, 1), mod(v, 1));
+        };
+        const planarDistance = (p, q) => {
+            const [u, v] = toFrac([p[0] - q[0], p[1] - q[1]]);
+            const [x, y] = toCart(u - Math.round(u), v - Math.round(v));
+            return Math.hypot(x, y);
+        };
+
+        const surfaceAtoms = atoms.map((atom, i) => i).filter(i => layerOf[i] === 0);
+
+        // ── Periodic Delaunay triangulation of the top layer ─────────────────
+        const points = [];
+        surfaceAtoms.forEach(i => {
+            const p = wrap(project(atoms[i]));
+            for (let du = -1; du <= 1; du++) {
+                for (let dv = -1; dv <= 1; dv++) {
+                    const shift = toCart(du, dv);
+                    points.push({ atom: i, x: p[0] + shift[0], y: p[1] + shift[1] });
+                }
+            }
+        });
+        const triangles = points.length >= 3 ? triangulate(points) : [];
+
+        // Merge neighbouring cocircular triangles into polygons
+        const parent = triangles.map((t, i) => i);
+        const findRoot = i => (parent[i] === i ? i : (parent[i] = findRoot(parent[i])));
+        const edgeOwner = new Map();
+        triangles.forEach((t, ti) => {
+            triangleEdges(t.vertices).forEach(key => {
+                if (!edgeOwner.has(key)) {
+                    edgeOwner.set(key, ti);
+                    return;
+                }
+                const other = triangles[edgeOwner.get(key)];
+                if (Math.hypot(other.cx - t.cx, other.cy - t.cy) < COCIRCULAR) {
+                    parent[findRoot(ti)] = findRoot(edgeOwner.get(key));
+                }
+            });
+        });
+        const polygons = new Map();
+        triangles.forEach((t, ti) => {
+            const root = findRoot(ti);
+            if (!polygons.has(root)) polygons.set(root, new Set());
+            t.vertices.forEach(v => polygons.get(root).add(v));
+        });
+        const bridges = new Map();
+        triangles.forEach((t, ti) => {
+            triangleEdges(t.vertices).forEach(key => {
+                const owner = edgeOwner.get(key);
+                // An edge shared inside one polygon is a diagonal, not a bridge
+                if (owner !== ti && findRoot(owner) === findRoot(ti)) bridges.set(key, null);
+                else if (!bridges.has(key)) bridges.set(key, key.split(',').map(Number));
+            });
+        });
+
+        // ── Sites in the home cell ───────────────────────────────────────────
+        const candidates = [];
+        const addSite = (type, vertexIds) => {
+            const x = vertexIds.reduce((s, v) => s + points[v].x, 0) / vertexIds.length;
+            const y = vertexIds.reduce((s, v) => s + points[v].y, 0) / vertexIds.length;
+            const [u, v] = toFrac([x, y]);
+            const eps = 1e-6;
+            if (u < -eps || u >= 1 - eps || v < -eps || v >= 1 - eps) return;
+            const siteAtoms = [...new Set(vertexIds.map(id => points[id].atom))];
+            candidates.push({ type, coordination: vertexIds.length, planar: [x, y], atoms: siteAtoms });
+        };
+        surfaceAtoms.forEach(i => {
+            const p = wrap(project(atoms[i]));
+            candidates.push({ type: 'top', coordination: 1, planar: p, atoms: [i] });
+        });
+        bridges.forEach(pair => { if (pair) addSite('bridge', pair); });
+        polygons.forEach(vertices => addSite('hollow', [...vertices]));
+
+        const sites = [];
+        candidates.forEach(site => {
+            if (sites.some(s => s.type === site.type && planarDistance(s.planar, site.planar) < SAME_SITE)) return;
+            sites.push(site);
+        });
+
+        // ── fcc / hcp classification of three-fold hollows ───────────────────
+        const beneath = (site, layerIndex) => {
+            const edge = Math.min(...site.atoms.map(i => planarDistance(project(atoms[i]), site.planar)));
+            return atoms.some((atom, i) => layerOf[i] === layerIndex &&
+                planarDistance(project(atom), site.planar) < 0.25 * edge);
+        };
+        const threeFold = sites.filter(s => s.type === 'hollow' && s.coordination === 3);
+        threeFold.forEach(site => {
+            if (beneath(site, 1)) site.type = 'hcp';
+            else if (beneath(site, 2)) site.type = 'fcc';
+        });
+        if (threeFold.some(s => s.type === 'hcp')) {
+            threeFold.forEach(site => { if (site.type === 'hollow') site.type = 'fcc'; });
+        }
+
+        // ── 3D positions in the plane of the site's atoms ────────────────────
+        sites.forEach(site => {
+            const h = site.atoms.reduce((s, i) => s + topHeight - depthOf[i], 0) / site.atoms.length;
+            site.position = new THREE.Vector3()
+                .addScaledVector(e1, site.planar[0])
+                .addScaledVector(e2, site.planar[1])
+                .addScaledVector(normal, h);
+            const [u, v] = toFrac(site.planar);
+            site.sortKey = [SITE_TYPES.indexOf(site.type), round(v), round(u)];
+        });
+        sites.sort((s, t) => {
+            for (let k = 0; k < 3; k++) if (s.sortKey[k] !== t.sortKey[k]) return s.sortKey[k] - t.sortKey[k];
+            return 0;
+        });
+
+        return {
+            normal,
+            surfaceAtoms,
+            sites: sites.map(({ type, coordination, position, atoms: siteAtoms }) => ({
+                type, coordination, position, atoms: siteAtoms
+            }))
+        };
+    }
+}
+
+function mod(x, m) {
+    return ((x % m) + m) % m;
+}
+
+/** Round to 1e-4 so sort order does not depend on rounding noise */
+function round(x) {
+    return Math.round(x * 1e4) / 1e4;
+}
+
+/** Sorted "i,j" keys of a triangle's edges */
+function triangleEdges([i, j, k]) {
+    const key = (p, q) => (p < q ? `${p},${q}` : `${q},${p}`);
+    return [key(i, j), key(j, k), key(k, i)];
+}
+
+/**
+ * Bowyer–Watson Delaunay triangulation of 2D points
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{ vertices: number[], cx: number, cy: number }>} Triangles with circumcentres
+ */
+function triangulate(points) {
+    const n = points.length;
+    const x0 = points.reduce((s, p) => s + p.x, 0) / n;
+    const y0 = points.reduce((s, p) => s + p.y, 0) / n;
+    const pts = points.map(p => [p.x - x0, p.y - y0]);
+    const span = Math.max(1, ...pts.map(p => Math.max(Math.abs(p[0]), Math.abs(p[1]))));
+    pts.push([-20 * span, -20 * span], [20 * span, -20 * span], [0, 20 * span]);
+    const eps = 1e-9 * span * span;
+
+    const makeTriangle = (i, j, k) => {
+        const [ax, ay] = pts[i], [bx, by] = pts[j], [cx, cy] = pts[k];
+        const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+        if (Math.abs(d) < eps) return { vertices: [i, j, k], cx: 0, cy: 0, r2: Infinity };
+        const a2 = ax * ax + ay * ay, b2 = bx * bx + by * by, c2 = cx * cx + cy * cy;
+        const ux = (a2 * (by - cy) + b2 * (cy - ay) + c2 * (ay - by)) / d;
+        const uy = (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / d;
+        return { vertices: [i, j, k], cx: ux, cy: uy, r2: (ax - ux) ** 2 + (ay - uy) ** 2 };
+    };
+
+    let triangles = [makeTriangle(n, n + 1, n + 2)];
+    for (let p = 0; p < n; p++) {
+        const [px, py] = pts[p];
+        const bad = [], good = [];
+        triangles.forEach(t => {
+            if ((px - t.cx) ** 2 + (py - t.cy) ** 2 < t.r2 - eps) bad.push(t);
+            else good.push(t);
+        });
+        const edgeCount = new Map();
+        bad.forEach(t => {
+            const [i, j, k] = t.vertices;
+            [[i, j], [j, k], [k, i]].forEach(([u, v]) => {
+                const key = u < v ? `${u},${v}` : `${v},${u}`;
+                edgeCount.set(key, (edgeCount.get(key) || 0) + 1);
+            });
+        });
+        triangles = good;
+        edgeCount.forEach((count, key) => {
+            if (count !== 1) return;
+            const [u, v] = key.split(',').map(Number);
+            triangles.push(makeTriangle(u, v, p));
+        });
+    }
+
+    return triangles
+        .filter(t => t.vertices.every(v => v < n) && Number.isFinite(t.r2))
+        .map(t => ({ vertices: t.vertices, cx: t.cx + x0, cy: t.cy + y0 }));
+}
@@ -0,0 +1,296 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { KPathGenerator } from './kpathGenerator.js';
+
+const EDGE_COLOR = 0xaaaaaa;
+const FACE_COLOR = 0x4fc3f7;
+const PATH_COLOR = 0xbb86fc;
+const POINT_COLOR = 0xf9ca24;
+const LABEL_COLOR = '#ffffff';
+const AXIS_COLORS = ['#ff6b6b', '#4ecdc4', '#6c9bff'];
+
+/** Points per line of the exported k-path */
+const DEFAULT_DIVISIONS = 20;
+
+/**
+ * Brillouin zone panel: a separate 3D view of the first Brillouin zone of the current
+ * crystal with its reciprocal axes, labelled high-symmetry points and the recommended
+ * k-path (KPathGenerator), and downloads of the path for VASP and Quantum ESPRESSO.
+ *
+ * Like the XRD panel, the view is a snapshot of the structure when it was calculated;
+ * the refresh button (or running `bz` again) recomputes it after edits.
+ */
+export class BrillouinZoneManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.result = null;
+        this.name = '';
+        this.tolerance = 0.01;
+
+        // The WebGL context is created the first time the panel is shown
+        this.renderer = null;
+        this.scene = null;
+        this.camera = null;
+        this.controls = null;
+
+        this.panel = document.getElementById('bz-panel');
+        this.canvas = document.getElementById('bz-canvas');
+        this.title = document.getElementById('bz-title');
+        this.readout = document.getElementById('bz-readout');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const refresh = document.getElementById('btn-bz-refresh');
+        const kpoints = document.getElementById('btn-bz-kpoints');
+        const qe = document.getElementById('btn-bz-qe');
+        const close = document.getElementById('btn-bz-close');
+        if (refresh) {
+            refresh.addEventListener('click', () => {
+                const result = this.calculate();
+                if (result.error) this.editor.console.print(result.error, 'error');
+            });
+        }
+        if (kpoints) kpoints.addEventListener('click', () => this.download('kpoints'));
+        if (qe) qe.addEventListener('click', () => this.download('qe'));
+        if (close) close.addEventListener('click', () => this.hide());
+
+        window.addEventListener('resize', () => {
+            if (this.isVisible) this.render();
+        });
+    }
+
+    get isVisible() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * Compute the Brillouin zone and k-path of the current crystal and show them
+     * @param {number} [tolerance] - Symmetry tolerance in Å (the last one used if omitted)
+     * @returns {Object} Result object with the point table
+     */
+    calculate(tolerance = this.tolerance) {
+        const mol = this.editor.molecule;
+        if (!mol || !mol.isCrystal || !mol.lattice) return ErrorHandler.error('No crystal loaded');
+        if (!(tolerance > 0)) return ErrorHandler.error('Tolerance must be a positive number (Å)');
+
+        let result;
+        try {
+            result = KPathGenerator.compute(mol, tolerance);
+        } catch (e) {
+            return ErrorHandler.error(e.message);
+        }
+        this.tolerance = tolerance;
+        this.result = result;
+        this.name = mol.name || 'crystal';
+        this.show();
+
+        const table = this.pointTable();
+        const ratio = Math.round(result.cellRatio);
+        if (ratio > 1) {
+            return ErrorHandler.warning(`${table}\nThe current cell is ${ratio}× the primitive cell, so bands along this path ` +
+                'are folded; cell primitive gives the primitive cell');
+        }
+        return ErrorHandler.success(table);
+    }
+
+    /**
+     * Console table of the high-symmetry points of the current result
+     * @returns {string}
+     */
+    pointTable() {
+        const { variant, dataset, points, path, isStandard } = this.result;
+        const lines = [
+            `Brillouin zone of ${this.name}: ${variant} (${dataset.latticeType}, ${dataset.symbol} #${dataset.number}), ` +
+                `path ${KPathGenerator.formatPath(path)}`,
+            `  Point      k (fractional, current cell)     |k| (Å⁻¹)`
+        ];
+        Object.entries(points).forEach(([label, point]) => {
+            const coords = point.cell.map(v => v.toFixed(5).padStart(9)).join(' ');
+            lines.push(`  ${label.padEnd(5)} ${coords}   ${point.cart.length().toFixed(4).padStart(8)}`);
+        });
+        if (!isStandard) {
+            lines.push('Coordinates are in the reciprocal basis of the current cell, not of the Setyawan–Curtarolo primitive cell');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * VASP KPOINTS (line mode) text of the current path
+     * @param {number} [divisions=20] - Points per line
+     * @returns {string|null} null when nothing has been calculated
+     */
+    toKPOINTS(divisions = DEFAULT_DIVISIONS) {
+        if (!this.result) return null;
+        return KPathGenerator.toKPOINTS(this.result, divisions, this.name);
+    }
+
+    /**
+     * Quantum ESPRESSO K_POINTS crystal_b card of the current path
+     * @param {number} [divisions=20] - Average points per line
+     * @returns {string|null} null when nothing has been calculated
+     */
+    toQE(divisions = DEFAULT_DIVISIONS) {
+        if (!this.result) return null;
+        return KPathGenerator.toQE(this.result, divisions);
+    }
+
+    /**
+     * Download the path as KPOINTS or as a K_POINTS card
+     * @param {'kpoints'|'qe'} kind
+     */
+    download(kind) {
+        const text = kind === 'qe' ? this.toQE() : this.toKPOINTS();
+        if (!text) return;
+        const name = this.name.replace(/\s+/g, '_');
+        const blob = new Blob([`${text}\n`], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = kind === 'qe' ? `${name}_kpath.in` : 'KPOINTS';
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    show() {
+        if (!this.panel) return;
+        this.panel.style.display = 'flex';
+        if (this.title) this.title.textContent = this.result ? this.result.variant : '';
+        if (this.readout) this.readout.textContent = this.result ? KPathGenerator.formatPath(this.result.path) : '';
+        if (!this._initView()) return;
+        this._buildScene();
+        this.render();
+    }
+
+    hide() {
+        if (this.panel) this.panel.style.display = 'none';
+    }
+
+    // ─── View ───────────────────────────────────────────────────────────────
+
+    /** Create the renderer, camera and controls of the panel once */
+    _initView() {
+        if (this.renderer) return true;
+        if (!this.canvas) return false;
+        this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, antialias: true, alpha: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(35, 1, 0.01, 1000);
+        // kz up; OrbitControls reads the up vector once, when it is created
+        this.camera.up.set(0, 0, 1);
+        this.controls = new OrbitControls(this.camera, this.canvas);
+        this.controls.addEventListener('change', () => this.render());
+        return true;
+    }
+
+    /** Replace the scene content with the zone, axes, points and path of the current result */
+    _buildScene() {
+        this._clearScene();
+        if (!this.result) return;
+        const { zone, points, path, reciprocal } = this.result;
+        const radius = Math.max(...zone.vertices.map(v => v.length()));
+
+        // Faces as translucent fans, edges as lines
+        const triangles = [];
+        zone.faces.forEach(face => {
+            for (let i = 1; i < face.vertices.length - 1; i++) {
+                [face.vertices[0], face.vertices[i], face.vertices[i + 1]].forEach(j => {
+                    triangles.push(zone.vertices[j].x, zone.vertices[j].y, zone.vertices[j].z);
+                });
+            }
+        });
+        const faceGeometry = new THREE.BufferGeometry();
+        faceGeometry.setAttribute('position', new THREE.Float32BufferAttribute(triangles, 3));
+        this.scene.add(new THREE.Mesh(faceGeometry, new THREE.MeshBasicMaterial({
+            color: FACE_COLOR, transparent: true, opacity: 0.08, side: THREE.DoubleSide, depthWrite: false
+        })));
+
+        const edgeGeometry = new THREE.BufferGeometry().setFromPoints(
+            zone.edges.flatMap(([i, j]) => [zone.vertices[i], zone.vertices[j]]));
+        this.scene.add(new THREE.LineSegments(edgeGeometry, new THREE.LineBasicMaterial({ color: EDGE_COLOR })));
+
+        // Reciprocal axes b1, b2, b3
+        reciprocal.forEach((b, i) => {
+            const length = Math.max(b.length(), radius * 1.2);
+            const color = new THREE.Color(AXIS_COLORS[i]);
+            this.scene.add(new THREE.ArrowHelper(b.clone().normalize(), new THREE.Vector3(), length, color,
+                radius * 0.08, radius * 0.04));
+            this._addLabel(`b${i + 1}`, b.clone().setLength(length * 1.08), radius, AXIS_COLORS[i]);
+        });
+
+        // Path as tubes between consecutive points
+        const pathMaterial = new THREE.MeshBasicMaterial({ color: PATH_COLOR });
+        path.forEach(segment => {
+            for (let i = 0; i < segment.length - 1; i++) {
+                this.scene.add(this._tube(points[segment[i]].cart, points[segment[i + 1]].cart, radius * 0.012, pathMaterial));
+            }
+        });
+
+        // High-symmetry points; labels sit just outside the zone
+        const sphere = new THREE.SphereGeometry(radius * 0.025, 12, 8);
+        const pointMaterial = new THREE.MeshBasicMaterial({ color: POINT_COLOR });
+        Object.entries(points).forEach(([label, point]) => {
+            const marker = new THREE.Mesh(sphere, pointMaterial);
+            marker.position.copy(point.cart);
+            this.scene.add(marker);
+            const offset = point.cart.length() > 1e-6
+                ? point.cart.clone().multiplyScalar(1 + 0.1 * radius / point.cart.length())
+                : new THREE.Vector3(0, 0, radius * 0.1);
+            this._addLabel(label, offset, radius, LABEL_COLOR);
+        });
+
+        const direction = new THREE.Vector3(1, 0.6, 0.8).normalize();
+        this.camera.position.copy(direction.multiplyScalar(radius * 5.5));
+        this.controls.target.set(0, 0, 0);
+        this.controls.update();
+    }
+
+    /** Cylinder between two points */
+    _tube(from, to, radius, material) {
+        const length = from.distanceTo(to);
+        const tube = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, length, 8), material);
+        tube.position.copy(from).add(to).multiplyScalar(0.5);
+        tube.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), to.clone().sub(from).normalize());
+        return tube;
+    }
+
+    _addLabel(text, position, radius, color) {
+        const sprite = this.editor.crystalRenderManager.createTextSprite(text, color);
+        sprite.material.depthTest = false;
+        sprite.renderOrder = 1;
+        sprite.position.copy(position);
+        const size = radius * 0.18;
+        sprite.scale.set(size * 2, size, 1);
+        this.scene.add(sprite);
+    }
+
+    _clearScene() {
+        if (!this.scene) return;
+        this.scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        this.scene.clear();
+    }
+
+    /**
+     * Redraw the view at the current panel size
+     */
+    render() {
+        if (!this.renderer || !this.isVisible) return;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (width === 0 || height === 0) return;
+        const size = this.renderer.getSize(new THREE.Vector2());
+        if (size.x !== width || size.y !== height) {
+            this.renderer.setSize(width, height, false);
+            this.camera.aspect = width / height;
+            this.camera.updateProjectionMatrix();
+        }
+        this.renderer.render(this.scene, this.camera);
+    }
+}
@@ -1,5 +1,13 @@
 import { Crystal, LatticeParams } from '../crystal.js';
 import { ELEMENTS } from '../constants.js';
+import { SymmetryFinder } from './symmetryFinder.js';
+import { formatOperation } from '../utils/spaceGroups.js';
+
+/** Data names regenerated by the writer rather than kept as block metadata */
+const GENERATED_NAMES = /^_(cell_length_|cell_angle_|cell_volume|symmetry_|space_group_|atom_site_)/i;
+
+/** Anisotropic displacement components, in CIF order */
+const ANISO_COMPONENTS = ['11', '22', '33', '12', '13', '23'];
 
 /**
  * Parser and generator for CIF (Crystallographic Information File) format.
@@ -11,6 +19,9 @@ import { ELEMENTS } from '../constants.js';
  *  - Symmetry operations (_symmetry_equiv_pos_as_xyz or _space_group_symop_operation_xyz)
  *  - Atom sites with fractional coordinates (_atom_site loop_)
  *  - Automatic application of symmetry-equivalent positions
+ *  - Site labels, occupancies and isotropic / anisotropic displacement parameters
+ *    (kept on Atom#cif) and the other items of the data block (Crystal#cifMetadata),
+ *    so that a file written back keeps them
  */
 export class CIFParser {
     /**
@@ -52,7 +63,8 @@ export class CIFParser {
         // Step 2: extract key-value pairs and loop_ sections
         const kv = {};
         const loops = [];
-        this._lex(tokens, kv, loops);
+        const items = [];
+        this._lex(tokens, kv, loops, items);
 
         // ── Cell parameters ──────────────────────────────────────────────────
         const getNum = (key, def = 0) => {
@@ -105,7 +117,7 @@ export class CIFParser {
         // ── Atom sites ───────────────────────────────────────────────────────
         let siteLoop = null;
         for (const loop of loops) {
-            if (loop.headers.some(h => h.startsWith('_atom_site_'))) {
+            if (loop.headers.includes('_atom_site_fract_x')) {
                 siteLoop = loop;
                 break;
             }
@@ -114,14 +126,95 @@ export class CIFParser {
             throw new Error('No _atom_site loop found in CIF');
         }
 
+        const aniso = this._readAniso(loops);
         const expanded = this._expandSymmetry(siteLoop.rows, symOps);
         expanded.forEach(site => {
-            crystal.addAtomFractional(site.element, site.fx, site.fy, site.fz);
+            const atom = crystal.addAtomFractional(site.element, site.fx, site.fy, site.fz);
+            atom.cif = this._siteData(site.row, aniso, symOps[site.op], lattice);
         });
 
+        // ── Remaining items and loops of the block ───────────────────────────
+        const metadata = {
+            items: items.filter(([name]) => !GENERATED_NAMES.test(name)),
+            loops: loops
+                .filter(loop => !loop.headers.some(h => GENERATED_NAMES.test(h)))
+                .map(loop => ({ names: loop.names, rows: loop.rows.map(row => loop.headers.map(h => row[h])) }))
+        };
+        if (metadata.items.length > 0 || metadata.loops.length > 0) crystal.cifMetadata = metadata;
+
         return crystal;
     }
 
+    // ─── Atom-site data ───────────────────────────────────────────────────────
+
+    /**
+     * Anisotropic displacement parameters by site label
+     * @returns {Map<string, { kind: 'U'|'B', values: string[] }>}
+     */
+    static _readAniso(loops) {
+        const aniso = new Map();
+        const loop = loops.find(l => l.headers.includes('_atom_site_aniso_label'));
+        if (!loop) return aniso;
+        const kind = loop.headers.includes('_atom_site_aniso_u_11') ? 'U'
+            : loop.headers.includes('_atom_site_aniso_b_11') ? 'B' : null;
+        if (!kind) return aniso;
+        loop.rows.forEach(row => {
+            const values = ANISO_COMPONENTS.map(c => row[`_atom_site_aniso_${kind.toLowerCase()}_${c}`]);
+            if (values.every(v => parseNumber(v) !== null)) aniso.set(row['_atom_site_aniso_label'], { kind, values });
+        });
+        return aniso;
+    }
+
+    /**
+     * Atom#cif data of one symmetry copy of a site. Values are kept as written in the
+     * file (with standard uncertainties), except anisotropic tensors of copies made by
+     * a rotation, which are transformed: U*' = W U* Wᵀ with U*ij = Uij a*i a*j.
+     * @returns {Object|null}
+     */
+    static _siteData(row, aniso, op, lattice) {
+        const value = name => {
+            const v = row[name];
+            return v && v !== '.' && v !== '?' ? v : undefined;
+        };
+        const data = {
+            label: value('_atom_site_label'),
+            typeSymbol: value('_atom_site_type_symbol'),
+            occupancy: value('_atom_site_occupancy'),
+            uIso: value('_atom_site_u_iso_or_equiv'),
+            bIso: value('_atom_site_b_iso_or_equiv'),
+            adpType: value('_atom_site_adp_type') || value('_atom_site_thermal_displace_type')
+        };
+
+        const tensor = data.label !== undefined ? aniso.get(data.label) : undefined;
+        if (tensor) {
+            const origin = op.map(e => this._evalExpr(e, 0, 0, 0));
+            const W = op.map((e, i) => [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+                .map(v => this._evalExpr(e, ...v) - origin[i]));
+            const isIdentity = W.every((r, i) => r.every((v, j) => Math.abs(v - (i === j ? 1 : 0)) < 1e-6));
+            data[tensor.kind === 'U' ? 'uAniso' : 'bAniso'] = isIdentity
+                ? tensor.values.slice()
+                : this._rotateTensor(tensor.values.map(parseNumber), W, lattice).map(v => v.toFixed(5));
+        }
+
+        Object.keys(data).forEach(k => data[k] === undefined && delete data[k]);
+        return Object.keys(data).length > 0 ? data : null;
+    }
+
+    /** Apply a fractional rotation W to a CIF displacement tensor [11, 22, 33, 12, 13, 23] */
+    static _rotateTensor(u, W, lattice) {
+        // Reciprocal lengths a* = b c sin(α) / V, ...
+        const [sa, sb, sg] = [lattice.alpha, lattice.beta, lattice.gamma].map(v => Math.sin(v * Math.PI / 180));
+        const V = lattice.volume();
+        const recip = [lattice.b * lattice.c * sa / V, lattice.a * lattice.c * sb / V, lattice.a * lattice.b * sg / V];
+
+        const full = [[u[0], u[3], u[4]], [u[3], u[1], u[5]], [u[4], u[5], u[2]]];
+        const star = full.map((r, i) => r.map((v, j) => v * recip[i] * recip[j]));
+        const rotated = W.map((_, i) => W.map((__, j) =>
+            [0, 1, 2].reduce((s, k) => s + [0, 1, 2].reduce((t, l) => t + W[i][k] * star[k][l] * W[j][l], 0), 0)));
+        const back = rotated.map((r, i) => r.map((v, j) => v / (recip[i] * recip[j])));
+        return [back[0][0], back[1][1], back[2][2], back[0][1], back[0][2], back[1][2]];
+    }
+
     // ─── Tokeniser ────────────────────────────────────────────────────────────
     // Converts lines into a flat array of string tokens.
     // Handles: quoted strings, semicolon-delimited text blocks, inline comments.
@@ -181,8 +274,10 @@ export class CIFParser {
 
     // ─── Lexer ────────────────────────────────────────────────────────────────
     // Converts flat token stream into key-value pairs and loop_ sections.
+    // Optionally collects the key-value pairs in file order, with the original
+    // case of the data names, into `items`.
 
-    static _lex(tokens, kv, loops) {
+    static _lex(tokens, kv, loops, items = null) {
         let i = 0;
         while (i < tokens.length) {
             const tok = tokens[i];
@@ -191,8 +286,10 @@ export class CIFParser {
             if (low === 'loop_') {
                 i++;
                 const headers = [];
+                const names = [];
                 while (i < tokens.length && tokens[i].startsWith('_')) {
                     headers.push(tokens[i].toLowerCase());
+                    names.push(tokens[i]);
                     i++;
                 }
                 const rows = [];
@@ -210,7 +307,7 @@ export class CIFParser {
                     rows.push(row);
                     i += headers.length;
                 }
-                loops.push({ headers, rows });
+                loops.push({ headers, names, rows });
 
             } else if (tok.startsWith('_')) {
                 const key = tok.toLowerCase();
@@ -227,6 +324,7 @@ export class CIFParser {
                 } else {
                     kv[key] = '';
                 }
+                if (items) items.push([tok, kv[key]]);
             } else {
                 // Stray token (e.g. leftover data values) — skip
                 i++;
@@ -253,6 +351,7 @@ export class CIFParser {
         // Replace integer fractions first, then substitute variables
         let e = expr
             .replace(/(\d+)\s*\/\s*(\d+)/g, (_, a, b) => String(Number(a) / Number(b)))
+            .replace(/([\d.])\s*([xyz])\b/gi, '$1*$2')
             .replace(/\bx\b/gi, `(${x})`)
             .replace(/\by\b/gi, `(${y})`)
             .replace(/\bz\b/gi, `(${z})`);
@@ -265,20 +364,19 @@ export class CIFParser {
     }
 
     // ─── Symmetry expansion ───────────────────────────────────────────────────
+    // Returns one entry per generated position, with its source row and the index
+    // of the operation that produced it.
 
     static _expandSymmetry(rows, symOps) {
         const result = [];
         const EPS = 1e-4;
         const wrap = v => ((v % 1) + 1) % 1;
 
-        const isDup = (fx, fy, fz) => {
-            const wx = wrap(fx), wy = wrap(fy), wz = wrap(fz);
-            return result.some(a =>
-                Math.abs(wrap(a.fx) - wx) < EPS &&
-                Math.abs(wrap(a.fy) - wy) < EPS &&
-                Math.abs(wrap(a.fz) - wz) < EPS
-            );
-        };
+        // Periodic comparison, so that 0.99999 and 0 are the same position
+        const same = (u, v) => Math.abs(u - v - Math.round(u - v)) < EPS;
+        const isDup = (fx, fy, fz) => result.some(a =>
+            same(a.fx, fx) && same(a.fy, fy) && same(a.fz, fz)
+        );
 
         rows.forEach(row => {
             const typeSymbol = row['_atom_site_type_symbol'] || row['_atom_site_label'] || 'X';
@@ -298,15 +396,15 @@ export class CIFParser {
             const occ = row['_atom_site_occupancy'];
             if (occ && parseFloat(occ) < 1e-6) return;
 
-            for (const op of symOps) {
+            symOps.forEach((op, index) => {
                 const fx = this._evalExpr(op[0], fx0, fy0, fz0);
                 const fy = this._evalExpr(op[1], fx0, fy0, fz0);
                 const fz = this._evalExpr(op[2], fx0, fy0, fz0);
 
                 if (!isDup(fx, fy, fz)) {
-                    result.push({ element, fx: wrap(fx), fy: wrap(fy), fz: wrap(fz) });
+                    result.push({ element, fx: wrap(fx), fy: wrap(fy), fz: wrap(fz), row, op: index });
                 }
-            }
+            });
         });
 
         return result;
@@ -332,38 +430,138 @@ export class CIFParser {
 
     /**
      * Generate CIF text from a Crystal object.
-     * Only the identity symmetry operation is written (P1 description).
+     *
+     * By default all atoms of the cell are written with the identity operation only
+     * (a P1 description). With `symmetry`, the space group is detected and only the
+     * asymmetric unit is written, with the full _space_group_symop loop in the setting
+     * of the current cell; the H-M symbol is added when that setting is the standard one.
+     *
+     * Site labels, occupancies, displacement parameters and the metadata of the source
+     * file are written back when present.
+     *
      * @param {Crystal} crystal
      * @param {string} [name] Data block name (defaults to crystal.name)
+     * @param {Object} [options]
+     * @param {boolean} [options.symmetry=false] Write the asymmetric unit and symmetry operations
+     * @param {number} [options.tolerance=0.01] Distance tolerance (Å) of the space-group search
      * @returns {string}
      */
-    static generate(crystal, name) {
+    static generate(crystal, name, { symmetry = false, tolerance = 0.01 } = {}) {
         if (!crystal.lattice) throw new Error('Crystal has no lattice parameters');
         const blockName = (name || crystal.name || 'export').replace(/\s+/g, '_');
         const l = crystal.lattice;
         const lines = [`data_${blockName}`, ''];
 
+        const meta = crystal.cifMetadata;
+        if (meta && meta.items.length > 0) {
+            meta.items.forEach(([key, value]) => lines.push(...this._formatItem(key, value)));
+            lines.push('');
+        }
+
         lines.push(`_cell_length_a    ${l.a.toFixed(6)}`);
         lines.push(`_cell_length_b    ${l.b.toFixed(6)}`);
         lines.push(`_cell_length_c    ${l.c.toFixed(6)}`);
         lines.push(`_cell_angle_alpha ${l.alpha.toFixed(4)}`);
         lines.push(`_cell_angle_beta  ${l.beta.toFixed(4)}`);
         lines.push(`_cell_angle_gamma ${l.gamma.toFixed(4)}`);
+        lines.push(`_cell_volume      ${l.volume().toFixed(4)}`);
         lines.push('');
 
-        if (crystal.spaceGroup) {
-            lines.push(`_symmetry_space_group_name_H-M  '${crystal.spaceGroup}'`);
-        }
-        if (crystal.spaceGroupNumber) {
-            lines.push(`_symmetry_Int_Tables_number  ${crystal.spaceGroupNumber}`);
+        // Fractional coordinates follow the displayed (Cartesian) positions
+        const fracOf = atom => {
+            const f = l.cartToFrac(atom.position.x, atom.position.y, atom.position.z);
+            return [f.x, f.y, f.z];
+        };
+
+        let sites;
+        if (symmetry) {
+            const dataset = SymmetryFinder.analyze(crystal, tolerance);
+            const tol = dataset.tolerance;
+            const { matrix, originShift } = dataset.transformation;
+            const shift = originShift.map(v => v - Math.round(v));
+            const standard = matrix.every((r, i) => r.every((v, j) => v === (i === j ? 1 : 0))) &&
+                l.fracToCart(shift[0], shift[1], shift[2]).length() < tol;
+            if (standard) lines.push(`_space_group_name_H-M_alt  '${dataset.spacedSymbol}'`);
+            lines.push(`_space_group_IT_number  ${dataset.number}`);
+            lines.push(`_space_group_crystal_system  ${dataset.crystalSystem}`);
+            lines.push('');
+
+            // Translations of a slightly distorted structure carry its origin noise;
+            // snap them to multiples of 1/24
+            const snap = v => {
+                const r = Math.round(v * 24) / 24;
+                const w = Math.abs(v - r) < 0.01 ? r : v;
+                return w - Math.floor(w);
+            };
+            const operations = dataset.operations.map(op => ({ rotation: op.rotation, translation: op.translation.map(snap) }));
+            lines.push('loop_');
+            lines.push('_space_group_symop_id');
+            lines.push('_space_group_symop_operation_xyz');
+            operations.forEach((op, i) => {
+                lines.push(`  ${i + 1}  '${formatOperation(op.rotation, op.translation)}'`);
+            });
+
+            // One atom per orbit of the written operations (for supercells, a subgroup
+            // of the space group), placed exactly on its site symmetry so that readers
+            // expanding the operations do not create near-duplicates
+            const fracs = crystal.atoms.map(fracOf);
+            const images = x => operations.map(({ rotation: R, translation: t }) =>
+                R.map((r, i) => r[0] * x[0] + r[1] * x[1] + r[2] * x[2] + t[i]));
+            const offset = (y, x) => y.map((v, k) => v - x[k] - Math.round(v - x[k]));
+            const close = d => l.fracToCart(d[0], d[1], d[2]).length() < tol;
+            const covered = new Array(crystal.atoms.length).fill(false);
+            sites = [];
+            crystal.atoms.forEach((atom, a) => {
+                if (covered[a]) return;
+                const x = fracs[a];
+                const sum = [0, 0, 0];
+                let count = 0;
+                images(x).forEach(y => {
+                    const d = offset(y, x);
+                    if (!close(d)) return;
+                    d.forEach((v, k) => { sum[k] += x[k] + v; });
+                    count++;
+                });
+                const site = sum.map(v => v / count);
+                images(site).forEach(y => crystal.atoms.forEach((other, b) => {
+                    if (!covered[b] && other.element === atom.element && close(offset(y, fracs[b]))) covered[b] = true;
+                }));
+                covered[a] = true;
+                sites.push({ atom, frac: site });
+            });
+        } else {
+            lines.push(`_space_group_name_H-M_alt  'P 1'`);
+            lines.push('_space_group_IT_number  1');
+            lines.push('');
+
+            // Identity symmetry only (P1 description)
+            lines.push('loop_');
+            lines.push('_space_group_symop_operation_xyz');
+            lines.push("  'x, y, z'");
+            sites = crystal.atoms.map(atom => ({ atom, frac: fracOf(atom) }));
         }
         lines.push('');
 
-        // Identity symmetry only (P1 description)
-        lines.push("loop_");
-        lines.push("_symmetry_equiv_pos_as_xyz");
-        lines.push("  'x, y, z'");
-        lines.push('');
+        // Unique labels: the file's own label when still free, else element + counter
+        const used = new Set();
+        const elemCount = {};
+        const labels = sites.map(({ atom }) => {
+            let label = atom.cif && atom.cif.label;
+            while (!label || used.has(label)) {
+                const cnt = (elemCount[atom.element] = (elemCount[atom.element] || 0) + 1);
+                label = `${atom.element}${cnt}`;
+            }
+            used.add(label);
+            return label;
+        });
+
+        const has = key => sites.some(({ atom }) => atom.cif && atom.cif[key] !== undefined);
+        const columns = [
+            ['uIso', '_atom_site_U_iso_or_equiv', '?'],
+            ['bIso', '_atom_site_B_iso_or_equiv', '?'],
+            ['adpType', '_atom_site_adp_type', '?'],
+            ['occupancy', '_atom_site_occupancy', '1']
+        ].filter(([key]) => has(key));
 
         lines.push('loop_');
         lines.push('_atom_site_label');
@@ -371,23 +569,79 @@ export class CIFParser {
         lines.push('_atom_site_fract_x');
         lines.push('_atom_site_fract_y');
         lines.push('_atom_site_fract_z');
-
-        const elemCount = {};
-        crystal.atoms.forEach(atom => {
-            const cnt = (elemCount[atom.element] = (elemCount[atom.element] || 0) + 1);
-            let frac = crystal.getFrac(atom);
-            if (!frac) {
-                const f = crystal.lattice.cartToFrac(
-                    atom.position.x, atom.position.y, atom.position.z
-                );
-                frac = { x: f.x, y: f.y, z: f.z };
-            }
+        columns.forEach(([, tag]) => lines.push(tag));
+
+        sites.forEach(({ atom, frac }, i) => {
+            // Keep a typed symbol (e.g. Ti4+) unless the element was changed since
+            const type = atom.cif && atom.cif.typeSymbol;
+            const symbol = type && this._extractElement(type) === atom.element ? type : atom.element;
+            const wrapped = frac.map(v => {
+                const w = v - Math.floor(v);
+                return w >= 1 - 5e-7 ? 0 : w;
+            });
+            const extra = columns.map(([key, , missing]) => {
+                const v = atom.cif && atom.cif[key];
+                return v !== undefined ? this._formatValue(v) : missing;
+            });
             lines.push(
-                `${atom.element}${cnt}  ${atom.element}  ` +
-                `${frac.x.toFixed(6)}  ${frac.y.toFixed(6)}  ${frac.z.toFixed(6)}`
+                [`${labels[i]}  ${symbol}`, ...wrapped.map(v => v.toFixed(6)), ...extra].join('  ')
             );
         });
 
+        // Anisotropic displacement parameters
+        ['U', 'B'].forEach(kind => {
+            const key = `${kind.toLowerCase()}Aniso`;
+            const rows = sites.map((site, i) => [labels[i], site.atom.cif && site.atom.cif[key]])
+                .filter(([, values]) => values);
+            if (rows.length === 0) return;
+            lines.push('');
+            lines.push('loop_');
+            lines.push('_atom_site_aniso_label');
+            ANISO_COMPONENTS.forEach(c => lines.push(`_atom_site_aniso_${kind}_${c}`));
+            rows.forEach(([label, values]) => lines.push(`${label}  ${values.join('  ')}`));
+        });
+
+        if (meta && meta.loops.length > 0) {
+            meta.loops.forEach(loop => {
+                lines.push('');
+                lines.push('loop_');
+                loop.names.forEach(n => lines.push(n));
+                loop.rows.forEach(row => {
+                    const values = row.map(v => this._formatValue(v));
+                    if (values.some(v => v.includes('\n'))) values.forEach(v => lines.push(v));
+                    else lines.push(values.join('  '));
+                });
+            });
+        }
+
         return lines.join('\n') + '\n';
     }
+
+    /** Lines of a data item, with text fields on their own lines */
+    static _formatItem(key, value) {
+        const v = this._formatValue(value);
+        return v.includes('\n') ? [key, v] : [`${key}  ${v}`];
+    }
+
+    /**
+     * Quote a CIF value when needed: multi-line text becomes a semicolon text field,
+     * values with blanks or a reserved first character are quoted, empty ones are '?'.
+     */
+    static _formatValue(value) {
+        const v = String(value ?? '');
+        if (v === '') return '?';
+        if (v.includes('\n')) return `;\n${v}\n;`;
+        const reserved = /^[_#$'"[\];]/.test(v) || /^(data|loop|save|global|stop)_/i.test(v);
+        if (!reserved && !/\s/.test(v)) return v;
+        if (!/'\s|'$/.test(v)) return `'${v}'`;
+        if (!/"\s|"$/.test(v)) return `"${v}"`;
+        return `;\n${v}\n;`;
+    }
+}
+
+/** Numeric value of a CIF number, ignoring its standard uncertainty; null if absent */
+function parseNumber(value) {
+    if (!value || value === '.' || value === '?') return null;
+    const v = parseFloat(value.replace(/\(.*?\)/, ''));
+    return isFinite(v) ? v : null;
 }
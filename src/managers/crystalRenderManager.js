@@ -184,7 +184,7 @@ export class CrystalRenderManager {
                                 
                                 // Draw ghost atom if not already drawn
                                 if (!drawnGhosts.has(ghostKey)) {
-                                    const color = renderManager.getElementColor(otherAtom.element);
+                                    const color = renderManager.getAtomColor(otherAtom);
                                     const radius = otherRadius * 0.6;
                                     
                                     const geo = new THREE.SphereGeometry(radius, 8, 8);
@@ -0,0 +1,166 @@
+import { Crystal } from '../crystal.js';
+import { SymmetryFinder } from './symmetryFinder.js';
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning floats in [0, 1)
+ * @param {number} seed - 32-bit integer
+ * @returns {function(): number}
+ */
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** A defect breaks the symmetry; the space group is no longer known */
+function clearSpaceGroup(crystal) {
+    crystal.spaceGroup = 'P 1';
+    crystal.spaceGroupNumber = null;
+}
+
+/**
+ * Point defects and substitutional disorder in crystals.
+ *
+ * Single operations edit the crystal in place. Symmetry-distinct variants come from the
+ * Wyckoff orbits of SymmetryFinder: one defect per orbit, each in a copy of the crystal.
+ * Defects are named in Kröger–Vink style without charges: V_O (vacancy), Au_Cu
+ * (substitution), H_i (interstitial).
+ */
+export class DefectGenerator {
+    /**
+     * Symmetry-inequivalent atom sites, optionally of one element
+     *
+     * @param {Crystal} crystal
+     * @param {Object} [options]
+     * @param {string} [options.element] - Only sites of this element
+     * @param {number} [options.tolerance=0.01] - Symmetry tolerance in Å
+     * @returns {{ dataset: Object, sites: Array<{ site: number, element: string, siteSymmetry: string, atoms: number[] }> }}
+     *   `site` numbers the orbits of the whole crystal from 0; `atoms` are input atom indices
+     */
+    static sites(crystal, { element, tolerance = 0.01 } = {}) {
+        const dataset = SymmetryFinder.analyze(crystal, tolerance);
+        const sites = dataset.wyckoff
+            .map((orbit, site) => ({ site, element: orbit.element, siteSymmetry: orbit.siteSymmetry, atoms: orbit.atoms }))
+            .filter(site => !element || site.element === element);
+        return { dataset, sites };
+    }
+
+    /**
+     * Remove atoms (vacancies)
+     * @param {Crystal} crystal
+     * @param {number[]} indices - Atom indices
+     */
+    static vacancy(crystal, indices) {
+        indices.map(i => crystal.atoms[i]).forEach(atom => {
+            crystal.removeAtom(atom);
+            crystal.fracCoords.delete(atom.id);
+        });
+        clearSpaceGroup(crystal);
+    }
+
+    /**
+     * Change the element of atoms. CIF site data (label, occupancy, displacement
+     * parameters) belongs to the old species and is dropped.
+     * @param {Crystal} crystal
+     * @param {number[]} indices - Atom indices
+     * @param {string} element - New element
+     */
+    static substitute(crystal, indices, element) {
+        indices.forEach(i => {
+            const atom = crystal.atoms[i];
+            atom.element = element;
+            delete atom.cif;
+        });
+        clearSpaceGroup(crystal);
+    }
+
+    /**
+     * Random substitution of a fraction of one element (a disordered alloy). The number of
+     * substituted atoms is the fraction rounded to the nearest integer; the same seed
+     * gives the same occupation.
+     *
+     * @param {Crystal} crystal
+     * @param {string} element - Host element
+     * @param {string} newElement - Substituting element
+     * @param {number} fraction - 0 < fraction ≤ 1
+     * @param {number} seed - 32-bit integer seed
+     * @returns {number[]} Indices of the substituted atoms, ascending
+     */
+    static randomSubstitute(crystal, element, newElement, fraction, seed) {
+        const hosts = [];
+        crystal.atoms.forEach((atom, i) => { if (atom.element === element) hosts.push(i); });
+        if (hosts.length === 0) throw new Error(`No ${element} atoms`);
+        const count = Math.round(fraction * hosts.length);
+        if (count === 0) {
+            throw new Error(`${(fraction * 100).toFixed(1)}% of ${hosts.length} ${element} atoms rounds to zero; use a larger supercell`);
+        }
+
+        // Partial Fisher–Yates shuffle
+        const random = mulberry32(seed);
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(random() * (hosts.length - i));
+            [hosts[i], hosts[j]] = [hosts[j], hosts[i]];
+        }
+        const chosen = hosts.slice(0, count).sort((x, y) => x - y);
+        this.substitute(crystal, chosen, newElement);
+        return chosen;
+    }
+
+    /**
+     * Add an atom at fractional coordinates (interstitial)
+     * @param {Crystal} crystal
+     * @param {string} element
+     * @param {number[]} frac - Fractional coordinates
+     * @returns {{ atom: Object, nearest: { index: number, distance: number }|null }} The new atom
+     *   and its nearest neighbour (minimum image) before insertion
+     */
+    static interstitial(crystal, element, frac) {
+        const position = crystal.lattice.fracToCart(frac[0], frac[1], frac[2]);
+        let nearest = null;
+        crystal.atoms.forEach((atom, index) => {
+            const d = atom.position.clone().sub(position);
+            const distance = crystal.lattice.minimumImage(d.x, d.y, d.z).length();
+            if (!nearest || distance < nearest.distance) nearest = { index, distance };
+        });
+        const atom = crystal.addAtomFractional(element, frac[0], frac[1], frac[2]);
+        clearSpaceGroup(crystal);
+        return { atom, nearest };
+    }
+
+    /**
+     * One copy of the crystal per symmetry-inequivalent site, with a vacancy (newElement
+     * omitted) or a substitution on the first atom of that site.
+     *
+     * @param {Crystal} crystal
+     * @param {Object} [options]
+     * @param {string} [options.element] - Element whose sites are used (all sites if omitted)
+     * @param {string} [options.newElement] - Substituting element; a vacancy if omitted
+     * @param {number} [options.tolerance=0.01] - Symmetry tolerance in Å
+     * @returns {{ dataset: Object, structures: Array<{ crystal: Crystal, site: Object, atom: number, label: string }> }}
+     */
+    static distinct(crystal, { element, newElement, tolerance = 0.01 } = {}) {
+        const { dataset, sites } = this.sites(crystal, { element, tolerance });
+        if (sites.length === 0) throw new Error(`No ${element} atoms`);
+
+        const labels = sites.map(site => newElement ? `${newElement}_${site.element}` : `V_${site.element}`);
+        const structures = sites.map((site, k) => {
+            // Number the variants when several share a label
+            const count = labels.filter(label => label === labels[k]).length;
+            const index = labels.slice(0, k).filter(label => label === labels[k]).length + 1;
+            const label = count > 1 ? `${labels[k]} #${index}` : labels[k];
+
+            const copy = new Crystal(`${crystal.name} ${label}`);
+            copy.fromJSON(crystal.toJSON());
+            const atom = site.atoms[0];
+            if (newElement) this.substitute(copy, [atom], newElement);
+            else this.vacancy(copy, [atom]);
+            return { crystal: copy, site, atom, label };
+        });
+        return { dataset, structures };
+    }
+}
@@ -5,11 +5,24 @@ import { rdkitManager } from './rdkitManager.js';
 import OCL from 'openchemlib';
 import { CIFParser } from './cifParser.js';
 import { POSCARParser } from './poscarParser.js';
+import { PWSCFParser } from './pwscfParser.js';
+import { PDBParser } from './pdbParser.js';
+import { TrajectoryManager } from './trajectoryManager.js';
+import { QCInputWriter, QC_FORMATS, QC_EXTENSIONS, QC_PROGRAM_NAMES } from './qcInputWriter.js';
+import { QCOutputParser } from './qcOutputParser.js';
+import { VolumeParser } from './volumeParser.js';
+import { MoldenParser } from './moldenParser.js';
 import { Crystal, LatticeParams } from '../crystal.js';
 
+/**
+ * V2000 bond types → Bond.order. 4 is aromatic; 8 ("any") is how OpenChemLib writes
+ * metal-ligand bonds, read back as coordination bonds.
+ */
+const SDF_BOND_ORDERS = { 1: 1, 2: 2, 3: 3, 4: 1.5, 8: 0 };
+
 /**
  * Manages file import/export operations
- * Handles XYZ, SMILES, SDF formats and coordinate conversions
+ * Handles XYZ, SMILES, SDF, PDB, Gaussian/ORCA output, cube and CHGCAR formats and coordinate conversions
  */
 export class FileIOManager {
     constructor(editor) {
@@ -30,6 +43,7 @@ export class FileIOManager {
         mm.switchMolecule(0);
         this.editor.molecule.clear();
         mm.renameMolecule(0, "Molecule 1");
+        mm.clearAttachments();
     }
 
     async processInitialArgs(args) {
@@ -46,8 +60,10 @@ export class FileIOManager {
 
             if (ext === 'inp') {
                 await this.runScript(content);
-            } else if (['xyz', 'sdf', 'mol', 'smi', 'cif', 'poscar', 'contcar'].includes(ext) ||
-                       ['poscar', 'contcar'].includes(basename.toLowerCase())) {
+            } else if (['xyz', 'sdf', 'mol', 'smi', 'cif', 'poscar', 'contcar', 'pdb', 'ent', 'log', 'out', 'cube', 'cub',
+                        'in', 'pwi', 'pwo'].includes(ext) ||
+                       ['poscar', 'contcar'].includes(basename.toLowerCase()) || vaspVolumeKind(basename) ||
+                       isMoldenFile(basename)) {
                 this.loadContent(content, ext, basename);
                 console.log(`Loaded file: ${path}`);
             } else {
@@ -66,6 +82,13 @@ export class FileIOManager {
             lowerBase === 'poscar' || lowerBase === 'contcar') {
             return this.importPOSCAR(content);
         }
+        const volumeKind = vaspVolumeKind(basename);
+        if (volumeKind) {
+            return this.importVASPVolume(content, volumeKind);
+        }
+        if (isMoldenFile(basename)) {
+            return this.importMolden(content, { name: moldenName(basename) });
+        }
         switch (ext) {
             case 'xyz':
                 return this.importXYZ(content);
@@ -76,6 +99,22 @@ export class FileIOManager {
                 return this.importSDF(content);
             case 'smi':
                 return this.importSMILES(content);
+            case 'pdb':
+            case 'ent':
+                return this.importPDB(content);
+            case 'log':
+            case 'out':
+                if (PWSCFParser.isOutput(content)) {
+                    return this.importPWOutput(content, { name: basename.replace(/\.[^.]+$/, '') || undefined });
+                }
+                return this.importQCOutput(content, { name: basename.replace(/\.[^.]+$/, '') || undefined });
+            case 'in':
+            case 'pwi':
+            case 'pwo':
+                return this.importPW(content, { name: basename.replace(/\.[^.]+$/, '') || undefined });
+            case 'cube':
+            case 'cub':
+                return this.importCube(content, { name: basename.replace(/\.[^.]+$/, '') || undefined });
             default:
                 throw new Error(`Unsupported file extension: ${ext}`);
         }
@@ -518,12 +557,8 @@ export class FileIOManager {
                 const idx2 = parseInt(parts[1]) - 1;
                 const type = parseInt(parts[2]); // 1=Single, 2=Double, etc.
 
-                // We treat all as single for connectivity, or store order if needed.
-                // Editor currently treats all as order=1 visually usually, but stores order.
-                // Let's store the order.
-
                 if (newAtoms[idx1] && newAtoms[idx2]) {
-                    this.editor.addBondToScene(newAtoms[idx1], newAtoms[idx2], 1); // Force single bond as per strategy
+                    this.editor.addBondToScene(newAtoms[idx1], newAtoms[idx2], SDF_BOND_ORDERS[type] ?? 1);
                 }
             }
 
@@ -714,33 +749,39 @@ export class FileIOManager {
     }
 
     /**
-     * Export current molecule as SMILES
+     * Export current molecule as canonical SMILES
+     * Stereo (tetrahedral centres and E/Z double bonds) is perceived from the 3D coordinates.
+     * @param {Object} options
+     * @param {boolean} [options.splitFragments=false] - One line per fragment instead of a dot-disconnected record
+     * @param {boolean} [options.includeName=false] - Append the molecule name (suffixed _1, _2, ... per fragment)
+     * @param {boolean} [options.stereo=true] - Include stereo descriptors
      * @returns {Promise<string>} SMILES string
      */
     async exportSMILES(options = {}) {
-        const { splitFragments = false, includeName = false } = options;
+        const { splitFragments = false, includeName = false, stereo = true } = options;
+        if (this.editor.molecule.atoms.length === 0) return '';
+
         const fragments = splitFragments ? this.getFragments() : [this.editor.molecule.atoms];
+        const active = this.editor.moleculeManager.getActive();
+        const name = (active && active.name) || this.editor.molecule.name || 'Molecule';
 
         const smilesList = [];
 
-        for (const frag of fragments) {
-            const molBlock = this.atomsToMolBlock(frag);
-            const smi = await oclManager.molBlockToSmiles(molBlock);
+        for (let i = 0; i < fragments.length; i++) {
+            const molBlock = this.atomsToMolBlock(fragments[i]);
+            const smi = await oclManager.molBlockToSmiles(molBlock, { stereo });
             if (smi) {
                 if (includeName) {
-                    const name = this.editor.molecule.name || 'Molecule';
-                    smilesList.push(`${smi} ${name}`);
+                    const fragName = fragments.length > 1 ? `${name}_${i + 1}` : name;
+                    smilesList.push(`${smi} ${fragName.replace(/\s+/g, '_')}`);
                 } else {
                     smilesList.push(smi);
                 }
             }
         }
 
-        if (splitFragments) {
-            return smilesList.join('\n'); // Separate lines for separate records
-        } else {
-            return smilesList.join('.'); // Dot-disconnected for single record (though RDKit handles this naturally if we passed all atoms)
-        }
+        // Separate lines for separate records; a single record is already dot-disconnected
+        return smilesList.join('\n');
     }
 
     /**
@@ -848,9 +889,15 @@ export class FileIOManager {
                         let order = 1;
                         let isAromaticCandidate = false;
 
-                        const originalOrder = bond.order || 1;
-                        if (originalOrder > 1) {
+                        const originalOrder = bond.order ?? 1;
+                        if (originalOrder === 1.5) {
+                            isAromaticCandidate = true; // Kekulized below
+                        } else if (originalOrder === 0) {
+                            order = 0; // Metal-ligand (written as bond type 8)
+                        } else if (originalOrder > 1) {
                             order = originalOrder; // Trust explicit high order
+                        } else if (originalOrder !== 1) {
+                            order = 1; // Partial bonds are written as single
                         } else {
                             // Geometry inference
                             const dist = bond.atom1.position.distanceTo(bond.atom2.position);
@@ -1222,38 +1269,60 @@ export class FileIOManager {
 
     /**
      * Export molecule as PNG Data URL (Async)
-     * @param {Object} options
+     * Rasterizes the exportSVG output. The cropped viewBox keeps its aspect ratio;
+     * width and height are given in CSS pixels at 96 DPI and scaled by dpi / 96.
+     * @param {Object} options - exportSVG options plus:
+     * @param {number} [options.width] - Output width in pixels at 96 DPI (default 1200, or derived from height)
+     * @param {number} [options.height] - Output height in pixels at 96 DPI (derived from width if omitted)
+     * @param {number} [options.dpi=96] - Target resolution, also recorded in the PNG pHYs chunk
      * @returns {Promise<string|string[]>} PNG Data URL or array of them
      */
     async exportPNG(options = {}) {
-        const svgs = this.exportSVG({ ...options, splitFragments: true }); // Always get array to simplify
+        const { width, height, dpi = 96 } = options;
+        const result = this.exportSVG(options);
+        const svgs = Array.isArray(result) ? result : [result];
+        const scale = dpi / 96;
         const pngs = [];
 
         for (const svg of svgs) {
             if (!svg) continue;
             try {
+                // Aspect ratio from the cropped viewBox
+                const vb = svg.match(/viewBox="([-\d.]+)[ ,]+([-\d.]+)[ ,]+([\d.]+)[ ,]+([\d.]+)"/);
+                const aspect = vb ? parseFloat(vb[3]) / parseFloat(vb[4]) : 4 / 3;
+
+                let w = width, h = height;
+                if (!w && !h) w = 1200;
+                if (!w) w = h * aspect;
+                if (!h) h = w / aspect;
+                const pxW = Math.max(1, Math.round(w * scale));
+                const pxH = Math.max(1, Math.round(h * scale));
+
+                // Rasterize at the target size (SVG stays vector until drawn)
+                const sized = svg.replace(/<svg([^>]*)>/, (match, attrs) => {
+                    const cleaned = attrs.replace(/\s(width|height)="[^"]*"/g, '');
+                    return `<svg${cleaned} width="${pxW}" height="${pxH}">`;
+                });
+
                 const png = await new Promise((resolve, reject) => {
                     const img = new Image();
                     img.onload = () => {
                         const canvas = document.createElement('canvas');
-                        // Parse width/height from SVG or use default
-                        const wMatch = svg.match(/width="(\d+)(px)?"/);
-                        const hMatch = svg.match(/height="(\d+)(px)?"/);
-                        canvas.width = wMatch ? parseInt(wMatch[1]) : 1200;
-                        canvas.height = hMatch ? parseInt(hMatch[1]) : 900;
+                        canvas.width = pxW;
+                        canvas.height = pxH;
 
                         const ctx = canvas.getContext('2d');
                         // White background
                         ctx.fillStyle = 'white';
                         ctx.fillRect(0, 0, canvas.width, canvas.height);
-                        ctx.drawImage(img, 0, 0);
+                        ctx.drawImage(img, 0, 0, pxW, pxH);
                         resolve(canvas.toDataURL('image/png'));
                     };
                     img.onerror = (e) => reject(new Error('Image load failed'));
                     // Handle Unicode in SVG for Data URL
-                    img.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svg)));
+                    img.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(sized)));
                 });
-                pngs.push(png);
+                pngs.push(dpi === 96 ? png : setPngDpi(png, dpi));
             } catch (e) {
                 console.error('PNG conversion failed:', e);
                 pngs.push(null);
@@ -1267,8 +1336,6 @@ export class FileIOManager {
         }
     }
 
-
-
     /**
      * Convert atoms to JSON format
      * @param {Object[]} atoms - Array of atom objects
@@ -1325,20 +1392,22 @@ export class FileIOManager {
     }
     /**
      * Import XYZ string
+     * Multi-frame files whose frames share the same element sequence are loaded as one
+     * molecule with a trajectory (see TrajectoryManager); otherwise each frame becomes
+     * a separate molecule.
      * @param {string} xyz 
      * @param {Object} options 
+     * @param {boolean} [options.shouldClear=true]
+     * @param {boolean} [options.autoBond=false]
+     * @param {boolean} [options.trajectory=true] - Allow trajectory mode for matching frames
      */
     importXYZ(xyz, options = {}) {
-        const { shouldClear = true, autoBond = false } = options;
+        const { shouldClear = true, autoBond = false, trajectory = true } = options;
         if (!xyz) return ErrorHandler.error('Empty XYZ data');
 
         const lines = xyz.trim().split('\n');
+        const blocks = [];
         let currentIndex = 0;
-        let moleculeCount = 0;
-
-        if (shouldClear) {
-            this.resetMolecules();
-        }
 
         while (currentIndex < lines.length) {
             const countLine = lines[currentIndex].trim();
@@ -1355,30 +1424,97 @@ export class FileIOManager {
 
             // Extract block
             const endIndex = Math.min(currentIndex + 2 + atomCount, lines.length);
-            console.log(`[ImportXYZ] Frame ${moleculeCount}: Atoms=${atomCount} Start=${currentIndex} End=${endIndex} TotalLines=${lines.length}`);
+            blocks.push(lines.slice(currentIndex, endIndex));
+            currentIndex = endIndex;
+        }
 
-            const blockLines = lines.slice(currentIndex, endIndex);
-            const block = blockLines.join('\n');
+        if (shouldClear) {
+            this.resetMolecules();
+        }
 
-            const name = (currentIndex + 1 < lines.length) ? lines[currentIndex + 1].trim() : `Molecule ${moleculeCount + 1}`;
+        if (trajectory && blocks.length > 1 && this._isTrajectory(blocks)) {
+            const name = (blocks[0][1] || '').trim() || 'Trajectory';
+            if (!shouldClear) {
+                this.editor.moleculeManager.createMolecule(name);
+            } else {
+                this.editor.moleculeManager.renameMolecule(0, name);
+            }
+
+            this.importSingleXYZ(blocks[0].join('\n'), { shouldClear: true, autoBond });
+            this.editor.trajectoryManager.load(blocks.map(block => this._parseXYZFrame(block)));
+
+            this.editor.moleculeManager.updateUI();
+            return ErrorHandler.success(`Imported trajectory with ${blocks.length} frames`);
+        }
+
+        blocks.forEach((blockLines, moleculeCount) => {
+            const name = blockLines.length > 1 ? blockLines[1].trim() : `Molecule ${moleculeCount + 1}`;
 
             if (moleculeCount > 0 || !shouldClear) {
-                console.log(`[ImportXYZ] Creating new molecule: ${name}`);
                 this.editor.moleculeManager.createMolecule(name);
             } else {
-                console.log(`[ImportXYZ] Renaming first molecule: ${name}`);
                 this.editor.moleculeManager.renameMolecule(0, name);
             }
 
-            this.importSingleXYZ(block, { shouldClear: true, autoBond });
+            this.importSingleXYZ(blockLines.join('\n'), { shouldClear: true, autoBond });
+        });
 
-            currentIndex = endIndex;
-            moleculeCount++;
+        this.editor.moleculeManager.updateUI();
+        return ErrorHandler.success(`Imported ${blocks.length} molecules from XYZ`);
+    }
+
+    /**
+     * Whether all XYZ blocks are complete frames with the same element sequence
+     * @param {string[][]} blocks - Line arrays, one per frame
+     * @returns {boolean}
+     */
+    _isTrajectory(blocks) {
+        const elementsOf = block => {
+            const speciesAt = extXYZColumns(block[1] || '').find(c => c.name === 'species').start;
+            return block.slice(2).map(l => l.trim().split(/\s+/)[speciesAt]).join(' ');
+        };
+        const count = parseInt(blocks[0][0]);
+        const reference = elementsOf(blocks[0]);
+        return blocks.every(block =>
+            parseInt(block[0]) === count &&
+            block.length === count + 2 &&
+            elementsOf(block) === reference
+        );
+    }
+
+    /**
+     * Parse one XYZ block into a trajectory frame
+     * @param {string[]} block - Count line, comment line, atom lines
+     * @returns {{ positions: Float64Array, comment: string, energy: number|null, lattice: number[]|null,
+     *   properties: (Object|null)[] }}
+     */
+    _parseXYZFrame(block) {
+        const count = parseInt(block[0]);
+        const comment = (block[1] || '').trim();
+        const positions = new Float64Array(count * 3);
+        // Each frame names its own columns (extended XYZ)
+        const columns = extXYZColumns(comment);
+        const posAt = columns.find(c => c.name === 'pos').start;
+        const properties = [];
+
+        for (let i = 0; i < count; i++) {
+            const parts = (block[2 + i] || '').trim().split(/\s+/);
+            positions[3 * i] = parseFloat(parts[posAt]);
+            positions[3 * i + 1] = parseFloat(parts[posAt + 1]);
+            positions[3 * i + 2] = parseFloat(parts[posAt + 2]);
+            properties.push(extXYZProperties(parts, columns));
         }
-        console.log(`[ImportXYZ] Total imported: ${moleculeCount}`);
 
-        this.editor.moleculeManager.updateUI();
-        return ErrorHandler.success(`Imported ${moleculeCount} molecules from XYZ`);
+        const latticeMatch = comment.match(/Lattice\s*=\s*"([^"]+)"/i);
+        const lattice = latticeMatch ? latticeMatch[1].trim().split(/\s+/).map(Number) : null;
+
+        return {
+            positions,
+            comment,
+            energy: TrajectoryManager.parseEnergy(comment),
+            lattice: lattice && lattice.length >= 9 ? lattice : null,
+            properties
+        };
     }
 
     importSingleXYZ(xyz, options = {}) {
@@ -1407,6 +1543,10 @@ export class FileIOManager {
 
         const startLine = 2; // Skip count and comment
         let importedCount = 0;
+        // Extended XYZ without a lattice still names its columns
+        const columns = extXYZColumns(commentLine);
+        const speciesAt = columns.find(c => c.name === 'species').start;
+        const posAt = columns.find(c => c.name === 'pos').start;
 
         for (let i = 0; i < atomCount; i++) {
             if (startLine + i >= lines.length) break;
@@ -1417,13 +1557,14 @@ export class FileIOManager {
             const parts = line.split(/\s+/);
             if (parts.length < 4) continue;
 
-            const element = parts[0];
-            const x = parseFloat(parts[1]);
-            const y = parseFloat(parts[2]);
-            const z = parseFloat(parts[3]);
+            const element = parts[speciesAt];
+            const x = parseFloat(parts[posAt]);
+            const y = parseFloat(parts[posAt + 1]);
+            const z = parseFloat(parts[posAt + 2]);
 
             if (!isNaN(x) && !isNaN(y) && !isNaN(z)) {
-                this.editor.addAtomToScene(element, new THREE.Vector3(x, y, z));
+                const atom = this.editor.addAtomToScene(element, new THREE.Vector3(x, y, z));
+                atom.properties = extXYZProperties(parts, columns);
                 importedCount++;
             }
         }
@@ -1459,18 +1600,22 @@ export class FileIOManager {
             const crystal = new Crystal('Extended XYZ');
             crystal.setLattice(new LatticeParams(a, b, c, alpha, beta, gamma));
 
+            const columns = extXYZColumns(lines[1] || '');
+            const speciesAt = columns.find(col => col.name === 'species').start;
+            const posAt = columns.find(col => col.name === 'pos').start;
             for (let i = 0; i < atomCount; i++) {
                 const line = (lines[2 + i] || '').trim();
                 const parts = line.split(/\s+/);
                 if (parts.length < 4) continue;
-                const elem = parts[0];
-                const x = parseFloat(parts[1]);
-                const y = parseFloat(parts[2]);
-                const z = parseFloat(parts[3]);
+                const elem = parts[speciesAt];
+                const x = parseFloat(parts[posAt]);
+                const y = parseFloat(parts[posAt + 1]);
+                const z = parseFloat(parts[posAt + 2]);
                 if (!isNaN(x) && !isNaN(y) && !isNaN(z)) {
                     // Extended XYZ positions are Cartesian
                     const frac = crystal.lattice.cartToFrac(x, y, z);
-                    crystal.addAtomFractional(elem, frac.x, frac.y, frac.z);
+                    const atom = crystal.addAtomFractional(elem, frac.x, frac.y, frac.z);
+                    atom.properties = extXYZProperties(parts, columns);
                 }
             }
 
@@ -1516,21 +1661,25 @@ export class FileIOManager {
 
     /**
      * Export the active crystal structure as CIF text.
+     * @param {Object} [options]
+     * @param {boolean} [options.symmetry=false] Write the asymmetric unit and symmetry operations
+     * @param {number} [options.tolerance=0.01] Space-group search tolerance in Å
      * @returns {string|null}
      */
-    exportCIF() {
+    exportCIF(options = {}) {
         const mol = this.editor.molecule;
         if (!mol || !mol.isCrystal) {
             return null; // Not a crystal; caller should check
         }
-        return CIFParser.generate(mol);
+        return CIFParser.generate(mol, undefined, options);
     }
 
     /**
      * Download the active structure as a .cif file.
+     * @param {Object} [options] See exportCIF
      */
-    downloadCIF() {
-        const cif = this.exportCIF();
+    downloadCIF(options = {}) {
+        const cif = this.exportCIF(options);
         if (!cif) return ErrorHandler.error('Active structure is not a crystal');
         const name = (this.editor.molecule.name || 'structure').replace(/\s+/g, '_');
         this._downloadText(cif, `${name}.cif`, 'chemical/x-cif');
@@ -1583,6 +1732,530 @@ export class FileIOManager {
         return ErrorHandler.success('POSCAR file downloaded');
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // Quantum ESPRESSO pw.x import / export
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Import a pw.x input file (pw.x output is passed on to importPWOutput).
+     * `if_pos` constraints are kept on Atom#frozen and written back by exportPW.
+     * @param {string} content File text
+     * @param {Object} [options]
+     * @param {string} [options.name] Structure name (defaults to title or prefix of &CONTROL)
+     * @returns {Object} Result object
+     */
+    importPW(content, options = {}) {
+        if (PWSCFParser.isOutput(content)) return this.importPWOutput(content, options);
+        try {
+            const crystal = PWSCFParser.parse(content, options.name);
+            this.editor.moleculeManager.loadCrystal(crystal);
+            this.editor.setUnitCellBase(crystal);
+            this.editor.moleculeManager.autoBondPBC();
+            this.editor.rebuildScene();
+            const fixed = crystal.atoms.filter(atom => atom.frozen).length;
+            return ErrorHandler.success(
+                `Loaded pw.x input: "${crystal.name}" – ${crystal.atoms.length} atoms` +
+                (fixed ? `, ${fixed} with fixed coordinates` : '')
+            );
+        } catch (e) {
+            ErrorHandler.logError('FileIOManager.importPW', e);
+            return ErrorHandler.error('Failed to import pw.x input: ' + e.message);
+        }
+    }
+
+    /**
+     * Import pw.x output as a crystal showing the last geometry. The steps of a relax or
+     * vc-relax run become a trajectory (one frame per geometry, energy in Ry, with its cell).
+     * @param {string} content Output text
+     * @param {Object} [options]
+     * @param {string} [options.name='pw.x output'] Structure name
+     * @returns {Object} Result object
+     */
+    importPWOutput(content, options = {}) {
+        let parsed;
+        try {
+            parsed = PWSCFParser.parseOutput(content);
+        } catch (e) {
+            ErrorHandler.logError('FileIOManager.importPWOutput', e);
+            return ErrorHandler.error('Failed to read pw.x output: ' + e.message);
+        }
+
+        const { elements, steps, frozen } = parsed;
+        const last = steps[steps.length - 1];
+        const crystal = new Crystal(options.name || 'pw.x output');
+        crystal.setLattice(LatticeParams.fromVectors(...last.vectors));
+        elements.forEach((element, i) => {
+            const atom = crystal.addAtomFractional(element, ...last.frac[i]);
+            if (frozen[i]) atom.frozen = frozen[i];
+        });
+
+        this.editor.moleculeManager.loadCrystal(crystal);
+        this.editor.setUnitCellBase(crystal);
+        this.editor.moleculeManager.autoBondPBC();
+        this.editor.rebuildScene();
+
+        if (steps.length > 1) {
+            // Frames carry Cartesian positions in the editor's cell orientation
+            this.editor.trajectoryManager.load(steps.map((step, i) => {
+                const lattice = LatticeParams.fromVectors(...step.vectors);
+                const { a, b, c } = lattice.toLatticeVectors();
+                const positions = new Float64Array(3 * elements.length);
+                step.frac.forEach((f, j) => lattice.fracToCart(...f).toArray(positions, 3 * j));
+                return {
+                    positions,
+                    comment: `pw.x step ${i + 1}/${steps.length}`,
+                    energy: step.energy,
+                    lattice: [a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z]
+                };
+            }));
+            this.editor.trajectoryManager.setFrame(-1);
+        }
+        this.editor.moleculeManager.updateUI();
+
+        const parts = [`${elements.length} atoms`];
+        if (steps.length > 1) parts.push(`${steps.length} steps`);
+        if (last.energy !== null) parts.push(`E = ${last.energy} Ry`);
+        const message = `Loaded pw.x output: ${parts.join(', ')}`;
+        return parsed.normalTermination
+            ? ErrorHandler.success(message)
+            : ErrorHandler.warning(`${message} (job did not terminate normally)`);
+    }
+
+    /**
+     * Export the active crystal structure as a pw.x input.
+     * @param {Object} [options] PWSCFParser.generate options plus:
+     * @param {boolean} [options.freezeSelected=false] Hold the selected atoms fixed (if_pos = 0)
+     * @returns {string|null} null when the active structure is not a crystal
+     * @throws {Error} On invalid options
+     */
+    exportPW(options = {}) {
+        const mol = this.editor.molecule;
+        if (!mol || !mol.isCrystal) return null;
+        const { freezeSelected = false, ...rest } = options;
+        const frozen = freezeSelected
+            ? mol.atoms.map((atom, i) => atom.selected ? i : -1).filter(i => i !== -1)
+            : [];
+        return PWSCFParser.generate(mol, { ...rest, frozen });
+    }
+
+    /**
+     * Download the active structure as a pw.x input.
+     * @param {Object} [options] See exportPW
+     * @returns {Object} Result object
+     */
+    downloadPW(options = {}) {
+        try {
+            const text = this.exportPW(options);
+            if (!text) return ErrorHandler.error('Active structure is not a crystal');
+            const name = (this.editor.molecule.name || 'structure').replace(/\s+/g, '_');
+            this._downloadText(text, `${name}.pwi`, 'text/plain');
+            return ErrorHandler.success('pw.x input downloaded');
+        } catch (e) {
+            return ErrorHandler.error(e.message);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // PDB import / export
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Import PDB text. Each MODEL becomes a separate molecule entry.
+     * Residue, chain and per-atom record fields are kept on Atom#pdb.
+     * @param {string} content PDB text
+     * @param {Object} options
+     * @param {boolean} [options.shouldClear=true] - Replace all open molecules
+     * @param {boolean} [options.autoBond=true] - Add distance-based bonds on top of CONECT records
+     * @returns {Object} Result object
+     */
+    importPDB(content, options = {}) {
+        const { shouldClear = true, autoBond = true } = options;
+        if (!content) return ErrorHandler.error('Empty PDB data');
+
+        try {
+            const { name, models } = PDBParser.parse(content);
+
+            if (shouldClear) {
+                this.resetMolecules();
+            }
+
+            let atomCount = 0;
+            models.forEach((model, i) => {
+                const modelName = models.length > 1 ? `${name} (model ${i + 1})` : name;
+                if (i > 0 || !shouldClear) {
+                    this.editor.moleculeManager.createMolecule(modelName);
+                } else {
+                    this.editor.moleculeManager.renameMolecule(0, modelName);
+                }
+                this.importSinglePDB(model, { autoBond });
+                atomCount += model.atoms.length;
+            });
+
+            this.editor.moleculeManager.updateUI();
+            return ErrorHandler.success(
+                models.length > 1
+                    ? `Loaded PDB: "${name}" – ${models.length} models, ${atomCount} atoms`
+                    : `Loaded PDB: "${name}" – ${atomCount} atoms`
+            );
+        } catch (e) {
+            ErrorHandler.logError('FileIOManager.importPDB', e);
+            return ErrorHandler.error('Failed to import PDB: ' + e.message);
+        }
+    }
+
+    /**
+     * Load one parsed PDB model into the active molecule (replacing its atoms).
+     * @param {{ atoms: Object[], bonds: Array<[number, number]> }} model - Output of PDBParser.parse
+     * @param {Object} options
+     * @param {boolean} [options.autoBond=true]
+     */
+    importSinglePDB(model, options = {}) {
+        const { autoBond = true } = options;
+        const molecule = this.editor.molecule;
+        molecule.clear();
+
+        // Add atoms directly and rebuild once; per-atom scene updates are too slow for proteins
+        const atoms = model.atoms.map(data => {
+            const atom = molecule.addAtom(data.element, new THREE.Vector3(data.x, data.y, data.z));
+            atom.pdb = { ...data.pdb };
+            return atom;
+        });
+        model.bonds.forEach(([i, j]) => molecule.addBond(atoms[i], atoms[j], 1));
+
+        if (autoBond) {
+            const threshold = parseFloat(document.getElementById('bond-threshold')?.value) || 1.1;
+            this.editor.moleculeManager.autoBond(threshold);
+        }
+
+        this.editor.rebuildScene();
+        this.editor.saveState();
+    }
+
+    /**
+     * Export the active molecule (or every open molecule as MODEL blocks) as PDB text.
+     * @param {Object} options
+     * @param {boolean} [options.allModels=false] - Write all open molecules as MODEL 1..n
+     * @returns {string|null}
+     */
+    exportPDB(options = {}) {
+        const { allModels = false } = options;
+        if (allModels) {
+            const entries = this.editor.moleculeManager.molecules.filter(e => e.molecule.atoms.length > 0);
+            if (entries.length === 0) return null;
+            return PDBParser.generate(entries.map(e => e.molecule), entries[0].name);
+        }
+
+        const mol = this.editor.molecule;
+        if (!mol || mol.atoms.length === 0) return null;
+        const active = this.editor.moleculeManager.getActive();
+        return PDBParser.generate(mol, (active && active.name) || mol.name);
+    }
+
+    /**
+     * Download the active structure as a .pdb file.
+     */
+    downloadPDB() {
+        const pdb = this.exportPDB();
+        if (!pdb) return ErrorHandler.error('No atoms to export');
+        const name = (this.editor.molecule.name || 'structure').replace(/\s+/g, '_');
+        this._downloadText(pdb, `${name}.pdb`, 'chemical/x-pdb');
+        return ErrorHandler.success('PDB file downloaded');
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Quantum-chemistry input export (Gaussian / ORCA / Q-Chem)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Generate a calculation input for the active molecule.
+     * @param {string} format - gjf|gaussian|com, orca|inp, qchem|qcin
+     * @param {Object} options - QCInputWriter.generate options plus:
+     * @param {boolean} [options.freezeSelected=false] - Hold the selected atoms fixed (opt/ts jobs)
+     * @returns {string} Input file text
+     * @throws {Error} On unknown format, empty molecule or invalid charge/multiplicity
+     */
+    exportQCInput(format, options = {}) {
+        const program = QC_FORMATS[format.toLowerCase()];
+        if (!program) throw new Error(`Unknown QC format: ${format}`);
+
+        const atoms = this.editor.molecule.atoms;
+        if (atoms.length === 0) throw new Error('No atoms to export');
+
+        const { freezeSelected = false, ...rest } = options;
+        const active = this.editor.moleculeManager.getActive();
+        const frozen = freezeSelected
+            ? atoms.map((atom, i) => atom.selected ? i : -1).filter(i => i !== -1)
+            : [];
+
+        return QCInputWriter.generate(program, atoms, {
+            title: (active && active.name) || this.editor.molecule.name,
+            ...rest,
+            frozen
+        });
+    }
+
+    /**
+     * Download a calculation input for the active molecule.
+     * @param {string} format - See exportQCInput
+     * @param {Object} options - See exportQCInput
+     * @returns {Object} Result object
+     */
+    downloadQCInput(format, options = {}) {
+        try {
+            const text = this.exportQCInput(format, options);
+            const program = QC_FORMATS[format.toLowerCase()];
+            const name = (this.editor.molecule.name || 'molecule').replace(/\s+/g, '_');
+            this._downloadText(text, `${name}.${QC_EXTENSIONS[program]}`, 'text/plain');
+            return ErrorHandler.success(`${QC_PROGRAM_NAMES[program]} input downloaded`);
+        } catch (e) {
+            return ErrorHandler.error(e.message);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Quantum-chemistry output import (Gaussian .log / ORCA .out)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Import a Gaussian log or ORCA output file as a new molecule showing the last geometry.
+     * Optimization steps become a trajectory (one frame per step, with its SCF energy),
+     * the last printed charges are stored on Atom#charges and vibrational modes on
+     * the molecule entry as `entry.vibrations`.
+     * @param {string} content - Output file text
+     * @param {Object} options
+     * @param {boolean} [options.shouldClear=true] - Replace all open molecules
+     * @param {boolean} [options.autoBond=true]
+     * @param {string} [options.name] - Molecule name (defaults to the program name)
+     * @param {string} [options.program] - 'gaussian' | 'orca' (auto-detected when omitted)
+     * @returns {Object} Result object
+     */
+    importQCOutput(content, options = {}) {
+        const { shouldClear = true, autoBond = true, name, program } = options;
+        if (!content) return ErrorHandler.error('Empty output data');
+
+        let parsed;
+        try {
+            parsed = QCOutputParser.parse(content, program);
+        } catch (e) {
+            ErrorHandler.logError('FileIOManager.importQCOutput', e);
+            return ErrorHandler.error('Failed to read output: ' + e.message);
+        }
+
+        const programName = QC_PROGRAM_NAMES[parsed.program];
+        const molName = name || `${programName} job`;
+        if (shouldClear) {
+            this.resetMolecules();
+            this.editor.moleculeManager.renameMolecule(0, molName);
+        } else {
+            this.editor.moleculeManager.createMolecule(molName);
+        }
+
+        // Build topology from the last geometry so bonds reflect the converged structure
+        const { elements, steps, charges } = parsed;
+        const last = steps[steps.length - 1].positions;
+        const molecule = this.editor.molecule;
+        molecule.clear();
+        elements.forEach((element, i) => {
+            const atom = molecule.addAtom(element, new THREE.Vector3(last[3 * i], last[3 * i + 1], last[3 * i + 2]));
+            const atomCharges = {};
+            Object.entries(charges).forEach(([scheme, values]) => {
+                if (values.length === elements.length) atomCharges[scheme] = values[i];
+            });
+            if (Object.keys(atomCharges).length > 0) atom.charges = atomCharges;
+        });
+
+        if (autoBond) {
+            const threshold = parseFloat(document.getElementById('bond-threshold')?.value) || 1.1;
+            this.editor.moleculeManager.autoBond(threshold);
+        }
+        this.editor.rebuildScene();
+
+        const entry = this.editor.moleculeManager.getActive();
+        if (parsed.vibrations.length > 0) {
+            entry.vibrations = parsed.vibrations;
+            this.editor.vibrationManager.updateUI();
+        }
+
+        if (steps.length > 1) {
+            this.editor.trajectoryManager.load(steps.map((step, i) => ({
+                positions: step.positions,
+                comment: `${programName} step ${i + 1}/${steps.length}`,
+                energy: step.energy,
+                lattice: null
+            })));
+            this.editor.trajectoryManager.setFrame(-1);
+        }
+        this.editor.saveState();
+        this.editor.moleculeManager.updateUI();
+
+        const energy = steps[steps.length - 1].energy;
+        const parts = [`${elements.length} atoms`];
+        if (steps.length > 1) parts.push(`${steps.length} steps`);
+        if (energy !== null) parts.push(`E = ${energy} Eh`);
+        if (parsed.vibrations.length > 0) {
+            const imaginary = parsed.vibrations.filter(v => v.frequency < 0).length;
+            parts.push(`${parsed.vibrations.length} modes` + (imaginary ? ` (${imaginary} imaginary)` : ''));
+        }
+        // Only schemes with one charge per atom were assigned above
+        const schemes = Object.keys(charges).filter(scheme => charges[scheme].length === elements.length);
+        if (schemes.length > 0) parts.push(`charges: ${schemes.join(', ')}`);
+
+        const message = `Loaded ${programName} output: ${parts.join(', ')}`;
+        return parsed.normalTermination
+            ? ErrorHandler.success(message)
+            : ErrorHandler.warning(`${message} (job did not terminate normally)`);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Volumetric data import (Gaussian cube / VASP CHGCAR, LOCPOT)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Import a Gaussian cube file: the embedded geometry becomes a new molecule and the
+     * grid is kept for isosurface rendering (see VolumeManager).
+     * @param {string} content - Cube file text
+     * @param {Object} options
+     * @param {boolean} [options.shouldClear=true] - Replace all open molecules
+     * @param {boolean} [options.autoBond=true]
+     * @param {string} [options.name] - Molecule name (defaults to the cube title)
+     * @returns {Object} Result object
+     */
+    importCube(content, options = {}) {
+        const { shouldClear = true, autoBond = true, name } = options;
+        if (!content) return ErrorHandler.error('Empty cube data');
+
+        let parsed;
+        try {
+            parsed = VolumeParser.parseCube(content);
+        } catch (e) {
+            ErrorHandler.logError('FileIOManager.importCube', e);
+            return ErrorHandler.error('Failed to import cube: ' + e.message);
+        }
+
+        const molName = name || parsed.title;
+        if (shouldClear) {
+            this.resetMolecules();
+            this.editor.moleculeManager.renameMolecule(0, molName);
+        } else {
+            this.editor.moleculeManager.createMolecule(molName);
+        }
+
+        const molecule = this.editor.molecule;
+        molecule.clear();
+        parsed.atoms.forEach(a => molecule.addAtom(a.element, new THREE.Vector3(a.x, a.y, a.z)));
+        if (autoBond) {
+            const threshold = parseFloat(document.getElementById('bond-threshold')?.value) || 1.1;
+            this.editor.moleculeManager.autoBond(threshold);
+        }
+        this.editor.rebuildScene();
+        this.editor.saveState();
+
+        const title = parsed.orbitals.length > 0 ? `${parsed.title} (MO ${parsed.orbitals[0]})` : parsed.title;
+        this.editor.volumeManager.load(parsed.grid, { kind: 'cube', units: 'a.u.', title });
+        this.editor.moleculeManager.updateUI();
+
+        const volume = this.editor.volumeManager.volume;
+        let message = `Loaded cube: ${parsed.atoms.length} atoms, grid ${parsed.grid.dims.join('x')}, isovalue ±${volume.isovalue}`;
+        if (parsed.orbitals.length > 1) message += ` (first of ${parsed.orbitals.length} orbitals)`;
+        return ErrorHandler.success(message);
+    }
+
+    /**
+     * Import a VASP CHGCAR/LOCPOT-style file into the active slot as a crystal with its grid.
+     * @param {string} content
+     * @param {string} [kind='CHGCAR'] - 'CHGCAR' (values per cell volume), 'LOCPOT' or 'ELFCAR'
+     * @returns {Object} Result object
+     */
+    importVASPVolume(content, kind = 'CHGCAR') {
+        if (!content) return ErrorHandler.error(`Empty ${kind} data`);
+        try {
+            const { crystal, grid } = VolumeParser.parseVASP(content, { perVolume: kind === 'CHGCAR' });
+            this.editor.moleculeManager.loadCrystal(crystal);
+            this.editor.setUnitCellBase(crystal);
+            this.editor.moleculeManager.autoBondPBC();
+            this.editor.rebuildScene();
+
+            const units = { CHGCAR: 'e/Å³', LOCPOT: 'eV' }[kind] || '';
+            this.editor.volumeManager.load(grid, { kind, units, title: crystal.name });
+            const volume = this.editor.volumeManager.volume;
+            return ErrorHandler.success(
+                `Loaded ${kind}: "${crystal.name}" – ${crystal.atoms.length} atoms, grid ${grid.dims.join('x')}, isovalue ±${volume.isovalue}`
+            );
+        } catch (e) {
+            ErrorHandler.logError('FileIOManager.importVASPVolume', e);
+            return ErrorHandler.error(`Failed to import ${kind}: ` + e.message);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Molden import (geometry, orbitals, normal modes)
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Import a Molden file as a new molecule. Molecular orbitals are attached for the
+     * orbital picker (see OrbitalManager) and [FREQ] modes as vibrations.
+     * @param {string} content - Molden file text
+     * @param {Object} options
+     * @param {boolean} [options.shouldClear=true] - Replace all open molecules
+     * @param {boolean} [options.autoBond=true]
+     * @param {string} [options.name] - Molecule name (defaults to the [Title] line)
+     * @returns {Object} Result object
+     */
+    importMolden(content, options = {}) {
+        const { shouldClear = true, autoBond = true, name } = options;
+        if (!content) return ErrorHandler.error('Empty Molden data');
+
+        let parsed;
+        try {
+            parsed = MoldenParser.parse(content);
+        } catch (e) {
+            ErrorHandler.logError('FileIOManager.importMolden', e);
+            return ErrorHandler.error('Failed to import Molden file: ' + e.message);
+        }
+
+        const molName = name || parsed.title;
+        if (shouldClear) {
+            this.resetMolecules();
+            this.editor.moleculeManager.renameMolecule(0, molName);
+        } else {
+            this.editor.moleculeManager.createMolecule(molName);
+        }
+
+        const molecule = this.editor.molecule;
+        molecule.clear();
+        parsed.atoms.forEach(a => molecule.addAtom(a.element, new THREE.Vector3(a.x, a.y, a.z)));
+        if (autoBond) {
+            const threshold = parseFloat(document.getElementById('bond-threshold')?.value) || 1.1;
+            this.editor.moleculeManager.autoBond(threshold);
+        }
+        this.editor.rebuildScene();
+
+        const entry = this.editor.moleculeManager.getActive();
+        if (parsed.vibrations.length > 0) {
+            entry.vibrations = parsed.vibrations;
+            this.editor.vibrationManager.updateUI();
+        }
+        if (parsed.mos.length > 0) {
+            this.editor.orbitalManager.load(parsed.basis, parsed.mos, parsed.atoms);
+        }
+        this.editor.saveState();
+        this.editor.moleculeManager.updateUI();
+
+        const parts = [`${parsed.atoms.length} atoms`];
+        if (parsed.mos.length > 0) {
+            parts.push(`${parsed.mos.length} orbitals`);
+            if (parsed.basis) parts.push(`${MoldenParser.countBasisFunctions(parsed.basis)} basis functions`);
+            const homo = this.editor.orbitalManager.resolve('homo');
+            if (homo !== -1) parts.push(`HOMO = MO ${homo}`);
+        }
+        if (parsed.vibrations.length > 0) parts.push(`${parsed.vibrations.length} modes`);
+
+        const message = `Loaded Molden file: ${parts.join(', ')}`;
+        return parsed.mos.length > 0 && !parsed.basis
+            ? ErrorHandler.warning(`${message} (no [GTO] section, orbitals cannot be drawn)`)
+            : ErrorHandler.success(message);
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Helper: trigger a browser file download
     // ─────────────────────────────────────────────────────────────────────────
@@ -1610,7 +2283,14 @@ export class FileIOManager {
         const text = await file.text();
 
         try {
-            if (ext === 'cif') {
+            if (vaspVolumeKind(file.name)) {
+                const result = this.importVASPVolume(text, vaspVolumeKind(file.name));
+                if (result.error) this.editor.console.print(result.error, 'error');
+            } else if (isMoldenFile(file.name)) {
+                const result = this.importMolden(text, { name: moldenName(file.name) });
+                if (result.error) this.editor.console.print(result.error, 'error');
+                else if (result.warning) this.editor.console.print(result.warning, 'warning');
+            } else if (ext === 'cif') {
                 this.importCIF(text);
             } else if (ext === 'poscar' || ext === 'contcar' ||
                        lowerName === 'poscar' || lowerName === 'contcar') {
@@ -1621,6 +2301,19 @@ export class FileIOManager {
                 this.importSDF(text);
             } else if (ext === 'smi') {
                 this.importSMILES(text);
+            } else if (ext === 'pdb' || ext === 'ent') {
+                this.importPDB(text);
+            } else if (ext === 'cube' || ext === 'cub') {
+                const result = this.importCube(text, { name: file.name.replace(/\.[^.]+$/, '') });
+                if (result.error) this.editor.console.print(result.error, 'error');
+            } else if ((ext === 'log' || ext === 'out') && !PWSCFParser.isOutput(text)) {
+                const result = this.importQCOutput(text, { name: file.name.replace(/\.[^.]+$/, '') });
+                if (result.error) this.editor.console.print(result.error, 'error');
+                else if (result.warning) this.editor.console.print(result.warning, 'warning');
+            } else if (['in', 'pwi', 'pwo', 'log', 'out'].includes(ext)) {
+                const result = this.importPW(text, { name: file.name.replace(/\.[^.]+$/, '') });
+                if (result.error) this.editor.console.print(result.error, 'error');
+                else if (result.warning) this.editor.console.print(result.warning, 'warning');
             } else {
                 this.editor.console.printError(`Unsupported file type: ${ext}`);
             }
@@ -1632,3 +2325,141 @@ export class FileIOManager {
         event.target.value = '';
     }
 }
+
+/**
+ * Columns of an extended XYZ `Properties=name:type:count:...` entry with their offsets in
+ * the atom lines. Plain XYZ (and a spec missing species or pos) reads as species:S:1:pos:R:3.
+ * @param {string} comment - Second line of the frame
+ * @returns {{ name: string, type: string, count: number, start: number }[]}
+ */
+function extXYZColumns(comment) {
+    const match = comment.match(/Properties\s*=\s*"?([^\s"]+)"?/i);
+    const spec = match ? match[1].split(':') : [];
+    const columns = [];
+    let start = 0;
+    for (let i = 0; i + 2 < spec.length; i += 3) {
+        const count = parseInt(spec[i + 2]) || 1;
+        columns.push({ name: spec[i], type: spec[i + 1].toUpperCase(), count, start });
+        start += count;
+    }
+    const names = columns.map(col => col.name);
+    if (!names.includes('species') || !names.includes('pos')) {
+        return [{ name: 'species', type: 'S', count: 1, start: 0 }, { name: 'pos', type: 'R', count: 3, start: 1 }];
+    }
+    return columns;
+}
+
+/**
+ * Numeric extended XYZ columns of an atom line other than species and positions, as
+ * Atom#properties (count > 1 gives an array); null if there are none
+ * @param {string[]} parts - Atom line split on whitespace
+ * @param {Object[]} columns - extXYZColumns
+ * @returns {Object|null}
+ */
+function extXYZProperties(parts, columns) {
+    let properties = null;
+    columns.forEach(({ name, type, count, start }) => {
+        if (name === 'species' || name === 'pos' || (type !== 'R' && type !== 'I')) return;
+        const values = parts.slice(start, start + count).map(Number);
+        if (values.length !== count || values.some(v => !Number.isFinite(v))) return;
+        if (!properties) properties = {};
+        properties[name] = count === 1 ? values[0] : values;
+    });
+    return properties;
+}
+
+/**
+ * VASP volumetric file type from a file name, or null.
+ * Matches CHGCAR, PARCHG, AECCAR0-2, LOCPOT and ELFCAR, also with prefixes or
+ * suffixes such as `run1.CHGCAR` or `CHGCAR_spin`.
+ * @param {string} filename
+ * @returns {'CHGCAR'|'LOCPOT'|'ELFCAR'|null}
+ */
+function vaspVolumeKind(filename) {
+    const name = (filename || '').toUpperCase();
+    if (/(^|[._-])(CHGCAR|PARCHG|AECCAR[0-2])([._-]|$)/.test(name)) return 'CHGCAR';
+    if (/(^|[._-])LOCPOT([._-]|$)/.test(name)) return 'LOCPOT';
+    if (/(^|[._-])ELFCAR([._-]|$)/.test(name)) return 'ELFCAR';
+    return null;
+}
+
+/**
+ * Whether a file name looks like a Molden file: *.molden, *.molf, *.molden.input
+ * or ORCA/Psi4's plain `molden.input`.
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isMoldenFile(filename) {
+    const name = (filename || '').toLowerCase();
+    return /\.(molden|molf)$/.test(name) || /(^|\.)molden\.input$/.test(name);
+}
+
+/**
+ * Molecule name for a Molden file (undefined for `molden.input`, so the title is used)
+ * @param {string} filename
+ * @returns {string|undefined}
+ */
+function moldenName(filename) {
+    return filename.replace(/(\.molden)?\.(molden|molf|input)$/i, '').replace(/^molden$/i, '') || undefined;
+}
+
+// ─── PNG Metadata ───
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Record the physical resolution in a PNG Data URL by inserting a pHYs chunk after IHDR
+ * @param {string} dataUrl - PNG Data URL as produced by canvas.toDataURL
+ * @param {number} dpi - Dots per inch
+ * @returns {string} PNG Data URL with pHYs chunk
+ */
+function setPngDpi(dataUrl, dpi) {
+    const prefix = 'data:image/png;base64,';
+    if (!dataUrl.startsWith(prefix)) return dataUrl;
+
+    const binary = atob(dataUrl.slice(prefix.length));
+    const png = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) png[i] = binary.charCodeAt(i);
+
+    // Signature (8) + IHDR chunk (4 length + 4 type + 13 data + 4 CRC)
+    const ihdrEnd = 33;
+    const ppm = Math.round(dpi / 0.0254);
+
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+    view.setUint32(8, ppm);
+    view.setUint32(12, ppm);
+    chunk[16] = 1; // unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    const out = new Uint8Array(png.length + chunk.length);
+    out.set(png.subarray(0, ihdrEnd), 0);
+    out.set(chunk, ihdrEnd);
+    out.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+
+    let result = '';
+    for (let i = 0; i < out.length; i += 0x8000) {
+        result += String.fromCharCode.apply(null, out.subarray(i, i + 0x8000));
+    }
+    return prefix + btoa(result);
+}
@@ -0,0 +1,625 @@
+import { ELEMENTS, DEFAULT_ELEMENT } from '../constants.js';
+
+/**
+ * UFF parameters (Rappé et al., J. Am. Chem. Soc. 1992, 114, 10024).
+ * Each entry: [r1 (Å), theta0 (deg), x1 (Å), D1 (kcal/mol), Z1, chi (GMP electronegativity)]
+ */
+const UFF_PARAMS = {
+    'H_': [0.354, 180.0, 2.886, 0.044, 0.712, 4.528],
+    'B_3': [0.838, 109.47, 4.083, 0.180, 1.755, 5.110],
+    'B_2': [0.828, 120.0, 4.083, 0.180, 1.755, 5.110],
+    'C_3': [0.757, 109.47, 3.851, 0.105, 1.912, 5.343],
+    'C_R': [0.729, 120.0, 3.851, 0.105, 1.912, 5.343],
+    'C_2': [0.732, 120.0, 3.851, 0.105, 1.912, 5.343],
+    'C_1': [0.706, 180.0, 3.851, 0.105, 1.912, 5.343],
+    'N_3': [0.700, 106.7, 3.660, 0.069, 2.544, 6.899],
+    'N_R': [0.699, 120.0, 3.660, 0.069, 2.544, 6.899],
+    'N_2': [0.685, 111.2, 3.660, 0.069, 2.544, 6.899],
+    'N_1': [0.656, 180.0, 3.660, 0.069, 2.544, 6.899],
+    'O_3': [0.658, 104.51, 3.500, 0.060, 2.300, 8.741],
+    'O_R': [0.680, 110.0, 3.500, 0.060, 2.300, 8.741],
+    'O_2': [0.634, 120.0, 3.500, 0.060, 2.300, 8.741],
+    'F_': [0.668, 180.0, 3.364, 0.050, 1.735, 10.874],
+    'Si3': [1.117, 109.47, 4.295, 0.402, 2.323, 4.168],
+    'P_3': [1.101, 93.8, 4.147, 0.305, 2.863, 5.463],
+    'S_3': [1.064, 92.1, 4.035, 0.274, 2.703, 6.928],
+    'S_2': [0.854, 120.0, 4.035, 0.274, 2.703, 6.928],
+    'Cl': [1.044, 180.0, 3.947, 0.227, 2.348, 8.564],
+    'Br': [1.192, 180.0, 4.189, 0.251, 2.519, 7.790],
+    'I_': [1.382, 180.0, 4.500, 0.339, 2.650, 6.822]
+};
+
+/** sp3 torsional barriers V (kcal/mol) by element */
+const SP3_TORSION = { C: 2.119, N: 0.450, O: 0.018, Si: 1.225, P: 2.400, S: 0.484 };
+
+/** sp2 torsional constants U by period */
+const SP2_TORSION_BY_PERIOD = [0, 0, 2.0, 1.25, 0.7, 0.2, 0.1];
+
+const DEG = Math.PI / 180;
+const VDW_CUTOFF = 12.0;
+
+/** Period (row) of an element from its atomic number */
+function periodOf(z) {
+    if (z <= 2) return 1;
+    if (z <= 10) return 2;
+    if (z <= 18) return 3;
+    if (z <= 36) return 4;
+    if (z <= 54) return 5;
+    return 6;
+}
+
+/**
+ * A UFF-style force field built from atom connectivity.
+ *
+ * Terms: harmonic bond stretch, cosine-Fourier angle bend, UFF torsions and a
+ * Lennard-Jones 12-6 van der Waals term for atoms separated by more than two bonds.
+ * Electrostatics and inversion terms are omitted; the aim is clean-up of sketched
+ * or substituted geometries, not production energetics.
+ *
+ * Energies are in kcal/mol, coordinates in Å. Coordinates are passed as a flat
+ * Float64Array [x0, y0, z0, x1, ...] in the same order as the atoms array.
+ */
+export class UFFForceField {
+    /**
+     * @param {Object[]} atoms - Atom objects (with bonds)
+     */
+    constructor(atoms) {
+        this.atoms = atoms;
+        this.size = atoms.length;
+        this.genericAtoms = 0;
+
+        // Without any hydrogens the skeleton is assumed to carry implicit H, so
+        // coordination numbers say nothing about hybridisation
+        this.useCoordination = atoms.some(atom => atom.element === 'H');
+
+        const index = new Map();
+        atoms.forEach((atom, i) => index.set(atom, i));
+
+        // Neighbour lists (restricted to the given atoms)
+        this.neighbors = atoms.map(atom => {
+            const list = [];
+            (atom.bonds || []).forEach(bond => {
+                const other = bond.atom1 === atom ? bond.atom2 : bond.atom1;
+                const j = index.get(other);
+                if (j !== undefined && !list.some(n => n.index === j)) {
+                    list.push({ index: j, order: bond.order || 1 });
+                }
+            });
+            return list;
+        });
+
+        this.types = atoms.map((atom, i) => this._assignType(atom, i));
+        this.params = this.types.map((type, i) => this._getParams(type, atoms[i], i));
+
+        this._setupBonds();
+        this._setupAngles();
+        this._setupTorsions();
+        this._setupVdW();
+    }
+
+    // ─── Setup ────────────────────────────────────────────────────────────────
+
+    /**
+     * Assign a UFF atom type from element, bond orders and coordination.
+     * A coordination of 0 means "unknown" and leaves only bond orders to decide.
+     * @private
+     */
+    _assignType(atom, i) {
+        const el = atom.element;
+        const nbrs = this.neighbors[i];
+        const coord = this.useCoordination ? nbrs.length : 0;
+        const maxOrder = nbrs.reduce((m, n) => Math.max(m, n.order), 1);
+        const doubles = nbrs.filter(n => n.order === 2).length;
+
+        switch (el) {
+            case 'H': return 'H_';
+            case 'C':
+                if (maxOrder === 3 || doubles >= 2 || coord === 2) return 'C_1';
+                if (maxOrder === 2 || coord === 3) return 'C_2';
+                return 'C_3';
+            case 'N':
+                if (maxOrder === 3 || coord === 1) return 'N_1';
+                if (maxOrder === 2 || coord === 2) return 'N_2';
+                return 'N_3'; // may be promoted to N_R after hybridisation pass
+            case 'O':
+                if (maxOrder === 2 || coord === 1) return 'O_2';
+                return 'O_3';
+            case 'B': return coord >= 4 ? 'B_3' : 'B_2';
+            case 'S': return (maxOrder === 2 || coord === 1) ? 'S_2' : 'S_3';
+            case 'Si': return 'Si3';
+            case 'P': return 'P_3';
+            case 'F': return 'F_';
+            case 'Cl': return 'Cl';
+            case 'Br': return 'Br';
+            case 'I': return 'I_';
+            default: return null;
+        }
+    }
+
+    /**
+     * Resolve parameters for an atom, promoting conjugated N/O to resonant types
+     * and falling back to generic values for elements without UFF parameters.
+     * @private
+     */
+    _getParams(type, atom, i) {
+        const nbrs = this.neighbors[i];
+        const isSp2Neighbor = n => {
+            const t = this.types[n.index];
+            return t === 'C_2' || t === 'N_2' || t === 'O_2' || t === 'B_2' || t === 'S_2';
+        };
+
+        if (type === 'N_3' && nbrs.length === 3 && nbrs.some(isSp2Neighbor)) type = 'N_R';
+        if (type === 'O_3' && nbrs.length === 2 && nbrs.some(isSp2Neighbor)) type = 'O_R';
+        this.types[i] = type;
+
+        if (type && UFF_PARAMS[type]) {
+            const [r1, theta0, x1, D1, Z1, chi] = UFF_PARAMS[type];
+            return { r1, theta0, x1, D1, Z1, chi };
+        }
+
+        // Generic fallback based on covalent radius and coordination
+        this.genericAtoms++;
+        const data = ELEMENTS[atom.element] || DEFAULT_ELEMENT;
+        const coord = nbrs.length;
+        const theta0 = coord >= 4 ? 109.47 : coord === 3 ? 120.0 : coord === 2 ? 180.0 : 109.47;
+        return {
+            r1: data.radius,
+            theta0,
+            x1: 2 * data.radius + 1.5,
+            D1: 0.1,
+            Z1: 2.0,
+            chi: 5.0
+        };
+    }
+
+    /**
+     * Bond order used for the UFF rest length.
+     * Explicit multiple bonds are trusted; otherwise sp/sp2 pairs are treated as
+     * triple / resonant (1.5) and terminal O or S on an unsaturated centre as double.
+     * @private
+     */
+    _effectiveBondOrder(i, j, order) {
+        if (order > 1) return order;
+        const ti = this.types[i] || '';
+        const tj = this.types[j] || '';
+        const sp = t => t.endsWith('_1');
+        const sp2 = t => t.endsWith('_2') || t.endsWith('_R');
+
+        if (sp(ti) && sp(tj)) return 3;
+        const terminalChalcogen = (a, tb) => {
+            const el = this.atoms[a].element;
+            return this.useCoordination && (el === 'O' || el === 'S') &&
+                this.neighbors[a].length === 1 && (sp(tb) || sp2(tb));
+        };
+        if (terminalChalcogen(i, tj) || terminalChalcogen(j, ti)) return 2;
+        if ((sp2(ti) || sp(ti)) && (sp2(tj) || sp(tj))) return 1.5;
+        return 1;
+    }
+
+    /**
+     * UFF natural bond length with bond-order and electronegativity corrections
+     * @private
+     */
+    _restLength(i, j, bondOrder) {
+        const pi = this.params[i];
+        const pj = this.params[j];
+        const rBO = -0.1332 * (pi.r1 + pj.r1) * Math.log(bondOrder);
+        const dChi = Math.sqrt(pi.chi) - Math.sqrt(pj.chi);
+        const rEN = pi.r1 * pj.r1 * dChi * dChi / (pi.chi * pi.r1 + pj.chi * pj.r1);
+        return pi.r1 + pj.r1 + rBO - rEN;
+    }
+
+    /** @private */
+    _setupBonds() {
+        this.bonds = [];
+        this.bondOrders = new Map();
+        for (let i = 0; i < this.size; i++) {
+            this.neighbors[i].forEach(n => {
+                const j = n.index;
+                if (j <= i) return;
+                const bo = this._effectiveBondOrder(i, j, n.order);
+                const r0 = this._restLength(i, j, bo);
+                const k = 664.12 * this.params[i].Z1 * this.params[j].Z1 / (r0 * r0 * r0);
+                this.bonds.push({ i, j, r0, k });
+                this.bondOrders.set(`${i}-${j}`, bo);
+                this.bondOrders.set(`${j}-${i}`, bo);
+            });
+        }
+    }
+
+    /** @private */
+    _setupAngles() {
+        this.angles = [];
+        for (let j = 0; j < this.size; j++) {
+            const nbrs = this.neighbors[j];
+            if (nbrs.length < 2) continue;
+
+            const theta0 = this.params[j].theta0 * DEG;
+            const c0 = Math.cos(theta0);
+            const s0sq = Math.max(1 - c0 * c0, 1e-8);
+
+            // Special forms for linear and trigonal-planar centres
+            let form = 'general';
+            if (this.params[j].theta0 >= 179.0) form = 'linear';
+            else if (Math.abs(this.params[j].theta0 - 120.0) < 0.01) form = 'trigonal';
+
+            for (let a = 0; a < nbrs.length; a++) {
+                for (let b = a + 1; b < nbrs.length; b++) {
+                    const i = nbrs[a].index;
+                    const k = nbrs[b].index;
+                    const rij = this._restLength(i, j, this.bondOrders.get(`${i}-${j}`));
+                    const rjk = this._restLength(j, k, this.bondOrders.get(`${j}-${k}`));
+                    const rik = Math.sqrt(rij * rij + rjk * rjk - 2 * rij * rjk * c0);
+                    const K = 664.12 * this.params[i].Z1 * this.params[k].Z1 / Math.pow(rik, 5)
+                        * (3 * rij * rjk * (1 - c0 * c0) - rik * rik * c0);
+
+                    const C2 = 1 / (4 * s0sq);
+                    this.angles.push({
+                        i, j, k, K, form,
+                        C0: C2 * (2 * c0 * c0 + 1),
+                        C1: -4 * C2 * c0,
+                        C2
+                    });
+                }
+            }
+        }
+    }
+
+    /** @private */
+    _setupTorsions() {
+        this.torsions = [];
+        const hyb = t => {
+            if (!t) return 3;
+            if (t.endsWith('_1')) return 1;
+            if (t.endsWith('_2') || t.endsWith('_R')) return 2;
+            return 3;
+        };
+
+        this.bonds.forEach(({ i: j, j: k }) => {
+            const nj = this.neighbors[j];
+            const nk = this.neighbors[k];
+            if (nj.length < 2 || nk.length < 2) return;
+
+            const hj = hyb(this.types[j]);
+            const hk = hyb(this.types[k]);
+            if (hj === 1 || hk === 1) return;
+
+            const elJ = this.atoms[j].element;
+            const elK = this.atoms[k].element;
+            let V, n, phi0;
+
+            if (hj === 3 && hk === 3) {
+                V = Math.sqrt((SP3_TORSION[elJ] ?? 1.0) * (SP3_TORSION[elK] ?? 1.0));
+                n = 3; phi0 = 180;
+            } else if (hj === 2 && hk === 2) {
+                const zj = (ELEMENTS[elJ] || DEFAULT_ELEMENT).atomicNumber || 6;
+                const zk = (ELEMENTS[elK] || DEFAULT_ELEMENT).atomicNumber || 6;
+                const uj = SP2_TORSION_BY_PERIOD[periodOf(zj)];
+                const uk = SP2_TORSION_BY_PERIOD[periodOf(zk)];
+                const bo = this.bondOrders.get(`${j}-${k}`);
+                V = 5 * Math.sqrt(uj * uk) * (1 + 4.18 * Math.log(bo));
+                n = 2; phi0 = 180;
+            } else {
+                V = 1.0;
+                n = 6; phi0 = 0;
+            }
+
+            const count = (nj.length - 1) * (nk.length - 1);
+            const V2 = V / (2 * count);
+            const cosTerm = Math.cos(n * phi0 * DEG);
+
+            nj.forEach(a => {
+                if (a.index === k) return;
+                nk.forEach(b => {
+                    if (b.index === j || b.index === a.index) return;
+                    this.torsions.push({ i: a.index, j, k, l: b.index, V2, n, cosTerm });
+                });
+            });
+        });
+    }
+
+    /** @private */
+    _setupVdW() {
+        // Exclude 1-2 and 1-3 pairs
+        const excluded = new Set();
+        const key = (a, b) => a < b ? a * this.size + b : b * this.size + a;
+        for (let i = 0; i < this.size; i++) {
+            this.neighbors[i].forEach(n => {
+                excluded.add(key(i, n.index));
+                this.neighbors[n.index].forEach(m => {
+                    if (m.index !== i) excluded.add(key(i, m.index));
+                });
+            });
+        }
+
+        this.vdwPairs = [];
+        for (let i = 0; i < this.size; i++) {
+            for (let j = i + 1; j < this.size; j++) {
+                if (excluded.has(key(i, j))) continue;
+                const pi = this.params[i];
+                const pj = this.params[j];
+                this.vdwPairs.push({
+                    i, j,
+                    D: Math.sqrt(pi.D1 * pj.D1),
+                    x: Math.sqrt(pi.x1 * pj.x1)
+                });
+            }
+        }
+    }
+
+    // ─── Evaluation ───────────────────────────────────────────────────────────
+
+    /**
+     * Compute the total energy and (optionally) its gradient.
+     * @param {Float64Array} x - Flat coordinates
+     * @param {Float64Array} [grad] - Output gradient (overwritten)
+     * @returns {number} Energy in kcal/mol
+     */
+    evaluate(x, grad = null) {
+        if (grad) grad.fill(0);
+        let energy = 0;
+
+        // Bond stretch: E = 1/2 k (r - r0)^2
+        for (const b of this.bonds) {
+            const i3 = b.i * 3, j3 = b.j * 3;
+            const dx = x[i3] - x[j3], dy = x[i3 + 1] - x[j3 + 1], dz = x[i3 + 2] - x[j3 + 2];
+            const r = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1e-8;
+            const dr = r - b.r0;
+            energy += 0.5 * b.k * dr * dr;
+            if (grad) {
+                const f = b.k * dr / r;
+                grad[i3] += f * dx; grad[i3 + 1] += f * dy; grad[i3 + 2] += f * dz;
+                grad[j3] -= f * dx; grad[j3 + 1] -= f * dy; grad[j3 + 2] -= f * dz;
+            }
+        }
+
+        // Angle bend, expressed in cos(theta)
+        for (const a of this.angles) {
+            const i3 = a.i * 3, j3 = a.j * 3, k3 = a.k * 3;
+            const ux = x[i3] - x[j3], uy = x[i3 + 1] - x[j3 + 1], uz = x[i3 + 2] - x[j3 + 2];
+            const vx = x[k3] - x[j3], vy = x[k3 + 1] - x[j3 + 1], vz = x[k3 + 2] - x[j3 + 2];
+            const lu = Math.sqrt(ux * ux + uy * uy + uz * uz) || 1e-8;
+            const lv = Math.sqrt(vx * vx + vy * vy + vz * vz) || 1e-8;
+            let c = (ux * vx + uy * vy + uz * vz) / (lu * lv);
+            c = Math.max(-1, Math.min(1, c));
+
+            let e, dEdc;
+            if (a.form === 'linear') {
+                e = a.K * (1 + c);
+                dEdc = a.K;
+            } else if (a.form === 'trigonal') {
+                // K/9 (1 - cos 3θ), cos 3θ = 4c^3 - 3c
+                e = a.K / 9 * (1 - (4 * c * c * c - 3 * c));
+                dEdc = a.K / 9 * (3 - 12 * c * c);
+            } else {
+                e = a.K * (a.C0 + a.C1 * c + a.C2 * (2 * c * c - 1));
+                dEdc = a.K * (a.C1 + 4 * a.C2 * c);
+            }
+            energy += e;
+
+            if (grad) {
+                const inv = 1 / (lu * lv);
+                const cu = c / (lu * lu);
+                const cv = c / (lv * lv);
+                const gix = dEdc * (vx * inv - cu * ux);
+                const giy = dEdc * (vy * inv - cu * uy);
+                const giz = dEdc * (vz * inv - cu * uz);
+                const gkx = dEdc * (ux * inv - cv * vx);
+                const gky = dEdc * (uy * inv - cv * vy);
+                const gkz = dEdc * (uz * inv - cv * vz);
+                grad[i3] += gix; grad[i3 + 1] += giy; grad[i3 + 2] += giz;
+                grad[k3] += gkx; grad[k3 + 1] += gky; grad[k3 + 2] += gkz;
+                grad[j3] -= gix + gkx; grad[j3 + 1] -= giy + gky; grad[j3 + 2] -= giz + gkz;
+            }
+        }
+
+        // Torsion: E = V/2 [1 - cos(n phi0) cos(n phi)]
+        for (const t of this.torsions) {
+            const i3 = t.i * 3, j3 = t.j * 3, k3 = t.k * 3, l3 = t.l * 3;
+            const Fx = x[i3] - x[j3], Fy = x[i3 + 1] - x[j3 + 1], Fz = x[i3 + 2] - x[j3 + 2];
+            const Gx = x[j3] - x[k3], Gy = x[j3 + 1] - x[k3 + 1], Gz = x[j3 + 2] - x[k3 + 2];
+            const Hx = x[l3] - x[k3], Hy = x[l3 + 1] - x[k3 + 1], Hz = x[l3 + 2] - x[k3 + 2];
+
+            // A = F x G, B = H x G
+            const Ax = Fy * Gz - Fz * Gy, Ay = Fz * Gx - Fx * Gz, Az = Fx * Gy - Fy * Gx;
+            const Bx = Hy * Gz - Hz * Gy, By = Hz * Gx - Hx * Gz, Bz = Hx * Gy - Hy * Gx;
+            const A2 = Ax * Ax + Ay * Ay + Az * Az;
+            const B2 = Bx * Bx + By * By + Bz * Bz;
+            const lG = Math.sqrt(Gx * Gx + Gy * Gy + Gz * Gz);
+            if (A2 < 1e-10 || B2 < 1e-10 || lG < 1e-8) continue;
+
+            // phi = atan2((B x A) . G/|G|, A . B)
+            const BAx = By * Az - Bz * Ay, BAy = Bz * Ax - Bx * Az, BAz = Bx * Ay - By * Ax;
+            const sinTerm = (BAx * Gx + BAy * Gy + BAz * Gz) / lG;
+            const cosTerm = Ax * Bx + Ay * By + Az * Bz;
+            const phi = Math.atan2(sinTerm, cosTerm);
+
+            energy += t.V2 * (1 - t.cosTerm * Math.cos(t.n * phi));
+
+            if (grad) {
+                const dEdphi = t.V2 * t.cosTerm * t.n * Math.sin(t.n * phi);
+                const FG = Fx * Gx + Fy * Gy + Fz * Gz;
+                const HG = Hx * Gx + Hy * Gy + Hz * Gz;
+                const a1 = -lG / A2;          // dphi/dr_i = a1 * A
+                const b4 = lG / B2;           // dphi/dr_l = b4 * B
+                const aFG = FG / (A2 * lG);
+                const bHG = HG / (B2 * lG);
+
+                for (let d = 0; d < 3; d++) {
+                    const Ad = d === 0 ? Ax : d === 1 ? Ay : Az;
+                    const Bd = d === 0 ? Bx : d === 1 ? By : Bz;
+                    const gi = a1 * Ad;
+                    const gl = b4 * Bd;
+                    const gj = -a1 * Ad + aFG * Ad - bHG * Bd;
+                    const gk = -b4 * Bd - aFG * Ad + bHG * Bd;
+                    grad[i3 + d] += dEdphi * gi;
+                    grad[j3 + d] += dEdphi * gj;
+                    grad[k3 + d] += dEdphi * gk;
+                    grad[l3 + d] += dEdphi * gl;
+                }
+            }
+        }
+
+        // van der Waals: E = D [(x/r)^12 - 2 (x/r)^6]
+        const cutoff2 = VDW_CUTOFF * VDW_CUTOFF;
+        for (const p of this.vdwPairs) {
+            const i3 = p.i * 3, j3 = p.j * 3;
+            const dx = x[i3] - x[j3], dy = x[i3 + 1] - x[j3 + 1], dz = x[i3 + 2] - x[j3 + 2];
+            const r2 = dx * dx + dy * dy + dz * dz;
+            if (r2 > cutoff2) continue;
+            const sr2 = (p.x * p.x) / Math.max(r2, 1e-4);
+            const sr6 = sr2 * sr2 * sr2;
+            energy += p.D * (sr6 * sr6 - 2 * sr6);
+            if (grad) {
+                // dE/dr * 1/r
+                const f = -12 * p.D * (sr6 * sr6 - sr6) / Math.max(r2, 1e-4);
+                grad[i3] += f * dx; grad[i3 + 1] += f * dy; grad[i3 + 2] += f * dz;
+                grad[j3] -= f * dx; grad[j3 + 1] -= f * dy; grad[j3 + 2] -= f * dz;
+            }
+        }
+
+        return energy;
+    }
+}
+
+/**
+ * Limited-memory BFGS minimiser with backtracking line search.
+ * Designed to be driven step by step so callers can update the view between steps.
+ */
+export class LBFGSMinimizer {
+    /**
+     * @param {Function} fn - (x, grad) => energy; must fill grad
+     * @param {Float64Array} x0 - Initial coordinates (copied)
+     * @param {Object} [options]
+     * @param {number} [options.memory=8] - Number of correction pairs kept
+     * @param {number} [options.maxDisplacement=0.3] - Max per-atom displacement per step (Å)
+     */
+    constructor(fn, x0, options = {}) {
+        this.fn = fn;
+        this.memory = options.memory ?? 8;
+        this.maxDisplacement = options.maxDisplacement ?? 0.3;
+
+        this.n = x0.length;
+        this.x = Float64Array.from(x0);
+        this.g = new Float64Array(this.n);
+        this.energy = this.fn(this.x, this.g);
+
+        this.s = [];
+        this.y = [];
+        this.rho = [];
+        this.stalled = false;
+    }
+
+    /** Largest per-atom gradient norm (kcal/mol/Å) */
+    get maxForce() {
+        let max = 0;
+        for (let i = 0; i < this.n; i += 3) {
+            const f = this.g[i] * this.g[i] + this.g[i + 1] * this.g[i + 1] + this.g[i + 2] * this.g[i + 2];
+            if (f > max) max = f;
+        }
+        return Math.sqrt(max);
+    }
+
+    /** @private */
+    _dot(a, b) {
+        let s = 0;
+        for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+        return s;
+    }
+
+    /**
+     * Two-loop recursion: d = -H g
+     * @private
+     */
+    _direction() {
+        const q = Float64Array.from(this.g);
+        const m = this.s.length;
+        const alpha = new Array(m);
+        for (let i = m - 1; i >= 0; i--) {
+            alpha[i] = this.rho[i] * this._dot(this.s[i], q);
+            for (let k = 0; k < this.n; k++) q[k] -= alpha[i] * this.y[i][k];
+        }
+        if (m > 0) {
+            const gamma = this._dot(this.s[m - 1], this.y[m - 1]) / this._dot(this.y[m - 1], this.y[m - 1]);
+            for (let k = 0; k < this.n; k++) q[k] *= gamma;
+        } else {
+            // Conservative first step
+            for (let k = 0; k < this.n; k++) q[k] *= 0.01;
+        }
+        for (let i = 0; i < m; i++) {
+            const beta = this.rho[i] * this._dot(this.y[i], q);
+            for (let k = 0; k < this.n; k++) q[k] += this.s[i][k] * (alpha[i] - beta);
+        }
+        for (let k = 0; k < this.n; k++) q[k] = -q[k];
+        return q;
+    }
+
+    /**
+     * Perform one minimisation step.
+     * @returns {{energy: number, deltaE: number, maxForce: number, stalled: boolean}}
+     */
+    step() {
+        let d = this._direction();
+        let slope = this._dot(d, this.g);
+        if (slope >= 0) {
+            // Not a descent direction: reset curvature history
+            this.s = []; this.y = []; this.rho = [];
+            d = this._direction();
+            slope = this._dot(d, this.g);
+        }
+
+        // Cap the largest atomic displacement
+        let maxDisp = 0;
+        for (let i = 0; i < this.n; i += 3) {
+            maxDisp = Math.max(maxDisp, Math.hypot(d[i], d[i + 1], d[i + 2]));
+        }
+        if (maxDisp > this.maxDisplacement) {
+            const scale = this.maxDisplacement / maxDisp;
+            for (let k = 0; k < this.n; k++) d[k] *= scale;
+            slope *= scale;
+        }
+
+        const xNew = new Float64Array(this.n);
+        const gNew = new Float64Array(this.n);
+        let step = 1.0;
+        let eNew = Infinity;
+        let accepted = false;
+
+        for (let trial = 0; trial < 12; trial++) {
+            for (let k = 0; k < this.n; k++) xNew[k] = this.x[k] + step * d[k];
+            eNew = this.fn(xNew, gNew);
+            if (eNew <= this.energy + 1e-4 * step * slope) {
+                accepted = true;
+                break;
+            }
+            step *= 0.5;
+        }
+
+        if (!accepted) {
+            this.stalled = true;
+            return { energy: this.energy, deltaE: 0, maxForce: this.maxForce, stalled: true };
+        }
+
+        const s = new Float64Array(this.n);
+        const y = new Float64Array(this.n);
+        for (let k = 0; k < this.n; k++) {
+            s[k] = xNew[k] - this.x[k];
+            y[k] = gNew[k] - this.g[k];
+        }
+        const sy = this._dot(s, y);
+        if (sy > 1e-10) {
+            this.s.push(s);
+            this.y.push(y);
+            this.rho.push(1 / sy);
+            if (this.s.length > this.memory) {
+                this.s.shift(); this.y.shift(); this.rho.shift();
+            }
+        }
+
+        const deltaE = eNew - this.energy;
+        this.x = xNew;
+        this.g = gNew;
+        this.energy = eNew;
+        return { energy: eNew, deltaE, maxForce: this.maxForce, stalled: false };
+    }
+}
@@ -0,0 +1,304 @@
+import * as THREE from 'three';
+import { Crystal, LatticeParams } from '../crystal.js';
+
+/** Shortest lattice vectors tried as film bases, as p·w1 + q·w2 with |p|, |q| ≤ this */
+const BASIS_SEARCH = 2;
+
+/**
+ * Lattice-matched interfaces between two crystals (Zur & McGill, J. Appl. Phys. 55, 378 (1984)).
+ *
+ * The interface plane of each crystal is its ab plane, so slabs from SlabGenerator and
+ * 2D-material cells can be used directly. Algorithm:
+ *  1. Enumerate the superlattices of both ab lattices up to a maximum area (2D Hermite
+ *     normal forms) and Gauss-reduce them
+ *  2. For superlattices of matching area, find the film basis whose deformation onto the
+ *     substrate basis has the smallest principal strain
+ *  3. Keep the matches below the strain tolerance that have less strain than every
+ *     smaller match
+ *
+ * The film is strained onto the substrate, which keeps its cell. The stacked interface
+ * is built from generateSupercellMatrix supercells of both crystals.
+ */
+export class InterfaceBuilder {
+    /**
+     * Find lattice-matched supercells of two crystals.
+     *
+     * @param {Crystal} substrate
+     * @param {Crystal} film
+     * @param {Object} [options]
+     * @param {number} [options.tolerance=0.05] - Maximum principal strain of the film (fraction)
+     * @param {number} [options.maxArea=200] - Maximum interface area in Å²
+     * @returns {Array<Object>} Matches, smallest area first: { area, substrate: { matrix, n },
+     *   film: { matrix, n }, strain: [ε1, ε2], maxStrain, twist, atoms: [substrate, film] }.
+     *   Each matrix holds the new a and b as rows in the (a, b) basis of its crystal.
+     */
+    static match(substrate, film, { tolerance = 0.05, maxArea = 200 } = {}) {
+        const sub = planeLattice(substrate);
+        const fil = planeLattice(film);
+        if (sub.area > maxArea || fil.area > maxArea) {
+            throw new Error(`Maximum area ${maxArea} Å² is smaller than a unit cell ` +
+                `(${sub.area.toFixed(2)} and ${fil.area.toFixed(2)} Å²)`);
+        }
+
+        const subCells = superlattices(sub, maxArea);
+        const filCells = superlattices(fil, maxArea);
+
+        const matches = [];
+        subCells.forEach(s => {
+            filCells.forEach(f => {
+                // Area and the two shortest lengths change by at most the principal strain
+                if (Math.abs(s.area / f.area - 1) > 2 * tolerance + tolerance * tolerance) return;
+                if (Math.abs(f.l1 / s.l1 - 1) > tolerance || Math.abs(f.l2 / s.l2 - 1) > tolerance) return;
+
+                const best = bestFilmBasis(s, f, fil);
+                if (best && best.maxStrain <= tolerance) {
+                    matches.push({
+                        area: s.area,
+                        substrate: { matrix: s.matrix, n: s.n },
+                        film: { matrix: best.matrix, n: f.n },
+                        strain: best.strain,
+                        maxStrain: best.maxStrain,
+                        twist: best.twist,
+                        atoms: [s.n * substrate.atoms.length, f.n * film.atoms.length]
+                    });
+                }
+            });
+        });
+
+        // Pareto front: each larger cell has to reduce the strain
+        matches.sort((x, y) => x.area - y.area || x.maxStrain - y.maxStrain ||
+            x.atoms[0] + x.atoms[1] - y.atoms[0] - y.atoms[1]);
+        const front = [];
+        matches.forEach(m => {
+            if (front.length === 0 || m.maxStrain < front[front.length - 1].maxStrain - 1e-6) front.push(m);
+        });
+        return front;
+    }
+
+    /**
+     * Stack the matched supercells: the substrate at the bottom, the film strained onto it
+     * `distance` Å above the topmost substrate atom, and `vacuum` Å split above and below.
+     *
+     * @param {Crystal} substrate
+     * @param {Crystal} film
+     * @param {Object} match - Entry returned by match()
+     * @param {Object} [options]
+     * @param {number} [options.distance=3] - Interlayer distance in Å
+     * @param {number} [options.vacuum=10] - Vacuum thickness in Å
+     * @returns {Crystal} Interface structure
+     */
+    static build(substrate, film, match, { distance = 3.0, vacuum = 10.0 } = {}) {
+        const cell3 = m => [[m[0][0], m[0][1], 0], [m[1][0], m[1][1], 0], [0, 0, 1]];
+        const bottom = layer(substrate.generateSupercellMatrix(cell3(match.substrate.matrix)));
+        const top = layer(film.generateSupercellMatrix(cell3(match.film.matrix)));
+
+        const total = bottom.thickness + distance + top.thickness + vacuum;
+        const normal = new THREE.Vector3().crossVectors(bottom.a, bottom.b).normalize();
+
+        const name = `${substrate.name}/${film.name}`;
+        const crystal = new Crystal(name);
+        crystal.setLattice(LatticeParams.fromVectors(bottom.a, bottom.b, normal.multiplyScalar(total)));
+        crystal.spaceGroup = 'P 1';
+
+        const wrap = v => ((v % 1) + 1) % 1;
+        const place = (atoms, z0) => atoms.forEach(atom => {
+            crystal.addAtomFractional(atom.element, wrap(atom.u), wrap(atom.v), (z0 + atom.h) / total);
+        });
+        place(bottom.atoms, vacuum / 2);
+        place(top.atoms, vacuum / 2 + bottom.thickness + distance);
+
+        crystal._interfaceInfo = {
+            distance,
+            vacuum,
+            strain: match.strain,
+            twist: match.twist,
+            nAtoms: [bottom.atoms.length, top.atoms.length]
+        };
+        return crystal;
+    }
+}
+
+/**
+ * 2D lattice of the ab plane in its own frame (a along x, normal along +z)
+ * @param {Crystal} crystal
+ * @returns {{ a: number[], b: number[], area: number }}
+ */
+function planeLattice(crystal) {
+    if (!crystal.isCrystal || !crystal.lattice) throw new Error(`${crystal.name} is not a crystal structure`);
+    const { a, b } = crystal.lattice.toLatticeVectors();
+    const normal = new THREE.Vector3().crossVectors(a, b);
+    const area = normal.length();
+    if (area < 1e-6) throw new Error(`Degenerate ab plane in ${crystal.name}`);
+    const e1 = a.clone().normalize();
+    const e2 = new THREE.Vector3().crossVectors(normal.normalize(), e1);
+    return { a: [a.length(), 0], b: [b.dot(e1), b.dot(e2)], area };
+}
+
+/** Cartesian 2D vector of integer coefficients [i, j] in the basis of a plane lattice */
+function vec(lat, [i, j]) {
+    return [i * lat.a[0] + j * lat.b[0], i * lat.a[1] + j * lat.b[1]];
+}
+
+const dot = (x, y) => x[0] * y[0] + x[1] * y[1];
+const cross = (x, y) => x[0] * y[1] - x[1] * y[0];
+
+/**
+ * All superlattices with area ≤ maxArea, Gauss-reduced and right-handed
+ * @returns {Array<{ n: number, matrix: number[][], area: number, l1: number, l2: number, u: number[][] }>}
+ */
+function superlattices(lat, maxArea) {
+    const cells = [];
+    const nMax = Math.floor(maxArea / lat.area + 1e-9);
+    for (let n = 1; n <= nMax; n++) {
+        for (let i = 1; i <= n; i++) {
+            if (n % i !== 0) continue;
+            const k = n / i;
+            for (let j = 0; j < i; j++) {
+                // Hermite normal form: a' = i·a, b' = j·a + k·b
+                const matrix = reduce(lat, [[i, 0], [j, k]]);
+                const u = matrix.map(row => vec(lat, row));
+                cells.push({
+                    n, matrix, u,
+                    area: n * lat.area,
+                    l1: Math.hypot(...u[0]),
+                    l2: Math.hypot(...u[1])
+                });
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * Gauss reduction of a 2D basis given as integer rows; returns a right-handed basis with
+ * |a'| ≤ |b'| and |a'·b'| ≤ |a'|²/2
+ */
+function reduce(lat, [r1, r2]) {
+    for (let iter = 0; iter < 100; iter++) {
+        let v1 = vec(lat, r1), v2 = vec(lat, r2);
+        if (dot(v1, v1) > dot(v2, v2) + 1e-9) {
+            [r1, r2] = [r2, r1];
+            [v1, v2] = [v2, v1];
+        }
+        const m = Math.round(dot(v1, v2) / dot(v1, v1));
+        if (m === 0) break;
+        r2 = [r2[0] - m * r1[0], r2[1] - m * r1[1]];
+    }
+    if (cross(vec(lat, r1), vec(lat, r2)) < 0) r2 = [-r2[0], -r2[1]];
+    return [r1, r2];
+}
+
+/**
+ * Film basis (among short vectors of the film superlattice) that maps onto the substrate
+ * basis with the least principal strain
+ * @returns {{ matrix: number[][], strain: number[], maxStrain: number, twist: number }|null}
+ */
+function bestFilmBasis(s, f, fil) {
+    const area = cross(f.u[0], f.u[1]);
+    const candidates = [];
+    for (let p = -BASIS_SEARCH; p <= BASIS_SEARCH; p++) {
+        for (let q = -BASIS_SEARCH; q <= BASIS_SEARCH; q++) {
+            if (p === 0 && q === 0) continue;
+            const row = [p * f.matrix[0][0] + q * f.matrix[1][0], p * f.matrix[0][1] + q * f.matrix[1][1]];
+            candidates.push({ row, v: vec(fil, row) });
+        }
+    }
+
+    let best = null;
+    candidates.forEach(x => {
+        candidates.forEach(y => {
+            // Same superlattice: right-handed with the same area
+            if (Math.abs(cross(x.v, y.v) - area) > 1e-6 * area) return;
+            const deformation = principalStrain(x.v, y.v, s.u[0], s.u[1]);
+            // Bases related by a lattice symmetry strain alike; prefer the least rotation
+            if (!best || deformation.maxStrain < best.maxStrain - 1e-7 ||
+                (deformation.maxStrain < best.maxStrain + 1e-7 && Math.abs(deformation.twist) < Math.abs(best.twist) - 1e-6)) {
+                best = { matrix: [x.row, y.row], ...deformation };
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * Principal strains and rotation of the deformation F that maps (x, y) onto (u, w)
+ * @returns {{ strain: number[], maxStrain: number, twist: number }}
+ */
+function principalStrain(x, y, u, w) {
+    // F = [u w]·[x y]⁻¹
+    const det = cross(x, y);
+    const inv = [[y[1] / det, -y[0] / det], [-x[1] / det, x[0] / det]];
+    const F = [
+        [u[0] * inv[0][0] + w[0] * inv[1][0], u[0] * inv[0][1] + w[0] * inv[1][1]],
+        [u[1] * inv[0][0] + w[1] * inv[1][0], u[1] * inv[0][1] + w[1] * inv[1][1]]
+    ];
+    // Right Cauchy–Green tensor C = FᵀF; stretches are the square roots of its eigenvalues
+    const c11 = F[0][0] ** 2 + F[1][0] ** 2;
+    const c22 = F[0][1] ** 2 + F[1][1] ** 2;
+    const c12 = F[0][0] * F[0][1] + F[1][0] * F[1][1];
+    const mean = (c11 + c22) / 2;
+    const radius = Math.hypot((c11 - c22) / 2, c12);
+    const strain = [Math.sqrt(mean + radius) - 1, Math.sqrt(Math.max(0, mean - radius)) - 1];
+
+    // Polar decomposition F = R·U with U = (C + √det C·I) / √(tr C + 2√det C)
+    const sqrtDet = Math.sqrt(Math.max(0, c11 * c22 - c12 * c12));
+    const s = Math.sqrt(c11 + c22 + 2 * sqrtDet);
+    const U = [[(c11 + sqrtDet) / s, c12 / s], [c12 / s, (c22 + sqrtDet) / s]];
+    const detU = U[0][0] * U[1][1] - U[0][1] * U[1][0];
+    // First column of R = F·U⁻¹
+    const r00 = (F[0][0] * U[1][1] - F[0][1] * U[1][0]) / detU;
+    const r10 = (F[1][0] * U[1][1] - F[1][1] * U[1][0]) / detU;
+
+    const twist = Math.atan2(r10, r00) * 180 / Math.PI;
+
+    return {
+        strain,
+        maxStrain: Math.max(Math.abs(strain[0]), Math.abs(strain[1])),
+        twist: Math.abs(twist) < 1e-6 ? 0 : twist
+    };
+}
+
+/**
+ * Atoms of a crystal as one contiguous layer: in-plane fractional coordinates (u, v) and
+ * height h along the ab normal, measured from the lowest atom. Atoms split by the cell
+ * boundary along c are joined across the largest gap in fractional c.
+ * @param {Crystal} crystal
+ * @returns {{ a: THREE.Vector3, b: THREE.Vector3, thickness: number, atoms: Array<{ element: string, u: number, v: number, h: number }> }}
+ */
+function layer(crystal) {
+    if (crystal.atoms.length === 0) throw new Error(`${crystal.name} has no atoms`);
+    const { a, b, c } = crystal.lattice.toLatticeVectors();
+    const normal = new THREE.Vector3().crossVectors(a, b).normalize();
+
+    const fracs = crystal.atoms.map(atom => {
+        const f = crystal.lattice.cartToFrac(atom.position.x, atom.position.y, atom.position.z);
+        return f.set(f.x, f.y, f.z - Math.floor(f.z));
+    });
+
+    // The slab starts above the largest periodic gap in fractional c
+    const zs = fracs.map(f => f.z).sort((x, y) => x - y);
+    let start = zs[0], gap = zs[0] + 1 - zs[zs.length - 1];
+    for (let i = 1; i < zs.length; i++) {
+        if (zs[i] - zs[i - 1] > gap) {
+            gap = zs[i] - zs[i - 1];
+            start = zs[i];
+        }
+    }
+    fracs.forEach(f => { if (f.z < start - 1e-9) f.z += 1; });
+
+    // In-plane coordinates of c, so (u, v) are fractional in the (a, b) plane
+    const cPlane = c.clone().addScaledVector(normal, -c.dot(normal));
+    const ab = a.clone().cross(b).dot(normal);
+    const cu = cPlane.clone().cross(b).dot(normal) / ab;
+    const cv = a.clone().cross(cPlane).dot(normal) / ab;
+
+    const atoms = crystal.atoms.map((atom, i) => ({
+        element: atom.element,
+        u: fracs[i].x + fracs[i].z * cu,
+        v: fracs[i].y + fracs[i].z * cv,
+        h: fracs[i].z * c.dot(normal)
+    }));
+    const h0 = Math.min(...atoms.map(atom => atom.h));
+    atoms.forEach(atom => { atom.h -= h0; });
+    return { a, b, thickness: Math.max(...atoms.map(atom => atom.h)), atoms };
+}
@@ -0,0 +1,668 @@
+import * as THREE from 'three';
+import { SymmetryFinder } from './symmetryFinder.js';
+import { delaunayReduce, niggliReduce } from '../utils/latticeReduction.js';
+
+/** Relative tolerance for the metric equalities that separate lattice variants */
+const METRIC_TOLERANCE = 1e-3;
+
+/**
+ * Primitive cells of Setyawan & Curtarolo, as rows in their conventional basis.
+ * ORCC and MCLC differ from the C-centered primitive cell of SymmetryFinder.
+ */
+const SC_PRIMITIVE = {
+    P: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+    F: [[0, 1 / 2, 1 / 2], [1 / 2, 0, 1 / 2], [1 / 2, 1 / 2, 0]],
+    I: [[-1 / 2, 1 / 2, 1 / 2], [1 / 2, -1 / 2, 1 / 2], [1 / 2, 1 / 2, -1 / 2]],
+    ORCC: [[1 / 2, -1 / 2, 0], [1 / 2, 1 / 2, 0], [0, 0, 1]],
+    MCLC: [[1 / 2, 1 / 2, 0], [-1 / 2, 1 / 2, 0], [0, 0, 1]],
+    R: [[2 / 3, 1 / 3, 1 / 3], [-1 / 3, 1 / 3, 1 / 3], [-1 / 3, -2 / 3, 1 / 3]]
+};
+
+/** ASCII names of the Greek point labels, for KPOINTS and pw.x files */
+const ASCII_LABELS = { 'Γ': 'GAMMA', 'Σ': 'SIGMA' };
+
+/**
+ * High-symmetry k-paths for band structures and the first Brillouin zone, following
+ * Setyawan & Curtarolo, Comput. Mater. Sci. 49, 299 (2010).
+ *
+ * Algorithm:
+ *  1. Find the Bravais lattice with SymmetryFinder and bring its conventional cell into
+ *     the setting of the paper (axis order, unique axis, handedness)
+ *  2. Pick the lattice variant (e.g. BCT1/BCT2, ORCF1–3, MCLC1–5) from the cell metric and
+ *     evaluate the tabulated points in the reciprocal basis of the paper's primitive cell
+ *  3. Build the Brillouin zone as the Wigner–Seitz cell of that reciprocal lattice
+ *
+ * Cartesian k-vectors include the 2π factor (Å⁻¹) and share the frame of the crystal.
+ * Exported coordinates are fractions of the reciprocal vectors of the current cell, so
+ * they are valid for the cell as it is (band folding applies to supercells).
+ */
+export class KPathGenerator {
+    /**
+     * Lattice variant, high-symmetry points, path and Brillouin zone of a crystal
+     *
+     * @param {import('../crystal.js').Crystal} crystal
+     * @param {number} [tolerance=0.01] - Symmetry tolerance in Å
+     * @returns {Object} { variant, dataset, points: { label: { frac, cart, cell } }, path: string[][],
+     *   reciprocal: THREE.Vector3[], zone: { vertices, faces, edges }, cellRatio, isStandard }
+     *   `frac` is in the reciprocal basis of the paper's primitive cell, `cell` in that of
+     *   the current cell
+     */
+    static compute(crystal, tolerance = 0.01) {
+        const dataset = SymmetryFinder.analyze(crystal, tolerance);
+        const setting = dataset.latticeType === 'aP'
+            ? triclinicSetting(conventionalVectors(crystal, dataset))
+            : standardSetting(conventionalVectors(crystal, dataset), dataset);
+        const { variant, primitive, reciprocal } = setting;
+        const table = pointsAndPath(variant, setting.params);
+
+        const { a, b, c } = crystal.lattice.toLatticeVectors();
+        const cellVectors = [a, b, c];
+        const points = {};
+        Object.entries(table.points).forEach(([label, frac]) => {
+            const cart = new THREE.Vector3()
+                .addScaledVector(reciprocal[0], frac[0])
+                .addScaledVector(reciprocal[1], frac[1])
+                .addScaledVector(reciprocal[2], frac[2]);
+            const cell = cellVectors.map(v => cleanNumber(cart.dot(v) / (2 * Math.PI)));
+            points[label] = { frac: frac.map(cleanNumber), cart, cell };
+        });
+
+        const primitiveVolume = Math.abs(primitive[0].dot(new THREE.Vector3().crossVectors(primitive[1], primitive[2])));
+        const scale = Math.max(...primitive.map(v => v.length()));
+        const isStandard = cellVectors.every((v, i) => v.distanceTo(primitive[i]) < 1e-4 * scale);
+
+        return {
+            variant,
+            dataset,
+            points,
+            path: table.path.split('|').map(segment => segment.split('-')),
+            reciprocal,
+            zone: this.brillouinZone(reciprocal),
+            cellRatio: crystal.lattice.volume() / primitiveVolume,
+            isStandard
+        };
+    }
+
+    /**
+     * First Brillouin zone: the Wigner–Seitz cell of a reciprocal lattice
+     *
+     * @param {THREE.Vector3[]} reciprocal - Reciprocal basis vectors
+     * @returns {{ vertices: THREE.Vector3[], faces: Array<{ normal: THREE.Vector3, vertices: number[] }>, edges: number[][] }}
+     *   Face vertices are in order around the face; `normal` is the lattice vector G
+     *   whose bisecting plane holds the face
+     */
+    static brillouinZone(reciprocal) {
+        // Voronoi-relevant vectors lie within ±2 steps of a Delaunay-reduced basis
+        const L = [0, 1, 2].map(i => reciprocal.map(v => v.getComponent(i)));
+        const U = delaunayReduce(L);
+        const basis = [0, 1, 2].map(j => new THREE.Vector3()
+            .addScaledVector(reciprocal[0], U[0][j])
+            .addScaledVector(reciprocal[1], U[1][j])
+            .addScaledVector(reciprocal[2], U[2][j]));
+        const scaleSq = Math.max(...basis.map(v => v.lengthSq()));
+        const eps = 1e-6 * scaleSq;
+
+        const candidates = [];
+        for (let i = -2; i <= 2; i++) {
+            for (let j = -2; j <= 2; j++) {
+                for (let k = -2; k <= 2; k++) {
+                    if (i === 0 && j === 0 && k === 0) continue;
+                    candidates.push(new THREE.Vector3()
+                        .addScaledVector(basis[0], i)
+                        .addScaledVector(basis[1], j)
+                        .addScaledVector(basis[2], k));
+                }
+            }
+        }
+        // G is a face normal iff G/2 lies strictly inside every other bisecting plane
+        const planes = candidates.filter(G => candidates.every(H =>
+            H === G || G.dot(H) / 2 < H.lengthSq() / 2 - eps));
+
+        const inside = x => planes.every(G => x.dot(G) <= G.lengthSq() / 2 + eps);
+        const vertices = [];
+        for (let i = 0; i < planes.length; i++) {
+            for (let j = i + 1; j < planes.length; j++) {
+                for (let k = j + 1; k < planes.length; k++) {
+                    const [p, q, r] = [planes[i], planes[j], planes[k]];
+                    const M = new THREE.Matrix3().set(p.x, p.y, p.z, q.x, q.y, q.z, r.x, r.y, r.z);
+                    if (Math.abs(M.determinant()) < 1e-9 * scaleSq * Math.sqrt(scaleSq)) continue;
+                    const x = new THREE.Vector3(p.lengthSq() / 2, q.lengthSq() / 2, r.lengthSq() / 2)
+                        .applyMatrix3(M.invert());
+                    if (inside(x) && !vertices.some(v => v.distanceToSquared(x) < eps)) vertices.push(x);
+                }
+            }
+        }
+
+        const faces = [];
+        const edgeKeys = new Set();
+        const edges = [];
+        planes.forEach(G => {
+            const on = [];
+            vertices.forEach((v, i) => {
+                if (Math.abs(v.dot(G) - G.lengthSq() / 2) < Math.sqrt(eps) * G.length()) on.push(i);
+            });
+            if (on.length < 3) return;
+
+            // Order the vertices by angle around the face centre
+            const centre = new THREE.Vector3();
+            on.forEach(i => centre.add(vertices[i]));
+            centre.divideScalar(on.length);
+            const u = vertices[on[0]].clone().sub(centre).normalize();
+            const w = new THREE.Vector3().crossVectors(G, u).normalize();
+            const angle = i => {
+                const d = vertices[i].clone().sub(centre);
+                return Math.atan2(d.dot(w), d.dot(u));
+            };
+            on.sort((i, j) => angle(i) - angle(j));
+            faces.push({ normal: G.clone(), vertices: on });
+
+            on.forEach((i, n) => {
+                const j = on[(n + 1) % on.length];
+                const key = i < j ? `${i},${j}` : `${j},${i}`;
+                if (edgeKeys.has(key)) return;
+                edgeKeys.add(key);
+                edges.push([i, j]);
+            });
+        });
+
+        return { vertices, faces, edges };
+    }
+
+    /**
+     * Path as text, e.g. Γ-X-W-K-Γ-L-U-W-L-K|U-X
+     * @param {string[][]} path
+     * @returns {string}
+     */
+    static formatPath(path) {
+        return path.map(segment => segment.join('-')).join('|');
+    }
+
+    /**
+     * VASP KPOINTS file in line mode, with coordinates in the current cell's reciprocal basis
+     *
+     * @param {Object} kpath - Result of compute()
+     * @param {number} [divisions=20] - Points per line
+     * @param {string} [title] - First (comment) line
+     * @returns {string}
+     */
+    static toKPOINTS(kpath, divisions = 20, title = '') {
+        const header = [
+            `${title ? `${title}: ` : ''}${kpath.variant} ${this.formatPath(kpath.path)} (Setyawan-Curtarolo)`,
+            String(divisions),
+            'Line-mode',
+            'Reciprocal'
+        ];
+        const lines = [];
+        kpath.path.forEach(segment => {
+            for (let i = 0; i < segment.length - 1; i++) {
+                lines.push(`${pointLine(kpath, segment[i])}\n${pointLine(kpath, segment[i + 1])}`);
+            }
+        });
+        return `${header.join('\n')}\n${lines.join('\n\n')}`;
+    }
+
+    /**
+     * Quantum ESPRESSO K_POINTS card in crystal_b form. Each line gets a number of points
+     * proportional to its length, `divisions` on average; a jump between disconnected
+     * segments is a single step.
+     *
+     * @param {Object} kpath - Result of compute()
+     * @param {number} [divisions=20] - Average points per line
+     * @returns {string}
+     */
+    static toQE(kpath, divisions = 20) {
+        const lengths = [];
+        kpath.path.forEach(segment => {
+            for (let i = 0; i < segment.length - 1; i++) {
+                lengths.push(kpath.points[segment[i]].cart.distanceTo(kpath.points[segment[i + 1]].cart));
+            }
+        });
+        const mean = lengths.reduce((sum, x) => sum + x, 0) / lengths.length;
+
+        const rows = [];
+        let line = 0;
+        kpath.path.forEach(segment => {
+            segment.forEach((label, i) => {
+                const weight = i < segment.length - 1 ? Math.max(1, Math.round(divisions * lengths[line++] / mean)) : 1;
+                rows.push(`${pointLine(kpath, label, weight)}`);
+            });
+        });
+        return ['K_POINTS crystal_b', String(rows.length), ...rows].join('\n');
+    }
+}
+
+// ─── Lattice settings ───
+
+/** Conventional cell vectors of the dataset, Cartesian in the frame of the crystal */
+function conventionalVectors(crystal, dataset) {
+    const { a, b, c } = crystal.lattice.toLatticeVectors();
+    return dataset.transformation.matrix.map(row => new THREE.Vector3()
+        .addScaledVector(a, row[0])
+        .addScaledVector(b, row[1])
+        .addScaledVector(c, row[2]));
+}
+
+/**
+ * Conventional cell in the setting of the paper, its lattice variant, primitive cell
+ * and reciprocal basis, for every Bravais lattice except triclinic
+ */
+function standardSetting(conventional, dataset) {
+    let [A, B, C] = conventional;
+    const byLength = (u, v) => u.lengthSq() - v.lengthSq();
+    let lattice, centering;
+
+    switch (dataset.latticeType) {
+        case 'cP': lattice = 'CUB'; centering = 'P'; break;
+        case 'cF': lattice = 'FCC'; centering = 'F'; break;
+        case 'cI': lattice = 'BCC'; centering = 'I'; break;
+        case 'tP': lattice = 'TET'; centering = 'P'; break;
+        case 'tI': lattice = 'BCT'; centering = 'I'; break;
+        case 'oP': case 'oF': case 'oI':
+            // a < b < c
+            [A, B, C] = [A, B, C].sort(byLength);
+            lattice = { oP: 'ORC', oF: 'ORCF', oI: 'ORCI' }[dataset.latticeType];
+            centering = dataset.latticeType[1];
+            break;
+        case 'oA': case 'oB': case 'oC': {
+            // c normal to the centered face, a < b within it
+            const unique = { oA: 0, oB: 1, oC: 2 }[dataset.latticeType];
+            const face = [A, B, C].filter((v, i) => i !== unique).sort(byLength);
+            [A, B, C] = [face[0], face[1], [A, B, C][unique]];
+            lattice = 'ORCC';
+            centering = 'ORCC';
+            break;
+        }
+        case 'hP': lattice = 'HEX'; centering = 'P'; break;
+        case 'hR': lattice = 'RHL'; centering = 'R'; break;
+        case 'mP': case 'mC': {
+            // Unique axis a; α < 90° between b and c; for MCL also b ≤ c. The centered
+            // face of C2/m (unique axis b) holds the unique axis and a, which may only
+            // change by even multiples of c to keep it centered
+            const unique = B;
+            let [u, w] = reducePlane(A, C, dataset.latticeType === 'mP' ? 1 : 2);
+            if (w.dot(u) < 0) w = w.clone().negate();
+            if (dataset.latticeType === 'mP' && u.lengthSq() > w.lengthSq()) [u, w] = [w, u];
+            [A, B, C] = [unique, u, w];
+            lattice = dataset.latticeType === 'mP' ? 'MCL' : 'MCLC';
+            centering = dataset.latticeType === 'mP' ? 'P' : 'MCLC';
+            break;
+        }
+        default:
+            throw new Error(`No k-path for lattice type ${dataset.latticeType}`);
+    }
+
+    // Right-handed; the lattice is centrosymmetric, so inverting the cell changes nothing
+    if (A.dot(new THREE.Vector3().crossVectors(B, C)) < 0) [A, B, C] = [A, B, C].map(v => v.clone().negate());
+
+    const primitive = SC_PRIMITIVE[centering].map(row => new THREE.Vector3()
+        .addScaledVector(A, row[0])
+        .addScaledVector(B, row[1])
+        .addScaledVector(C, row[2]));
+    const reciprocal = reciprocalOf(primitive);
+    const params = {
+        a: A.length(), b: B.length(), c: C.length(),
+        alpha: B.angleTo(C)
+    };
+
+    let variant = lattice;
+    if (lattice === 'BCT') {
+        variant = params.c < params.a ? 'BCT1' : 'BCT2';
+    } else if (lattice === 'ORCF') {
+        const lhs = 1 / params.a ** 2;
+        const rhs = 1 / params.b ** 2 + 1 / params.c ** 2;
+        variant = near(lhs, rhs) ? 'ORCF3' : lhs > rhs ? 'ORCF1' : 'ORCF2';
+    } else if (lattice === 'RHL') {
+        params.a = primitive[0].length();
+        params.alpha = primitive[0].angleTo(primitive[1]);
+        variant = params.alpha < Math.PI / 2 ? 'RHL1' : 'RHL2';
+    } else if (lattice === 'MCLC') {
+        const kcos = Math.cos(reciprocal[0].angleTo(reciprocal[1]));
+        if (Math.abs(kcos) < METRIC_TOLERANCE) {
+            variant = 'MCLC2';
+        } else if (kcos < 0) {
+            variant = 'MCLC1';
+        } else {
+            const { a, b, c, alpha } = params;
+            const test = b * Math.cos(alpha) / c + b ** 2 * Math.sin(alpha) ** 2 / a ** 2;
+            variant = near(test, 1) ? 'MCLC4' : test < 1 ? 'MCLC3' : 'MCLC5';
+        }
+    }
+    return { variant, params, primitive, reciprocal };
+}
+
+/**
+ * Triclinic setting: the reciprocal cell is Niggli-reduced (angles all acute or all
+ * non-acute), then ordered so that kγ is the smallest (TRI1a/2a) or largest (TRI1b)
+ */
+function triclinicSetting(vectors) {
+    const reciprocal = reciprocalOf(vectors);
+    const U = niggliReduce([0, 1, 2].map(i => reciprocal.map(v => v.getComponent(i))));
+    let k = [0, 1, 2].map(j => new THREE.Vector3()
+        .addScaledVector(reciprocal[0], U[0][j])
+        .addScaledVector(reciprocal[1], U[1][j])
+        .addScaledVector(reciprocal[2], U[2][j]));
+
+    const cosines = ([u, v, w]) => [Math.cos(v.angleTo(w)), Math.cos(u.angleTo(w)), Math.cos(u.angleTo(v))];
+    const obtuse = cosines(k).every(x => x < METRIC_TOLERANCE);
+    // kγ (between k1 and k2, opposite k3) is the smallest angle when all are obtuse and
+    // the largest when all are acute
+    const opposite = cosines(k);
+    const last = opposite.indexOf(obtuse ? Math.max(...opposite) : Math.min(...opposite));
+    k = [(last + 1) % 3, (last + 2) % 3, last].map(i => k[i]);
+    if (k[0].dot(new THREE.Vector3().crossVectors(k[1], k[2])) < 0) k = k.map(v => v.clone().negate());
+
+    const gammaCos = cosines(k)[2];
+    const variant = obtuse
+        ? (Math.abs(gammaCos) < METRIC_TOLERANCE ? 'TRI2a' : 'TRI1a')
+        : 'TRI1b';
+    // The real-space primitive cell is the dual of the reduced reciprocal cell
+    return { variant, params: {}, primitive: reciprocalOf(k), reciprocal: k };
+}
+
+/**
+ * Shorten two lattice vectors of a plane: w by multiples of u, u by multiples of step·w
+ * @returns {THREE.Vector3[]} [u, w]
+ */
+function reducePlane(u, w, step) {
+    u = u.clone();
+    w = w.clone();
+    for (let iteration = 0; iteration < 100; iteration++) {
+        const n = Math.round(w.dot(u) / u.lengthSq());
+        const m = Math.round(u.dot(w) / (step * w.lengthSq()));
+        if (n === 0 && m === 0) break;
+        if (n !== 0) w.addScaledVector(u, -n);
+        else u.addScaledVector(w, -step * m);
+    }
+    return [u, w];
+}
+
+/** Reciprocal basis (with 2π) of three vectors; applied twice it returns the input */
+function reciprocalOf([a, b, c]) {
+    const volume = a.dot(new THREE.Vector3().crossVectors(b, c));
+    const factor = 2 * Math.PI / volume;
+    return [
+        new THREE.Vector3().crossVectors(b, c).multiplyScalar(factor),
+        new THREE.Vector3().crossVectors(c, a).multiplyScalar(factor),
+        new THREE.Vector3().crossVectors(a, b).multiplyScalar(factor)
+    ];
+}
+
+// ─── Setyawan–Curtarolo tables ───
+
+/**
+ * High-symmetry points (reciprocal basis of the primitive cell) and path of a lattice variant
+ * @param {string} variant
+ * @param {{ a: number, b: number, c: number, alpha: number }} p - Conventional lengths (Å)
+ *   and α (radians; for RHL the rhombohedral angle)
+ * @returns {{ points: Object<string, number[]>, path: string }}
+ */
+function pointsAndPath(variant, p) {
+    const { a, b, c, alpha } = p;
+    const cosA = Math.cos(alpha);
+    const sinA = Math.sin(alpha);
+
+    switch (variant) {
+        case 'CUB':
+            return {
+                points: { 'Γ': [0, 0, 0], M: [1 / 2, 1 / 2, 0], R: [1 / 2, 1 / 2, 1 / 2], X: [0, 1 / 2, 0] },
+                path: 'Γ-X-M-Γ-R-X|M-R'
+            };
+        case 'FCC':
+            return {
+                points: {
+                    'Γ': [0, 0, 0], K: [3 / 8, 3 / 8, 3 / 4], L: [1 / 2, 1 / 2, 1 / 2],
+                    U: [5 / 8, 1 / 4, 5 / 8], W: [1 / 2, 1 / 4, 3 / 4], X: [1 / 2, 0, 1 / 2]
+                },
+                path: 'Γ-X-W-K-Γ-L-U-W-L-K|U-X'
+            };
+        case 'BCC':
+            return {
+                points: { 'Γ': [0, 0, 0], H: [1 / 2, -1 / 2, 1 / 2], P: [1 / 4, 1 / 4, 1 / 4], N: [0, 0, 1 / 2] },
+                path: 'Γ-H-N-Γ-P-H|P-N'
+            };
+        case 'TET':
+            return {
+                points: {
+                    'Γ': [0, 0, 0], A: [1 / 2, 1 / 2, 1 / 2], M: [1 / 2, 1 / 2, 0],
+                    R: [0, 1 / 2, 1 / 2], X: [0, 1 / 2, 0], Z: [0, 0, 1 / 2]
+                },
+                path: 'Γ-X-M-Γ-Z-R-A-Z|X-R|M-A'
+            };
+        case 'BCT1': {
+            const eta = (1 + c ** 2 / a ** 2) / 4;
+            return {
+                points: {
+                    'Γ': [0, 0, 0], M: [-1 / 2, 1 / 2, 1 / 2], N: [0, 1 / 2, 0], P: [1 / 4, 1 / 4, 1 / 4],
+                    X: [0, 0, 1 / 2], Z: [eta, eta, -eta], Z1: [-eta, 1 - eta, eta]
+                },
+                path: 'Γ-X-M-Γ-Z-P-N-Z1-M|X-P'
+            };
+        }
+        case 'BCT2': {
+            const eta = (1 + a ** 2 / c ** 2) / 4;
+            const zeta = a ** 2 / (2 * c ** 2);
+            return {
+                points: {
+                    'Γ': [0, 0, 0], N: [0, 1 / 2, 0], P: [1 / 4, 1 / 4, 1 / 4],
+                    'Σ': [-eta, eta, eta], 'Σ1': [eta, 1 - eta, -eta], X: [0, 0, 1 / 2],
+                    Y: [-zeta, zeta, 1 / 2], Y1: [1 / 2, 1 / 2, -zeta], Z: [1 / 2, 1 / 2, -1 / 2]
+                },
+                path: 'Γ-X-Y-Σ-Γ-Z-Σ1-N-P-Y1-Z|X-P'
+            };
+        }
+        case 'ORC':
+            return {
+                points: {
+                    'Γ': [0, 0, 0], R: [1 / 2, 1 / 2, 1 / 2], S: [1 / 2, 1 / 2, 0], T: [0, 1 / 2, 1 / 2],
+                    U: [1 / 2, 0, 1 / 2], X: [1 / 2, 0, 0], Y: [0, 1 / 2, 0], Z: [0, 0, 1 / 2]
+                },
+                path: 'Γ-X-S-Y-Γ-Z-U-R-T-Z|Y-T|U-X|S-R'
+            };
+        case 'ORCF1':
+        case 'ORCF3': {
+            const zeta = (1 + a ** 2 / b ** 2 - a ** 2 / c ** 2) / 4;
+            const eta = (1 + a ** 2 / b ** 2 + a ** 2 / c ** 2) / 4;
+            return {
+                points: {
+                    'Γ': [0, 0, 0], A: [1 / 2, 1 / 2 + zeta, zeta], A1: [1 / 2, 1 / 2 - zeta, 1 - zeta],
+                    L: [1 / 2, 1 / 2, 1 / 2], T: [1, 1 / 2, 1 / 2], X: [0, eta, eta],
+                    X1: [1, 1 - eta, 1 - eta], Y: [1 / 2, 0, 1 / 2], Z: [1 / 2, 1 / 2, 0]
+                },
+                path: variant === 'ORCF1'
+                    ? 'Γ-Y-T-Z-Γ-X-A1-Y|T-X1|X-A-Z|L-Γ'
+                    : 'Γ-Y-T-Z-Γ-X-A1-Y|X-A-Z|L-Γ'
+            };
+        }
+        case 'ORCF2': {
+            const eta = (1 + a ** 2 / b ** 2 - a ** 2 / c ** 2) / 4;
+            const phi = (1 + c ** 2 / b ** 2 - c ** 2 / a ** 2) / 4;
+            const delta = (1 + b ** 2 / a ** 2 - b ** 2 / c ** 2) / 4;
+            return {
+                points: {
+                    'Γ': [0, 0, 0], C: [1 / 2, 1 / 2 - eta, 1 - eta], C1: [1 / 2, 1 / 2 + eta, eta],
+                    D: [1 / 2 - delta, 1 / 2, 1 - delta], D1: [1 / 2 + delta, 1 / 2, delta],
+                    L: [1 / 2, 1 / 2, 1 / 2], H: [1 - phi, 1 / 2 - phi, 1 / 2], H1: [phi, 1 / 2 + phi, 1 / 2],
+                    X: [0, 1 / 2, 1 / 2], Y: [1 / 2, 0, 1 / 2], Z: [1 / 2, 1 / 2, 0]
+                },
+                path: 'Γ-Y-C-D-X-Γ-Z-D1-H-C|C1-Z|X-H1|H-Y|L-Γ'
+            };
+        }
+        case 'ORCI': {
+            const zeta = (1 + a ** 2 / c ** 2) / 4;
+            const eta = (1 + b ** 2 / c ** 2) / 4;
+            const delta = (b ** 2 - a ** 2) / (4 * c ** 2);
+            const mu = (a ** 2 + b ** 2) / (4 * c ** 2);
+            return {
+                points: {
+                    'Γ': [0, 0, 0], L: [-mu, mu, 1 / 2 - delta], L1: [mu, -mu, 1 / 2 + delta],
+                    L2: [1 / 2 - delta, 1 / 2 + delta, -mu], R: [0, 1 / 2, 0], S: [1 / 2, 0, 0],
+                    T: [0, 0, 1 / 2], W: [1 / 4, 1 / 4, 1 / 4], X: [-zeta, zeta, zeta],
+                    X1: [zeta, 1 - zeta, -zeta], Y: [eta, -eta, eta], Y1: [1 - eta, eta, -eta],
+                    Z: [1 / 2, 1 / 2, -1 / 2]
+                },
+                path: 'Γ-X-L-T-W-R-X1-Z-Γ-Y-S-W|L1-Y|Y1-Z'
+            };
+        }
+        case 'ORCC': {
+            const zeta = (1 + a ** 2 / b ** 2) / 4;
+            return {
+                points: {
+                    'Γ': [0, 0, 0], A: [zeta, zeta, 1 / 2], A1: [-zeta, 1 - zeta, 1 / 2],
+                    R: [0, 1 / 2, 1 / 2], S: [0, 1 / 2, 0], T: [-1 / 2, 1 / 2, 1 / 2],
+                    X: [zeta, zeta, 0], X1: [-zeta, 1 - zeta, 0], Y: [-1 / 2, 1 / 2, 0], Z: [0, 0, 1 / 2]
+                },
+                path: 'Γ-X-S-R-A-Z-Γ-Y-X1-A1-T-Y|Z-T'
+            };
+        }
+        case 'HEX':
+            return {
+                points: {
+                    'Γ': [0, 0, 0], A: [0, 0, 1 / 2], H: [1 / 3, 1 / 3, 1 / 2],
+                    K: [1 / 3, 1 / 3, 0], L: [1 / 2, 0, 1 / 2], M: [1 / 2, 0, 0]
+                },
+                path: 'Γ-M-K-Γ-A-L-H-A|L-M|K-H'
+            };
+        case 'RHL1': {
+            const eta = (1 + 4 * cosA) / (2 + 4 * cosA);
+            const nu = 3 / 4 - eta / 2;
+            return {
+                points: {
+                    'Γ': [0, 0, 0], B: [eta, 1 / 2, 1 - eta], B1: [1 / 2, 1 - eta, eta - 1],
+                    F: [1 / 2, 1 / 2, 0], L: [1 / 2, 0, 0], L1: [0, 0, -1 / 2],
+                    P: [eta, nu, nu], P1: [1 - nu, 1 - nu, 1 - eta], P2: [nu, nu, eta - 1],
+                    Q: [1 - nu, nu, 0], X: [nu, 0, -nu], Z: [1 / 2, 1 / 2, 1 / 2]
+                },
+                path: 'Γ-L-B1|B-Z-Γ-X|Q-F-P1-Z|L-P'
+            };
+        }
+        case 'RHL2': {
+            const eta = 1 / (2 * Math.tan(alpha / 2) ** 2);
+            const nu = 3 / 4 - eta / 2;
+            return {
+                points: {
+                    'Γ': [0, 0, 0], F: [1 / 2, -1 / 2, 0], L: [1 / 2, 0, 0],
+                    P: [1 - nu, -nu, 1 - nu], P1: [nu, nu - 1, nu - 1],
+                    Q: [eta, eta, eta], Q1: [1 - eta, -eta, -eta], Z: [1 / 2, -1 / 2, 1 / 2]
+                },
+                path: 'Γ-P-Z-Q-Γ-F-P1-Q1-L-Z'
+            };
+        }
+        case 'MCL': {
+            const eta = (1 - b * cosA / c) / (2 * sinA ** 2);
+            const nu = 1 / 2 - eta * c * cosA / b;
+            return {
+                points: {
+                    'Γ': [0, 0, 0], A: [1 / 2, 1 / 2, 0], C: [0, 1 / 2, 1 / 2], D: [1 / 2, 0, 1 / 2],
+                    D1: [1 / 2, 0, -1 / 2], E: [1 / 2, 1 / 2, 1 / 2], H: [0, eta, 1 - nu],
+                    H1: [0, 1 - eta, nu], H2: [0, eta, -nu], M: [1 / 2, eta, 1 - nu],
+                    M1: [1 / 2, 1 - eta, nu], M2: [1 / 2, eta, -nu], X: [0, 1 / 2, 0],
+                    Y: [0, 0, 1 / 2], Y1: [0, 0, -1 / 2], Z: [1 / 2, 0, 0]
+                },
+                path: 'Γ-Y-H-C-E-M1-A-X-H1|M-D-Z|Y-D'
+            };
+        }
+        case 'MCLC1':
+        case 'MCLC2': {
+            const zeta = (2 - b * cosA / c) / (4 * sinA ** 2);
+            const eta = 1 / 2 + 2 * zeta * c * cosA / b;
+            const psi = 3 / 4 - a ** 2 / (4 * b ** 2 * sinA ** 2);
+            const phi = psi + (3 / 4 - psi) * b * cosA / c;
+            return {
+                points: {
+                    'Γ': [0, 0, 0], N: [1 / 2, 0, 0], N1: [0, -1 / 2, 0],
+                    F: [1 - zeta, 1 - zeta, 1 - eta], F1: [zeta, zeta, eta], F2: [-zeta, -zeta, 1 - eta],
+                    F3: [1 - zeta, -zeta, 1 - eta], I: [phi, 1 - phi, 1 / 2], I1: [1 - phi, phi - 1, 1 / 2],
+                    L: [1 / 2, 1 / 2, 1 / 2], M: [1 / 2, 0, 1 / 2], X: [1 - psi, psi - 1, 0],
+                    X1: [psi, 1 - psi, 0], X2: [psi - 1, -psi, 0], Y: [1 / 2, 1 / 2, 0],
+                    Y1: [-1 / 2, -1 / 2, 0], Z: [0, 0, 1 / 2]
+                },
+                path: variant === 'MCLC1'
+                    ? 'Γ-Y-F-L-I|I1-Z-F1|Y-X1|X-Γ-N|M-Γ'
+                    : 'Γ-Y-F-L-I|I1-Z-F1|N-Γ-M'
+            };
+        }
+        case 'MCLC3':
+        case 'MCLC4': {
+            const mu = (1 + b ** 2 / a ** 2) / 4;
+            const delta = b * c * cosA / (2 * a ** 2);
+            const zeta = mu - 1 / 4 + (1 - b * cosA / c) / (4 * sinA ** 2);
+            const eta = 1 / 2 + 2 * zeta * c * cosA / b;
+            const phi = 1 + zeta - 2 * mu;
+            const psi = eta - 2 * delta;
+            return {
+                points: {
+                    'Γ': [0, 0, 0], F: [1 - phi, 1 - phi, 1 - psi], F1: [phi, phi - 1, psi],
+                    F2: [1 - phi, -phi, 1 - psi], H: [zeta, zeta, eta], H1: [1 - zeta, -zeta, 1 - eta],
+                    H2: [-zeta, -zeta, 1 - eta], I: [1 / 2, -1 / 2, 1 / 2], M: [1 / 2, 0, 1 / 2],
+                    N: [1 / 2, 0, 0], N1: [0, -1 / 2, 0], X: [1 / 2, -1 / 2, 0],
+                    Y: [mu, mu, delta], Y1: [1 - mu, -mu, -delta], Y2: [-mu, -mu, -delta],
+                    Y3: [mu, mu - 1, delta], Z: [0, 0, 1 / 2]
+                },
+                path: variant === 'MCLC3'
+                    ? 'Γ-Y-F-H-Z-I-F1|H1-Y1-X-Γ-N|M-Γ'
+                    : 'Γ-Y-F-H-Z-I|H1-Y1-X-Γ-N|M-Γ'
+            };
+        }
+        case 'MCLC5': {
+            const zeta = (b ** 2 / a ** 2 + (1 - b * cosA / c) / sinA ** 2) / 4;
+            const eta = 1 / 2 + 2 * zeta * c * cosA / b;
+            const mu = eta / 2 + b ** 2 / (4 * a ** 2) - b * c * cosA / (2 * a ** 2);
+            const nu = 2 * mu - zeta;
+            const omega = (4 * nu - 1 - b ** 2 * sinA ** 2 / a ** 2) * c / (2 * b * cosA);
+            const delta = zeta * c * cosA / b + omega / 2 - 1 / 4;
+            const rho = 1 - zeta * a ** 2 / b ** 2;
+            return {
+                points: {
+                    'Γ': [0, 0, 0], F: [nu, nu, omega], F1: [1 - nu, 1 - nu, 1 - omega],
+                    F2: [nu, nu - 1, omega], H: [zeta, zeta, eta], H1: [1 - zeta, -zeta, 1 - eta],
+                    H2: [-zeta, -zeta, 1 - eta], I: [rho, 1 - rho, 1 / 2], I1: [1 - rho, rho - 1, 1 / 2],
+                    L: [1 / 2, 1 / 2, 1 / 2], M: [1 / 2, 0, 1 / 2], N: [1 / 2, 0, 0], N1: [0, -1 / 2, 0],
+                    X: [1 / 2, -1 / 2, 0], Y: [mu, mu, delta], Y1: [1 - mu, -mu, -delta],
+                    Y2: [-mu, -mu, -delta], Y3: [mu, mu - 1, delta], Z: [0, 0, 1 / 2]
+                },
+                path: 'Γ-Y-F-L-I|I1-Z-H-F1|H1-Y1-X-Γ-N|M-Γ'
+            };
+        }
+        case 'TRI1a':
+        case 'TRI2a':
+            return {
+                points: {
+                    'Γ': [0, 0, 0], L: [1 / 2, 1 / 2, 0], M: [0, 1 / 2, 1 / 2], N: [1 / 2, 0, 1 / 2],
+                    R: [1 / 2, 1 / 2, 1 / 2], X: [1 / 2, 0, 0], Y: [0, 1 / 2, 0], Z: [0, 0, 1 / 2]
+                },
+                path: 'X-Γ-Y|L-Γ-Z|N-Γ-M|R-Γ'
+            };
+        case 'TRI1b':
+            return {
+                points: {
+                    'Γ': [0, 0, 0], L: [1 / 2, -1 / 2, 0], M: [0, 0, 1 / 2], N: [-1 / 2, -1 / 2, 1 / 2],
+                    R: [0, -1 / 2, 1 / 2], X: [0, -1 / 2, 0], Y: [1 / 2, 0, 0], Z: [-1 / 2, 0, 1 / 2]
+                },
+                path: 'X-Γ-Y|L-Γ-Z|N-Γ-M|R-Γ'
+            };
+        default:
+            throw new Error(`Unknown lattice variant: ${variant}`);
+    }
+}
+
+// ─── Helpers ───
+
+/** Equal within the relative metric tolerance */
+function near(x, y) {
+    return Math.abs(x - y) < METRIC_TOLERANCE * Math.max(Math.abs(x), Math.abs(y));
+}
+
+function cleanNumber(v) {
+    return Math.abs(v) < 1e-10 ? 0 : v;
+}
+
+/** Label in ASCII for input files (Γ → GAMMA, Σ1 → SIGMA1) */
+function asciiLabel(label) {
+    return label.replace(/[ΓΣ]/, ch => ASCII_LABELS[ch]);
+}
+
+/** One k-point line in the current cell's reciprocal basis, with an optional weight */
+function pointLine(kpath, label, weight) {
+    const coords = kpath.points[label].cell.map(v => v.toFixed(8).padStart(12)).join(' ');
+    return `${coords}${weight !== undefined ? ` ${String(weight).padStart(4)}` : ''} ! ${asciiLabel(label)}`;
+}
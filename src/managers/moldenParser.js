@@ -0,0 +1,256 @@
+import { ELEMENTS } from '../constants.js';
+
+const BOHR_TO_ANGSTROM = 0.529177210903;
+
+/** Angular momentum per shell label */
+const SHELL_L = { s: 0, p: 1, d: 2, f: 3, g: 4 };
+
+/**
+ * Parser for Molden files (ORCA, Psi4, xtb, Molpro, Molcas, ...).
+ *
+ * Sections read:
+ *  - [Atoms] (Angs | AU): geometry
+ *  - [GTO]: contracted Gaussian shells per atom (s, p, sp, d, f, g)
+ *  - [5D] [5D7F] [5D10F] [7F] [9G]: spherical vs. Cartesian flags
+ *  - [MO]: orbital energies, spins, occupations and coefficients (sparse lists allowed)
+ *  - [FREQ] [FR-COORD] [FR-NORM-COORD] [INT]: vibrational modes
+ *
+ * Result:
+ *  {
+ *    title, atoms: [{ element, x, y, z }] (Å),
+ *    basis: { shells: [{ atom, l, exponents: number[], coefficients: number[] }],
+ *             spherical: { d: boolean, f: boolean, g: boolean } } | null,
+ *    mos: [{ energy, spin: 'Alpha'|'Beta', occupation, symmetry, coefficients: Float64Array }],
+ *    vibrations: [{ frequency, irIntensity, displacements: Float64Array(3N) }]
+ *  }
+ * `sp` shells are split into an s and a p shell. Shell centers are the atoms in Bohr
+ * (see OrbitalManager), coefficients refer to normalized primitives.
+ */
+export class MoldenParser {
+    static parse(content) {
+        const sections = this._splitSections(content);
+        if (!sections.has('MOLDEN FORMAT') && !sections.has('ATOMS') && !sections.has('FR-COORD')) {
+            throw new Error('Not a Molden file ([Molden Format] header missing)');
+        }
+
+        const title = ((sections.get('TITLE') || {}).lines || []).map(l => l.trim()).filter(Boolean)[0] || 'Molden';
+        let atoms = sections.has('ATOMS') ? this._parseAtoms(sections.get('ATOMS')) : [];
+
+        const vibrations = this._parseVibrations(sections);
+        if (atoms.length === 0 && sections.has('FR-COORD')) {
+            // Frequency-only files carry the geometry in [FR-COORD] (Bohr)
+            atoms = this._parseFrCoord(sections.get('FR-COORD').lines);
+        }
+        if (atoms.length === 0) throw new Error('No geometry found in Molden file');
+
+        const spherical = {
+            d: sections.has('5D') || sections.has('5D7F') || sections.has('5D10F'),
+            f: sections.has('5D') || sections.has('5D7F') || sections.has('7F'),
+            g: sections.has('9G')
+        };
+        const basis = sections.has('GTO')
+            ? { shells: this._parseGTO(sections.get('GTO').lines), spherical }
+            : null;
+        const mos = sections.has('MO') ? this._parseMO(sections.get('MO').lines) : [];
+
+        if (basis && mos.length > 0) {
+            const nbf = this.countBasisFunctions(basis);
+            mos.forEach(mo => {
+                if (mo.coefficients.length !== nbf) {
+                    const padded = new Float64Array(nbf);
+                    padded.set(mo.coefficients.subarray(0, nbf));
+                    mo.coefficients = padded;
+                }
+            });
+        }
+
+        return { title, atoms, basis, mos, vibrations };
+    }
+
+    /**
+     * Number of basis functions, respecting the spherical/Cartesian flags
+     * @param {Object} basis
+     * @returns {number}
+     */
+    static countBasisFunctions(basis) {
+        return basis.shells.reduce((n, shell) => n + this.shellSize(shell.l, basis.spherical), 0);
+    }
+
+    /**
+     * Functions per shell: 2l+1 for spherical shells, (l+1)(l+2)/2 for Cartesian ones
+     */
+    static shellSize(l, spherical) {
+        const isSpherical = (l === 2 && spherical.d) || (l === 3 && spherical.f) || (l === 4 && spherical.g);
+        return isSpherical ? 2 * l + 1 : (l + 1) * (l + 2) / 2;
+    }
+
+    /**
+     * Split into sections keyed by upper-case bracket name; the bracket line's
+     * remainder (e.g. "Angs" in "[Atoms] Angs") is kept as `arg`.
+     * @returns {Map<string, { arg: string, lines: string[] }>}
+     */
+    static _splitSections(content) {
+        const sections = new Map();
+        let current = null;
+        content.split(/\r?\n/).forEach(line => {
+            const m = line.match(/^\s*\[([^\]]+)\]\s*(.*)$/);
+            if (m) {
+                current = { arg: m[2].trim(), lines: [] };
+                sections.set(m[1].trim().toUpperCase(), current);
+            } else if (current) {
+                current.lines.push(line);
+            }
+        });
+        return sections;
+    }
+
+    static _parseAtoms(section) {
+        const scale = /au/i.test(section.arg) && !/angs/i.test(section.arg) ? BOHR_TO_ANGSTROM : 1;
+        const atoms = [];
+        section.lines.forEach(line => {
+            // name  index  Z  x y z
+            const p = line.trim().split(/\s+/);
+            if (p.length < 6) return;
+            atoms.push({
+                element: elementFromZ(parseInt(p[2]), p[0]),
+                x: parseFloat(p[3]) * scale,
+                y: parseFloat(p[4]) * scale,
+                z: parseFloat(p[5]) * scale
+            });
+        });
+        return atoms;
+    }
+
+    static _parseFrCoord(lines) {
+        const atoms = [];
+        lines.forEach(line => {
+            const p = line.trim().split(/\s+/);
+            if (p.length < 4) return;
+            atoms.push({
+                element: normalizeSymbol(p[0]),
+                x: parseFloat(p[1]) * BOHR_TO_ANGSTROM,
+                y: parseFloat(p[2]) * BOHR_TO_ANGSTROM,
+                z: parseFloat(p[3]) * BOHR_TO_ANGSTROM
+            });
+        });
+        return atoms;
+    }
+
+    static _parseGTO(lines) {
+        const shells = [];
+        const num = s => parseFloat(s.replace(/[dD]/, 'e'));
+        let atom = -1;
+
+        for (let i = 0; i < lines.length; i++) {
+            const p = lines[i].trim().split(/\s+/);
+            if (p[0] === '') continue;
+
+            const label = p[0].toLowerCase();
+            if (/^\d+$/.test(p[0]) && (p.length === 1 || p[1] === '0')) {
+                // Atom header: "<index> 0"
+                atom = parseInt(p[0]) - 1;
+            } else if (label === 'sp' || label in SHELL_L) {
+                const nprim = parseInt(p[1]);
+                const exponents = [], coefficients = [], pCoefficients = [];
+                for (let k = 0; k < nprim; k++) {
+                    const q = lines[++i].trim().split(/\s+/);
+                    exponents.push(num(q[0]));
+                    coefficients.push(num(q[1]));
+                    if (label === 'sp') pCoefficients.push(num(q[2]));
+                }
+                if (label === 'sp') {
+                    shells.push({ atom, l: 0, exponents, coefficients });
+                    shells.push({ atom, l: 1, exponents: exponents.slice(), coefficients: pCoefficients });
+                } else {
+                    shells.push({ atom, l: SHELL_L[label], exponents, coefficients });
+                }
+            }
+        }
+        return shells;
+    }
+
+    static _parseMO(lines) {
+        const mos = [];
+        let mo = null;
+        let coeffs = [];
+        const finish = () => {
+            if (!mo) return;
+            const n = coeffs.reduce((max, [idx]) => Math.max(max, idx), 0);
+            mo.coefficients = new Float64Array(n);
+            coeffs.forEach(([idx, c]) => { mo.coefficients[idx - 1] = c; });
+            mos.push(mo);
+        };
+
+        lines.forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+            const kv = trimmed.match(/^(Sym|Ene|Spin|Occup)\s*=\s*(.*)$/i);
+            if (kv) {
+                const key = kv[1].toLowerCase();
+                // A key after coefficients starts the next orbital
+                if (!mo || coeffs.length > 0) {
+                    finish();
+                    mo = { energy: 0, spin: 'Alpha', occupation: 0, symmetry: '', coefficients: null };
+                    coeffs = [];
+                }
+                if (key === 'sym') mo.symmetry = kv[2].trim();
+                else if (key === 'ene') mo.energy = parseFloat(kv[2]);
+                else if (key === 'spin') mo.spin = /beta/i.test(kv[2]) ? 'Beta' : 'Alpha';
+                else if (key === 'occup') mo.occupation = parseFloat(kv[2]);
+                return;
+            }
+            const p = trimmed.split(/\s+/);
+            if (mo && p.length >= 2 && /^\d+$/.test(p[0])) {
+                coeffs.push([parseInt(p[0]), parseFloat(p[1].replace(/[dD]/, 'e'))]);
+            }
+        });
+        finish();
+        return mos;
+    }
+
+    static _parseVibrations(sections) {
+        if (!sections.has('FREQ') || !sections.has('FR-NORM-COORD')) return [];
+
+        const frequencies = sections.get('FREQ').lines
+            .map(l => l.trim()).filter(Boolean).map(Number);
+        const intensities = sections.has('INT')
+            ? sections.get('INT').lines.map(l => l.trim()).filter(Boolean).map(l => parseFloat(l.split(/\s+/)[0]))
+            : [];
+
+        // "vibration n" headers, each followed by one "dx dy dz" line per atom
+        const modes = [];
+        let current = null;
+        sections.get('FR-NORM-COORD').lines.forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+            if (/^vibration/i.test(trimmed)) {
+                current = [];
+                modes.push(current);
+            } else if (current) {
+                current.push(...trimmed.split(/\s+/).slice(0, 3).map(Number));
+            }
+        });
+
+        const vibrations = [];
+        frequencies.forEach((frequency, k) => {
+            // Translations and rotations are written as zero frequencies by some programs
+            if (!modes[k] || Math.abs(frequency) < 1e-3) return;
+            vibrations.push({
+                frequency,
+                irIntensity: intensities[k] !== undefined && !isNaN(intensities[k]) ? intensities[k] : null,
+                displacements: Float64Array.from(modes[k])
+            });
+        });
+        return vibrations;
+    }
+}
+
+function elementFromZ(z, label) {
+    const match = Object.entries(ELEMENTS).find(([, data]) => data.atomicNumber === z);
+    return match ? match[0] : normalizeSymbol(label);
+}
+
+function normalizeSymbol(s) {
+    const letters = s.replace(/[^A-Za-z]/g, '');
+    return letters.charAt(0).toUpperCase() + letters.slice(1, 2).toLowerCase();
+}
@@ -66,15 +66,29 @@ export class OCLManager {
     }
 
     /**
-     * Convert MolBlock to SMILES
+     * Convert MolBlock to canonical SMILES
+     * Stereo descriptors are perceived from the MolBlock coordinates (3D or wedges).
      * @param {string} molBlock 
+     * @param {Object} [options]
+     * @param {boolean} [options.stereo=true] - Include stereo descriptors (@, @@, /, \)
      * @returns {Promise<string>} SMILES string
      */
-    async molBlockToSmiles(molBlock) {
+    async molBlockToSmiles(molBlock, options = {}) {
+        const { stereo = true } = options;
         await this.init();
         try {
             const mol = OCL.Molecule.fromMolfile(molBlock);
-            return mol.toSmiles();
+            if (!stereo) {
+                // stripStereoInformation() alone lets toIsomericSmiles() perceive the stereo
+                // again from the coordinates, and this OCL version has no noStereo option
+                for (let i = 0; i < mol.getAllAtoms(); i++) {
+                    mol.setAtomX(i, 0);
+                    mol.setAtomY(i, 0);
+                    mol.setAtomZ(i, 0);
+                }
+                mol.stripStereoInformation();
+            }
+            return mol.toIsomericSmiles();
         } catch (error) {
             console.error('OCL MolBlock to SMILES failed:', error);
             throw error;
@@ -0,0 +1,296 @@
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { prepareShells, evaluateOrbital } from '../utils/orbitalGrid.js';
+
+const BOHR_TO_ANGSTROM = 0.529177210903;
+const HARTREE_TO_EV = 27.211386245988;
+
+/** Largest grid edge; the spacing grows for big molecules to stay below it */
+const MAX_POINTS_PER_AXIS = 100;
+
+/**
+ * Molecular orbitals from Molden files: orbital picker, grid evaluation in a Web Worker
+ * and display through VolumeManager.
+ *
+ * Orbitals are attached to a molecule entry as `entry.orbitals`:
+ *  { basis: { shells, spherical }, mos: [...], centers: Float64Array (Bohr), current: number|null }
+ * (see MoldenParser). Centers are the geometry the orbitals were computed for, so
+ * editing atoms afterwards does not move the orbitals.
+ */
+export class OrbitalManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.worker = null;
+        this.requestId = 0;
+        this.pending = new Map();
+
+        this.section = document.getElementById('orbital-controls');
+        this.select = document.getElementById('mo-select');
+        this.status = document.getElementById('mo-status');
+        if (this.select) {
+            this.select.addEventListener('change', async () => {
+                const result = await this.show(parseInt(this.select.value));
+                if (result.error) this.editor.console.print(result.error, 'error');
+            });
+        }
+    }
+
+    /**
+     * Orbitals of the active molecule entry, or null
+     * @returns {Object|null}
+     */
+    get orbitals() {
+        const entry = this.editor.moleculeManager && this.editor.moleculeManager.getActive();
+        return (entry && entry.orbitals) || null;
+    }
+
+    /**
+     * Attach parsed orbitals to the active entry
+     * @param {Object} basis - MoldenParser basis
+     * @param {Object[]} mos - MoldenParser orbitals
+     * @param {Array<{x: number, y: number, z: number}>} atoms - Geometry in Å
+     */
+    load(basis, mos, atoms) {
+        const entry = this.editor.moleculeManager.getActive();
+        if (!entry) return;
+        const centers = new Float64Array(atoms.length * 3);
+        atoms.forEach((a, i) => {
+            centers[3 * i] = a.x / BOHR_TO_ANGSTROM;
+            centers[3 * i + 1] = a.y / BOHR_TO_ANGSTROM;
+            centers[3 * i + 2] = a.z / BOHR_TO_ANGSTROM;
+        });
+        entry.orbitals = { basis, mos, centers, current: null };
+        this.updateUI();
+    }
+
+    /**
+     * Indices of one spin channel's orbitals sorted by energy, with its HOMO position
+     * @param {string} spin - 'Alpha' | 'Beta'
+     * @returns {{ order: number[], homo: number }} homo is a position in `order` (-1 if none)
+     */
+    _channel(spin) {
+        const mos = this.orbitals.mos;
+        const order = mos.map((mo, i) => i).filter(i => mos[i].spin === spin)
+            .sort((a, b) => mos[a].energy - mos[b].energy);
+        let homo = -1;
+        order.forEach((i, pos) => { if (mos[i].occupation > 1e-6) homo = pos; });
+        return { order, homo };
+    }
+
+    /**
+     * Frontier label (HOMO, LUMO+1, ...) of an orbital, or '' when far from the gap
+     * @param {number} index
+     * @returns {string}
+     */
+    label(index) {
+        const mo = this.orbitals.mos[index];
+        const { order, homo } = this._channel(mo.spin);
+        if (homo === -1) return '';
+        const offset = order.indexOf(index) - homo;
+        const prefix = mo.spin === 'Beta' ? 'β-' : '';
+        if (offset <= 0 && offset >= -3) return `${prefix}HOMO${offset ? offset : ''}`;
+        if (offset >= 1 && offset <= 4) return `${prefix}LUMO${offset > 1 ? `+${offset - 1}` : ''}`;
+        return '';
+    }
+
+    /**
+     * Resolve an orbital spec: 0-based index, homo, lumo, homo-n, lumo+n (alpha channel)
+     * @param {string|number} spec
+     * @returns {number} Index, or -1
+     */
+    resolve(spec) {
+        const mos = this.orbitals.mos;
+        if (typeof spec === 'number') return spec >= 0 && spec < mos.length ? spec : -1;
+
+        const m = String(spec).toLowerCase().match(/^(homo|lumo)(?:([+-])(\d+))?$/);
+        if (!m) {
+            const index = parseInt(spec);
+            return !isNaN(index) && index >= 0 && index < mos.length ? index : -1;
+        }
+        const { order, homo } = this._channel('Alpha');
+        if (homo === -1) return -1;
+        const shift = m[2] ? (m[2] === '+' ? 1 : -1) * parseInt(m[3]) : 0;
+        const pos = (m[1] === 'homo' ? homo : homo + 1) + shift;
+        return pos >= 0 && pos < order.length ? order[pos] : -1;
+    }
+
+    /**
+     * Orbital table for the console
+     * @returns {string|null}
+     */
+    list() {
+        const orbitals = this.orbitals;
+        if (!orbitals) return null;
+        const unrestricted = orbitals.mos.some(mo => mo.spin === 'Beta');
+        const lines = [`  #  ${unrestricted ? 'Spin   ' : ''}Occ      E (Eh)      E (eV)  Sym`];
+        orbitals.mos.forEach((mo, i) => {
+            const label = this.label(i);
+            lines.push([
+                String(i).padStart(3),
+                unrestricted ? mo.spin.padEnd(5) : null,
+                mo.occupation.toFixed(2).padStart(5),
+                mo.energy.toFixed(5).padStart(11),
+                (mo.energy * HARTREE_TO_EV).toFixed(3).padStart(11),
+                (mo.symmetry || '').padEnd(4),
+                label ? `<- ${label}` : ''
+            ].filter(v => v !== null).join('  ').trimEnd());
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Evaluate an orbital on a grid (in the worker) and show it as an isosurface
+     * @param {string|number} spec - See resolve()
+     * @param {Object} [options]
+     * @param {number} [options.spacing=0.2] - Grid spacing in Å (raised for large molecules)
+     * @param {number} [options.padding=4] - Margin around the atoms in Å
+     * @returns {Promise<Object>} Result object
+     */
+    async show(spec, options = {}) {
+        const { spacing = 0.2, padding = 4 } = options;
+        const entry = this.editor.moleculeManager.getActive();
+        const orbitals = entry && entry.orbitals;
+        if (!orbitals) return ErrorHandler.error('No molecular orbitals loaded');
+        if (!orbitals.basis) return ErrorHandler.error('Molden file has no [GTO] basis; cannot evaluate orbitals');
+        if (!(spacing > 0) || !(padding >= 0)) return ErrorHandler.error('Invalid grid spacing or padding');
+
+        const index = this.resolve(spec);
+        if (index === -1) return ErrorHandler.error(`Unknown orbital: ${spec} (0-${orbitals.mos.length - 1}, homo, lumo, homo-n, lumo+n)`);
+
+        const grid = buildGrid(orbitals.centers, spacing / BOHR_TO_ANGSTROM, padding / BOHR_TO_ANGSTROM);
+        const mo = orbitals.mos[index];
+        if (this.status) this.status.textContent = `Computing MO ${index}...`;
+
+        let data;
+        try {
+            data = await this._evaluate(orbitals, mo.coefficients, grid);
+        } catch (e) {
+            if (this.status) this.status.textContent = '';
+            return ErrorHandler.error(`Orbital evaluation failed: ${e.message}`);
+        }
+        if (data === null) return ErrorHandler.info(`MO ${index} superseded by a newer request`);
+        if (this.editor.moleculeManager.getActive() !== entry) {
+            if (this.status) this.status.textContent = '';
+            return ErrorHandler.warning('Molecule changed while the orbital was computed; discarded');
+        }
+
+        const label = this.label(index);
+        const energy = `E = ${mo.energy.toFixed(4)} Eh`;
+        this.editor.volumeManager.load({
+            dims: grid.dims,
+            data,
+            origin: grid.origin.map(v => v * BOHR_TO_ANGSTROM),
+            axes: grid.axes.map(axis => axis.map(v => v * BOHR_TO_ANGSTROM)),
+            periodic: false
+        }, { kind: 'MO', units: 'a.u.', title: `MO ${index}${label ? ` (${label})` : ''}, ${energy}` });
+        orbitals.current = index;
+        this.updateUI();
+
+        return ErrorHandler.success(`Showing MO ${index}${label ? ` (${label})` : ''}, ${energy}, grid ${grid.dims.join('x')}`);
+    }
+
+    /**
+     * Evaluate in the worker; resolves to null when a newer request replaced this one
+     * @returns {Promise<Float32Array|null>}
+     */
+    _evaluate(orbitals, coefficients, grid) {
+        const id = ++this.requestId;
+        const message = {
+            id,
+            shells: orbitals.basis.shells,
+            spherical: orbitals.basis.spherical,
+            centers: orbitals.centers,
+            coefficients,
+            grid
+        };
+
+        if (typeof Worker === 'undefined') {
+            const data = evaluateOrbital({
+                shells: prepareShells(message.shells, message.spherical),
+                centers: message.centers,
+                coefficients
+            }, grid);
+            return Promise.resolve(data);
+        }
+
+        if (!this.worker) {
+            this.worker = new Worker(new URL('../workers/orbitalWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => {
+                const { id: replyId, data, error } = event.data;
+                const request = this.pending.get(replyId);
+                if (!request) return;
+                this.pending.delete(replyId);
+                if (error) request.reject(new Error(error));
+                else request.resolve(replyId === this.requestId ? data : null);
+            };
+            // Script failed to load or threw outside a request: fail everything waiting
+            // and start a fresh worker on the next call
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                const error = new Error(event.message || 'Orbital worker failed');
+                this.pending.forEach(request => request.reject(error));
+                this.pending.clear();
+                this.worker.terminate();
+                this.worker = null;
+            };
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage(message);
+        });
+    }
+
+    /**
+     * Sync the orbital picker with the active entry (hidden when it has no orbitals)
+     */
+    updateUI() {
+        if (!this.section) return;
+        const orbitals = this.orbitals;
+        if (!orbitals) {
+            this.section.style.display = 'none';
+            return;
+        }
+        this.section.style.display = 'block';
+        if (this.status) this.status.textContent = '';
+
+        if (this.select) {
+            this.select.innerHTML = '';
+            orbitals.mos.forEach((mo, i) => {
+                const option = document.createElement('option');
+                const label = this.label(i);
+                const spin = orbitals.mos.some(m => m.spin === 'Beta') ? (mo.spin === 'Beta' ? ' β' : ' α') : '';
+                option.value = i;
+                option.textContent = `${i}${spin}: ${(mo.energy * HARTREE_TO_EV).toFixed(2)} eV (occ ${mo.occupation})${label ? ` ${label}` : ''}`;
+                this.select.appendChild(option);
+            });
+            const fallback = this.resolve('homo');
+            this.select.value = orbitals.current !== null ? orbitals.current : (fallback !== -1 ? fallback : 0);
+        }
+    }
+}
+
+/**
+ * Box grid around the atoms
+ * @param {Float64Array} centers - Bohr
+ * @param {number} spacing - Bohr
+ * @param {number} padding - Bohr
+ * @returns {{ dims: number[], origin: number[], axes: number[][] }}
+ */
+function buildGrid(centers, spacing, padding) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < centers.length; i += 3) {
+        for (let d = 0; d < 3; d++) {
+            min[d] = Math.min(min[d], centers[i + d] - padding);
+            max[d] = Math.max(max[d], centers[i + d] + padding);
+        }
+    }
+    const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    const h = Math.max(spacing, extent / (MAX_POINTS_PER_AXIS - 1));
+    const dims = [0, 1, 2].map(d => Math.max(2, Math.ceil((max[d] - min[d]) / h) + 1));
+    return {
+        dims,
+        origin: min,
+        axes: [[h, 0, 0], [0, h, 0], [0, 0, h]]
+    };
+}
@@ -0,0 +1,281 @@
+import { ELEMENTS } from '../constants.js';
+
+/**
+ * Parser and generator for Protein Data Bank (PDB) format.
+ *
+ * Handles:
+ *  - ATOM / HETATM records (fixed columns, element from cols 77-78 or the atom name)
+ *  - Residue name/number, chain ID, insertion code, occupancy, B-factor, segment ID, charge
+ *  - Alternate locations (only the first conformer is kept)
+ *  - MODEL / ENDMDL blocks (one model per entry)
+ *  - CONECT records (applied to every model by serial number)
+ *
+ * Per-atom metadata is returned as a `pdb` object matching Atom#pdb.
+ */
+export class PDBParser {
+    /**
+     * Parse PDB text.
+     * @param {string} content
+     * @returns {{ name: string, models: Array<{ atoms: Array<{ element: string, x: number, y: number, z: number, pdb: Object }>, bonds: Array<[number, number]> }> }}
+     */
+    static parse(content) {
+        const lines = content.split(/\r?\n/);
+        const models = [];
+        const conect = [];
+        let current = null;
+        let firstAltLoc = null;
+        let title = '';
+        let compnd = '';
+        let idCode = '';
+
+        const startModel = () => {
+            current = { atoms: [], serials: new Map() };
+            models.push(current);
+        };
+
+        for (const line of lines) {
+            const record = line.substring(0, 6).trim().toUpperCase();
+
+            if (record === 'MODEL') {
+                startModel();
+            } else if (record === 'ENDMDL') {
+                current = null;
+            } else if (record === 'END') {
+                break;
+            } else if (record === 'HEADER') {
+                idCode = line.substring(62, 66).trim();
+            } else if (record === 'TITLE') {
+                title += (title ? ' ' : '') + line.substring(10, 80).trim();
+            } else if (record === 'COMPND' && !compnd) {
+                compnd = line.substring(10, 80).trim().replace(/^MOLECULE:\s*/i, '').replace(/;$/, '');
+            } else if (record === 'ATOM' || record === 'HETATM') {
+                const altLoc = line.charAt(16).trim();
+                if (altLoc) {
+                    if (firstAltLoc === null) firstAltLoc = altLoc;
+                    if (altLoc !== firstAltLoc) continue;
+                }
+
+                const x = parseFloat(line.substring(30, 38));
+                const y = parseFloat(line.substring(38, 46));
+                const z = parseFloat(line.substring(46, 54));
+                if (isNaN(x) || isNaN(y) || isNaN(z)) continue;
+
+                if (!current) startModel();
+
+                const rawName = line.substring(12, 16);
+                const hetatm = record === 'HETATM';
+                const occupancy = parseFloat(line.substring(54, 60));
+                const tempFactor = parseFloat(line.substring(60, 66));
+
+                const pdb = {
+                    name: rawName.trim(),
+                    altLoc,
+                    resName: line.substring(17, 20).trim(),
+                    chainID: line.charAt(21).trim(),
+                    resSeq: parseInt(line.substring(22, 26)) || 0,
+                    iCode: line.charAt(26).trim(),
+                    occupancy: isNaN(occupancy) ? 1.0 : occupancy,
+                    tempFactor: isNaN(tempFactor) ? 0.0 : tempFactor,
+                    segID: line.substring(72, 76).trim(),
+                    charge: line.substring(78, 80).trim(),
+                    hetatm
+                };
+
+                const element = this._parseElement(line.substring(76, 78), rawName, hetatm);
+                const serial = parseInt(line.substring(6, 11));
+                if (!isNaN(serial)) current.serials.set(serial, current.atoms.length);
+                current.atoms.push({ element, x, y, z, pdb });
+            } else if (record === 'CONECT') {
+                const from = parseInt(line.substring(6, 11));
+                if (isNaN(from)) continue;
+                for (let col = 11; col < 31; col += 5) {
+                    const to = parseInt(line.substring(col, col + 5));
+                    if (!isNaN(to)) conect.push([from, to]);
+                }
+            }
+        }
+
+        const populated = models.filter(m => m.atoms.length > 0);
+        if (populated.length === 0) throw new Error('No ATOM/HETATM records found');
+
+        // Resolve CONECT serials per model, dropping duplicates (each bond is usually listed twice)
+        const result = populated.map(model => {
+            const seen = new Set();
+            const bonds = [];
+            conect.forEach(([s1, s2]) => {
+                const i = model.serials.get(s1);
+                const j = model.serials.get(s2);
+                if (i === undefined || j === undefined || i === j) return;
+                const key = i < j ? `${i}-${j}` : `${j}-${i}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                bonds.push([i, j]);
+            });
+            return { atoms: model.atoms, bonds };
+        });
+
+        return { name: title || compnd || idCode || 'PDB', models: result };
+    }
+
+    /**
+     * Generate PDB text for one or more molecules (written as MODEL blocks when more than one).
+     * Atoms without PDB metadata are written as HETATM records of residue UNL 1 in chain A,
+     * named by element and per-element counter (C1, C2, ...).
+     * CONECT records are written for every bond that involves a HETATM atom.
+     * @param {Molecule|Molecule[]} molecules
+     * @param {string} [title]
+     * @returns {string}
+     */
+    static generate(molecules, title) {
+        const list = Array.isArray(molecules) ? molecules : [molecules];
+        const lines = [];
+
+        const name = title || (list[0] && list[0].name) || 'Structure';
+        lines.push(`TITLE     ${name}`.substring(0, 80));
+
+        const first = list[0];
+        if (first && first.isCrystal && first.lattice) {
+            lines.push(this._formatCryst1(first.lattice, first.spaceGroup));
+        }
+
+        const multi = list.length > 1;
+        let firstSerials = null;
+        list.forEach((mol, m) => {
+            if (multi) lines.push(`MODEL     ${String(m + 1).padStart(4)}`);
+            const model = this._generateModel(mol);
+            lines.push(...model.lines);
+            if (multi) lines.push('ENDMDL');
+            if (m === 0) firstSerials = model.serials;
+        });
+
+        // CONECT records refer to serial numbers, so they are written once from the first model
+        if (first) lines.push(...this._generateConect(first, firstSerials));
+        lines.push('END');
+        return lines.join('\n') + '\n';
+    }
+
+    // ─── Internal: records ──────────────────────────────────────────────────
+
+    static _generateModel(mol) {
+        const lines = [];
+        const counters = {};
+        const serials = new Map();
+        let serial = 1;
+
+        mol.atoms.forEach((atom, i) => {
+            const meta = atom.pdb || this._defaultMeta(atom, counters);
+            serials.set(atom, serial);
+            lines.push(this._formatAtom(serial++, atom, meta));
+
+            // Close a polymer chain before a chain change or the first HETATM
+            if (!meta.hetatm) {
+                const next = mol.atoms[i + 1];
+                const nextMeta = next && next.pdb;
+                if (!nextMeta || nextMeta.hetatm || nextMeta.chainID !== meta.chainID) {
+                    lines.push(
+                        'TER   ' + String(serial++ % 100000).padStart(5) + '      ' +
+                        (meta.resName || '').padStart(3) + ' ' + (meta.chainID || ' ').charAt(0) +
+                        String(meta.resSeq || 0).padStart(4) + (meta.iCode || ' ').charAt(0)
+                    );
+                }
+            }
+        });
+        return { lines, serials };
+    }
+
+    static _generateConect(mol, serials) {
+
+        const partners = new Map();
+        mol.bonds.forEach(bond => {
+            const het1 = !bond.atom1.pdb || bond.atom1.pdb.hetatm;
+            const het2 = !bond.atom2.pdb || bond.atom2.pdb.hetatm;
+            if (!het1 && !het2) return;
+            const s1 = serials.get(bond.atom1);
+            const s2 = serials.get(bond.atom2);
+            if (!partners.has(s1)) partners.set(s1, []);
+            if (!partners.has(s2)) partners.set(s2, []);
+            partners.get(s1).push(s2);
+            partners.get(s2).push(s1);
+        });
+
+        const lines = [];
+        [...partners.keys()].sort((a, b) => a - b).forEach(s => {
+            const list = partners.get(s).sort((a, b) => a - b);
+            // At most four partners per record
+            for (let k = 0; k < list.length; k += 4) {
+                lines.push('CONECT' + [s, ...list.slice(k, k + 4)]
+                    .map(n => String(n % 100000).padStart(5)).join(''));
+            }
+        });
+        return lines;
+    }
+
+    static _formatAtom(serial, atom, meta) {
+        const element = atom.element === 'X' ? '' : atom.element;
+        const name = meta.name || element || 'X';
+        // Single-letter element names start in column 14, four-character and two-letter ones in 13
+        const nameField = (name.length >= 4 || element.length === 2 ? name : ' ' + name).padEnd(4).substring(0, 4);
+        const fmt = (v, w, d) => v.toFixed(d).padStart(w);
+
+        return (meta.hetatm ? 'HETATM' : 'ATOM  ') +
+            String(serial % 100000).padStart(5) + ' ' +
+            nameField +
+            (meta.altLoc || ' ').charAt(0) +
+            (meta.resName || 'UNL').padStart(3).substring(0, 3) + ' ' +
+            (meta.chainID || ' ').charAt(0) +
+            String(meta.resSeq !== undefined ? meta.resSeq : 1).padStart(4) +
+            (meta.iCode || ' ').charAt(0) + '   ' +
+            fmt(atom.position.x, 8, 3) + fmt(atom.position.y, 8, 3) + fmt(atom.position.z, 8, 3) +
+            fmt(meta.occupancy !== undefined ? meta.occupancy : 1, 6, 2) +
+            fmt(meta.tempFactor !== undefined ? meta.tempFactor : 0, 6, 2) +
+            '      ' +
+            (meta.segID || '').padEnd(4).substring(0, 4) +
+            element.toUpperCase().padStart(2) +
+            (meta.charge || '').padEnd(2).substring(0, 2);
+    }
+
+    static _formatCryst1(lattice, spaceGroup) {
+        const f = (v, w, d) => v.toFixed(d).padStart(w);
+        return 'CRYST1' +
+            f(lattice.a, 9, 3) + f(lattice.b, 9, 3) + f(lattice.c, 9, 3) +
+            f(lattice.alpha, 7, 2) + f(lattice.beta, 7, 2) + f(lattice.gamma, 7, 2) + ' ' +
+            (spaceGroup || 'P 1').padEnd(11).substring(0, 11) + '   1';
+    }
+
+    static _defaultMeta(atom, counters) {
+        counters[atom.element] = (counters[atom.element] || 0) + 1;
+        return {
+            name: `${atom.element.toUpperCase()}${counters[atom.element]}`.substring(0, 4),
+            resName: 'UNL',
+            chainID: 'A',
+            resSeq: 1,
+            occupancy: 1.0,
+            tempFactor: 0.0,
+            hetatm: true
+        };
+    }
+
+    // ─── Internal: element perception ───────────────────────────────────────
+
+    static _parseElement(field, rawName, hetatm) {
+        const normalize = s => s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
+
+        const col = field.trim().replace(/[^A-Za-z]/g, '');
+        if (col && ELEMENTS[normalize(col)]) return normalize(col);
+
+        // Fall back to the atom name: a leading space or digit means a one-letter element
+        const name = rawName.padEnd(4);
+        if (name.charAt(0) === ' ' || /\d/.test(name.charAt(0))) {
+            const one = name.charAt(1).toUpperCase();
+            return ELEMENTS[one] ? one : 'X';
+        }
+
+        const letters = name.replace(/[^A-Za-z]/g, '');
+        const two = normalize(letters.substring(0, 2));
+        // Left-justified names in HETATM records usually carry a two-letter element (FE, ZN, CL)
+        if (hetatm && two.length === 2 && ELEMENTS[two]) return two;
+        const one = letters.charAt(0).toUpperCase();
+        if (ELEMENTS[one]) return one;
+        return ELEMENTS[two] ? two : 'X';
+    }
+}
@@ -0,0 +1,543 @@
+import * as THREE from 'three';
+import { Crystal, LatticeParams } from '../crystal.js';
+import { ELEMENTS } from '../constants.js';
+
+const BOHR_TO_ANGSTROM = 0.529177210903;
+
+/** Standard atomic weights (u) by atomic number, H–Lr, written to ATOMIC_SPECIES */
+const ATOMIC_MASSES = [
+    0,
+    1.008, 4.0026, 6.94, 9.0122, 10.81, 12.011, 14.007, 15.999, 18.998, 20.180,
+    22.990, 24.305, 26.982, 28.085, 30.974, 32.06, 35.45, 39.948, 39.098, 40.078,
+    44.956, 47.867, 50.942, 51.996, 54.938, 55.845, 58.933, 58.693, 63.546, 65.38,
+    69.723, 72.630, 74.922, 78.971, 79.904, 83.798, 85.468, 87.62, 88.906, 91.224,
+    92.906, 95.95, 98, 101.07, 102.91, 106.42, 107.87, 112.41, 114.82, 118.71,
+    121.76, 127.60, 126.90, 131.29, 132.91, 137.33, 138.91, 140.12, 140.91, 144.24,
+    145, 150.36, 151.96, 157.25, 158.93, 162.50, 164.93, 167.26, 168.93, 173.05,
+    174.97, 178.49, 180.95, 183.84, 186.21, 190.23, 192.22, 195.08, 196.97, 200.59,
+    204.38, 207.2, 208.98, 209, 210, 222, 223, 226, 227, 232.04,
+    231.04, 238.03, 237, 244, 243, 247, 247, 251, 252, 257,
+    258, 259, 262
+];
+
+/** Card names of pw.x input; each one starts a new card */
+const CARDS = [
+    'ATOMIC_SPECIES', 'ATOMIC_POSITIONS', 'K_POINTS', 'ADDITIONAL_K_POINTS', 'CELL_PARAMETERS',
+    'CONSTRAINTS', 'OCCUPATIONS', 'ATOMIC_VELOCITIES', 'ATOMIC_FORCES', 'SOLVENTS', 'HUBBARD'
+];
+
+/** Calculations the writer emits a template for */
+const CALCULATIONS = ['scf', 'relax', 'vc-relax'];
+
+/**
+ * Reader and writer for Quantum ESPRESSO pw.x input, and reader for pw.x output.
+ *
+ * Input (`parse`):
+ *  - Namelists: `key = value` pairs, case-insensitive, Fortran `1.0d-8` / `.true.` values
+ *  - Cell: ibrav = 0 with CELL_PARAMETERS {alat|bohr|angstrom}, or any ibrav of the
+ *    pw.x manual from celldm(1-6) or A, B, C, cosAB, cosAC, cosBC
+ *  - ATOMIC_SPECIES labels (`Fe1`, `Fe_up`) map to their element
+ *  - ATOMIC_POSITIONS {alat|bohr|angstrom|crystal}; `if_pos` flags become Atom#frozen
+ *
+ * Output (`parseOutput`): the initial structure and every ATOMIC_POSITIONS /
+ * CELL_PARAMETERS block of a relax or vc-relax run, each with its `!` total energy (Ry).
+ *
+ * Cartesian positions are converted through the pw.x cell vectors, so structures come
+ * out in the editor's standard cell orientation (a along x, b in the xy plane).
+ */
+export class PWSCFParser {
+    /**
+     * Whether the text looks like a pw.x input file
+     * @param {string} content
+     * @returns {boolean}
+     */
+    static detect(content) {
+        return /&system\b/i.test(content) && /^\s*ATOMIC_POSITIONS\b/im.test(content);
+    }
+
+    /**
+     * Whether the text is pw.x output
+     * @param {string} content
+     * @returns {boolean}
+     */
+    static isOutput(content) {
+        return /Program PWSCF\b/.test(content);
+    }
+
+    /**
+     * Parse a pw.x input file into a Crystal.
+     * @param {string} content
+     * @param {string} [name] Structure name (defaults to title or prefix of &CONTROL)
+     * @returns {Crystal}
+     */
+    static parse(content, name) {
+        const { namelists, cards } = readInput(content);
+        const system = namelists.system;
+        if (!system) throw new Error('pw.x input: &SYSTEM namelist not found');
+        const nat = system.nat;
+        if (!Number.isInteger(nat) || nat < 1) throw new Error('pw.x input: nat missing in &SYSTEM');
+        if (!cards.ATOMIC_POSITIONS) throw new Error('pw.x input: ATOMIC_POSITIONS card not found');
+
+        const { vectors, alat } = this._cell(system, cards.CELL_PARAMETERS);
+        const species = new Map();
+        (cards.ATOMIC_SPECIES ? cards.ATOMIC_SPECIES.lines : []).forEach(line => {
+            const label = line.split(/\s+/)[0];
+            species.set(label, elementFromLabel(label));
+        });
+
+        const card = cards.ATOMIC_POSITIONS;
+        const sites = parsePositions(card.lines.slice(0, nat), card.option || 'alat', vectors, alat);
+        if (sites.length < nat) throw new Error(`pw.x input: ATOMIC_POSITIONS lists ${sites.length} of ${nat} atoms`);
+
+        const control = namelists.control || {};
+        const crystal = new Crystal(name || control.title || control.prefix || 'pw.x input');
+        crystal.setLattice(LatticeParams.fromVectors(...vectors));
+        sites.forEach(site => {
+            const element = species.get(site.label) || elementFromLabel(site.label);
+            const atom = crystal.addAtomFractional(element, ...site.frac);
+            if (site.frozen) atom.frozen = site.frozen;
+        });
+        return crystal;
+    }
+
+    /**
+     * Parse pw.x output into the geometries of the run.
+     * @param {string} content
+     * @returns {{ elements: string[], steps: Array<{ vectors: THREE.Vector3[], frac: number[][],
+     *   energy: number|null }>, frozen: Array<boolean[]|null>, normalTermination: boolean }}
+     *   Cell vectors in Å in the pw.x orientation, energies in Ry
+     */
+    static parseOutput(content) {
+        const lines = content.split('\n');
+        const species = new Map();
+        const labels = [];
+        const steps = [];
+        let frozen = [];
+        let alat = null;
+        let vectors = null;
+
+        // Add a geometry unless it repeats the last one (the final-coordinates block)
+        const pushStep = (cell, frac) => {
+            const last = steps[steps.length - 1];
+            const same = last &&
+                last.vectors.every((v, i) => v.distanceTo(cell[i]) < 1e-6) &&
+                last.frac.every((f, i) => f.every((x, k) => Math.abs(x - frac[i][k]) < 1e-6));
+            if (!same) steps.push({ vectors: cell.map(v => v.clone()), frac, energy: null });
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let m;
+            if ((m = line.match(/lattice parameter \(alat\)\s*=\s*(\S+)/))) {
+                alat = parseFloat(m[1]) * BOHR_TO_ANGSTROM;
+            } else if (/crystal axes: \(cart\. coord\. in units of alat\)/.test(line) && !vectors) {
+                vectors = [1, 2, 3].map(k => {
+                    const p = lines[i + k].match(/\(\s*(\S+)\s+(\S+)\s+(\S+)\s*\)/);
+                    return new THREE.Vector3(+p[1], +p[2], +p[3]).multiplyScalar(alat);
+                });
+                i += 3;
+            } else if (/^\s*atomic species\s+valence\s+mass\s+pseudopotential/.test(line)) {
+                // "Si  4.00  28.08550  Si( 1.00)": the element is taken from the pseudopotential
+                for (let j = i + 1; j < lines.length; j++) {
+                    const s = lines[j].match(/^\s*(\S+)\s+[\d.]+\s+[\d.]+\s+([A-Za-z]{1,2})\s*\(/);
+                    if (!s) break;
+                    species.set(s[1], elementFromLabel(s[2]));
+                }
+            } else if (/site n\.\s+atom\s+positions \(alat units\)/.test(line) && labels.length === 0) {
+                if (!vectors) throw new Error('pw.x output: crystal axes not found');
+                const cart = [];
+                for (let j = i + 1; j < lines.length; j++) {
+                    const s = lines[j].match(/^\s*\d+\s+(\S+)\s+tau\(\s*\d+\)\s*=\s*\(\s*(\S+)\s+(\S+)\s+(\S+)/);
+                    if (!s) break;
+                    labels.push(s[1]);
+                    cart.push(new THREE.Vector3(+s[2], +s[3], +s[4]).multiplyScalar(alat));
+                    i = j;
+                }
+                const inverse = inverseCell(vectors);
+                pushStep(vectors, cart.map(r => r.applyMatrix3(inverse).toArray()));
+            } else if ((m = line.match(/^\s*CELL_PARAMETERS\s*\(\s*(alat\s*=\s*(\S+?)|bohr|angstrom)\s*\)/i))) {
+                const scale = m[2] ? parseFloat(m[2]) * BOHR_TO_ANGSTROM
+                    : m[1].toLowerCase() === 'bohr' ? BOHR_TO_ANGSTROM : 1;
+                vectors = [1, 2, 3].map(k => new THREE.Vector3(...lines[i + k].trim().split(/\s+/).map(Number))
+                    .multiplyScalar(scale));
+                i += 3;
+            } else if ((m = line.match(/^\s*ATOMIC_POSITIONS\s*[({]?\s*(\w*)/i)) && labels.length > 0) {
+                const block = lines.slice(i + 1, i + 1 + labels.length).map(l => l.trim());
+                const sites = parsePositions(block, m[1] || 'alat', vectors, alat);
+                if (sites.length !== labels.length) throw new Error('pw.x output: truncated ATOMIC_POSITIONS block');
+                pushStep(vectors, sites.map(s => s.frac));
+                frozen = sites.map(s => s.frozen);
+                i += labels.length;
+            } else if ((m = line.match(/^!\s+total energy\s+=\s+(\S+)\s+Ry/)) && steps.length > 0) {
+                // The final scf of a vc-relax run replaces the energy of the same geometry
+                steps[steps.length - 1].energy = parseFloat(m[1]);
+            }
+        }
+
+        if (steps.length === 0) throw new Error('pw.x output: no atomic positions found');
+        return {
+            elements: labels.map(label => species.get(label) || elementFromLabel(label)),
+            steps,
+            frozen: frozen.length === labels.length ? frozen : labels.map(() => null),
+            normalTermination: /JOB DONE\./.test(content)
+        };
+    }
+
+    /**
+     * Cell vectors (Å) and alat (Å) from &SYSTEM and the CELL_PARAMETERS card
+     */
+    static _cell(system, card) {
+        const ibrav = system.ibrav || 0;
+        const celldm = [0, 1, 2, 3, 4, 5, 6].map(i => system[`celldm(${i})`] || 0);
+        if (!celldm[1] && system.a) {
+            // A, B, C in Å and the cosines map onto celldm as in pw.x
+            celldm[1] = system.a / BOHR_TO_ANGSTROM;
+            celldm[2] = (system.b || 0) / system.a;
+            celldm[3] = (system.c || 0) / system.a;
+            const { cosab = 0, cosac = 0, cosbc = 0 } = system;
+            if (ibrav === 14) {
+                [celldm[4], celldm[5], celldm[6]] = [cosbc, cosac, cosab];
+            } else if (Math.abs(ibrav) === 5) {
+                celldm[4] = cosab || cosbc || cosac;
+            } else if (ibrav === -12 || ibrav === -13) {
+                celldm[5] = cosac;
+            } else {
+                celldm[4] = cosab;
+            }
+        }
+        let alat = celldm[1] ? celldm[1] * BOHR_TO_ANGSTROM : null;
+
+        if (ibrav === 0) {
+            if (!card) throw new Error('pw.x input: ibrav = 0 needs a CELL_PARAMETERS card');
+            const unit = card.option || (alat ? 'alat' : 'bohr');
+            if (unit === 'alat' && !alat) throw new Error('pw.x input: CELL_PARAMETERS alat needs celldm(1) or A');
+            const scale = unit === 'angstrom' ? 1 : unit === 'bohr' ? BOHR_TO_ANGSTROM : alat;
+            const vectors = card.lines.slice(0, 3).map(line =>
+                new THREE.Vector3(...line.split(/\s+/).slice(0, 3).map(Number)).multiplyScalar(scale));
+            if (vectors.length < 3 || vectors.some(v => !isFinite(v.x + v.y + v.z))) {
+                throw new Error('pw.x input: invalid CELL_PARAMETERS');
+            }
+            // Without an explicit alat, pw.x takes the length of the first vector
+            if (unit !== 'alat') alat = vectors[0].length();
+            return { vectors, alat };
+        }
+
+        if (!alat) throw new Error(`pw.x input: ibrav = ${ibrav} needs celldm(1) or A`);
+        return { vectors: bravaisVectors(ibrav, celldm).map(v => v.multiplyScalar(alat)), alat };
+    }
+
+    /**
+     * Generate a pw.x input with template &CONTROL, &SYSTEM and &ELECTRONS namelists.
+     * @param {Crystal} crystal
+     * @param {Object} [options]
+     * @param {string} [options.calculation='scf'] - scf | relax | vc-relax
+     * @param {number} [options.ecutwfc=40] - Wavefunction cutoff (Ry)
+     * @param {number} [options.ecutrho] - Charge-density cutoff (Ry); pw.x default (4×ecutwfc) if omitted
+     * @param {number} [options.kspacing=0.25] - Monkhorst–Pack k-point spacing in Å⁻¹ (2π included)
+     * @param {number[]} [options.frozen=[]] - 0-based indices of atoms to hold fixed, in addition to Atom#frozen
+     * @returns {string}
+     */
+    static generate(crystal, options = {}) {
+        if (!crystal.lattice) throw new Error('Crystal has no lattice parameters');
+        const {
+            calculation = 'scf', ecutwfc = 40, ecutrho = null, kspacing = 0.25, frozen = []
+        } = options;
+        if (!CALCULATIONS.includes(calculation)) {
+            throw new Error(`Unknown calculation: ${calculation}. Use ${CALCULATIONS.join(', ')}`);
+        }
+        if (!(ecutwfc > 0)) throw new Error('ecutwfc must be a positive number (Ry)');
+        if (ecutrho !== null && !(ecutrho >= ecutwfc)) throw new Error('ecutrho must be at least ecutwfc');
+        if (!(kspacing > 0)) throw new Error('k-point spacing must be a positive number (Å⁻¹)');
+        if (crystal.atoms.length === 0) throw new Error('No atoms to export');
+
+        const elements = [...new Set(crystal.atoms.map(atom => atom.element))];
+        const fixed = new Set(frozen);
+        const flags = crystal.atoms.map((atom, i) => fixed.has(i) ? [true, true, true] : atom.frozen);
+        const anyFixed = flags.some(f => f && f.some(Boolean));
+
+        const prefix = (crystal.name || 'pwscf').replace(/[^\w.-]+/g, '_');
+        const fmt = (n, digits = 10) => n.toFixed(digits).padStart(digits + 4);
+
+        const lines = [
+            '&CONTROL',
+            `    calculation = '${calculation}'`,
+            `    prefix = '${prefix}'`,
+            `    pseudo_dir = './'`,
+            `    outdir = './tmp'`,
+            ...(calculation === 'scf' ? [] : ['    forc_conv_thr = 1.0d-3']),
+            '/',
+            '&SYSTEM',
+            '    ibrav = 0',
+            `    nat = ${crystal.atoms.length}`,
+            `    ntyp = ${elements.length}`,
+            `    ecutwfc = ${ecutwfc}`,
+            ...(ecutrho !== null ? [`    ecutrho = ${ecutrho}`] : []),
+            `    occupations = 'smearing'`,
+            `    smearing = 'mv'`,
+            '    degauss = 0.01',
+            '/',
+            '&ELECTRONS',
+            '    conv_thr = 1.0d-8',
+            '/'
+        ];
+        if (calculation !== 'scf') lines.push('&IONS', '/');
+        if (calculation === 'vc-relax') lines.push('&CELL', `    cell_dofree = 'all'`, '/');
+
+        lines.push('', 'ATOMIC_SPECIES');
+        elements.forEach(element => {
+            const z = ELEMENTS[element] ? ELEMENTS[element].atomicNumber : 0;
+            const mass = ATOMIC_MASSES[z] || 1.0;
+            lines.push(`  ${element.padEnd(3)} ${mass.toFixed(4).padStart(9)}  ${element}.UPF`);
+        });
+
+        const { a: va, b: vb, c: vc } = crystal.lattice.toLatticeVectors();
+        lines.push('', 'CELL_PARAMETERS angstrom');
+        [va, vb, vc].forEach(v => lines.push(`${fmt(v.x)}  ${fmt(v.y)}  ${fmt(v.z)}`));
+
+        lines.push('', 'ATOMIC_POSITIONS crystal');
+        crystal.atoms.forEach((atom, i) => {
+            const f = crystal.getFracSafe(atom);
+            let line = `  ${atom.element.padEnd(3)} ${fmt(f.x)}  ${fmt(f.y)}  ${fmt(f.z)}`;
+            if (anyFixed) {
+                // if_pos: 0 holds the coordinate fixed
+                line += '  ' + [0, 1, 2].map(k => flags[i] && flags[i][k] ? '0' : '1').join(' ');
+            }
+            lines.push(line);
+        });
+
+        const reciprocal = crystal.lattice.reciprocalVectors();
+        const mesh = [reciprocal.a, reciprocal.b, reciprocal.c]
+            .map(b => Math.max(1, Math.ceil(2 * Math.PI * b.length() / kspacing)));
+        lines.push('', 'K_POINTS automatic', `  ${mesh.join(' ')}  0 0 0`);
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// ─── Input reading ──────────────────────────────────────────────────────────
+
+/**
+ * Split pw.x input into namelists ({ control: { key: value }, ... }, keys lower case)
+ * and cards ({ ATOMIC_POSITIONS: { option, lines } })
+ */
+function readInput(content) {
+    const namelists = {};
+    const cards = {};
+    let namelist = null;
+    let card = null;
+
+    content.split('\n').forEach(raw => {
+        const line = stripComment(raw).trim();
+        if (!line) return;
+
+        if (namelist) {
+            if (line === '/') { namelist = null; return; }
+            const body = line.endsWith('/') && !/['"]$/.test(line) ? line.slice(0, -1) : line;
+            readAssignments(body, namelist);
+            if (body !== line) namelist = null;
+            return;
+        }
+        const start = line.match(/^&(\w+)(.*)$/);
+        if (start) {
+            namelist = namelists[start[1].toLowerCase()] = {};
+            const rest = start[2].trim();
+            if (rest) {
+                const closed = rest.endsWith('/');
+                readAssignments(closed ? rest.slice(0, -1) : rest, namelist);
+                if (closed) namelist = null;
+            }
+            return;
+        }
+        const header = line.match(/^([A-Za-z_]+)\s*[({]?\s*([\w-]*)\s*[)}]?/);
+        if (header && CARDS.includes(header[1].toUpperCase())) {
+            card = cards[header[1].toUpperCase()] = { option: header[2].toLowerCase(), lines: [] };
+            return;
+        }
+        if (card) card.lines.push(line);
+    });
+
+    return { namelists, cards };
+}
+
+/** Remove a `!` or `#` comment that is not inside a quoted string */
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '\'' || ch === '"') {
+            quote = ch;
+        } else if (ch === '!' || ch === '#') {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+/** Read `key = value` pairs (comma or space separated) into `target` */
+function readAssignments(text, target) {
+    const pattern = /([A-Za-z_]\w*(?:\(\s*\d+\s*\))?)\s*=\s*('[^']*'|"[^"]*"|[^,\s]+)/g;
+    let m;
+    while ((m = pattern.exec(text))) {
+        const key = m[1].toLowerCase().replace(/\s+/g, '');
+        target[key] = namelistValue(m[2]);
+    }
+}
+
+/** Fortran namelist value: quoted string, logical or number (d exponents allowed) */
+function namelistValue(token) {
+    if (/^['"]/.test(token)) return token.slice(1, -1);
+    const lower = token.toLowerCase();
+    if (/^\.?t(rue)?\.?$/.test(lower)) return true;
+    if (/^\.?f(alse)?\.?$/.test(lower)) return false;
+    const n = Number(lower.replace(/d/, 'e'));
+    return isNaN(n) ? token : n;
+}
+
+/**
+ * ATOMIC_POSITIONS lines to fractional coordinates
+ * @param {string[]} lines - `label x y z [if_pos(1) if_pos(2) if_pos(3)]`
+ * @param {string} unit - alat | bohr | angstrom | crystal
+ * @param {THREE.Vector3[]} vectors - Cell vectors (Å)
+ * @param {number} alat - Å
+ * @returns {Array<{ label: string, frac: number[], frozen: boolean[]|null }>}
+ */
+function parsePositions(lines, unit, vectors, alat) {
+    const scale = { alat, bohr: BOHR_TO_ANGSTROM, angstrom: 1 }[unit];
+    if (unit !== 'crystal' && !scale) throw new Error(`Unsupported ATOMIC_POSITIONS units: ${unit}`);
+    const inverse = unit === 'crystal' ? null : inverseCell(vectors);
+
+    const sites = [];
+    lines.forEach(line => {
+        const parts = line.split(/\s+/);
+        const xyz = parts.slice(1, 4).map(namelistValue);
+        if (xyz.length < 3 || xyz.some(v => typeof v !== 'number')) return;
+        const frac = inverse
+            ? new THREE.Vector3(...xyz).multiplyScalar(scale).applyMatrix3(inverse).toArray()
+            : xyz;
+        const ifPos = parts.slice(4, 7).map(Number);
+        const frozen = ifPos.length === 3 && ifPos.some(v => v === 0) ? ifPos.map(v => v === 0) : null;
+        sites.push({ label: parts[0], frac, frozen });
+    });
+    return sites;
+}
+
+/** Matrix taking Cartesian positions to fractions of the given cell vectors */
+function inverseCell([a, b, c]) {
+    const m = new THREE.Matrix3().set(
+        a.x, b.x, c.x,
+        a.y, b.y, c.y,
+        a.z, b.z, c.z
+    );
+    if (Math.abs(m.determinant()) < 1e-10) throw new Error('Degenerate unit cell');
+    return m.invert();
+}
+
+/** Element of a species label: `Fe1`, `Fe_up`, `fe` → Fe; unknown → X */
+function elementFromLabel(label) {
+    const letters = (label.match(/^[A-Za-z]+/) || [''])[0];
+    const two = letters.charAt(0).toUpperCase() + letters.charAt(1).toLowerCase();
+    if (letters.length >= 2 && ELEMENTS[two]) return two;
+    const one = letters.charAt(0).toUpperCase();
+    return ELEMENTS[one] ? one : 'X';
+}
+
+// ─── Bravais lattices ───────────────────────────────────────────────────────
+
+/**
+ * Primitive vectors of pw.x's ibrav lattices in units of alat
+ * @param {number} ibrav
+ * @param {number[]} celldm - celldm(1..6) at indices 1..6
+ * @returns {THREE.Vector3[]}
+ */
+function bravaisVectors(ibrav, celldm) {
+    const v = (x, y, z) => new THREE.Vector3(x, y, z);
+    const b = celldm[2];
+    const c = celldm[3];
+    const needs = (...indices) => indices.forEach(i => {
+        if (!celldm[i]) throw new Error(`pw.x input: ibrav = ${ibrav} needs celldm(${i})`);
+    });
+
+    switch (ibrav) {
+        case 1:
+            return [v(1, 0, 0), v(0, 1, 0), v(0, 0, 1)];
+        case 2:
+            return [v(-0.5, 0, 0.5), v(0, 0.5, 0.5), v(-0.5, 0.5, 0)];
+        case 3:
+            return [v(0.5, 0.5, 0.5), v(-0.5, 0.5, 0.5), v(-0.5, -0.5, 0.5)];
+        case -3:
+            return [v(-0.5, 0.5, 0.5), v(0.5, -0.5, 0.5), v(0.5, 0.5, -0.5)];
+        case 4:
+            needs(3);
+            return [v(1, 0, 0), v(-0.5, Math.sqrt(3) / 2, 0), v(0, 0, c)];
+        case 5:
+        case -5: {
+            const cos = celldm[4];
+            if (!(cos > -0.5 && cos < 1)) throw new Error('pw.x input: ibrav = ±5 needs -0.5 < celldm(4) < 1');
+            const tx = Math.sqrt((1 - cos) / 2);
+            const ty = Math.sqrt((1 - cos) / 6);
+            const tz = Math.sqrt((1 + 2 * cos) / 3);
+            if (ibrav === 5) return [v(tx, -ty, tz), v(0, 2 * ty, tz), v(-tx, -ty, tz)];
+            const u = (tz - 2 * Math.SQRT2 * ty) / Math.sqrt(3);
+            const w = (tz + Math.SQRT2 * ty) / Math.sqrt(3);
+            return [v(u, w, w), v(w, u, w), v(w, w, u)];
+        }
+        case 6:
+            needs(3);
+            return [v(1, 0, 0), v(0, 1, 0), v(0, 0, c)];
+        case 7:
+            needs(3);
+            return [v(0.5, -0.5, c / 2), v(0.5, 0.5, c / 2), v(-0.5, -0.5, c / 2)];
+        case 8:
+            needs(2, 3);
+            return [v(1, 0, 0), v(0, b, 0), v(0, 0, c)];
+        case 9:
+            needs(2, 3);
+            return [v(0.5, b / 2, 0), v(-0.5, b / 2, 0), v(0, 0, c)];
+        case -9:
+            needs(2, 3);
+            return [v(0.5, -b / 2, 0), v(0.5, b / 2, 0), v(0, 0, c)];
+        case 91:
+            needs(2, 3);
+            return [v(1, 0, 0), v(0, b / 2, -c / 2), v(0, b / 2, c / 2)];
+        case 10:
+            needs(2, 3);
+            return [v(0.5, 0, c / 2), v(0.5, b / 2, 0), v(0, b / 2, c / 2)];
+        case 11:
+            needs(2, 3);
+            return [v(0.5, b / 2, c / 2), v(-0.5, b / 2, c / 2), v(-0.5, -b / 2, c / 2)];
+        case 12:
+        case 13: {
+            needs(2, 3);
+            const cos = celldm[4];
+            const sin = Math.sqrt(1 - cos * cos);
+            return ibrav === 12
+                ? [v(1, 0, 0), v(b * cos, b * sin, 0), v(0, 0, c)]
+                : [v(0.5, 0, -c / 2), v(b * cos, b * sin, 0), v(0.5, 0, c / 2)];
+        }
+        case -12:
+        case -13: {
+            needs(2, 3);
+            const cos = celldm[5];
+            const sin = Math.sqrt(1 - cos * cos);
+            return ibrav === -12
+                ? [v(1, 0, 0), v(0, b, 0), v(c * cos, 0, c * sin)]
+                : [v(0.5, b / 2, 0), v(-0.5, b / 2, 0), v(c * cos, 0, c * sin)];
+        }
+        case 14: {
+            needs(2, 3);
+            const [cosA, cosB, cosG] = [celldm[4], celldm[5], celldm[6]];
+            const sinG = Math.sqrt(1 - cosG * cosG);
+            const volume = 1 + 2 * cosA * cosB * cosG - cosA * cosA - cosB * cosB - cosG * cosG;
+            if (!(volume > 0)) throw new Error('pw.x input: ibrav = 14 angles do not form a cell');
+            return [
+                v(1, 0, 0),
+                v(b * cosG, b * sinG, 0),
+                v(c * cosB, c * (cosA - cosB * cosG) / sinG, c * Math.sqrt(volume) / sinG)
+            ];
+        }
+        default:
+            throw new Error(`pw.x input: unsupported ibrav = ${ibrav}`);
+    }
+}
@@ -0,0 +1,220 @@
+import { ELEMENTS } from '../constants.js';
+
+export const QC_JOB_TYPES = ['sp', 'opt', 'freq', 'optfreq', 'ts'];
+
+/** Export format names → program */
+export const QC_FORMATS = {
+    gjf: 'gaussian', gaussian: 'gaussian', com: 'gaussian',
+    orca: 'orca', inp: 'orca',
+    qchem: 'qchem', qcin: 'qchem'
+};
+
+/** Display name per program */
+export const QC_PROGRAM_NAMES = { gaussian: 'Gaussian', orca: 'ORCA', qchem: 'Q-Chem' };
+
+/** Default file extension per program */
+export const QC_EXTENSIONS = { gaussian: 'gjf', orca: 'inp', qchem: 'in' };
+
+/**
+ * Generator for quantum-chemistry program input files.
+ *
+ * Supported programs:
+ *  - Gaussian (.gjf): route line, title, charge/multiplicity, Cartesian block
+ *    (frozen atoms use the -1 freeze code)
+ *  - ORCA (.inp): simple input line, %pal/%maxcore, %geom Constraints, * xyz block
+ *  - Q-Chem (.in): $molecule, $rem and $opt FIXED blocks
+ *
+ * Job types: sp, opt, freq, optfreq, ts (TS search followed by a frequency check).
+ */
+export class QCInputWriter {
+    /**
+     * Generate an input file.
+     * @param {string} program - 'gaussian' | 'orca' | 'qchem'
+     * @param {Array<{element: string, position: {x: number, y: number, z: number}}>} atoms
+     * @param {Object} options
+     * @param {string} [options.method='B3LYP']
+     * @param {string} [options.basis='def2-SVP']
+     * @param {number} [options.charge=0]
+     * @param {number} [options.multiplicity] - Defaults to the lowest spin state allowed by the electron count
+     * @param {string} [options.job='opt'] - One of QC_JOB_TYPES
+     * @param {number[]} [options.frozen=[]] - 0-based indices of atoms held fixed (opt/ts jobs only)
+     * @param {number} [options.nprocs=4]
+     * @param {number} [options.memory=4] - Total memory in GB
+     * @param {string} [options.title='Molecule']
+     * @returns {string}
+     */
+    static generate(program, atoms, options = {}) {
+        const opts = this.normalizeOptions(atoms, options);
+        switch (program) {
+            case 'gaussian': return this._gaussian(atoms, opts);
+            case 'orca': return this._orca(atoms, opts);
+            case 'qchem': return this._qchem(atoms, opts);
+            default: throw new Error(`Unknown program: ${program}`);
+        }
+    }
+
+    /**
+     * Fill defaults and validate charge/multiplicity against the electron count.
+     * @returns {Object} Normalized options
+     */
+    static normalizeOptions(atoms, options = {}) {
+        const opts = {
+            method: 'B3LYP',
+            basis: 'def2-SVP',
+            charge: 0,
+            job: 'opt',
+            frozen: [],
+            nprocs: 4,
+            memory: 4,
+            title: 'Molecule',
+            ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined))
+        };
+
+        opts.job = opts.job.toLowerCase();
+        if (!QC_JOB_TYPES.includes(opts.job)) {
+            throw new Error(`Unknown job type: ${opts.job}. Use ${QC_JOB_TYPES.join(', ')}`);
+        }
+
+        if (!Number.isInteger(opts.nprocs) || opts.nprocs < 1) throw new Error(`Invalid processor count: ${opts.nprocs}`);
+        if (!(opts.memory > 0)) throw new Error(`Invalid memory: ${opts.memory}`);
+        if (opts.multiplicity !== undefined && (!Number.isInteger(opts.multiplicity) || opts.multiplicity < 1)) {
+            throw new Error(`Invalid multiplicity: ${opts.multiplicity}`);
+        }
+
+        const unknown = atoms.find(a => !ELEMENTS[a.element] || a.element === 'X');
+        if (unknown) throw new Error(`Cannot write element "${unknown.element}" to a QC input`);
+
+        const electrons = atoms.reduce((sum, a) => sum + ELEMENTS[a.element].atomicNumber, 0) - opts.charge;
+        if (electrons < 0) throw new Error(`Charge ${opts.charge} exceeds the nuclear charge`);
+        if (opts.multiplicity === undefined) {
+            opts.multiplicity = electrons % 2 === 0 ? 1 : 2;
+        } else if ((electrons + opts.multiplicity) % 2 === 0) {
+            throw new Error(`Multiplicity ${opts.multiplicity} is impossible with ${electrons} electrons`);
+        }
+
+        // Constraints only make sense for geometry searches
+        if (!['opt', 'optfreq', 'ts'].includes(opts.job)) opts.frozen = [];
+        return opts;
+    }
+
+    static _coord(v) {
+        return v.toFixed(8).padStart(16);
+    }
+
+    static _atomLine(atom) {
+        const { x, y, z } = atom.position;
+        return `${atom.element.padEnd(3)}${this._coord(x)}${this._coord(y)}${this._coord(z)}`;
+    }
+
+    // ─── Gaussian ───────────────────────────────────────────────────────────
+
+    static _gaussian(atoms, opts) {
+        const jobKeywords = {
+            sp: 'SP',
+            opt: 'Opt',
+            freq: 'Freq',
+            optfreq: 'Opt Freq',
+            ts: 'Opt=(TS,CalcFC,NoEigenTest) Freq'
+        };
+        const frozen = new Set(opts.frozen);
+        const chk = opts.title.replace(/[^\w.-]+/g, '_');
+
+        const lines = [
+            `%nprocshared=${opts.nprocs}`,
+            Number.isInteger(opts.memory) ? `%mem=${opts.memory}GB` : `%mem=${Math.round(opts.memory * 1024)}MB`,
+            `%chk=${chk}.chk`,
+            `# ${jobKeywords[opts.job]} ${opts.method}/${opts.basis}`,
+            '',
+            opts.title,
+            '',
+            `${opts.charge} ${opts.multiplicity}`
+        ];
+
+        atoms.forEach((atom, i) => {
+            if (frozen.size > 0) {
+                // Freeze code column: -1 = fixed, 0 = optimized
+                const { x, y, z } = atom.position;
+                const code = frozen.has(i) ? '-1' : ' 0';
+                lines.push(`${atom.element.padEnd(3)} ${code}${this._coord(x)}${this._coord(y)}${this._coord(z)}`);
+            } else {
+                lines.push(this._atomLine(atom));
+            }
+        });
+
+        // Gaussian requires a terminating blank line
+        lines.push('', '');
+        return lines.join('\n');
+    }
+
+    // ─── ORCA ───────────────────────────────────────────────────────────────
+
+    static _orca(atoms, opts) {
+        const jobKeywords = { sp: 'SP', opt: 'Opt', freq: 'Freq', optfreq: 'Opt Freq', ts: 'OptTS Freq' };
+        const maxcore = Math.max(1, Math.floor(opts.memory * 1024 / opts.nprocs * 0.75));
+
+        const lines = [
+            `# ${opts.title}`,
+            `! ${opts.method} ${opts.basis} ${jobKeywords[opts.job]}`,
+            '',
+            `%pal nprocs ${opts.nprocs} end`,
+            `%maxcore ${maxcore}`,
+            ''
+        ];
+
+        if (opts.job === 'ts' || opts.frozen.length > 0) {
+            lines.push('%geom');
+            if (opts.job === 'ts') lines.push('  Calc_Hess true');
+            if (opts.frozen.length > 0) {
+                lines.push('  Constraints');
+                opts.frozen.forEach(i => lines.push(`    { C ${i} C }`));
+                lines.push('  end');
+            }
+            lines.push('end', '');
+        }
+
+        lines.push(`* xyz ${opts.charge} ${opts.multiplicity}`);
+        atoms.forEach(atom => lines.push(this._atomLine(atom)));
+        lines.push('*', '');
+        return lines.join('\n');
+    }
+
+    // ─── Q-Chem ─────────────────────────────────────────────────────────────
+
+    static _qchem(atoms, opts) {
+        const jobTypes = { sp: 'sp', opt: 'opt', freq: 'freq', optfreq: 'opt', ts: 'ts' };
+
+        const molecule = [
+            '$molecule',
+            `${opts.charge} ${opts.multiplicity}`,
+            ...atoms.map(atom => this._atomLine(atom)),
+            '$end'
+        ];
+
+        const rem = (jobType) => [
+            '$rem',
+            `   JOBTYPE     ${jobType}`,
+            `   METHOD      ${opts.method}`,
+            `   BASIS       ${opts.basis}`,
+            `   MEM_TOTAL   ${Math.round(opts.memory * 1024)}`,
+            ...(opts.multiplicity > 1 ? ['   UNRESTRICTED TRUE'] : []),
+            '$end'
+        ];
+
+        const lines = [`$comment\n${opts.title}\n$end`, '', ...molecule, '', ...rem(jobTypes[opts.job])];
+
+        if (opts.frozen.length > 0) {
+            lines.push('', '$opt', 'FIXED');
+            // Q-Chem atom numbers are 1-based
+            opts.frozen.forEach(i => lines.push(`${String(i + 1).padStart(4)} XYZ`));
+            lines.push('ENDFIXED', '$end');
+        }
+
+        // Frequencies on the optimized/TS geometry run as a second job
+        if (opts.job === 'optfreq' || opts.job === 'ts') {
+            lines.push('', '@@@', '', '$molecule', 'read', '$end', '', ...rem('freq'));
+        }
+
+        lines.push('');
+        return lines.join('\n');
+    }
+}
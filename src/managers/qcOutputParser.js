@@ -0,0 +1,301 @@
+import { ELEMENTS } from '../constants.js';
+
+/** Atomic number → element symbol */
+const SYMBOLS = Object.fromEntries(
+    Object.entries(ELEMENTS).map(([symbol, data]) => [data.atomicNumber, symbol])
+);
+
+/**
+ * Parser for quantum-chemistry program output (Gaussian .log, ORCA .out).
+ *
+ * Extracts:
+ *  - Every geometry printed during the run (optimization steps), paired with the
+ *    energy computed for it (SCF Done / FINAL SINGLE POINT ENERGY)
+ *  - The last Mulliken, Loewdin (ORCA) and NPA (NBO) atomic charges
+ *  - Vibrational frequencies, IR intensities and normal-mode displacement vectors
+ *  - Charge, multiplicity and whether the job terminated normally
+ *
+ * Result:
+ *  {
+ *    program: 'gaussian' | 'orca',
+ *    elements: string[],
+ *    steps: [{ positions: Float64Array(3N), energy: number|null }],
+ *    charges: { mulliken?: number[], loewdin?: number[], npa?: number[] },
+ *    vibrations: [{ frequency: number, irIntensity: number|null, displacements: Float64Array(3N) }],
+ *    charge: number|null, multiplicity: number|null, normalTermination: boolean
+ *  }
+ */
+export class QCOutputParser {
+    /**
+     * Identify the program that wrote an output file.
+     * @param {string} content
+     * @returns {'gaussian'|'orca'|null}
+     */
+    static detect(content) {
+        const head = content.substring(0, 20000);
+        if (/Entering Gaussian System|Gaussian, Inc\./.test(head)) return 'gaussian';
+        if (/O\s{3}R\s{3}C\s{3}A|\bORCA\b/.test(head)) return 'orca';
+        return null;
+    }
+
+    /**
+     * Parse an output file (program is auto-detected when omitted).
+     * @param {string} content
+     * @param {string} [program]
+     * @returns {Object} See class docs
+     */
+    static parse(content, program) {
+        program = program || this.detect(content);
+        let result;
+        if (program === 'gaussian') result = this._parseGaussian(content.split(/\r?\n/));
+        else if (program === 'orca') result = this._parseOrca(content.split(/\r?\n/));
+        else throw new Error('Unrecognized output file (expected Gaussian log or ORCA output)');
+
+        if (result.steps.length === 0) throw new Error('No geometry found in output');
+        result.program = program;
+        result.steps = this._dedupeSteps(result.steps);
+        return result;
+    }
+
+    // ─── Gaussian ───────────────────────────────────────────────────────────
+
+    static _parseGaussian(lines) {
+        const result = this._emptyResult();
+        // Prefer the standard orientation; normal modes are printed in that frame
+        const hasStandard = lines.some(l => l.includes('Standard orientation:'));
+        const orientation = hasStandard ? 'Standard orientation:' : 'Input orientation:';
+        let freqColumns = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (line.includes(orientation)) {
+                // 4 header lines, then rows until the closing dashes
+                const elements = [];
+                const coords = [];
+                for (let j = i + 5; j < lines.length && !lines[j].includes('-----'); j++) {
+                    const p = lines[j].trim().split(/\s+/);
+                    if (p.length < 6) break;
+                    elements.push(SYMBOLS[parseInt(p[1])] || 'X');
+                    coords.push(parseFloat(p[3]), parseFloat(p[4]), parseFloat(p[5]));
+                }
+                if (elements.length > 0) {
+                    result.elements = elements;
+                    result.steps.push({ positions: Float64Array.from(coords), energy: null });
+                }
+            } else if (line.includes('SCF Done:')) {
+                const m = line.match(/=\s*(-?\d+\.\d+)/);
+                if (m && result.steps.length > 0) result.steps[result.steps.length - 1].energy = parseFloat(m[1]);
+            } else if (/^\s*Charge\s*=\s*-?\d+\s+Multiplicity\s*=\s*\d+/.test(line)) {
+                const m = line.match(/Charge\s*=\s*(-?\d+)\s+Multiplicity\s*=\s*(\d+)/);
+                result.charge = parseInt(m[1]);
+                result.multiplicity = parseInt(m[2]);
+            } else if (/^\s*Mulliken (atomic )?charges( and spin densities)?:\s*$/.test(line)) {
+                // Header row of column numbers follows, then "  1  C  -0.123 [spin]". The
+                // "with hydrogens summed into heavy atoms" table that follows is skipped.
+                const charges = [];
+                for (let j = i + 2; j < lines.length; j++) {
+                    const m = lines[j].match(/^\s*\d+\s+[A-Za-z]+\s+(-?\d+\.\d+)/);
+                    if (!m) break;
+                    charges.push(parseFloat(m[1]));
+                }
+                if (charges.length > 0) result.charges.mulliken = charges;
+            } else if (line.includes('Summary of Natural Population Analysis')) {
+                const npa = this._parseNPA(lines, i);
+                if (npa) result.charges.npa = npa;
+            } else if (line.includes('Harmonic frequencies (cm**-1)')) {
+                // A new frequency section (e.g. a second Freq job) replaces earlier ones
+                result.vibrations = [];
+            } else if (/^\s*Frequencies --/.test(line)) {
+                const freqs = line.split('--')[1].trim().split(/\s+/).map(Number);
+                freqColumns = freqs.map(f => ({ frequency: f, irIntensity: null, displacements: null }));
+                result.vibrations.push(...freqColumns);
+            } else if (/^\s*IR Inten\s+--/.test(line) && freqColumns) {
+                line.split('--')[1].trim().split(/\s+/).map(Number)
+                    .forEach((v, k) => { if (freqColumns[k]) freqColumns[k].irIntensity = v; });
+            } else if (/^\s*Atom\s+AN\s+X\s+Y\s+Z/.test(line) && freqColumns) {
+                const n = result.elements.length;
+                freqColumns.forEach(col => { col.displacements = new Float64Array(3 * n); });
+                for (let a = 0; a < n; a++) {
+                    const p = (lines[i + 1 + a] || '').trim().split(/\s+/).map(Number);
+                    freqColumns.forEach((col, k) => {
+                        col.displacements[3 * a] = p[2 + 3 * k];
+                        col.displacements[3 * a + 1] = p[3 + 3 * k];
+                        col.displacements[3 * a + 2] = p[4 + 3 * k];
+                    });
+                }
+                freqColumns = null;
+                i += n;
+            } else if (line.includes('Normal termination of Gaussian')) {
+                result.normalTermination = true;
+            }
+        }
+
+        result.vibrations = result.vibrations.filter(v => v.displacements);
+        return result;
+    }
+
+    // ─── ORCA ───────────────────────────────────────────────────────────────
+
+    static _parseOrca(lines) {
+        const result = this._emptyResult();
+        let frequencies = null;
+        const intensities = new Map();
+        let modes = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (line.includes('CARTESIAN COORDINATES (ANGSTROEM)')) {
+                const elements = [];
+                const coords = [];
+                for (let j = i + 2; j < lines.length; j++) {
+                    const p = lines[j].trim().split(/\s+/);
+                    if (p.length < 4 || isNaN(parseFloat(p[1]))) break;
+                    elements.push(normalizeSymbol(p[0]));
+                    coords.push(parseFloat(p[1]), parseFloat(p[2]), parseFloat(p[3]));
+                }
+                if (elements.length > 0) {
+                    result.elements = elements;
+                    result.steps.push({ positions: Float64Array.from(coords), energy: null });
+                }
+            } else if (line.includes('FINAL SINGLE POINT ENERGY')) {
+                const m = line.match(/(-?\d+\.\d+)/);
+                if (m && result.steps.length > 0) result.steps[result.steps.length - 1].energy = parseFloat(m[1]);
+            } else if (/Total Charge\s+Charge\s+\.\.\.\./.test(line)) {
+                result.charge = parseInt(line.split('....')[1]);
+            } else if (/Multiplicity\s+Mult\s+\.\.\.\./.test(line)) {
+                result.multiplicity = parseInt(line.split('....')[1]);
+            } else if (/^(MULLIKEN|LOEWDIN) ATOMIC CHARGES/.test(line.trim())) {
+                const key = line.includes('MULLIKEN') ? 'mulliken' : 'loewdin';
+                const charges = [];
+                for (let j = i + 2; j < lines.length; j++) {
+                    const m = lines[j].match(/^\s*\d+\s+[A-Za-z]+\s*:\s*(-?\d+\.\d+)/);
+                    if (!m) break;
+                    charges.push(parseFloat(m[1]));
+                }
+                if (charges.length > 0) result.charges[key] = charges;
+            } else if (line.includes('Summary of Natural Population Analysis')) {
+                const npa = this._parseNPA(lines, i);
+                if (npa) result.charges.npa = npa;
+            } else if (line.trim() === 'VIBRATIONAL FREQUENCIES') {
+                frequencies = [];
+                for (let j = i + 1; j < lines.length; j++) {
+                    const m = lines[j].match(/^\s*(\d+):\s+(-?\d+\.\d+)\s+cm\*\*-1/);
+                    if (m) frequencies[parseInt(m[1])] = parseFloat(m[2]);
+                    else if (frequencies.length > 0 && lines[j].trim() === '') break;
+                }
+            } else if (line.trim() === 'NORMAL MODES' && frequencies) {
+                modes = this._parseOrcaNormalModes(lines, i, frequencies.length);
+            } else if (line.trim() === 'IR SPECTRUM') {
+                for (let j = i + 1; j < lines.length; j++) {
+                    const m = lines[j].match(/^\s*(\d+):\s+(-?\d+\.\d+)\s+(\d+\.\d+)\s+(\d+\.\d+)/);
+                    if (m) intensities.set(parseInt(m[1]), parseFloat(m[4]));
+                    else if (intensities.size > 0 && lines[j].trim() === '') break;
+                }
+            } else if (line.includes('ORCA TERMINATED NORMALLY')) {
+                result.normalTermination = true;
+            }
+        }
+
+        if (frequencies && modes) {
+            frequencies.forEach((f, k) => {
+                // Translations and rotations are printed as 0.00 cm**-1
+                if (f === undefined || Math.abs(f) < 1e-3 || !modes[k]) return;
+                result.vibrations.push({
+                    frequency: f,
+                    irIntensity: intensities.has(k) ? intensities.get(k) : null,
+                    displacements: modes[k]
+                });
+            });
+        }
+        return result;
+    }
+
+    /**
+     * ORCA prints normal modes as a 3N x 3N matrix in blocks of six columns.
+     * @returns {Float64Array[]} One displacement vector per mode
+     */
+    static _parseOrcaNormalModes(lines, start, count) {
+        const modes = Array.from({ length: count }, () => new Float64Array(count));
+        let columns = null;
+
+        for (let j = start + 1; j < lines.length; j++) {
+            const trimmed = lines[j].trim();
+            if (!trimmed) continue;
+            const p = trimmed.split(/\s+/);
+
+            if (p.every(t => /^\d+$/.test(t))) {
+                // Column header row: mode indices
+                columns = p.map(Number);
+            } else if (columns && /^\d+$/.test(p[0]) && p.length === columns.length + 1) {
+                const row = parseInt(p[0]);
+                columns.forEach((mode, k) => {
+                    if (modes[mode]) modes[mode][row] = parseFloat(p[k + 1]);
+                });
+                if (row === count - 1 && columns[columns.length - 1] === count - 1) break;
+            } else if (columns) {
+                break;
+            }
+        }
+        return modes;
+    }
+
+    // ─── Shared helpers ─────────────────────────────────────────────────────
+
+    /**
+     * NBO "Summary of Natural Population Analysis" table: Atom No Charge Core Valence Rydberg Total
+     */
+    static _parseNPA(lines, start) {
+        const charges = [];
+        let inTable = false;
+        for (let j = start + 1; j < lines.length; j++) {
+            const line = lines[j];
+            if (/^\s*-{10,}/.test(line)) {
+                if (inTable) break;
+                inTable = true;
+                continue;
+            }
+            if (!inTable) continue;
+            const m = line.match(/^\s*[A-Za-z]+\s+\d+\s+(-?\d+\.\d+)/);
+            if (!m) break;
+            charges.push(parseFloat(m[1]));
+        }
+        return charges.length > 0 ? charges : null;
+    }
+
+    /**
+     * Collapse consecutive identical geometries (re-printed for frequency or final
+     * single-point runs), keeping the last energy.
+     */
+    static _dedupeSteps(steps) {
+        const out = [];
+        steps.forEach(step => {
+            const prev = out[out.length - 1];
+            if (prev && prev.positions.length === step.positions.length &&
+                prev.positions.every((v, k) => Math.abs(v - step.positions[k]) < 1e-6)) {
+                if (step.energy !== null) prev.energy = step.energy;
+                return;
+            }
+            out.push(step);
+        });
+        return out;
+    }
+
+    static _emptyResult() {
+        return {
+            elements: [],
+            steps: [],
+            charges: {},
+            vibrations: [],
+            charge: null,
+            multiplicity: null,
+            normalTermination: false
+        };
+    }
+}
+
+function normalizeSymbol(s) {
+    const letters = s.replace(/[^A-Za-z]/g, '');
+    return letters.charAt(0).toUpperCase() + letters.slice(1, 2).toLowerCase();
+}
@@ -1,10 +1,190 @@
 import * as THREE from 'three';
-import { ELEMENTS } from '../constants.js';
+import { ELEMENTS, VDW_RADII, DEFAULT_VDW_RADIUS } from '../constants.js';
 import { ErrorHandler } from '../utils/errorHandler.js';
+import { atomPropertyValues, valueRange } from '../utils/atomProperties.js';
+import { colormapColor, drawColorBar, isColormap } from '../utils/colormaps.js';
+
+/** From this many atoms on, atoms and bonds are drawn as one InstancedMesh each */
+const INSTANCING_THRESHOLD = 1000;
+
+/** Sphere segments (width, height) and bond radial segments by atom count */
+const LEVELS_OF_DETAIL = [
+    { maxAtoms: 500, sphere: [16, 16], bond: 8 },
+    { maxAtoms: 5000, sphere: [12, 10], bond: 8 },
+    { maxAtoms: 20000, sphere: [10, 8], bond: 6 },
+    { maxAtoms: Infinity, sphere: [8, 6], bond: 5 }
+];
+
+/** Displayed sphere radius as a fraction of the element radius */
+const ATOM_RADIUS_FACTOR = 0.6;
+const SELECTED_COLOR = 0xffff00;
+const BOND_COLOR = 0x000000;
+const DATIVE_BOND_COLOR = 0x808080;
+/** Atoms without a value for the `color by` property */
+const NO_VALUE_COLOR = 0x909090;
+
+/** Bond cylinder radius (Å) before bondScale */
+const BOND_RADIUS = 0.1;
+/** Distance (Å, before bondScale) between the cylinders of a multiple bond */
+const BOND_SPACING = 0.2;
+/** Dashes per dashed (aromatic or partial) bond line */
+const BOND_DASHES = 4;
+
+/**
+ * Molecular representations. `atomRadius(element)` is the sphere radius in Å (before
+ * atomScale). Each half of a bond is drawn in the style of its atom: `bond: 'order'`
+ * draws black cylinders showing the bond order, `bond: 'stick'` one cylinder of
+ * `bondRadius` (relative to a single bond) in the atom's color, `bond: null` nothing.
+ */
+export const REPRESENTATIONS = {
+    'ball-and-stick': {
+        atomRadius: element => (ELEMENTS[element] || ELEMENTS['C']).radius * ATOM_RADIUS_FACTOR,
+        bond: 'order'
+    },
+    'spacefill': {
+        atomRadius: element => VDW_RADII[element] ?? DEFAULT_VDW_RADIUS,
+        bond: null
+    },
+    'licorice': {
+        atomRadius: () => 0.2,
+        bond: 'stick',
+        bondRadius: 2
+    },
+    'wireframe': {
+        atomRadius: () => 0.04,
+        bond: 'stick',
+        bondRadius: 0.35
+    },
+    // Crystals: coordination polyhedra (CrystalRenderManager) with small atoms and no bonds
+    'polyhedra': {
+        atomRadius: element => (ELEMENTS[element] || ELEMENTS['C']).radius * ATOM_RADIUS_FACTOR * 0.5,
+        bond: null
+    }
+};
+
+export const DEFAULT_REPRESENTATION = 'ball-and-stick';
+
+const UP = new THREE.Vector3(0, 1, 0);
+const NO_ROTATION = new THREE.Quaternion();
+
+// Scratch objects for per-instance updates (vibration and trajectory playback touch every atom)
+const _matrix = new THREE.Matrix4();
+const _frame = new THREE.Matrix4();
+const _quaternion = new THREE.Quaternion();
+const _direction = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _binormal = new THREE.Vector3();
+const _midpoint = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _partPosition = new THREE.Vector3();
+const _color = new THREE.Color();
+const _mapColor = new THREE.Color();
+
+const _bondPartsCache = new Map();
+const _styledPartsCache = new Map();
+
+/**
+ * Cylinders that draw a bond of the given order, in the bond frame (see _bondFrame):
+ * `offset` along the in-plane normal, `radius` relative to a single bond, and
+ * `from`/`to` as fractions of the bond length.
+ *
+ * 1, 2, 3: single, double, triple. 1.5: aromatic (solid line plus a dashed one on the
+ * side of the neighbours). 0.5: partial (dashed). 0: coordination / dative (thin).
+ * @param {number} order - Bond.order
+ * @returns {{ offset: number, radius: number, from: number, to: number }[]}
+ */
+function bondParts(order) {
+    if (_bondPartsCache.has(order)) return _bondPartsCache.get(order);
+
+    const solid = (offset, radius) => [{ offset, radius, from: 0, to: 1 }];
+    const dashed = (offset, radius) => Array.from({ length: BOND_DASHES }, (_, i) => ({
+        offset, radius, from: 2 * i / (2 * BOND_DASHES - 1), to: (2 * i + 1) / (2 * BOND_DASHES - 1)
+    }));
+    let parts;
+    switch (order) {
+        case 0: parts = solid(0, 0.5); break;
+        case 0.5: parts = dashed(0, 0.7); break;
+        case 1.5: parts = [...solid(0, 0.7), ...dashed(BOND_SPACING, 0.45)]; break;
+        case 2: parts = [...solid(-BOND_SPACING / 2, 0.6), ...solid(BOND_SPACING / 2, 0.6)]; break;
+        case 3: parts = [...solid(-BOND_SPACING, 0.5), ...solid(0, 0.5), ...solid(BOND_SPACING, 0.5)]; break;
+        default: parts = solid(0, 1);
+    }
+    _bondPartsCache.set(order, parts);
+    return parts;
+}
+
+/**
+ * Cylinders of a bond whose halves are drawn in the given representations. Parts of a
+ * half are clipped to it; `end` (1 or 2) marks parts colored like atom1 or atom2.
+ * @param {number} order - Bond.order
+ * @param {Object} style1 - Representation of atom1 (REPRESENTATIONS entry)
+ * @param {Object} style2 - Representation of atom2
+ * @returns {{ offset: number, radius: number, from: number, to: number, end?: number }[]}
+ */
+function styledBondParts(order, style1, style2) {
+    if (style1.bond === 'order' && style2.bond === 'order') return bondParts(order);
+
+    const key = `${order}|${style1.bond}:${style1.bondRadius}|${style2.bond}:${style2.bondRadius}`;
+    if (_styledPartsCache.has(key)) return _styledPartsCache.get(key);
+
+    const half = (style, from, to, end) => {
+        if (style.bond === 'stick') return [{ offset: 0, radius: style.bondRadius, from, to, end }];
+        if (style.bond !== 'order') return [];
+        return bondParts(order)
+            .filter(part => part.to > from && part.from < to)
+            .map(part => ({ ...part, from: Math.max(part.from, from), to: Math.min(part.to, to) }));
+    };
+    const parts = [...half(style1, 0, 0.5, 1), ...half(style2, 0.5, 1, 2)];
+    _styledPartsCache.set(key, parts);
+    return parts;
+}
+
+/**
+ * Unit vector perpendicular to `direction` in the plane of a neighbouring atom, so
+ * multiple bonds lie in the molecular plane and aromatic dashes point into the ring.
+ * Neighbours across aromatic bonds are preferred.
+ * @param {Object} bond
+ * @param {THREE.Vector3} direction - Unit vector from atom1 to atom2
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} target
+ */
+function bondNormal(bond, direction, target) {
+    const candidates = [];
+    [bond.atom1, bond.atom2].forEach(atom => {
+        atom.bonds.forEach(b => {
+            if (b === bond) return;
+            const neighbor = b.atom1 === atom ? b.atom2 : b.atom1;
+            candidates.push({ atom, neighbor, aromatic: b.order === 1.5 });
+        });
+    });
+    candidates.sort((x, y) => y.aromatic - x.aromatic);
+    for (const { atom, neighbor } of candidates) {
+        target.subVectors(neighbor.position, atom.position);
+        target.addScaledVector(direction, -target.dot(direction));
+        if (target.lengthSq() > 1e-6) return target.normalize();
+    }
+    // Isolated bond or collinear neighbours: any perpendicular
+    target.set(Math.abs(direction.x) < 0.9 ? 1 : 0, Math.abs(direction.x) < 0.9 ? 0 : 1, 0);
+    return target.cross(direction).normalize();
+}
+
+/**
+ * Level of detail for a system of `count` atoms
+ * @param {number} count
+ * @returns {{ sphere: number[], bond: number }}
+ */
+function levelOfDetail(count) {
+    return LEVELS_OF_DETAIL.find(level => count <= level.maxAtoms);
+}
 
 /**
  * Manages 3D rendering of atoms and bonds
  * Handles mesh creation, color management, and scene updates
+ *
+ * Small systems get one mesh per atom and bond (Atom#mesh, Bond#mesh). From
+ * INSTANCING_THRESHOLD atoms on, atoms and bonds are drawn as two InstancedMesh objects
+ * with per-instance colors instead, and Atom#mesh / Bond#mesh stay null; pickAtom maps
+ * ray hits back to atoms in both modes.
  */
 export class RenderManager {
     constructor(editor) {
@@ -14,20 +194,47 @@ export class RenderManager {
         this.atomScale = 1.0;
         this.bondScale = 1.0;
         this.showBonds = true;
+
+        // Representation of all atoms, and per-atom overrides (atom id → name)
+        this.representation = DEFAULT_REPRESENTATION;
+        this.atomRepresentations = new Map();
+
+        // Color by property: { property, colormap, min, max } as requested (null = by element),
+        // the resolved legend { label, colormap, min, max } and each atom's value
+        this.colorBy = null;
+        this.colorLegend = null;
+        this.colorValues = new Map();
+
+        // Instanced mode: meshes and the atoms/bonds in instance order
+        this.atomInstances = null;
+        this.bondInstances = null;
+        this.instancedAtoms = [];
+        this.instancedBonds = [];
+        this.bondInstanceStart = [];
+        this.bondOfInstance = [];
+        this.instanceIndex = new Map();
+    }
+
+    /**
+     * Whether the current scene uses the instanced path
+     * @returns {boolean}
+     */
+    get isInstanced() {
+        return this.atomInstances !== null;
     }
 
     /**
      * Create mesh for an atom
      * @param {Object} atom - Atom object
+     * @param {number} [index] - Index of the atom in the molecule (looked up if omitted)
      * @returns {THREE.Mesh} Atom mesh
      */
-    createAtomMesh(atom) {
-        const element = ELEMENTS[atom.element] || ELEMENTS['C'];
-        const radius = element.radius;
-        const color = this.getElementColor(atom.element);
+    createAtomMesh(atom, index = this.editor.molecule.atoms.indexOf(atom)) {
+        const radius = this.getAtomStyle(atom).atomRadius(atom.element);
+        const color = this.getAtomColor(atom);
+        const [widthSegments, heightSegments] = levelOfDetail(this.editor.molecule.atoms.length).sphere;
 
-        // Increased size by 1.2x (0.4 -> 0.48)
-        const geometry = new THREE.SphereGeometry(radius * 0.6, 16, 16);
+        const geometry = new THREE.SphereGeometry(radius, widthSegments, heightSegments);
         const material = new THREE.MeshPhongMaterial({
             color: color,
             emissive: atom.selected ? 0x666600 : 0x000000,
@@ -36,7 +243,6 @@ export class RenderManager {
 
         const mesh = new THREE.Mesh(geometry, material);
         mesh.position.copy(atom.position);
-        const index = this.editor.molecule.atoms.indexOf(atom);
         mesh.userData = { type: 'atom', index: index, atom: atom };
 
         // Add outline (Inverted Hull)
@@ -53,9 +259,10 @@ export class RenderManager {
     }
 
     /**
-     * Create mesh for a bond
+     * Create mesh for a bond: one cylinder for a plain single bond, otherwise a group of
+     * cylinders (see styledBondParts), each with its own material
      * @param {Object} bond - Bond object
-     * @returns {THREE.Mesh} Bond mesh
+     * @returns {THREE.Object3D|null} Bond mesh (null if neither half is drawn)
      */
     createBondMesh(bond) {
         const atom1 = bond.atom1;
@@ -63,35 +270,105 @@ export class RenderManager {
 
         if (!atom1 || !atom2) return null;
 
-        const pos1 = atom1.position;
-        const pos2 = atom2.position;
-
-        const direction = new THREE.Vector3().subVectors(pos2, pos1);
-        const length = direction.length();
-        const midpoint = new THREE.Vector3().addVectors(pos1, pos2).multiplyScalar(0.5);
-
-        // Use unit height (1) so updateBonds can scale correctly
-        const geometry = new THREE.CylinderGeometry(0.1, 0.1, 1, 8);
-        const material = new THREE.MeshPhongMaterial({
-            color: 0x000000, // Black
+        const parts = this._bondParts(bond);
+        if (parts.length === 0) return null;
+        const material = part => new THREE.MeshPhongMaterial({
+            color: this._partColor(bond, part),
             shininess: 30
         });
 
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.position.copy(midpoint);
-        mesh.scale.set(1, length, 1); // Scale Y to actual bond length
-
-        // Align cylinder with bond direction
-        mesh.quaternion.setFromUnitVectors(
-            new THREE.Vector3(0, 1, 0),
-            direction.normalize()
-        );
+        // Use unit height (1) so updateBondVisuals can scale correctly
+        let mesh;
+        const [single] = parts;
+        if (parts.length === 1 && single.offset === 0 && single.from === 0 && single.to === 1) {
+            const radius = BOND_RADIUS * single.radius;
+            mesh = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, 1, 8), material(single));
+        } else {
+            mesh = new THREE.Group();
+            const geometry = new THREE.CylinderGeometry(BOND_RADIUS, BOND_RADIUS, 1, 8);
+            parts.forEach(part => {
+                const cylinder = new THREE.Mesh(geometry, material(part));
+                cylinder.position.set(part.offset, (part.from + part.to) / 2 - 0.5, 0);
+                cylinder.scale.set(part.radius, part.to - part.from, part.radius);
+                mesh.add(cylinder);
+            });
+        }
 
-        mesh.userData = { type: 'bond', atom1: atom1, atom2: atom2 };
+        mesh.userData = { type: 'bond', atom1: atom1, atom2: atom2, bond: bond, parts: parts };
+        this._bondFrame(bond, _frame, parts).decompose(mesh.position, mesh.quaternion, mesh.scale);
 
         return mesh;
     }
 
+    /**
+     * Representation of an atom: its override, else the global one
+     * @param {Object} atom
+     * @returns {Object} REPRESENTATIONS entry
+     */
+    getAtomStyle(atom) {
+        return REPRESENTATIONS[this.atomRepresentations.get(atom.id) || this.representation];
+    }
+
+    /**
+     * Switch representation for all atoms (clearing overrides) or for some atoms, and
+     * redraw. The polyhedra style turns on coordination polyhedra.
+     * @param {string} name - Key of REPRESENTATIONS
+     * @param {Object[]} [atoms] - Atoms to override; all atoms if omitted
+     */
+    setRepresentation(name, atoms = null) {
+        if (!REPRESENTATIONS[name]) throw new Error(`Unknown representation: ${name}`);
+        if (atoms) {
+            atoms.forEach(atom => {
+                if (name === this.representation) this.atomRepresentations.delete(atom.id);
+                else this.atomRepresentations.set(atom.id, name);
+            });
+        } else {
+            this.representation = name;
+            this.atomRepresentations.clear();
+        }
+        const crystalRenderManager = this.editor.crystalRenderManager;
+        if (name === 'polyhedra' && crystalRenderManager) crystalRenderManager.setPolyhedra(true);
+        this.rebuildScene();
+    }
+
+    /**
+     * Bond under the ray, in per-mesh and instanced mode (nothing while bonds are hidden)
+     * @param {THREE.Raycaster} raycaster
+     * @returns {Object|null} Bond
+     */
+    pickBond(raycaster) {
+        if (!this.showBonds) return null;
+        if (this.isInstanced) {
+            const hit = this.bondInstances ? raycaster.intersectObject(this.bondInstances, false)[0] : null;
+            return hit ? this.bondOfInstance[hit.instanceId] : null;
+        }
+        const bondMeshes = this.renderer.scene.children.filter(obj => obj.userData && obj.userData.type === 'bond');
+        const hit = raycaster.intersectObjects(bondMeshes, true)[0];
+        if (!hit) return null;
+        const mesh = hit.object.userData.type === 'bond' ? hit.object : hit.object.parent;
+        return mesh.userData.bond || null;
+    }
+
+    /**
+     * Atom under the ray, in per-mesh and instanced mode
+     * @param {THREE.Raycaster} raycaster
+     * @param {Object} [exclude] - Atom to skip (e.g. the start atom of a bond drag)
+     * @returns {Object|null} Atom
+     */
+    pickAtom(raycaster, exclude = null) {
+        const intersects = this.isInstanced
+            ? raycaster.intersectObject(this.atomInstances, false)
+            : raycaster.intersectObjects(this.renderer.scene.children);
+        for (const hit of intersects) {
+            if (!hit.object.userData || hit.object.userData.type !== 'atom') continue;
+            const atom = hit.instanceId !== undefined
+                ? this.instancedAtoms[hit.instanceId]
+                : hit.object.userData.atom;
+            if (atom && atom !== exclude) return atom;
+        }
+        return null;
+    }
+
     /**
      * Get color for an element based on current scheme
      * @param {string} element - Element symbol
@@ -104,6 +381,114 @@ export class RenderManager {
         return scheme === 'jmol' ? elementData.jmol : elementData.cpk;
     }
 
+    /**
+     * Get color for an atom: its element color, or its value on the colormap in color-by mode
+     * @param {Object} atom - Atom object
+     * @returns {number} Color hex value
+     */
+    getAtomColor(atom) {
+        if (!this.colorLegend) return this.getElementColor(atom.element);
+        const value = this.colorValues.get(atom);
+        if (value === undefined || value === null) return NO_VALUE_COLOR;
+        const { colormap, min, max } = this.colorLegend;
+        const t = max > min ? (value - min) / (max - min) : 0.5;
+        return colormapColor(colormap, t, _mapColor).getHex();
+    }
+
+    /**
+     * Color atoms by a numeric property (see atomPropertyValues) and show a color-bar legend
+     * @param {string|null} property - Property name; null restores element colors
+     * @param {Object} [options]
+     * @param {number} [options.min] - Value at the low end of the colormap (default: data minimum)
+     * @param {number} [options.max] - Value at the high end (default: data maximum)
+     * @param {string} [options.colormap] - Colormap name (default: coolwarm_r for charges, viridis otherwise)
+     * @returns {Object|null} The resolved legend { label, colormap, min, max }
+     * @throws {Error} If the colormap is unknown or no atom has the property
+     */
+    setColorBy(property, options = {}) {
+        if (!property) {
+            this.colorBy = null;
+        } else {
+            const { min = null, max = null, colormap = null } = options;
+            if (colormap && !isColormap(colormap)) {
+                throw new Error(`Unknown colormap: ${colormap}`);
+            }
+            const colorBy = { property, colormap, min, max };
+            // Throws before anything changes if the property is missing
+            this._resolveColorBy(colorBy);
+            this.colorBy = colorBy;
+        }
+        this.updateColorValues();
+        this.updateAtomColors();
+        return this.colorLegend;
+    }
+
+    /**
+     * Recompute the color-by values (after the atoms changed). Falls back to element colors
+     * while the molecule has no data for the property.
+     */
+    updateColorValues() {
+        this.colorLegend = null;
+        this.colorValues = new Map();
+        if (this.colorBy && this.editor.molecule) {
+            try {
+                const { legend, values } = this._resolveColorBy(this.colorBy);
+                this.colorLegend = legend;
+                this.editor.molecule.atoms.forEach((atom, i) => this.colorValues.set(atom, values[i]));
+            } catch {
+                // Property not present (anymore): element colors
+            }
+        }
+        this._updateLegend();
+    }
+
+    /**
+     * Property values and legend of a color-by setting
+     * @private
+     */
+    _resolveColorBy({ property, colormap, min, max }) {
+        const fragments = this.editor.fileIOManager ? this.editor.fileIOManager.getFragments() : [];
+        const data = atomPropertyValues(property, this.editor.molecule.atoms, { fragments });
+        let { min: low, max: high } = valueRange(data.values);
+        if (data.diverging) {
+            // Centred on zero so that white/gray marks neutral
+            high = Math.max(Math.abs(low), Math.abs(high));
+            low = -high;
+        }
+        const legend = {
+            label: data.units ? `${data.label} (${data.units})` : data.label,
+            colormap: colormap || (data.diverging ? 'coolwarm_r' : 'viridis'),
+            min: min ?? low,
+            max: max ?? high
+        };
+        return { legend, values: data.values };
+    }
+
+    /**
+     * Draw the color-bar legend in the viewport and register it for PNG snapshots
+     * @private
+     */
+    _updateLegend() {
+        const legend = this.colorLegend;
+        this.renderer.snapshotOverlay = legend
+            ? (ctx, box) => drawColorBar(ctx, legend, box, { color: '#000000' })
+            : null;
+
+        const canvas = typeof document !== 'undefined' ? document.getElementById('color-legend') : null;
+        if (!canvas) return;
+        canvas.style.display = legend ? 'block' : 'none';
+        if (!legend) return;
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = Math.round(canvas.clientWidth * dpr);
+        canvas.height = Math.round(canvas.clientHeight * dpr);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const inset = 8 * dpr;
+        drawColorBar(ctx, legend, {
+            x: inset, y: inset, width: canvas.width - 2 * inset, height: canvas.height - 2 * inset
+        });
+    }
+
     /**
      * Get radius for an element
      * @param {string} element - Element symbol
@@ -118,12 +503,18 @@ export class RenderManager {
      * Update colors for all atoms based on current color scheme
      */
     updateAtomColors() {
-        this.editor.molecule.atoms.forEach(atom => {
-            if (atom.mesh) {
-                const color = this.getElementColor(atom.element);
-                atom.mesh.material.color.setHex(color);
-            }
-        });
+        if (this.isInstanced) {
+            this.instancedAtoms.forEach(atom => this._setAtomInstance(atom));
+        } else {
+            this.editor.molecule.atoms.forEach(atom => {
+                if (atom.mesh) {
+                    const color = this.getAtomColor(atom);
+                    atom.mesh.material.color.setHex(color);
+                }
+            });
+        }
+        // Stick bonds take the colors of their atoms
+        this.updateBondVisuals();
     }
 
     /**
@@ -134,14 +525,24 @@ export class RenderManager {
         this.renderer.scene.children
             .filter(obj => obj.userData && obj.userData.type === 'bond')
             .forEach(bond => this.renderer.scene.remove(bond));
+        this._disposeInstances(this.bondInstances);
+        this.bondInstances = null;
+        this.instancedBonds = [];
+        this.bondInstanceStart = [];
+        this.bondOfInstance = [];
+
+        if (this.isInstanced) {
+            this._buildBondInstances(this.editor.molecule.bonds);
+            return;
+        }
 
         // Create new bond meshes
         this.editor.molecule.bonds.forEach(bond => {
             const mesh = this.createBondMesh(bond);
+            bond.mesh = mesh;
             if (mesh) {
                 mesh.visible = this.showBonds;
                 this.renderer.scene.add(mesh);
-                bond.mesh = mesh;
             }
         });
     }
@@ -165,6 +566,11 @@ export class RenderManager {
             }
         });
         toRemove.forEach(obj => this.renderer.scene.remove(obj));
+        this._disposeInstances(this.atomInstances);
+        this.atomInstances = null;
+        this.instancedAtoms = [];
+        this.instanceIndex = new Map();
+        this.updateColorValues();
 
         // Clear crystal render manager caches too
         if (this.editor.crystalRenderManager) {
@@ -178,16 +584,24 @@ export class RenderManager {
         }
 
         // Recreate atoms
-        this.editor.molecule.atoms.forEach(atom => {
-            const mesh = this.createAtomMesh(atom);
-            this.renderer.scene.add(mesh);
-            atom.mesh = mesh;
+        const atoms = this.editor.molecule.atoms;
+        if (atoms.length >= INSTANCING_THRESHOLD) {
+            this._buildAtomInstances(atoms);
+        }
+        atoms.forEach((atom, index) => {
+            if (this.isInstanced) {
+                atom.mesh = null;
+            } else {
+                const mesh = this.createAtomMesh(atom, index);
+                this.renderer.scene.add(mesh);
+                atom.mesh = mesh;
+            }
 
             // Recreate label if needed
             if (atom.label) {
                 atom.label.remove();
             }
-            const label = this.editor.uiManager.createAtomLabel(atom);
+            const label = this.editor.uiManager.createAtomLabel(atom, index);
             this.editor.labelContainer.appendChild(label);
             atom.label = label;
         });
@@ -209,6 +623,10 @@ export class RenderManager {
      * @param {Object} atom - Atom to update
      */
     updateAtomVisuals(atom) {
+        if (this.isInstanced) {
+            this._setAtomInstance(atom);
+            return;
+        }
         if (!atom.mesh) return;
 
         // Update position
@@ -221,20 +639,33 @@ export class RenderManager {
             material.emissive.setHex(0x222200); // Unified Emissive
             atom.mesh.scale.set(this.atomScale, this.atomScale, this.atomScale);
         } else {
-            const color = this.getElementColor(atom.element);
-            material.color.setHex(color); // Restore Element Color
+            const color = this.getAtomColor(atom);
+            material.color.setHex(color); // Restore Atom Color
             material.emissive.setHex(0x000000);
             atom.mesh.scale.set(this.atomScale, this.atomScale, this.atomScale);
         }
     }
 
     /**
-     * Update bond visuals
+     * Move an atom's mesh (or instance) to Atom#position without touching its colors
+     * @param {Object} atom
      */
+    updateAtomPosition(atom) {
+        if (this.isInstanced) {
+            this._setAtomInstance(atom, false);
+        } else if (atom.mesh) {
+            atom.mesh.position.copy(atom.position);
+        }
+    }
+
     /**
      * Update bond visuals
      */
     updateBondVisuals() {
+        if (this.isInstanced) {
+            this.instancedBonds.forEach((bond, i) => this._setBondInstance(bond, i));
+            return;
+        }
         this.editor.molecule.bonds.forEach(bond => {
             if (!bond.mesh) return;
 
@@ -243,33 +674,17 @@ export class RenderManager {
 
             if (!atom1 || !atom2) return;
 
-            const pos1 = atom1.position;
-            const pos2 = atom2.position;
-            const direction = new THREE.Vector3().subVectors(pos2, pos1);
-            const length = direction.length();
-            const midpoint = new THREE.Vector3().addVectors(pos1, pos2).multiplyScalar(0.5);
-
-            bond.mesh.position.copy(midpoint);
-
             // Apply bondScale to radius (X, Z) and length scaling to Y
-            bond.mesh.scale.set(this.bondScale, length / bond.mesh.geometry.parameters.height, this.bondScale);
-
-            bond.mesh.quaternion.setFromUnitVectors(
-                new THREE.Vector3(0, 1, 0),
-                direction.normalize()
-            );
+            const parts = bond.mesh.userData.parts;
+            this._bondFrame(bond, _frame, parts).decompose(bond.mesh.position, bond.mesh.quaternion, bond.mesh.scale);
 
             // Update selection highlight
             const bothSelected = atom1.selected && atom2.selected;
-            const material = bond.mesh.material;
-
-            if (bothSelected) {
-                material.color.setHex(0xffff00); // Yellow
-                material.emissive.setHex(0x222200);
-            } else {
-                material.color.setHex(0x000000); // Black
-                material.emissive.setHex(0x000000);
-            }
+            const cylinders = bond.mesh.isGroup ? bond.mesh.children : [bond.mesh];
+            cylinders.forEach((cylinder, j) => {
+                cylinder.material.color.setHex(this._partColor(bond, parts[j]));
+                cylinder.material.emissive.setHex(bothSelected ? 0x222200 : 0x000000);
+            });
         });
     }
 
@@ -301,4 +716,174 @@ export class RenderManager {
             .filter(obj => obj.userData && obj.userData.type === 'bond')
             .forEach(obj => { obj.visible = visible; });
     }
+
+    // ─── Instanced path ─────────────────────────────────────────────────────
+
+    /**
+     * Draw all atoms as one InstancedMesh (unit spheres scaled per instance), with an
+     * inverted-hull outline mesh that shares the instance matrices
+     * @private
+     */
+    _buildAtomInstances(atoms) {
+        const [widthSegments, heightSegments] = levelOfDetail(atoms.length).sphere;
+        const geometry = new THREE.SphereGeometry(1, widthSegments, heightSegments);
+        const mesh = new THREE.InstancedMesh(
+            geometry,
+            new THREE.MeshPhongMaterial({ color: 0xffffff, shininess: 30 }),
+            atoms.length
+        );
+        mesh.userData = { type: 'atom', instanced: true };
+        // Bounds change with every edit, frame and vibration; skip culling
+        mesh.frustumCulled = false;
+
+        const outline = new THREE.InstancedMesh(
+            geometry.clone().scale(1.05, 1.05, 1.05),
+            new THREE.MeshBasicMaterial({ color: 0x000000, side: THREE.BackSide }),
+            atoms.length
+        );
+        outline.instanceMatrix = mesh.instanceMatrix;
+        outline.frustumCulled = false;
+        outline.raycast = () => {};
+        mesh.add(outline);
+
+        this.atomInstances = mesh;
+        this.instancedAtoms = atoms.slice();
+        this.instanceIndex = new Map(atoms.map((atom, i) => [atom, i]));
+        atoms.forEach(atom => this._setAtomInstance(atom));
+        this.renderer.scene.add(mesh);
+    }
+
+    /**
+     * Draw all bonds as one InstancedMesh of unit-height cylinders, one instance per
+     * cylinder of each bond (see styledBondParts)
+     * @private
+     */
+    _buildBondInstances(bonds) {
+        const { bond: radialSegments } = levelOfDetail(this.instancedAtoms.length);
+        this.instancedBonds = bonds.slice();
+        this.bondInstanceStart = [];
+        this.bondOfInstance = [];
+        this.instancedBonds.forEach(bond => {
+            this.bondInstanceStart.push(this.bondOfInstance.length);
+            this._bondParts(bond).forEach(() => this.bondOfInstance.push(bond));
+        });
+
+        const mesh = new THREE.InstancedMesh(
+            new THREE.CylinderGeometry(BOND_RADIUS, BOND_RADIUS, 1, radialSegments),
+            new THREE.MeshPhongMaterial({ color: 0xffffff, shininess: 30 }),
+            this.bondOfInstance.length
+        );
+        mesh.userData = { type: 'bond', instanced: true };
+        mesh.frustumCulled = false;
+        mesh.visible = this.showBonds;
+
+        this.bondInstances = mesh;
+        this.instancedBonds.forEach((bond, i) => {
+            bond.mesh = null;
+            this._setBondInstance(bond, i);
+        });
+        this.renderer.scene.add(mesh);
+    }
+
+    /**
+     * Write the matrix (and color) of an atom's instance
+     * @private
+     */
+    _setAtomInstance(atom, updateColor = true) {
+        const i = this.instanceIndex.get(atom);
+        if (i === undefined) return;
+        const mesh = this.atomInstances;
+        const radius = this.getAtomStyle(atom).atomRadius(atom.element) * this.atomScale;
+        mesh.setMatrixAt(i, _matrix.compose(atom.position, NO_ROTATION, _scale.setScalar(radius)));
+        mesh.instanceMatrix.needsUpdate = true;
+        // Cached bounds are used by raycasting
+        mesh.boundingSphere = null;
+        if (updateColor) {
+            mesh.setColorAt(i, _color.setHex(atom.selected ? SELECTED_COLOR : this.getAtomColor(atom)));
+            mesh.instanceColor.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Write the matrices and colors of a bond's instances
+     * @private
+     */
+    _setBondInstance(bond, i) {
+        const { atom1, atom2 } = bond;
+        if (!atom1 || !atom2) return;
+        const mesh = this.bondInstances;
+        const start = this.bondInstanceStart[i];
+        const parts = this._bondParts(bond);
+        if (parts.length === 0) return;
+        const frame = this._bondFrame(bond, _frame, parts);
+        parts.forEach((part, j) => {
+            _partPosition.set(part.offset, (part.from + part.to) / 2 - 0.5, 0);
+            _matrix.compose(_partPosition, NO_ROTATION, _scale.set(part.radius, part.to - part.from, part.radius));
+            mesh.setMatrixAt(start + j, _matrix.premultiply(frame));
+            mesh.setColorAt(start + j, _color.setHex(this._partColor(bond, part)));
+        });
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.boundingSphere = null;
+        mesh.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * World transform of a bond: origin at the midpoint, +y along the bond (scaled to its
+     * length), +x along the in-plane normal (scaled with z by bondScale)
+     * @private
+     * @param {Object} bond
+     * @param {THREE.Matrix4} target
+     * @param {Array} [parts] - The bond's cylinders; the normal is only needed for offset parts
+     * @returns {THREE.Matrix4} target
+     */
+    _bondFrame(bond, target, parts = this._bondParts(bond)) {
+        const { atom1, atom2 } = bond;
+        _direction.subVectors(atom2.position, atom1.position);
+        const length = _direction.length();
+        if (length > 0) _direction.divideScalar(length);
+        else _direction.copy(UP);
+        _midpoint.addVectors(atom1.position, atom2.position).multiplyScalar(0.5);
+
+        if (parts.some(part => part.offset !== 0)) {
+            bondNormal(bond, _direction, _normal);
+            _binormal.crossVectors(_normal, _direction);
+            _quaternion.setFromRotationMatrix(target.makeBasis(_normal, _direction, _binormal));
+        } else {
+            _quaternion.setFromUnitVectors(UP, _direction);
+        }
+        return target.compose(_midpoint, _quaternion, _scale.set(this.bondScale, length, this.bondScale));
+    }
+
+    /**
+     * Cylinders of a bond in the representations of its two atoms
+     * @private
+     */
+    _bondParts(bond) {
+        return styledBondParts(bond.order, this.getAtomStyle(bond.atom1), this.getAtomStyle(bond.atom2));
+    }
+
+    /**
+     * Color of one cylinder of a bond: yellow when both atoms are selected, the atom's
+     * color for stick halves, gray for coordination bonds, black otherwise
+     * @private
+     */
+    _partColor(bond, part) {
+        if (bond.atom1.selected && bond.atom2.selected) return SELECTED_COLOR;
+        if (part.end) return this.getAtomColor(part.end === 1 ? bond.atom1 : bond.atom2);
+        return bond.order === 0 ? DATIVE_BOND_COLOR : BOND_COLOR;
+    }
+
+    /**
+     * Free the GPU resources of an instanced mesh and its outline
+     * @private
+     */
+    _disposeInstances(mesh) {
+        if (!mesh) return;
+        mesh.traverse(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+        });
+        if (mesh.parent) mesh.parent.remove(mesh);
+        mesh.dispose();
+    }
 }
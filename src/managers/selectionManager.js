@@ -415,9 +415,7 @@ export class SelectionManager {
             const maxY = Math.max(startY, endY);
 
             this.editor.molecule.atoms.forEach(atom => {
-                if (!atom.mesh) return;
-
-                const pos = atom.mesh.position.clone();
+                const pos = atom.position.clone();
                 pos.project(camera);
 
                 const screenX = (pos.x * 0.5 + 0.5) * window.innerWidth;
@@ -431,9 +429,7 @@ export class SelectionManager {
             if (this.lassoPath.length < 3) return;
 
             this.editor.molecule.atoms.forEach(atom => {
-                if (!atom.mesh) return;
-
-                const pos = atom.mesh.position.clone();
+                const pos = atom.position.clone();
                 pos.project(camera);
 
                 const screenX = (pos.x * 0.5 + 0.5) * window.innerWidth;
@@ -49,13 +49,9 @@ export class SlabGenerator {
         l = Math.round(l / g);
 
         const { a: va, b: vb, c: vc } = crystal.lattice.toLatticeVectors();
-        const vol = va.clone().dot(new THREE.Vector3().crossVectors(vb, vc));
-        if (Math.abs(vol) < 1e-10) throw new Error('Degenerate unit cell');
 
         // ── Reciprocal lattice vectors (without 2π factor) ──────────────────
-        const ra = new THREE.Vector3().crossVectors(vb, vc).divideScalar(vol);
-        const rb = new THREE.Vector3().crossVectors(vc, va).divideScalar(vol);
-        const rc = new THREE.Vector3().crossVectors(va, vb).divideScalar(vol);
+        const { a: ra, b: rb, c: rc } = crystal.lattice.reciprocalVectors();
 
         // Surface normal in Cartesian space
         const G = new THREE.Vector3()
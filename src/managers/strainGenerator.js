@@ -0,0 +1,91 @@
+import { Crystal } from '../crystal.js';
+
+/** Largest number of structures in one equation-of-state series */
+const MAX_EOS_POINTS = 101;
+
+/**
+ * Parse a strain value: a fraction (0.01) or a percentage (1%)
+ * @param {string} text
+ * @returns {number} NaN when invalid
+ */
+export function parseStrain(text) {
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/i.exec(String(text).trim());
+    if (!match) return NaN;
+    return parseFloat(match[1]) / (match[2] ? 100 : 1);
+}
+
+/**
+ * Strained cells for elastic constants and equations of state.
+ *
+ * Strains act on the lattice through Crystal.applyStrain; atoms keep their fractional
+ * coordinates, so internal coordinates are unrelaxed (clamped-ion).
+ */
+export class StrainGenerator {
+    /**
+     * Symmetric strain tensor from components in Voigt order
+     * @param {number[]} components - [exx, eyy, ezz] or [exx, eyy, ezz, eyz, exz, exy]
+     * @returns {number[][]}
+     */
+    static tensor(components) {
+        const [exx, eyy, ezz, eyz = 0, exz = 0, exy = 0] = components;
+        return [
+            [exx, exy, exz],
+            [exy, eyy, eyz],
+            [exz, eyz, ezz]
+        ];
+    }
+
+    /**
+     * Uniformly scaled copies of a crystal, from -range to +range in steps
+     *
+     * @param {Crystal} crystal
+     * @param {Object} [options]
+     * @param {number} [options.range=0.05] - Largest change (fraction)
+     * @param {number} [options.step=0.01] - Step (fraction)
+     * @param {'volume'|'linear'} [options.mode='volume'] - Whether range and step apply to
+     *   the volume or to the lattice parameters
+     * @returns {Array<{ crystal: Crystal, change: number, scale: number, volume: number }>}
+     *   `change` is the volume or linear change, `scale` the factor on the lattice vectors
+     */
+    static eosSeries(crystal, { range = 0.05, step = 0.01, mode = 'volume' } = {}) {
+        if (!(range > 0) || !(step > 0)) throw new Error('Range and step must be positive');
+        if (range >= 1) throw new Error('Range must be below 100%');
+        const n = Math.floor(range / step + 1e-9);
+        if (n === 0) throw new Error('Step is larger than the range');
+        if (2 * n + 1 > MAX_EOS_POINTS) throw new Error(`Too many structures (${2 * n + 1}, max ${MAX_EOS_POINTS}); use a larger step`);
+
+        const tag = mode === 'volume' ? 'V' : 'L';
+        const series = [];
+        for (let i = -n; i <= n; i++) {
+            const change = i * step;
+            const scale = mode === 'volume' ? Math.cbrt(1 + change) : 1 + change;
+            const percent = +(change * 100).toFixed(6);
+            const copy = new Crystal(`${crystal.name} ${tag}${percent > 0 ? '+' : ''}${percent}%`);
+            copy.fromJSON(crystal.toJSON());
+            copy.applyStrain(this.tensor([scale - 1, scale - 1, scale - 1]));
+            series.push({ crystal: copy, change, scale, volume: copy.lattice.volume() });
+        }
+        return series;
+    }
+
+    /**
+     * Extended XYZ (ASE) text with one frame per structure of a series
+     * @param {Array<{ crystal: Crystal, scale: number, volume: number }>} series
+     * @returns {string}
+     */
+    static toExtendedXYZ(series) {
+        let text = '';
+        series.forEach(({ crystal, scale, volume }) => {
+            const { a, b, c } = crystal.lattice.toLatticeVectors();
+            const lattice = [a, b, c].map(v => [v.x, v.y, v.z].map(x => x.toFixed(8)).join(' ')).join(' ');
+            text += `${crystal.atoms.length}\n`;
+            text += `Lattice="${lattice}" Properties=species:S:1:pos:R:3 pbc="T T T" ` +
+                `volume=${volume.toFixed(6)} scale=${scale.toFixed(8)}\n`;
+            crystal.atoms.forEach(atom => {
+                const { x, y, z } = atom.position;
+                text += `${atom.element.padEnd(3)} ${x.toFixed(8).padStart(15)} ${y.toFixed(8).padStart(15)} ${z.toFixed(8).padStart(15)}\n`;
+            });
+        });
+        return text;
+    }
+}
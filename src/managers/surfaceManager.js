@@ -0,0 +1,381 @@
+import * as THREE from 'three';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { computeSurface, SURFACE_TYPES } from '../utils/molecularSurface.js';
+import { atomPropertyValues, valueRange } from '../utils/atomProperties.js';
+import { colormapColor, isColormap } from '../utils/colormaps.js';
+import { VDW_RADII, DEFAULT_VDW_RADIUS } from '../constants.js';
+
+const SURFACE_NAMES = { vdw: 'van der Waals', sas: 'Solvent-accessible', ses: 'Solvent-excluded' };
+
+/** Surface over atoms that were deleted after it was computed, or without a property value */
+const MISSING_ATOM_COLOR = 0x909090;
+
+/**
+ * Molecular surfaces (van der Waals, solvent-accessible, solvent-excluded) of the whole
+ * molecule or a selection, computed in a Web Worker and drawn with per-vertex colors.
+ *
+ * A surface is attached to a molecule entry as `entry.surface`:
+ *  {
+ *    type: 'vdw' | 'sas' | 'ses', probe, spacing,
+ *    atomIds: number[],                              // atoms it was built from
+ *    selection: boolean,                             // built from the selection only
+ *    positions, normals, atomIndex, area, volume,    // see computeSurface; atomIndex → atomIds
+ *    coloring: { mode: 'element' | 'uniform' | 'property', color?, property?, colormap? },
+ *    opacity, visible
+ *  }
+ * The mesh is a snapshot of the geometry: moving or deleting atoms does not update it, run
+ * `surface` again for that. Coloring and opacity carry over when a surface is recomputed.
+ */
+export class SurfaceManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.mesh = null;
+        this.worker = null;
+        this.requestId = 0;
+        this.pending = new Map();
+    }
+
+    /**
+     * Surface of the active molecule entry, or null
+     * @returns {Object|null}
+     */
+    get surface() {
+        const entry = this.editor.moleculeManager && this.editor.moleculeManager.getActive();
+        return (entry && entry.surface) || null;
+    }
+
+    /**
+     * Compute a surface (in the worker), attach it to the active entry and draw it
+     * @param {string} type - 'vdw' | 'sas' | 'ses'
+     * @param {Object} [options]
+     * @param {number} [options.probe=1.4] - Probe radius in Å (sas, ses)
+     * @param {number} [options.spacing=0.3] - Grid spacing in Å (raised for large systems)
+     * @param {Object[]} [options.atoms] - Atoms to wrap; all atoms if omitted
+     * @returns {Promise<Object>} Result object
+     */
+    async compute(type, options = {}) {
+        const { probe = 1.4, spacing = 0.3, atoms = null } = options;
+        if (!SURFACE_TYPES.includes(type)) return ErrorHandler.error(`Unknown surface type: ${type} (${SURFACE_TYPES.join(', ')})`);
+        if (!(probe > 0)) return ErrorHandler.error(`Invalid probe radius: ${probe}`);
+        if (!(spacing > 0)) return ErrorHandler.error(`Invalid grid spacing: ${spacing}`);
+
+        const entry = this.editor.moleculeManager.getActive();
+        const subset = atoms || (entry ? entry.molecule.atoms : []);
+        if (subset.length === 0) return ErrorHandler.error(atoms ? 'No atoms selected' : 'No atoms');
+
+        const positions = new Float64Array(subset.length * 3);
+        const radii = new Float64Array(subset.length);
+        subset.forEach((atom, i) => {
+            positions[3 * i] = atom.position.x;
+            positions[3 * i + 1] = atom.position.y;
+            positions[3 * i + 2] = atom.position.z;
+            radii[i] = VDW_RADII[atom.element] ?? DEFAULT_VDW_RADIUS;
+        });
+
+        let result;
+        try {
+            result = await this._compute(positions, radii, { type, probe, spacing });
+        } catch (e) {
+            return ErrorHandler.error(`Surface calculation failed: ${e.message}`);
+        }
+        if (result === null) return ErrorHandler.info('Surface superseded by a newer request');
+        if (this.editor.moleculeManager.getActive() !== entry) {
+            return ErrorHandler.warning('Molecule changed while the surface was computed; discarded');
+        }
+
+        const previous = entry.surface;
+        entry.surface = {
+            type,
+            probe,
+            spacing: result.spacing,
+            atomIds: subset.map(atom => atom.id),
+            selection: atoms !== null,
+            positions: result.positions,
+            normals: result.normals,
+            atomIndex: result.atomIndex,
+            area: result.area,
+            volume: result.volume,
+            coloring: previous ? previous.coloring : { mode: 'element' },
+            opacity: previous ? previous.opacity : 0.8,
+            visible: true
+        };
+        this.update();
+        return ErrorHandler.success(this.summary());
+    }
+
+    /**
+     * Compute in the worker; resolves to null when a newer request replaced this one
+     * @returns {Promise<Object|null>}
+     */
+    _compute(positions, radii, options) {
+        const id = ++this.requestId;
+
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve(computeSurface({ positions, radii }, options));
+        }
+
+        if (!this.worker) {
+            this.worker = new Worker(new URL('../workers/surfaceWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => {
+                const { id: replyId, surface, error } = event.data;
+                const request = this.pending.get(replyId);
+                if (!request) return;
+                this.pending.delete(replyId);
+                if (error) request.reject(new Error(error));
+                else request.resolve(replyId === this.requestId ? surface : null);
+            };
+            // Script failed to load or threw outside a request: fail everything waiting
+            // and start a fresh worker on the next call
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                const error = new Error(event.message || 'Surface worker failed');
+                this.pending.forEach(request => request.reject(error));
+                this.pending.clear();
+                this.worker.terminate();
+                this.worker = null;
+            };
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, positions, radii, options });
+        });
+    }
+
+    /**
+     * Detach the surface from the active entry
+     */
+    clear() {
+        const entry = this.editor.moleculeManager.getActive();
+        if (entry) delete entry.surface;
+        this.update();
+    }
+
+    /**
+     * Rebuild the surface mesh for the active entry
+     */
+    update() {
+        this._removeMesh();
+        const surface = this.surface;
+        if (!surface || !surface.visible || surface.positions.length === 0) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(surface.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(surface.normals, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(this._vertexColors(surface), 3));
+        const material = new THREE.MeshPhongMaterial({
+            vertexColors: true,
+            transparent: surface.opacity < 1,
+            opacity: surface.opacity,
+            depthWrite: surface.opacity >= 1,
+            side: THREE.DoubleSide,
+            shininess: 40
+        });
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.userData = { type: 'surface' };
+        this.editor.renderer.scene.add(this.mesh);
+    }
+
+    _removeMesh() {
+        if (!this.mesh) return;
+        this.editor.renderer.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.mesh = null;
+    }
+
+    /**
+     * Recolor the mesh without recomputing it (coloring or element color scheme changed)
+     */
+    updateColors() {
+        const surface = this.surface;
+        if (!this.mesh || !surface) return;
+        this.mesh.geometry.setAttribute('color', new THREE.BufferAttribute(this._vertexColors(surface), 3));
+    }
+
+    /**
+     * @param {string} mode - 'element' | 'charge' | 'property', or a color for a uniform surface
+     * @param {string} [arg] - Charge scheme (charge) or property name (property, see atomPropertyValues)
+     * @param {string} [colormap] - Colormap for charge/property (default: coolwarm_r for charges, viridis otherwise)
+     * @returns {Object} Result object
+     */
+    setColoring(mode, arg, colormap = null) {
+        const surface = this.surface;
+        if (!surface) return ErrorHandler.error('No surface. Use surface vdw|sas|ses first.');
+        let coloring;
+        let detail = '';
+
+        if (mode === 'element') {
+            coloring = { mode };
+        } else if (mode === 'charge' || mode === 'property') {
+            const property = mode === 'charge' ? (arg || 'charge') : arg;
+            if (!property) return ErrorHandler.error('Usage: surface color property <name> [colormap]');
+            if (colormap && !isColormap(colormap)) return ErrorHandler.error(`Unknown colormap: ${colormap}`);
+            coloring = { mode: 'property', property, colormap };
+            let scale;
+            try {
+                scale = this._propertyScale(surface, coloring);
+            } catch (e) {
+                return ErrorHandler.error(e.message);
+            }
+            const units = scale.units ? ` ${scale.units}` : '';
+            detail = ` (${scale.label}, ${formatValue(scale.min)} to ${formatValue(scale.max)}${units} on ${scale.colormap})`;
+        } else {
+            let color;
+            try {
+                color = toHexColor(mode);
+            } catch (e) {
+                return ErrorHandler.error(`Invalid surface coloring: ${mode}. Use element, charge [scheme], property <name> or a color.`);
+            }
+            coloring = { mode: 'uniform', color };
+            detail = ` ${color}`;
+        }
+
+        surface.coloring = coloring;
+        this.updateColors();
+        return ErrorHandler.success(`Surface colored by ${coloring.mode === 'uniform' ? 'color' : coloring.mode}${detail}`);
+    }
+
+    /**
+     * Change opacity without recomputing the surface
+     * @param {number} opacity - 0..1
+     * @returns {Object} Result object
+     */
+    setOpacity(opacity) {
+        const surface = this.surface;
+        if (!surface) return ErrorHandler.error('No surface. Use surface vdw|sas|ses first.');
+        if (isNaN(opacity) || opacity < 0 || opacity > 1) return ErrorHandler.error('Opacity must be between 0 and 1');
+        surface.opacity = opacity;
+        if (this.mesh) {
+            this.mesh.material.opacity = opacity;
+            this.mesh.material.transparent = opacity < 1;
+            this.mesh.material.depthWrite = opacity >= 1;
+            this.mesh.material.needsUpdate = true;
+        }
+        return ErrorHandler.success(`Surface opacity set to ${opacity}`);
+    }
+
+    setVisible(visible) {
+        const surface = this.surface;
+        if (!surface) return ErrorHandler.error('No surface. Use surface vdw|sas|ses first.');
+        surface.visible = visible;
+        this.update();
+        return ErrorHandler.success(`Surface ${visible ? 'shown' : 'hidden'}`);
+    }
+
+    /**
+     * One-line description with area and volume
+     * @returns {string|null}
+     */
+    summary() {
+        const surface = this.surface;
+        if (!surface) return null;
+        const probe = surface.type === 'vdw' ? '' : `, probe ${surface.probe} Å`;
+        const atoms = `${surface.atomIds.length} ${surface.selection ? 'selected ' : ''}atom${surface.atomIds.length === 1 ? '' : 's'}`;
+        return `${SURFACE_NAMES[surface.type]} surface (${atoms}${probe}): ` +
+            `area ${surface.area.toFixed(2)} Å², volume ${surface.volume.toFixed(2)} Å³`;
+    }
+
+    /**
+     * Summary for the console
+     * @returns {string|null}
+     */
+    info() {
+        const surface = this.surface;
+        if (!surface) return null;
+        const { coloring } = surface;
+        const colorDesc = {
+            element: 'element',
+            uniform: coloring.color,
+            property: `property (${coloring.property}${coloring.colormap ? `, ${coloring.colormap}` : ''})`
+        }[coloring.mode];
+        return [
+            this.summary(),
+            `Grid spacing: ${parseFloat(surface.spacing.toPrecision(3))} Å, ${surface.positions.length / 9} triangles`,
+            `Coloring: ${colorDesc}, opacity ${surface.opacity}`,
+            `Surface: ${surface.visible ? 'shown' : 'hidden'}`
+        ].join('\n');
+    }
+
+    /**
+     * Atoms the surface was built from, null where deleted since
+     * @returns {(Object|null)[]}
+     */
+    _atoms(surface) {
+        const byId = new Map(this.editor.molecule.atoms.map(atom => [atom.id, atom]));
+        return surface.atomIds.map(id => byId.get(id) || null);
+    }
+
+    /**
+     * Values of a property on the surface atoms and their colormap range. Charges are
+     * centred on zero (negative red, as in electrostatic potential maps).
+     * @returns {{ label: string, units: string, colormap: string, min: number, max: number, values: (number|null)[] }}
+     * @throws {Error} If no surface atom has the property
+     */
+    _propertyScale(surface, { property, colormap }) {
+        const molecule = this.editor.molecule;
+        const fragments = this.editor.fileIOManager ? this.editor.fileIOManager.getFragments() : [];
+        const data = atomPropertyValues(property, molecule.atoms, { fragments });
+        const valueOf = new Map(molecule.atoms.map((atom, i) => [atom.id, data.values[i]]));
+        const values = surface.atomIds.map(id => valueOf.get(id) ?? null);
+        let { min, max } = valueRange(values);
+        if (min > max) throw new Error(`No ${data.label.toLowerCase()} on the surface atoms`);
+        if (data.diverging) {
+            max = Math.max(Math.abs(min), Math.abs(max));
+            min = -max;
+        }
+        return {
+            label: data.label, units: data.units,
+            colormap: colormap || (data.diverging ? 'coolwarm_r' : 'viridis'),
+            min, max, values
+        };
+    }
+
+    /**
+     * Per-vertex colors from the owning atoms
+     * @returns {Float32Array}
+     */
+    _vertexColors(surface) {
+        const atoms = this._atoms(surface);
+        const { coloring } = surface;
+        const renderManager = this.editor.renderManager;
+
+        let scale = null;
+        if (coloring.mode === 'property') {
+            try {
+                scale = this._propertyScale(surface, coloring);
+            } catch {
+                // Atoms with the property were deleted: gray
+            }
+        }
+
+        // Color per atom first, then spread over the vertices
+        const atomColors = atoms.map((atom, i) => {
+            const color = new THREE.Color(MISSING_ATOM_COLOR);
+            if (!atom) return color;
+            if (coloring.mode === 'uniform') return color.set(coloring.color);
+            if (coloring.mode === 'element') return color.setHex(renderManager.getElementColor(atom.element));
+            const value = scale ? scale.values[i] : null;
+            if (value === null) return color;
+            const t = scale.max > scale.min ? (value - scale.min) / (scale.max - scale.min) : 0.5;
+            return colormapColor(scale.colormap, t, color);
+        });
+
+        const colors = new Float32Array(surface.atomIndex.length * 3);
+        surface.atomIndex.forEach((a, v) => atomColors[a].toArray(colors, 3 * v));
+        return colors;
+    }
+}
+
+const formatValue = v => String(parseFloat(v.toPrecision(4)));
+
+/**
+ * '#rrggbb', 'rrggbb' or a CSS color name → '#rrggbb'
+ * @param {string} c
+ * @returns {string}
+ */
+function toHexColor(c) {
+    if (/^#?[0-9a-f]{6}$/i.test(c)) return `#${c.replace('#', '').toLowerCase()}`;
+    if (!(c.toLowerCase() in THREE.Color.NAMES)) throw new Error(c);
+    return `#${new THREE.Color(c.toLowerCase()).getHexString()}`;
+}
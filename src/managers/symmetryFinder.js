@@ -0,0 +1,946 @@
+import { LatticeParams } from '../crystal.js';
+import {
+    spaceGroupInfo, standardOperations, spaceGroupsOfPointGroup,
+    pointGroupOf, crystalSystemOf, rotationType, spacedSymbol
+} from '../utils/spaceGroups.js';
+import { delaunayReduce } from '../utils/latticeReduction.js';
+
+/** Default distance tolerance in Å */
+const DEFAULT_TOLERANCE = 0.01;
+
+/** Retries with a shrinking tolerance when the operations found are inconsistent */
+const MAX_ATTEMPTS = 10;
+const TOLERANCE_DECAY = 0.8;
+
+/** Largest integer coefficient searched for conventional cell vectors */
+const VECTOR_RANGE = 3;
+
+/** Bravais lattice letter per crystal system */
+const SYSTEM_LETTER = {
+    triclinic: 'a', monoclinic: 'm', orthorhombic: 'o', tetragonal: 't',
+    trigonal: 'h', hexagonal: 'h', cubic: 'c'
+};
+
+/**
+ * Primitive cell of each centering, as rows in the conventional basis
+ * (the choices of spglib / Setyawan–Curtarolo; R is the obverse setting)
+ */
+const PRIMITIVE_OF_CENTERING = {
+    P: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+    A: [[1, 0, 0], [0, 1 / 2, 1 / 2], [0, -1 / 2, 1 / 2]],
+    B: [[1 / 2, 0, 1 / 2], [0, 1, 0], [-1 / 2, 0, 1 / 2]],
+    C: [[1 / 2, 1 / 2, 0], [-1 / 2, 1 / 2, 0], [0, 0, 1]],
+    I: [[-1 / 2, 1 / 2, 1 / 2], [1 / 2, -1 / 2, 1 / 2], [1 / 2, 1 / 2, -1 / 2]],
+    F: [[0, 1 / 2, 1 / 2], [1 / 2, 0, 1 / 2], [1 / 2, 1 / 2, 0]],
+    R: [[2 / 3, 1 / 3, 1 / 3], [-1 / 3, 1 / 3, 1 / 3], [-1 / 3, -2 / 3, 1 / 3]]
+};
+
+/**
+ * Space-group finder for crystals, in the spirit of spglib.
+ *
+ * Algorithm:
+ *  1. Reduce the input cell and find pure translations (the input may be a supercell
+ *     or a centered cell); build the primitive cell and Delaunay-reduce it
+ *  2. Find the lattice point group (integer matrices preserving the metric)
+ *  3. For each lattice rotation, find the translation mapping every atom onto an atom
+ *     of the same element within the tolerance
+ *  4. Identify the point group, then try conventional bases for that crystal system
+ *     against the standard settings of its space groups: rotations must coincide and
+ *     an origin shift must reproduce the standard translations (solved with a Smith
+ *     normal form)
+ *
+ * When the operations found do not form a group, the tolerance is reduced and the
+ * search restarted. Distances are Cartesian, in Å.
+ *
+ * Wyckoff positions are reported as orbits (multiplicity, site-symmetry point group and
+ * a representative in standard coordinates); Wyckoff letters are not assigned.
+ */
+export class SymmetryFinder {
+    /**
+     * Detect the space group of a crystal.
+     *
+     * @param {import('../crystal.js').Crystal} crystal
+     * @param {number} [tolerance=0.01] - Distance tolerance in Å
+     * @returns {Object} Dataset:
+     *   { number, symbol, spacedSymbol, hallSymbol, pointGroup, crystalSystem, latticeType,
+     *     pearson, tolerance, operations: [{ rotation, translation }] (input cell),
+     *     translations, transformation: { matrix, originShift }, conventionalLattice,
+     *     equivalentAtoms, wyckoff: [{ element, multiplicity, siteSymmetry, position, atoms }] }
+     */
+    static analyze(crystal, tolerance = DEFAULT_TOLERANCE) {
+        return this._search(crystal, tolerance).dataset;
+    }
+
+    /**
+     * Symmetrize a slightly distorted crystal in place: atoms are averaged over the
+     * ideal operations of the detected space group and the lattice metric is made
+     * consistent with it. Fractional coordinates and Cartesian positions are updated.
+     *
+     * @param {import('../crystal.js').Crystal} crystal
+     * @param {number} [tolerance=0.01] - Distance tolerance in Å
+     * @returns {{ dataset: Object, maxShift: number, lattice: LatticeParams }}
+     */
+    static symmetrize(crystal, tolerance = DEFAULT_TOLERANCE) {
+        const { dataset, context } = this._search(crystal, tolerance);
+        const { ops, prim, M, Minv, Lr } = context;
+
+        // Average every atom over the group (Reynolds operator)
+        const averaged = prim.positions.map((x, i) => {
+            const sum = [0, 0, 0];
+            ops.forEach(op => {
+                const source = prim.positions[op.perm[i]];
+                const y = mulVec(op.Winv, source.map((v, k) => v - op.tIdeal[k]));
+                for (let k = 0; k < 3; k++) sum[k] += y[k] - Math.round(y[k] - x[k]);
+            });
+            return sum.map(v => v / ops.length);
+        });
+
+        // Metric averaged over the rotations, expressed in the input basis
+        const G = mul(transpose(Lr), Lr);
+        const Gsym = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        ops.forEach(op => {
+            const term = mul(transpose(op.W), mul(G, op.W));
+            for (let i = 0; i < 3; i++) for (let j = 0; j < 3; j++) Gsym[i][j] += term[i][j] / ops.length;
+        });
+        const lattice = paramsFromMetric(mul(transpose(Minv), mul(Gsym, Minv)));
+
+        crystal.setLattice(lattice);
+        let maxShift = 0;
+        crystal.atoms.forEach((atom, a) => {
+            const i = prim.atomToPrim[a];
+            const f = mulVec(M, averaged[i].map((v, k) => v + prim.offsets[a][k]));
+            const cart = lattice.fracToCart(f[0], f[1], f[2]);
+            maxShift = Math.max(maxShift, cart.distanceTo(atom.position));
+            atom.position.copy(cart);
+            crystal.fracCoords.set(atom.id, { x: f[0], y: f[1], z: f[2] });
+        });
+
+        return { dataset, maxShift, lattice };
+    }
+
+    /**
+     * Transformation to the standard conventional or primitive cell of a crystal, in
+     * the row form of Crystal.transformCell (new vectors in the input basis). The
+     * origin shift of the standard setting is not applied.
+     *
+     * @param {import('../crystal.js').Crystal} crystal
+     * @param {'conventional'|'primitive'} kind
+     * @param {number} [tolerance=0.01] - Distance tolerance in Å
+     * @returns {{ matrix: number[][], dataset: Object }}
+     */
+    static standardCell(crystal, kind, tolerance = DEFAULT_TOLERANCE) {
+        const dataset = this.analyze(crystal, tolerance);
+        const conventional = dataset.transformation.matrix;
+        if (kind === 'conventional') return { matrix: conventional, dataset };
+        if (kind !== 'primitive') throw new Error(`Unknown cell kind: ${kind}`);
+
+        const P = PRIMITIVE_OF_CENTERING[dataset.hallSymbol.replace('-', '')[0]];
+        return { matrix: mul(P, conventional).map(row => row.map(cleanNumber)), dataset };
+    }
+
+    /**
+     * Run the search, shrinking the tolerance until the operations are consistent
+     * @returns {{ dataset: Object, context: Object }}
+     */
+    static _search(crystal, tolerance) {
+        if (!crystal || !crystal.isCrystal || !crystal.lattice) {
+            throw new Error('Symmetry analysis requires a crystal structure');
+        }
+        if (crystal.atoms.length === 0) throw new Error('Crystal has no atoms');
+        if (!(tolerance > 0)) throw new Error('Tolerance must be a positive number');
+
+        const cell = readCell(crystal);
+        let tol = tolerance;
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const context = detect(cell, tol);
+            if (context) return { dataset: buildDataset(context), context };
+            tol *= TOLERANCE_DECAY;
+        }
+        throw new Error(`No consistent set of symmetry operations found (tolerance ${tolerance} Å)`);
+    }
+}
+
+// ─── Detection ───
+
+/**
+ * Lattice matrix (columns a, b, c), fractional coordinates and elements of a crystal.
+ * Fractions are derived from Cartesian positions, which are authoritative.
+ */
+function readCell(crystal) {
+    const { a, b, c } = crystal.lattice.toLatticeVectors();
+    const L = [[a.x, b.x, c.x], [a.y, b.y, c.y], [a.z, b.z, c.z]];
+    const Linv = inv3(L);
+    const fracs = crystal.atoms.map(atom => mulVec(Linv, [atom.position.x, atom.position.y, atom.position.z]));
+    return { L, fracs, types: crystal.atoms.map(atom => atom.element) };
+}
+
+/**
+ * One detection pass at a fixed tolerance
+ * @returns {Object|null} Context, or null when the tolerance gives inconsistent results
+ */
+function detect(cell, tol) {
+    const { L, fracs, types } = cell;
+
+    // Pure translations, searched in a reduced copy of the input cell
+    const U0 = delaunayReduce(L);
+    const L0 = mul(L, U0);
+    const U0inv = roundMatrix(inv3(U0));
+    const x0 = fracs.map(f => mulVec(U0inv, f).map(wrap));
+    const translations = findTranslations(L0, x0, types, tol);
+    if (!translations) return null;
+
+    // Reduced primitive cell: input fractions = M · primitive fractions
+    const P = primitiveBasis(L0, translations);
+    if (!P) return null;
+    const U1 = delaunayReduce(mul(L0, P));
+    const M = mul(U0, mul(P, U1));
+    const Minv = roundMatrix(inv3(M));
+    const Lr = mul(L, M);
+
+    const prim = primitiveAtoms(fracs, types, Minv, Lr, tol, translations.length);
+    if (!prim) return null;
+
+    const ops = findOperations(latticeRotations(Lr, tol), prim, Lr, tol);
+    if (!isClosed(ops)) return null;
+    const pointGroup = pointGroupOf(ops.map(op => op.W));
+    if (!pointGroup) return null;
+
+    const match = identify(ops, pointGroup, Lr, M, tol);
+    if (!match) return null;
+
+    return {
+        cell, tol, M, Minv, Lr, prim, ops, pointGroup, ...match,
+        translations: translations.map(t => mulVec(U0, t).map(wrap))
+    };
+}
+
+/**
+ * Translations mapping the structure onto itself, snapped to multiples of 1/n
+ * @returns {number[][]|null} Including the zero vector; null if they do not form a group
+ */
+function findTranslations(L, positions, types, tol) {
+    const find = buildIndex(positions, types, L, tol);
+    const ref = referenceAtom(types);
+    const found = [[0, 0, 0]];
+    positions.forEach((x, j) => {
+        if (j === ref || types[j] !== types[ref]) return;
+        const t = x.map((v, k) => v - positions[ref][k]);
+        if (mapAtoms(positions, types, find, null, t)) found.push(t);
+    });
+
+    const n = found.length;
+    if (positions.length % n !== 0) return null;
+    const snapped = found.map(t => t.map(v => wrap(Math.round(v * n) / n)));
+    const keys = new Set(snapped.map(vectorKey));
+    if (keys.size !== n) return null;
+    for (const a of snapped) {
+        for (const b of snapped) {
+            if (!keys.has(vectorKey(a.map((v, k) => wrap(v + b[k]))))) return null;
+        }
+    }
+    return snapped;
+}
+
+/**
+ * Primitive basis (columns, in the current basis) from the pure translations
+ * @returns {number[][]|null}
+ */
+function primitiveBasis(L, translations) {
+    const n = translations.length;
+    if (n === 1) return identity();
+
+    const candidates = translations.slice(1)
+        .map(t => t.map(v => v - Math.round(v)))
+        .concat(identity())
+        .map(v => ({ v, length: norm(mulVec(L, v)) }))
+        .sort((a, b) => a.length - b.length)
+        .map(c => c.v);
+
+    const limit = Math.min(candidates.length, 40);
+    for (let i = 0; i < limit; i++) {
+        for (let j = i + 1; j < limit; j++) {
+            for (let k = j + 1; k < limit; k++) {
+                const B = columns(candidates[i], candidates[j], candidates[k]);
+                const d = det3(B);
+                if (Math.abs(Math.abs(d) * n - 1) < 1e-6) {
+                    return d > 0 ? B : columns(candidates[i], candidates[j], candidates[k].map(v => -v));
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Group input atoms into primitive-cell atoms.
+ * @returns {{ positions: number[][], types: string[], atomToPrim: number[], offsets: number[][] }|null}
+ *   `offsets[a]` is the integer lattice vector (primitive basis) placing input atom a
+ *   relative to its primitive atom.
+ */
+function primitiveAtoms(fracs, types, Minv, Lr, tol, multiplicity) {
+    const reduced = fracs.map(f => mulVec(Minv, f));
+    const positions = [], primTypes = [], sums = [], counts = [];
+    const atomToPrim = new Array(fracs.length);
+
+    reduced.forEach((y, a) => {
+        const w = y.map(wrap);
+        let match = -1;
+        for (let i = 0; i < positions.length && match < 0; i++) {
+            if (primTypes[i] === types[a] && distance(Lr, w, positions[i]) < tol) match = i;
+        }
+        if (match < 0) {
+            match = positions.length;
+            positions.push(w);
+            primTypes.push(types[a]);
+            sums.push([0, 0, 0]);
+            counts.push(0);
+        }
+        const d = w.map((v, k) => v - positions[match][k]);
+        d.forEach((v, k) => { sums[match][k] += v - Math.round(v); });
+        counts[match]++;
+        atomToPrim[a] = match;
+    });
+    if (counts.some(c => c !== multiplicity)) return null;
+
+    positions.forEach((x, i) => {
+        positions[i] = x.map((v, k) => wrap(v + sums[i][k] / counts[i]));
+    });
+    const offsets = reduced.map((y, a) => y.map((v, k) => Math.round(v - positions[atomToPrim[a]][k])));
+    return { positions, types: primTypes, atomToPrim, offsets };
+}
+
+/**
+ * Integer matrices (in a Delaunay-reduced basis) that preserve the lattice metric
+ * @returns {number[][][]}
+ */
+function latticeRotations(L, tol) {
+    const basis = [0, 1, 2].map(j => [L[0][j], L[1][j], L[2][j]]);
+    const lengths = basis.map(norm);
+    const vectors = [];
+    for (let i = -1; i <= 1; i++) {
+        for (let j = -1; j <= 1; j++) {
+            for (let k = -1; k <= 1; k++) {
+                if (i || j || k) vectors.push({ v: [i, j, k], cart: mulVec(L, [i, j, k]) });
+            }
+        }
+    }
+    const candidates = lengths.map(length => vectors.filter(c => Math.abs(norm(c.cart) - length) < tol));
+    const fits = (u, v, i, j) => Math.abs(dot(u.cart, v.cart) - dot(basis[i], basis[j])) < tol * (lengths[i] + lengths[j]);
+
+    const rotations = [];
+    for (const u of candidates[0]) {
+        for (const v of candidates[1]) {
+            if (!fits(u, v, 0, 1)) continue;
+            for (const w of candidates[2]) {
+                if (!fits(u, w, 0, 2) || !fits(v, w, 1, 2)) continue;
+                const W = columns(u.v, v.v, w.v);
+                if (Math.abs(det3(W)) === 1) rotations.push(W);
+            }
+        }
+    }
+    // Identity first, so that operation lists start with x,y,z
+    const identityKey = matrixKey(identity());
+    return rotations.sort((A, B) => (matrixKey(B) === identityKey) - (matrixKey(A) === identityKey));
+}
+
+/**
+ * Space-group operations of the primitive cell: one translation per lattice rotation
+ * that maps every atom onto an atom of the same element.
+ * @returns {{ W: number[][], Winv: number[][], t: number[], perm: number[] }[]}
+ */
+function findOperations(rotations, prim, L, tol) {
+    const { positions, types } = prim;
+    const find = buildIndex(positions, types, L, tol);
+    const ref = referenceAtom(types);
+    const ops = [];
+
+    rotations.forEach(W => {
+        const y = mulVec(W, positions[ref]);
+        for (let j = 0; j < positions.length; j++) {
+            if (types[j] !== types[ref]) continue;
+            const t = positions[j].map((v, k) => v - y[k]);
+            const perm = mapAtoms(positions, types, find, W, t);
+            if (!perm) continue;
+
+            // Refine the translation over all atoms
+            const mean = [0, 0, 0];
+            positions.forEach((x, i) => {
+                const image = mulVec(W, x);
+                for (let k = 0; k < 3; k++) {
+                    const d = positions[perm[i]][k] - image[k] - t[k];
+                    mean[k] += (d - Math.round(d)) / positions.length;
+                }
+            });
+            ops.push({ W, Winv: roundMatrix(inv3(W)), t: t.map((v, k) => wrap(v + mean[k])), perm });
+            break;
+        }
+    });
+    return ops;
+}
+
+/** Rotation parts closed under multiplication (and containing the identity) */
+function isClosed(ops) {
+    const keys = new Set(ops.map(op => matrixKey(op.W)));
+    if (!keys.has(matrixKey(identity()))) return false;
+    return ops.every(a => ops.every(b => keys.has(matrixKey(mul(a.W, b.W)))));
+}
+
+/**
+ * Match the operations against the standard settings of all space groups with the
+ * given point group. Among equally good matches, the conventional cell closest to
+ * the input axes (M maps primitive to input fractions) is preferred.
+ * @returns {{ number: number, C: number[][], Cinv: number[][], origin: number[], residual: number }|null}
+ *   C holds the conventional basis vectors (columns) in the reduced primitive basis and
+ *   `origin` the standard origin in primitive fractions. Also sets op.tIdeal.
+ */
+function identify(ops, pointGroup, Lr, M, tol) {
+    const numbers = spaceGroupsOfPointGroup(pointGroup);
+    const results = [];
+
+    conventionalCandidates(crystalSystemOf(pointGroup), ops, Lr).forEach(C => {
+        const Cinv = inv3(C);
+        const detC = Math.round(det3(C));
+        const rotated = ops.map(op => mul(Cinv, mul(op.W, C)));
+        if (!rotated.every(isIntegerMatrix)) return;
+        const keys = rotated.map(R => matrixKey(roundMatrix(R)));
+
+        numbers.forEach(number => {
+            const standard = standardOperations(number);
+            if (standard.centering.length !== detC) return;
+            if (!standard.centering.every(c => isIntegerVector(mulVec(C, c)))) return;
+            const byRotation = standardByRotation(number);
+            if (!keys.every(key => byRotation.has(key))) return;
+
+            const matched = keys.map(key => byRotation.get(key));
+            const { origin, residual } = solveOrigin(ops, matched, C, Lr);
+            results.push({ number, C, Cinv, origin, residual, matched });
+        });
+    });
+    if (results.length === 0) return null;
+
+    const best = Math.min(...results.map(r => r.residual));
+    if (best > 3 * tol) return null;
+    const chosen = results
+        .filter(r => r.residual <= best + tol)
+        .reduce((a, b) => (settingScore(mul(M, b.C)) < settingScore(mul(M, a.C)) ? b : a));
+
+    // Ideal translations: t = C t_std - (W - I) p
+    ops.forEach((op, i) => {
+        const ts = mulVec(chosen.C, chosen.matched[i].translation);
+        const Wp = mulVec(op.W, chosen.origin);
+        op.tIdeal = ts.map((v, k) => wrap(v - Wp[k] + chosen.origin[k]));
+    });
+    return { number: chosen.number, C: chosen.C, Cinv: chosen.Cinv, origin: chosen.origin, residual: chosen.residual };
+}
+
+/** Off-diagonal and non-positive diagonal entries of a basis change (0 for a scaling) */
+function settingScore(B) {
+    let score = 0;
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            if (i !== j && Math.abs(B[i][j]) > 1e-6) score++;
+            if (i === j && B[i][j] < 1e-6) score++;
+        }
+    }
+    return score;
+}
+
+const standardCache = new Map();
+
+/** Standard operations of a group keyed by rotation */
+function standardByRotation(number) {
+    if (!standardCache.has(number)) {
+        const map = new Map();
+        standardOperations(number).operations.forEach(op => map.set(matrixKey(op.rotation), op));
+        standardCache.set(number, map);
+    }
+    return standardCache.get(number);
+}
+
+/**
+ * Candidate conventional bases (columns, integer, positive determinant) for a crystal
+ * system, built from the rotation axes in the reduced primitive basis.
+ * @returns {number[][][]}
+ */
+function conventionalCandidates(system, ops, L) {
+    const proper = ops.map(op => (det3(op.W) < 0 ? scale(op.W, -1) : op.W));
+    const ofOrder = order => proper.filter(R => rotationType(R) === order);
+    const distinctAxes = rotations => {
+        const axes = [];
+        rotations.forEach(R => {
+            const axis = rotationAxis(R);
+            if (!axes.some(a => vectorKey(a) === vectorKey(axis))) axes.push(axis);
+        });
+        return axes;
+    };
+    const shortest = latticeVectors(L);
+    const candidates = [];
+    const accept = (C, allowed) => {
+        const d = Math.round(det3(C));
+        if (allowed.includes(d)) candidates.push(C);
+    };
+
+    switch (system) {
+        case 'triclinic':
+            candidates.push(identity());
+            break;
+
+        case 'monoclinic': {
+            const R = ofOrder(2)[0];
+            const b = rotationAxis(R);
+            const perpendicular = shortest.filter(v => vectorKey(mulVec(R, v)) === vectorKey(scaleVec(v, -1))).slice(0, 16);
+            [b, scaleVec(b, -1)].forEach(bb => {
+                perpendicular.forEach(a => perpendicular.forEach(c => accept(columns(a, bb, c), [1, 2])));
+            });
+            break;
+        }
+
+        case 'orthorhombic':
+        case 'cubic': {
+            const fourFold = system === 'cubic' ? distinctAxes(ofOrder(4)) : [];
+            const axes = fourFold.length === 3 ? fourFold : distinctAxes(ofOrder(2));
+            if (axes.length !== 3) break;
+            PERMUTATIONS.forEach(([i, j, k]) => {
+                SIGNS.forEach(([si, sj, sk]) => {
+                    accept(columns(scaleVec(axes[i], si), scaleVec(axes[j], sj), scaleVec(axes[k], sk)), [1, 2, 4]);
+                });
+            });
+            break;
+        }
+
+        case 'tetragonal': {
+            const R = ofOrder(4)[0];
+            const c = rotationAxis(R);
+            const R2 = mul(R, R);
+            const perpendicular = shortest.filter(v => vectorKey(mulVec(R2, v)) === vectorKey(scaleVec(v, -1))).slice(0, 8);
+            perpendicular.forEach(a => {
+                [mulVec(R, a), mulVec(mul(R2, R), a)].forEach(b => {
+                    [c, scaleVec(c, -1)].forEach(cc => accept(columns(a, b, cc), [1, 2]));
+                });
+            });
+            break;
+        }
+
+        case 'trigonal':
+        case 'hexagonal': {
+            const six = ofOrder(6)[0];
+            const R = six ? mul(six, six) : ofOrder(3)[0];
+            const c = rotationAxis(R);
+            const R2 = mul(R, R);
+            const perpendicular = shortest.filter(v => {
+                const sum = mulVec(R, v).map((x, k) => x + v[k] + mulVec(R2, v)[k]);
+                return sum.every(x => x === 0);
+            }).slice(0, 12);
+            perpendicular.forEach(a => {
+                [mulVec(R, a), mulVec(R2, a)].forEach(b => {
+                    [c, scaleVec(c, -1)].forEach(cc => accept(columns(a, b, cc), [1, 3]));
+                });
+            });
+            break;
+        }
+    }
+    return candidates;
+}
+
+const PERMUTATIONS = [[0, 1, 2], [1, 2, 0], [2, 0, 1], [0, 2, 1], [2, 1, 0], [1, 0, 2]];
+const SIGNS = [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1], [-1, -1, -1], [-1, 1, 1], [1, -1, 1], [1, 1, -1]];
+
+/** Nonzero integer vectors within VECTOR_RANGE, shortest first */
+function latticeVectors(L) {
+    const vectors = [];
+    for (let i = -VECTOR_RANGE; i <= VECTOR_RANGE; i++) {
+        for (let j = -VECTOR_RANGE; j <= VECTOR_RANGE; j++) {
+            for (let k = -VECTOR_RANGE; k <= VECTOR_RANGE; k++) {
+                if (i || j || k) vectors.push({ v: [i, j, k], length: norm(mulVec(L, [i, j, k])) });
+            }
+        }
+    }
+    return vectors.sort((a, b) => a.length - b.length).map(c => c.v);
+}
+
+/** Shortest integer vector along the axis of a proper rotation */
+function rotationAxis(R) {
+    const order = Math.abs(rotationType(R));
+    let S = identity();
+    let power = identity();
+    for (let k = 1; k < order; k++) {
+        power = mul(power, R);
+        S = S.map((row, i) => row.map((v, j) => v + power[i][j]));
+    }
+    let best = null;
+    for (let j = 0; j < 3; j++) {
+        const col = [S[0][j], S[1][j], S[2][j]];
+        if (col.some(v => v !== 0) && (!best || norm(col) > norm(best))) best = col;
+    }
+    const g = best.reduce((acc, v) => gcd(acc, v), 0);
+    const axis = best.map(v => v / g);
+    const first = axis.find(v => v !== 0);
+    return first < 0 ? scaleVec(axis, -1) : axis;
+}
+
+/**
+ * Origin p (primitive fractions) with t + (W - I) p ≡ C t_std (mod 1) for every
+ * operation, via a Smith normal form, then refined by least squares.
+ * @returns {{ origin: number[], residual: number }} residual: largest mismatch in Å
+ */
+function solveOrigin(ops, matched, C, L) {
+    const rows = [], rhs = [];
+    ops.forEach((op, i) => {
+        const ts = mulVec(C, matched[i].translation);
+        for (let r = 0; r < 3; r++) {
+            rows.push(op.W[r].map((v, c) => v - (r === c ? 1 : 0)));
+            rhs.push(ts[r] - op.t[r]);
+        }
+    });
+
+    let origin = solveCongruence(rows, rhs);
+
+    // Least-squares refinement with the integer parts fixed
+    const G = mul(transpose(L), L);
+    const normal = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const vector = [0, 0, 0];
+    const mismatch = p => ops.map((op, i) => [0, 1, 2].map(r => {
+        const row = rows[3 * i + r];
+        const d = rhs[3 * i + r] - (row[0] * p[0] + row[1] * p[1] + row[2] * p[2]);
+        return d - Math.round(d);
+    }));
+    const initial = mismatch(origin);
+    ops.forEach((op, i) => {
+        const A = rows.slice(3 * i, 3 * i + 3);
+        const AtG = mul(transpose(A), G);
+        const n = mul(AtG, A);
+        const v = mulVec(AtG, initial[i]);
+        for (let r = 0; r < 3; r++) {
+            vector[r] += v[r];
+            for (let c = 0; c < 3; c++) normal[r][c] += n[r][c];
+        }
+    });
+    const trace = normal[0][0] + normal[1][1] + normal[2][2];
+    if (trace > 0) {
+        const damping = 1e-6 * trace;
+        for (let r = 0; r < 3; r++) normal[r][r] += damping;
+        const delta = mulVec(inv3(normal), vector);
+        origin = origin.map((v, k) => v + delta[k]);
+    }
+
+    const residual = Math.max(...mismatch(origin).map(d => norm(mulVec(L, d))));
+    return { origin: origin.map(wrap), residual };
+}
+
+/**
+ * Solve A p ≡ b (mod 1) for integer A (m × 3) with a Smith normal form U A V = D:
+ * D q ≡ U b, p = V q. Inconsistent rows are ignored (see the residual check).
+ * @returns {number[]}
+ */
+function solveCongruence(rows, rhs) {
+    const A = rows.map(r => r.slice());
+    const b = rhs.slice();
+    const V = identity();
+    const m = A.length;
+    const diagonal = [0, 0, 0];
+
+    for (let k = 0; k < 3; k++) {
+        for (;;) {
+            let pi = -1, pj = -1;
+            for (let i = k; i < m; i++) {
+                for (let j = k; j < 3; j++) {
+                    if (A[i][j] !== 0 && (pi < 0 || Math.abs(A[i][j]) < Math.abs(A[pi][pj]))) { pi = i; pj = j; }
+                }
+            }
+            if (pi < 0) break;
+
+            [A[k], A[pi]] = [A[pi], A[k]];
+            [b[k], b[pi]] = [b[pi], b[k]];
+            A.forEach(r => { [r[k], r[pj]] = [r[pj], r[k]]; });
+            V.forEach(r => { [r[k], r[pj]] = [r[pj], r[k]]; });
+
+            let clean = true;
+            for (let i = k + 1; i < m; i++) {
+                const q = Math.trunc(A[i][k] / A[k][k]);
+                if (q) {
+                    for (let j = k; j < 3; j++) A[i][j] -= q * A[k][j];
+                    b[i] -= q * b[k];
+                }
+                if (A[i][k] !== 0) clean = false;
+            }
+            for (let j = k + 1; j < 3; j++) {
+                const q = Math.trunc(A[k][j] / A[k][k]);
+                if (q) {
+                    for (let i = k; i < m; i++) A[i][j] -= q * A[i][k];
+                    V.forEach(r => { r[j] -= q * r[k]; });
+                }
+                if (A[k][j] !== 0) clean = false;
+            }
+            if (clean) break;
+        }
+        diagonal[k] = A[k][k];
+    }
+
+    const q = diagonal.map((d, k) => (d !== 0 ? b[k] / d : 0));
+    return mulVec(V, q);
+}
+
+// ─── Dataset ───
+
+function buildDataset(context) {
+    const { number, C, Cinv, origin, M, Minv, prim, ops, translations, pointGroup, tol } = context;
+    const info = spaceGroupInfo(number);
+    const standard = standardOperations(number);
+    const crystalSystem = crystalSystemOf(pointGroup);
+    const centering = info.hall.replace('-', '')[0];
+    const latticeType = SYSTEM_LETTER[crystalSystem] + (centering === 'R' ? 'R' : centering);
+
+    // Operations of the input cell (rotations that are integer in its basis)
+    const operations = [];
+    ops.forEach(op => {
+        const W = mul(M, mul(op.W, Minv));
+        if (!isIntegerMatrix(W)) return;
+        const rotation = roundMatrix(W);
+        const t = mulVec(M, op.tIdeal);
+        translations.forEach(tau => {
+            operations.push({ rotation, translation: t.map((v, k) => wrap(v + tau[k])) });
+        });
+    });
+
+    // Orbits of the primitive atoms
+    const orbitOf = new Array(prim.positions.length).fill(-1);
+    const orbits = [];
+    prim.positions.forEach((x, i) => {
+        if (orbitOf[i] >= 0) return;
+        const members = [...new Set(ops.map(op => op.perm[i]))];
+        members.forEach(j => { orbitOf[j] = orbits.length; });
+        orbits.push({ representative: i, members, atoms: [] });
+    });
+    prim.atomToPrim.forEach((i, a) => orbits[orbitOf[i]].atoms.push(a));
+    const equivalentAtoms = prim.atomToPrim.map(i => orbits[orbitOf[i]].atoms[0]);
+
+    const wyckoff = orbits.map(orbit => {
+        const i = orbit.representative;
+        const site = ops.filter(op => op.perm[i] === i).map(op => op.W);
+        let position = null;
+        orbit.members.forEach(j => {
+            const x = mulVec(Cinv, prim.positions[j].map((v, k) => v - origin[k]));
+            standard.centering.forEach(c => {
+                const candidate = x.map((v, k) => wrap(v + c[k]));
+                if (!position || compareVectors(candidate, position) < 0) position = candidate.map(cleanNumber);
+            });
+        });
+        return {
+            element: prim.types[i],
+            multiplicity: orbit.members.length * standard.centering.length,
+            siteSymmetry: pointGroupOf(site) || '?',
+            position,
+            atoms: orbit.atoms
+        };
+    });
+
+    const B = mul(M, C);
+    const conventional = mul(context.cell.L, B);
+
+    return {
+        number,
+        symbol: info.symbol,
+        spacedSymbol: spacedSymbol(info.symbol),
+        hallSymbol: info.hall,
+        pointGroup,
+        crystalSystem,
+        latticeType,
+        pearson: `${latticeType}${prim.positions.length * standard.centering.length}`,
+        tolerance: tol,
+        operations,
+        translations: translations.length,
+        transformation: {
+            matrix: transpose(B).map(row => row.map(cleanNumber)),
+            originShift: mulVec(M, origin).map(v => cleanNumber(wrap(v)))
+        },
+        conventionalLattice: paramsFromMetric(mul(transpose(conventional), conventional)),
+        equivalentAtoms,
+        wyckoff
+    };
+}
+
+// ─── Atom matching ───
+
+/** Index of an atom of the least frequent element */
+function referenceAtom(types) {
+    const counts = new Map();
+    types.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+    let rarest = types[0];
+    counts.forEach((n, t) => { if (n < counts.get(rarest)) rarest = t; });
+    return types.indexOf(rarest);
+}
+
+/**
+ * Nearest-atom lookup on a periodic grid of bins
+ * @returns {(x: number[], type: string) => number} Index within tol, or -1
+ */
+function buildIndex(positions, types, L, tol) {
+    const Linv = inv3(L);
+    // A tolerance sphere spans at most one neighbouring bin along each axis
+    const bins = [0, 1, 2].map(k => Math.max(1, Math.min(24, Math.floor(1 / (tol * norm(Linv[k]))))));
+    const binOf = x => x.map((v, d) => Math.min(bins[d] - 1, Math.floor(wrap(v) * bins[d])));
+    const keyOf = (i, j, k) => (i * bins[1] + j) * bins[2] + k;
+    const cells = new Map();
+    positions.forEach((x, idx) => {
+        const key = keyOf(...binOf(x));
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(idx);
+    });
+
+    return (x, type) => {
+        const [bi, bj, bk] = binOf(x);
+        const keys = new Set();
+        for (let di = -1; di <= 1; di++) {
+            for (let dj = -1; dj <= 1; dj++) {
+                for (let dk = -1; dk <= 1; dk++) {
+                    keys.add(keyOf(
+                        (bi + di + bins[0]) % bins[0],
+                        (bj + dj + bins[1]) % bins[1],
+                        (bk + dk + bins[2]) % bins[2]
+                    ));
+                }
+            }
+        }
+        let best = -1, bestDistance = tol;
+        keys.forEach(key => {
+            (cells.get(key) || []).forEach(idx => {
+                if (types[idx] !== type) return;
+                const d = distance(L, x, positions[idx]);
+                if (d <= bestDistance) { best = idx; bestDistance = d; }
+            });
+        });
+        return best;
+    };
+}
+
+/**
+ * Permutation induced by x -> W x + t (W = null for a pure translation), or null
+ * if some atom has no image
+ */
+function mapAtoms(positions, types, find, W, t) {
+    const used = new Uint8Array(positions.length);
+    const perm = new Array(positions.length);
+    for (let i = 0; i < positions.length; i++) {
+        const x = W ? mulVec(W, positions[i]) : positions[i];
+        const j = find(x.map((v, k) => v + t[k]), types[i]);
+        if (j < 0 || used[j]) return null;
+        used[j] = 1;
+        perm[i] = j;
+    }
+    return perm;
+}
+
+/** Minimum-image distance in Å between two fractional positions (reduced basis) */
+function distance(L, a, b) {
+    const d = a.map((v, k) => {
+        const x = v - b[k];
+        return x - Math.round(x);
+    });
+    return norm(mulVec(L, d));
+}
+
+// ─── Small linear-algebra helpers (matrices are arrays of rows) ───
+
+function identity() {
+    return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+}
+
+function columns(a, b, c) {
+    return [0, 1, 2].map(i => [a[i], b[i], c[i]]);
+}
+
+function mul(A, B) {
+    return A.map(row => [0, 1, 2].map(j => row.reduce((s, v, k) => s + v * B[k][j], 0)));
+}
+
+function mulVec(A, v) {
+    return A.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+function transpose(A) {
+    return [0, 1, 2].map(i => A.map(row => row[i]));
+}
+
+function scale(A, s) {
+    return A.map(row => row.map(v => v * s));
+}
+
+function scaleVec(v, s) {
+    return v.map(x => x * s);
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function norm(v) {
+    return Math.sqrt(dot(v, v));
+}
+
+function det3(m) {
+    return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+         - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+         + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
+
+function inv3(m) {
+    const d = det3(m);
+    if (Math.abs(d) < 1e-12) throw new Error('Singular matrix');
+    const c = (i, j) => {
+        const r = [0, 1, 2].filter(k => k !== i);
+        const s = [0, 1, 2].filter(k => k !== j);
+        return ((i + j) % 2 ? -1 : 1) * (m[r[0]][s[0]] * m[r[1]][s[1]] - m[r[0]][s[1]] * m[r[1]][s[0]]);
+    };
+    return [0, 1, 2].map(i => [0, 1, 2].map(j => c(j, i) / d));
+}
+
+function gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+function wrap(v) {
+    const r = v - Math.floor(v);
+    return r >= 1 - 1e-10 ? 0 : r;
+}
+
+function roundMatrix(A) {
+    return A.map(row => row.map(v => Math.round(v) || 0));
+}
+
+function isIntegerMatrix(A) {
+    return A.every(row => row.every(v => Math.abs(v - Math.round(v)) < 1e-6));
+}
+
+function isIntegerVector(v) {
+    return v.every(x => Math.abs(x - Math.round(x)) < 1e-6);
+}
+
+function matrixKey(A) {
+    return A.map(row => row.map(v => Math.round(v)).join(',')).join(';');
+}
+
+function vectorKey(v) {
+    return v.map(x => Math.round(x * 1e6) / 1e6).join(',');
+}
+
+function compareVectors(a, b) {
+    for (let k = 0; k < 3; k++) {
+        if (Math.abs(a[k] - b[k]) > 1e-4) return a[k] - b[k];
+    }
+    return 0;
+}
+
+/** Round values within 1e-8 of a multiple of 1e-6, and drop negative zero */
+function cleanNumber(v) {
+    const r = Math.round(v * 1e6) / 1e6;
+    return Math.abs(r - v) < 1e-8 ? r || 0 : v;
+}
+
+function paramsFromMetric(G) {
+    const a = Math.sqrt(G[0][0]), b = Math.sqrt(G[1][1]), c = Math.sqrt(G[2][2]);
+    const angle = (x, y) => Math.acos(Math.max(-1, Math.min(1, x / y))) * 180 / Math.PI;
+    return new LatticeParams(a, b, c, angle(G[1][2], b * c), angle(G[0][2], a * c), angle(G[0][1], a * b));
+}
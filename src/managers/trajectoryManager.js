@@ -0,0 +1,283 @@
+import { LatticeParams } from '../crystal.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+
+/**
+ * Manages multi-frame trajectories (MD runs, optimization paths).
+ *
+ * A trajectory is attached to a molecule entry as `entry.trajectory` and shares the
+ * entry's topology: frames only carry coordinates (plus comment, energy and, for
+ * extended XYZ, the lattice). Switching frames rewrites atom positions in place and
+ * does not touch undo history.
+ *
+ * Frame format: { positions: Float64Array(3N), comment: string, energy: number|null, lattice: number[9]|null,
+ *   properties?: (Object|null)[] } — properties are per-atom extended XYZ columns (Atom#properties)
+ */
+export class TrajectoryManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.timer = null;
+        this.fps = 10;
+
+        this.panel = document.getElementById('trajectory-panel');
+        this.slider = document.getElementById('traj-slider');
+        this.playButton = document.getElementById('btn-traj-play');
+        this.frameLabel = document.getElementById('traj-frame-label');
+        this.infoLabel = document.getElementById('traj-info');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (this.slider) {
+            this.slider.addEventListener('input', () => {
+                this.setFrame(parseInt(this.slider.value));
+            });
+        }
+        if (this.playButton) {
+            this.playButton.addEventListener('click', () => {
+                if (this.isPlaying) this.stop();
+                else this.play();
+            });
+        }
+        const prev = document.getElementById('btn-traj-prev');
+        const next = document.getElementById('btn-traj-next');
+        const exportBtn = document.getElementById('btn-traj-export');
+        if (prev) prev.addEventListener('click', () => this.step(-1));
+        if (next) next.addEventListener('click', () => this.step(1));
+        if (exportBtn) exportBtn.addEventListener('click', () => this.downloadFrame());
+    }
+
+    /**
+     * Trajectory of the active molecule entry, or null
+     * @returns {Object|null}
+     */
+    get trajectory() {
+        const entry = this.editor.moleculeManager && this.editor.moleculeManager.getActive();
+        return (entry && entry.trajectory) || null;
+    }
+
+    get isPlaying() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Attach frames to the active molecule entry and show the first one
+     * @param {Object[]} frames - Parsed frames (see class docs)
+     */
+    load(frames) {
+        const entry = this.editor.moleculeManager.getActive();
+        if (!entry) return;
+        entry.trajectory = { frames, current: 0 };
+        this.setFrame(0);
+    }
+
+    /**
+     * Detach the trajectory from the active entry (atoms keep the current frame)
+     */
+    clear() {
+        this.stop();
+        const entry = this.editor.moleculeManager.getActive();
+        if (entry) delete entry.trajectory;
+        this.updateUI();
+    }
+
+    /**
+     * Show frame `index` of the active trajectory
+     * @param {number} index - 0-based frame index (negative counts from the end)
+     * @returns {Object} Result object
+     */
+    setFrame(index) {
+        const traj = this.trajectory;
+        if (!traj) return ErrorHandler.error('No trajectory loaded');
+
+        const n = traj.frames.length;
+        if (index < 0) index += n;
+        if (isNaN(index) || index < 0 || index >= n) {
+            return ErrorHandler.error(`Frame index out of range (0-${n - 1})`);
+        }
+
+        // A running mode animation would overwrite the frame on its next tick
+        if (this.editor.vibrationManager) this.editor.vibrationManager.stop();
+
+        const molecule = this.editor.molecule;
+        const frame = traj.frames[index];
+        if (frame.positions.length !== molecule.atoms.length * 3) {
+            // Atoms were added or deleted since loading; frames no longer map onto the topology
+            this.clear();
+            return ErrorHandler.error('Atom count changed; trajectory detached');
+        }
+
+        const p = frame.positions;
+        molecule.atoms.forEach((atom, i) => {
+            atom.position.set(p[3 * i], p[3 * i + 1], p[3 * i + 2]);
+            this.editor.renderManager.updateAtomPosition(atom);
+        });
+        if (frame.properties) {
+            molecule.atoms.forEach((atom, i) => { atom.properties = frame.properties[i]; });
+        }
+        traj.current = index;
+
+        if (molecule.isCrystal && frame.lattice) {
+            // Variable cell: refresh lattice, fractional coordinates and the cell box
+            molecule.setLattice(latticeFromVectors(frame.lattice));
+            molecule.atoms.forEach(atom => {
+                const f = molecule.lattice.cartToFrac(atom.position.x, atom.position.y, atom.position.z);
+                molecule.fracCoords.set(atom.id, { x: f.x, y: f.y, z: f.z });
+            });
+            this.editor.rebuildScene();
+        } else if (this.editor.renderManager.colorBy) {
+            // Color-by values (forces, height, ...) change with the frame
+            this.editor.renderManager.updateColorValues();
+            this.editor.renderManager.updateAtomColors();
+        } else {
+            this.editor.renderManager.updateBondVisuals();
+        }
+
+        this.updateUI();
+        return ErrorHandler.success(`Frame ${index}/${n - 1}`);
+    }
+
+    /**
+     * Move by `delta` frames (wraps around)
+     * @param {number} delta
+     */
+    step(delta) {
+        const traj = this.trajectory;
+        if (!traj) return;
+        const n = traj.frames.length;
+        this.setFrame(((traj.current + delta) % n + n) % n);
+    }
+
+    /**
+     * Start looping playback
+     * @param {number} [fps] - Frames per second (keeps the current rate if omitted)
+     * @returns {Object} Result object
+     */
+    play(fps) {
+        if (!this.trajectory) return ErrorHandler.error('No trajectory loaded');
+        if (fps !== undefined) this.fps = fps;
+        this.stop();
+        this.timer = setInterval(() => {
+            if (!this.trajectory) {
+                this.stop();
+                return;
+            }
+            this.step(1);
+        }, 1000 / this.fps);
+        this.updateUI();
+        return ErrorHandler.success(`Playing at ${this.fps} fps`);
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.updateUI();
+    }
+
+    /**
+     * Change playback rate (restarts the timer when playing)
+     * @param {number} fps
+     */
+    setFps(fps) {
+        this.fps = fps;
+        if (this.isPlaying) this.play();
+    }
+
+    /**
+     * Current frame as XYZ text, keeping its original comment line
+     * (extended XYZ frames keep their Lattice= field)
+     * @returns {string|null}
+     */
+    exportFrameXYZ() {
+        const traj = this.trajectory;
+        if (!traj) return null;
+        const frame = traj.frames[traj.current];
+        const atoms = this.editor.molecule.atoms;
+
+        let xyz = `${atoms.length}\n${frame.comment}\n`;
+        atoms.forEach(atom => {
+            const { x, y, z } = atom.position;
+            xyz += `${atom.element.padEnd(3)} ${x.toFixed(6).padStart(12)} ${y.toFixed(6).padStart(12)} ${z.toFixed(6).padStart(12)}\n`;
+        });
+        return xyz;
+    }
+
+    downloadFrame() {
+        const xyz = this.exportFrameXYZ();
+        if (!xyz) return;
+        const name = (this.editor.molecule.name || 'trajectory').replace(/\s+/g, '_');
+        const blob = new Blob([xyz], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `${name}_frame${this.trajectory.current}.xyz`;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Sync the timeline panel with the active entry (hidden when it has no trajectory)
+     */
+    updateUI() {
+        if (!this.panel) return;
+        const traj = this.trajectory;
+        if (!traj) {
+            this.panel.style.display = 'none';
+            return;
+        }
+
+        const n = traj.frames.length;
+        const frame = traj.frames[traj.current];
+        this.panel.style.display = 'flex';
+
+        if (this.slider) {
+            this.slider.max = n - 1;
+            this.slider.value = traj.current;
+        }
+        if (this.frameLabel) this.frameLabel.textContent = `${traj.current} / ${n - 1}`;
+        if (this.playButton) this.playButton.textContent = this.isPlaying ? '❚❚' : '▶';
+        if (this.infoLabel) {
+            const parts = [];
+            if (frame.energy !== null) parts.push(`E = ${frame.energy}`);
+            if (frame.comment) parts.push(frame.comment);
+            this.infoLabel.textContent = parts.join('  ·  ');
+            this.infoLabel.title = frame.comment;
+        }
+    }
+
+    /**
+     * Extract an energy value from an XYZ comment line.
+     * Recognizes `energy=-1.23` (extended XYZ), `E -1.23` / `E = -1.23` (ORCA, xtb, CREST)
+     * and comments that are a bare number.
+     * @param {string} comment
+     * @returns {number|null}
+     */
+    static parseEnergy(comment) {
+        if (!comment) return null;
+        const num = '([-+]?\\d+(?:\\.\\d*)?(?:[eEdD][-+]?\\d+)?)';
+        const trimmed = comment.trim();
+
+        const bare = trimmed.match(new RegExp(`^${num}$`));
+        if (bare) return parseFloat(bare[1].replace(/[dD]/, 'e'));
+
+        const keyed = trimmed.match(new RegExp(`(?:^|[\\s,;])(?:energy|E(?:tot)?)\\s*[=:]?\\s*${num}(?![\\w.])`, 'i'));
+        if (keyed) return parseFloat(keyed[1].replace(/[dD]/, 'e'));
+        return null;
+    }
+}
+
+/**
+ * LatticeParams from nine row-major lattice vector components
+ * @param {number[]} v
+ * @returns {LatticeParams}
+ */
+function latticeFromVectors(v) {
+    const len = (x, y, z) => Math.sqrt(x * x + y * y + z * z);
+    const a = len(v[0], v[1], v[2]), b = len(v[3], v[4], v[5]), c = len(v[6], v[7], v[8]);
+    const angle = (i, j, li, lj) => {
+        const cos = (v[i] * v[j] + v[i + 1] * v[j + 1] + v[i + 2] * v[j + 2]) / (li * lj);
+        return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+    };
+    return new LatticeParams(a, b, c, angle(3, 6, b, c), angle(0, 6, a, c), angle(0, 3, a, b));
+}
@@ -7,6 +7,7 @@ import { oclEditorManager } from './oclEditorManager.js';
 import { rdkitManager } from './rdkitManager.js';
 import { LatticeParams } from '../crystal.js';
 import { SlabGenerator } from './slabGenerator.js';
+import { SymmetryFinder } from './symmetryFinder.js';
 
 /**
  * Manages UI interactions, modals, and labels
@@ -44,6 +45,7 @@ export class UIManager {
         this.bindCellParamsButton();
         this.bindSlabGeneratorButton();
         this.bindMillerPlanesButton();
+        this.bindQCInputButton();
         console.log('UIManager: Toolbar events bound');
     }
 
@@ -621,6 +623,37 @@ export class UIManager {
         const btnClose = document.getElementById('cell-close');
         const btnApply = document.getElementById('btn-cell-apply');
         const btnCancel = document.getElementById('btn-cell-cancel');
+        const btnDetect = document.getElementById('btn-cell-detect');
+        const btnSymmetrize = document.getElementById('btn-cell-symmetrize');
+        const symmetryInfo = document.getElementById('cell-symmetry-info');
+        const symprecInput = document.getElementById('cell-symprec');
+
+        const populate = (mol) => {
+            document.getElementById('cell-a').value = mol.lattice.a.toFixed(3);
+            document.getElementById('cell-b').value = mol.lattice.b.toFixed(3);
+            document.getElementById('cell-c').value = mol.lattice.c.toFixed(3);
+            document.getElementById('cell-alpha').value = mol.lattice.alpha.toFixed(2);
+            document.getElementById('cell-beta').value = mol.lattice.beta.toFixed(2);
+            document.getElementById('cell-gamma').value = mol.lattice.gamma.toFixed(2);
+        };
+
+        const tolerance = () => {
+            const value = symprecInput ? parseFloat(symprecInput.value) : 0.01;
+            return value > 0 ? value : 0.01;
+        };
+
+        // Detect the space group and store it on the crystal
+        const detectSymmetry = (mol) => {
+            if (!symmetryInfo) return;
+            try {
+                const dataset = SymmetryFinder.analyze(mol, tolerance());
+                mol.spaceGroup = dataset.spacedSymbol;
+                mol.spaceGroupNumber = dataset.number;
+                symmetryInfo.textContent = `${dataset.symbol} (${dataset.number}) · ${dataset.crystalSystem} · ${dataset.operations.length} operations`;
+            } catch (e) {
+                symmetryInfo.textContent = e.message;
+            }
+        };
 
         if (btn) {
             btn.onclick = () => {
@@ -630,13 +663,8 @@ export class UIManager {
                     return;
                 }
 
-                // Populate current values
-                document.getElementById('cell-a').value = mol.lattice.a.toFixed(3);
-                document.getElementById('cell-b').value = mol.lattice.b.toFixed(3);
-                document.getElementById('cell-c').value = mol.lattice.c.toFixed(3);
-                document.getElementById('cell-alpha').value = mol.lattice.alpha.toFixed(2);
-                document.getElementById('cell-beta').value = mol.lattice.beta.toFixed(2);
-                document.getElementById('cell-gamma').value = mol.lattice.gamma.toFixed(2);
+                populate(mol);
+                detectSymmetry(mol);
 
                 if (modal && backdrop) {
                     modal.style.display = 'block';
@@ -653,6 +681,32 @@ export class UIManager {
         if (btnClose) btnClose.onclick = closeModal;
         if (btnCancel) btnCancel.onclick = closeModal;
 
+        if (btnDetect) {
+            btnDetect.onclick = () => {
+                const mol = this.editor.molecule;
+                if (mol && mol.isCrystal && mol.lattice) detectSymmetry(mol);
+            };
+        }
+
+        if (btnSymmetrize) {
+            btnSymmetrize.onclick = () => {
+                const mol = this.editor.molecule;
+                if (!mol || !mol.isCrystal || !mol.lattice) return;
+                try {
+                    const { dataset, maxShift } = SymmetryFinder.symmetrize(mol, tolerance());
+                    mol.spaceGroup = dataset.spacedSymbol;
+                    mol.spaceGroupNumber = dataset.number;
+                    populate(mol);
+                    detectSymmetry(mol);
+                    this.editor.rebuildScene();
+                    this.editor.saveState();
+                    this.showSuccess(`Symmetrized to ${dataset.symbol} (max shift ${maxShift.toFixed(4)} Å)`);
+                } catch (e) {
+                    this.showError('Symmetrize failed: ' + e.message);
+                }
+            };
+        }
+
         if (btnApply) {
             btnApply.onclick = () => {
                 const mol = this.editor.molecule;
@@ -670,15 +724,8 @@ export class UIManager {
                     return;
                 }
 
-                mol.setLattice(new LatticeParams(a, b, c, alpha, beta, gamma));
-                
-                mol.atoms.forEach(atom => {
-                    const frac = mol.getFrac(atom);
-                    if (frac) {
-                        const cart = mol.lattice.fracToCart(frac.x, frac.y, frac.z);
-                        atom.position.copy(cart);
-                    }
-                });
+                // Atoms keep their fractional coordinates and scale with the cell
+                mol.deformLattice(new LatticeParams(a, b, c, alpha, beta, gamma));
 
                 this.editor.rebuildScene();
                 this.editor.saveState();
@@ -996,6 +1043,110 @@ export class UIManager {
         if (btnMaximize && modal) btnMaximize.onclick = () => this.toggleMaximize(modal);
     }
 
+    /**
+     * Bind QC input dialog (Gaussian / ORCA / Q-Chem)
+     */
+    bindQCInputButton() {
+        const btn = document.getElementById('btn-qc-input');
+        const modal = document.getElementById('qc-input-modal');
+        const backdrop = document.getElementById('modal-backdrop');
+        const preview = document.getElementById('qc-input-preview');
+        if (!modal) return;
+
+        if (btn) btn.onclick = () => this.openQCInputDialog();
+
+        const closeModal = () => {
+            modal.style.display = 'none';
+            if (backdrop) backdrop.style.display = 'none';
+        };
+        const btnClose = document.getElementById('qc-input-close');
+        if (btnClose) btnClose.onclick = closeModal;
+
+        // Live preview
+        ['qc-program', 'qc-job', 'qc-method', 'qc-basis', 'qc-charge', 'qc-mult', 'qc-nprocs', 'qc-memory', 'qc-freeze']
+            .forEach(id => {
+                const el = document.getElementById(id);
+                if (el) el.addEventListener(el.tagName === 'SELECT' || el.type === 'checkbox' ? 'change' : 'input', () => this.updateQCInputPreview());
+            });
+
+        const btnCopy = document.getElementById('btn-qc-copy');
+        if (btnCopy) {
+            btnCopy.onclick = () => {
+                navigator.clipboard.writeText(preview.value).then(() => {
+                    const originalText = btnCopy.innerText;
+                    btnCopy.innerText = 'Copied!';
+                    setTimeout(() => btnCopy.innerText = originalText, 1000);
+                }).catch(err => console.error('Failed to copy:', err));
+            };
+        }
+
+        const btnDownload = document.getElementById('btn-qc-download');
+        if (btnDownload) {
+            btnDownload.onclick = () => {
+                const { program, options } = this._readQCInputForm();
+                const result = this.editor.fileIOManager.downloadQCInput(program, options);
+                if (result.error) this.showError(result.error);
+                else this.showSuccess(result.success);
+            };
+        }
+    }
+
+    /**
+     * Open the QC input dialog for the active molecule
+     * @param {string} [program] - Preselect 'gaussian' | 'orca' | 'qchem'
+     */
+    openQCInputDialog(program) {
+        const modal = document.getElementById('qc-input-modal');
+        const backdrop = document.getElementById('modal-backdrop');
+        if (!modal) return;
+
+        if (program) document.getElementById('qc-program').value = program;
+
+        const selected = this.editor.molecule.atoms.filter(a => a.selected).length;
+        const freeze = document.getElementById('qc-freeze');
+        freeze.checked = selected > 0;
+        freeze.disabled = selected === 0;
+        document.getElementById('qc-freeze-label').textContent = `Freeze selected atoms (${selected})`;
+
+        this.updateQCInputPreview();
+        modal.style.display = 'block';
+        if (backdrop) backdrop.style.display = 'block';
+    }
+
+    updateQCInputPreview() {
+        const preview = document.getElementById('qc-input-preview');
+        const errorBox = document.getElementById('qc-input-error');
+        if (!preview) return;
+
+        const { program, options } = this._readQCInputForm();
+        try {
+            preview.value = this.editor.fileIOManager.exportQCInput(program, options);
+            errorBox.style.display = 'none';
+        } catch (e) {
+            preview.value = '';
+            errorBox.textContent = e.message;
+            errorBox.style.display = 'block';
+        }
+    }
+
+    _readQCInputForm() {
+        const value = id => document.getElementById(id).value.trim();
+        const mult = value('qc-mult');
+        return {
+            program: value('qc-program'),
+            options: {
+                job: value('qc-job'),
+                method: value('qc-method') || undefined,
+                basis: value('qc-basis') || undefined,
+                charge: parseInt(value('qc-charge')) || 0,
+                multiplicity: mult ? parseInt(mult) : undefined,
+                nprocs: parseInt(value('qc-nprocs')) || undefined,
+                memory: parseFloat(value('qc-memory')) || undefined,
+                freezeSelected: document.getElementById('qc-freeze').checked
+            }
+        };
+    }
+
     /**
      * Bind JSME button
      */
@@ -1311,6 +1462,9 @@ export class UIManager {
             } else if (format === 'sdf') {
                 const sdf = await this.editor.fileIOManager.exportSDF({ splitFragments });
                 input.value = sdf || '';
+            } else if (format === 'pdb') {
+                const pdb = this.editor.fileIOManager.exportPDB();
+                input.value = pdb || '';
             } else if (format === 'cif') {
                 const cif = this.editor.fileIOManager.exportCIF();
                 input.value = cif || '';
@@ -1398,6 +1552,16 @@ export class UIManager {
                                 this.showSuccess(result.success || 'Updated SDF');
                                 this.closeCoordinateEditor();
                             }
+                        } else if (format === 'pdb') {
+                            const result = this.editor.fileIOManager.importPDB(text, { shouldClear: false });
+                            if (result.error) {
+                                this.showError(result.error);
+                            } else {
+                                this.editor.renderManager.rebuildScene();
+                                this.updateAtomCount();
+                                this.showSuccess(result.success || 'Updated PDB');
+                                this.closeCoordinateEditor();
+                            }
                         } else if (format === 'cif') {
                             const result = this.editor.fileIOManager.importCIF(text);
                             if (result.error) {
@@ -1789,15 +1953,15 @@ export class UIManager {
     /**
      * Create label element for an atom
      * @param {Object} atom - Atom object
+     * @param {number} [index] - Index of the atom in the molecule (looked up if omitted)
      * @returns {HTMLElement} Label element
      */
-    createAtomLabel(atom) {
+    createAtomLabel(atom, index = this.editor.molecule.atoms.indexOf(atom)) {
         const label = document.createElement('div');
         label.className = 'atom-label';
-        const index = this.editor.molecule.atoms.indexOf(atom);
         label.dataset.atomIndex = index;
 
-        this.updateAtomLabelText(atom, label);
+        this.updateAtomLabelText(atom, label, index);
 
         return label;
     }
@@ -1806,8 +1970,9 @@ export class UIManager {
      * Update label text for an atom
      * @param {Object} atom - Atom object
      * @param {HTMLElement} label - Label element (optional, will find if not provided)
+     * @param {number} [index] - Index of the atom in the molecule (looked up if omitted)
      */
-    updateAtomLabelText(atom, label = null) {
+    updateAtomLabelText(atom, label = null, index = null) {
         if (!label) {
             label = atom.label;
         }
@@ -1819,7 +1984,7 @@ export class UIManager {
             label.style.display = 'none';
         } else {
             label.style.display = 'block';
-            const index = this.editor.molecule.atoms.indexOf(atom);
+            if (index === null) index = this.editor.molecule.atoms.indexOf(atom);
 
             if (mode === 'symbol') {
                 label.textContent = atom.element;
@@ -1837,16 +2002,16 @@ export class UIManager {
     updateAllLabels() {
         if (!this.editor.molecule) return;
 
-        this.editor.molecule.atoms.forEach(atom => {
+        this.editor.molecule.atoms.forEach((atom, index) => {
             // Create label if missing
             if (!atom.label) {
-                const label = this.createAtomLabel(atom);
+                const label = this.createAtomLabel(atom, index);
                 this.editor.labelContainer.appendChild(label);
                 atom.label = label;
             }
 
             // Update text based on mode
-            this.updateAtomLabelText(atom);
+            this.updateAtomLabelText(atom, null, index);
 
             // Show/hide based on mode
             const mode = this.state.getLabelMode();
@@ -1867,11 +2032,22 @@ export class UIManager {
         const scene = this.editor.renderer.scene;
         const raycaster = new THREE.Raycaster();
 
+        // Intersect with atoms and bonds
+        // We filter objects to only include meshes that are atoms or bonds (or cylinders of multiple bonds)
+        const objectsToCheck = [];
+        scene.traverse(obj => {
+            const type = obj.userData && obj.userData.type;
+            const parentType = obj.parent && obj.parent.userData && obj.parent.userData.type;
+            if (obj.isMesh && (type === 'atom' || type === 'bond' || parentType === 'bond')) {
+                objectsToCheck.push(obj);
+            }
+        });
+
         this.editor.molecule.atoms.forEach(atom => {
-            if (!atom.label || !atom.mesh) return;
+            if (!atom.label) return;
 
             // 1. Project 3D position to NDC (Normalized Device Coordinates)
-            const pos = atom.mesh.position.clone();
+            const pos = atom.position.clone();
             pos.project(camera);
 
             // 2. Check if behind camera or outside frustum (roughly)
@@ -1881,18 +2057,12 @@ export class UIManager {
             }
 
             // 3. Occlusion Check (Raycasting)
-            raycaster.setFromCamera({ x: pos.x, y: pos.y }, camera);
-
-            // Intersect with atoms and bonds
-            // We filter objects to only include meshes that are atoms or bonds
-            const objectsToCheck = [];
-            scene.traverse(obj => {
-                if (obj.isMesh && obj.userData && (obj.userData.type === 'atom' || obj.userData.type === 'bond')) {
-                    objectsToCheck.push(obj);
-                }
-            });
-
-            const intersects = raycaster.intersectObjects(objectsToCheck);
+            // Skipped for instanced scenes: one ray per label against every instance is too slow
+            let intersects = [];
+            if (atom.mesh) {
+                raycaster.setFromCamera({ x: pos.x, y: pos.y }, camera);
+                intersects = raycaster.intersectObjects(objectsToCheck);
+            }
 
             if (intersects.length > 0) {
                 // The first hit object
@@ -1918,7 +2088,7 @@ export class UIManager {
             let scale = 1;
             if (camera.isPerspectiveCamera) {
                 // Perspective: Scale inversely with distance
-                const distance = atom.mesh.position.distanceTo(camera.position);
+                const distance = atom.position.distanceTo(camera.position);
                 const referenceDistance = 10; // Distance where scale is 1
                 scale = referenceDistance / distance;
             } else {
@@ -0,0 +1,349 @@
+import * as THREE from 'three';
+import { ErrorHandler } from '../utils/errorHandler.js';
+
+const ARROW_COLOR = 0x00aa44;
+
+/**
+ * Animates vibrational normal modes and draws displacement arrows.
+ *
+ * Modes are attached to a molecule entry as `entry.vibrations` by the output readers
+ * (Gaussian, ORCA, Molden): [{ frequency, irIntensity, displacements: Float64Array(3N) }]
+ * with negative frequencies for imaginary modes.
+ *
+ * Amplitudes are given in Å for the atom that moves most in the mode, so the same value
+ * means the same visual size for any normalization of the displacement vectors.
+ * Animation moves atoms in place around a saved equilibrium geometry and restores it on
+ * stop; it never touches undo history.
+ */
+export class VibrationManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.mode = null;
+        this.amplitude = 0.3;
+        this.speed = 1;
+        this.base = null;
+        this.frameId = null;
+        this.startTime = 0;
+        this.arrows = null;
+        this.arrowScale = 1.5;
+
+        this.panel = document.getElementById('vibration-panel');
+        this.modeSelect = document.getElementById('vib-mode-select');
+        this.playButton = document.getElementById('btn-vib-play');
+        this.ampSlider = document.getElementById('vib-amplitude');
+        this.speedSlider = document.getElementById('vib-speed');
+        this.arrowsButton = document.getElementById('btn-vib-arrows');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (this.modeSelect) {
+            this.modeSelect.addEventListener('change', () => {
+                const mode = parseInt(this.modeSelect.value);
+                if (this.isPlaying) this.start(mode);
+                if (this.arrows) this.showArrows(mode);
+            });
+        }
+        if (this.playButton) {
+            this.playButton.addEventListener('click', () => {
+                if (this.isPlaying) this.stop();
+                else this.start(parseInt(this.modeSelect.value));
+            });
+        }
+        if (this.ampSlider) {
+            this.ampSlider.addEventListener('input', () => { this.amplitude = parseFloat(this.ampSlider.value); });
+        }
+        if (this.speedSlider) {
+            this.speedSlider.addEventListener('input', () => { this.speed = parseFloat(this.speedSlider.value); });
+        }
+        if (this.arrowsButton) {
+            this.arrowsButton.addEventListener('click', () => {
+                if (this.arrows) this.clearArrows();
+                else this.showArrows(parseInt(this.modeSelect.value));
+            });
+        }
+        const minus = document.getElementById('btn-vib-minus');
+        const plus = document.getElementById('btn-vib-plus');
+        const report = (result) => {
+            if (result.error) this.editor.console.print(result.error, 'error');
+            else this.editor.console.print(result.success, 'success');
+        };
+        if (minus) minus.addEventListener('click', () => report(this.displace(parseInt(this.modeSelect.value), -this.amplitude)));
+        if (plus) plus.addEventListener('click', () => report(this.displace(parseInt(this.modeSelect.value), this.amplitude)));
+    }
+
+    /**
+     * Normal modes of the active molecule entry, or null
+     * @returns {Object[]|null}
+     */
+    get vibrations() {
+        const entry = this.editor.moleculeManager && this.editor.moleculeManager.getActive();
+        return (entry && entry.vibrations && entry.vibrations.length > 0) ? entry.vibrations : null;
+    }
+
+    get isPlaying() {
+        return this.frameId !== null;
+    }
+
+    /**
+     * Look up a mode and check it still matches the molecule
+     * @param {number} index - 0-based mode index
+     * @returns {{ vibration?: Object, error?: string }}
+     */
+    getMode(index) {
+        const vibrations = this.vibrations;
+        if (!vibrations) return { error: 'No vibrational modes loaded' };
+        if (!Number.isInteger(index) || index < 0 || index >= vibrations.length) {
+            return { error: `Mode index out of range (0-${vibrations.length - 1})` };
+        }
+        const vibration = vibrations[index];
+        if (vibration.displacements.length !== this.editor.molecule.atoms.length * 3) {
+            return { error: 'Atom count changed; modes no longer match the molecule' };
+        }
+        return { vibration };
+    }
+
+    /**
+     * Start animating a mode (restarts from equilibrium if another mode is playing)
+     * @param {number} index - 0-based mode index
+     * @param {Object} [options]
+     * @param {number} [options.amplitude] - Å, for the most displaced atom
+     * @param {number} [options.speed] - Oscillations per second
+     * @returns {Object} Result object
+     */
+    start(index, options = {}) {
+        const { vibration, error } = this.getMode(index);
+        if (error) return ErrorHandler.error(error);
+
+        this.stop();
+        if (this.editor.trajectoryManager) this.editor.trajectoryManager.stop();
+        if (options.amplitude !== undefined) this.amplitude = options.amplitude;
+        if (options.speed !== undefined) this.speed = options.speed;
+
+        const atoms = this.editor.molecule.atoms;
+        this.base = new Float64Array(atoms.length * 3);
+        atoms.forEach((atom, i) => {
+            this.base[3 * i] = atom.position.x;
+            this.base[3 * i + 1] = atom.position.y;
+            this.base[3 * i + 2] = atom.position.z;
+        });
+        this.mode = index;
+        this.startTime = performance.now();
+
+        const d = vibration.displacements;
+        const norm = maxDisplacement(d);
+        const tick = () => {
+            const t = (performance.now() - this.startTime) / 1000;
+            const s = Math.sin(2 * Math.PI * this.speed * t) * this.amplitude / norm;
+            const molecule = this.editor.molecule;
+            if (molecule.atoms.length * 3 !== this.base.length) {
+                // Structure edited mid-animation; drop the saved geometry rather than corrupt it
+                this.frameId = null;
+                this.base = null;
+                this.updateUI();
+                return;
+            }
+            molecule.atoms.forEach((atom, i) => {
+                atom.position.set(
+                    this.base[3 * i] + s * d[3 * i],
+                    this.base[3 * i + 1] + s * d[3 * i + 1],
+                    this.base[3 * i + 2] + s * d[3 * i + 2]
+                );
+                this.editor.renderManager.updateAtomPosition(atom);
+            });
+            this.editor.renderManager.updateBondVisuals();
+            this._updateArrowPositions();
+            this.frameId = requestAnimationFrame(tick);
+        };
+        this.frameId = requestAnimationFrame(tick);
+
+        this.updateUI();
+        return ErrorHandler.success(`Animating mode ${index} (${formatFrequency(vibration.frequency)}), amplitude ${this.amplitude} Å`);
+    }
+
+    /**
+     * Stop the animation and restore the equilibrium geometry
+     */
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        if (this.base) {
+            const atoms = this.editor.molecule.atoms;
+            if (atoms.length * 3 === this.base.length) {
+                atoms.forEach((atom, i) => {
+                    atom.position.set(this.base[3 * i], this.base[3 * i + 1], this.base[3 * i + 2]);
+                    this.editor.renderManager.updateAtomPosition(atom);
+                });
+                this.editor.renderManager.updateBondVisuals();
+                this._updateArrowPositions();
+            }
+            this.base = null;
+        }
+        this.updateUI();
+    }
+
+    /**
+     * Draw one arrow per atom along a mode's displacement
+     * @param {number} index - 0-based mode index
+     * @param {number} [scale] - Length in Å of the longest arrow
+     * @returns {Object} Result object
+     */
+    showArrows(index, scale) {
+        const { vibration, error } = this.getMode(index);
+        if (error) return ErrorHandler.error(error);
+        if (scale !== undefined) this.arrowScale = scale;
+
+        this.clearArrows();
+        const d = vibration.displacements;
+        const factor = this.arrowScale / maxDisplacement(d);
+        this.arrows = new THREE.Group();
+        this.arrows.userData = { type: 'vibArrows', mode: index };
+
+        this.editor.molecule.atoms.forEach((atom, i) => {
+            const dir = new THREE.Vector3(d[3 * i], d[3 * i + 1], d[3 * i + 2]);
+            const length = dir.length() * factor;
+            // Atoms that barely move would only show an arrow head
+            if (length < 0.05) return;
+            const arrow = new THREE.ArrowHelper(dir.normalize(), atom.position.clone(), length, ARROW_COLOR,
+                Math.min(0.3, length * 0.35), Math.min(0.15, length * 0.2));
+            arrow.userData = { atom };
+            this.arrows.add(arrow);
+        });
+
+        this.editor.renderer.scene.add(this.arrows);
+        this.updateUI();
+        return ErrorHandler.success(`Showing displacement arrows for mode ${index} (${formatFrequency(vibration.frequency)})`);
+    }
+
+    clearArrows() {
+        if (!this.arrows) return;
+        this.editor.renderer.scene.remove(this.arrows);
+        this.arrows.children.forEach(arrow => arrow.dispose());
+        this.arrows = null;
+        this.updateUI();
+    }
+
+    _updateArrowPositions() {
+        if (!this.arrows) return;
+        this.arrows.children.forEach(arrow => arrow.position.copy(arrow.userData.atom.position));
+    }
+
+    /**
+     * Create a new molecule displaced along a mode from the equilibrium geometry.
+     * The copy keeps bonds and PDB metadata, but not modes or charges.
+     * @param {number} index - 0-based mode index
+     * @param {number} amplitude - Signed displacement in Å of the most displaced atom
+     * @returns {Object} Result object
+     */
+    displace(index, amplitude) {
+        const { vibration, error } = this.getMode(index);
+        if (error) return ErrorHandler.error(error);
+        if (isNaN(amplitude) || amplitude === 0) return ErrorHandler.error('Amplitude must be a non-zero number');
+
+        // Read equilibrium positions before the animation is stopped by the switch
+        const source = this.editor.molecule;
+        const d = vibration.displacements;
+        const s = amplitude / maxDisplacement(d);
+        const atoms = source.atoms.map((atom, i) => ({
+            element: atom.element,
+            position: new THREE.Vector3(
+                (this.base ? this.base[3 * i] : atom.position.x) + s * d[3 * i],
+                (this.base ? this.base[3 * i + 1] : atom.position.y) + s * d[3 * i + 1],
+                (this.base ? this.base[3 * i + 2] : atom.position.z) + s * d[3 * i + 2]
+            ),
+            pdb: atom.pdb
+        }));
+        const bonds = source.bonds.map(b => [source.atoms.indexOf(b.atom1), source.atoms.indexOf(b.atom2), b.order]);
+
+        const mm = this.editor.moleculeManager;
+        const sign = amplitude > 0 ? '+' : '';
+        const name = `${mm.getActive().name} mode ${index} ${sign}${amplitude}`;
+        mm.createMolecule(name);
+
+        const molecule = this.editor.molecule;
+        const created = atoms.map(data => {
+            const atom = molecule.addAtom(data.element, data.position);
+            if (data.pdb) atom.pdb = { ...data.pdb };
+            return atom;
+        });
+        bonds.forEach(([i, j, order]) => molecule.addBond(created[i], created[j], order));
+
+        this.editor.rebuildScene();
+        this.editor.saveState();
+        mm.updateUI();
+        return ErrorHandler.success(`Created "${name}" (${formatFrequency(vibration.frequency)}, ${sign}${amplitude} Å)`);
+    }
+
+    /**
+     * Mode table for the console
+     * @returns {string|null}
+     */
+    listModes() {
+        const vibrations = this.vibrations;
+        if (!vibrations) return null;
+        const lines = ['Mode  Frequency (cm-1)  IR (km/mol)'];
+        vibrations.forEach((v, i) => {
+            const ir = v.irIntensity !== null && v.irIntensity !== undefined ? v.irIntensity.toFixed(2) : '-';
+            const freq = Math.abs(v.frequency).toFixed(2) + (v.frequency < 0 ? 'i' : ' ');
+            lines.push(`${String(i).padStart(4)}  ${freq.padStart(16)}  ${ir.padStart(11)}`);
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Sync the mode panel with the active entry (hidden when it has no modes)
+     */
+    updateUI() {
+        if (!this.panel) return;
+        const vibrations = this.vibrations;
+        if (!vibrations) {
+            this.panel.style.display = 'none';
+            return;
+        }
+        this.panel.style.display = 'flex';
+
+        if (this.modeSelect) {
+            const key = vibrations.map(v => v.frequency).join(',');
+            if (this.modeSelect.dataset.key !== key) {
+                this.modeSelect.innerHTML = '';
+                vibrations.forEach((v, i) => {
+                    const option = document.createElement('option');
+                    option.value = i;
+                    option.textContent = `${i}: ${formatFrequency(v.frequency)}`;
+                    this.modeSelect.appendChild(option);
+                });
+                this.modeSelect.dataset.key = key;
+            }
+            const current = this.isPlaying ? this.mode : (this.arrows ? this.arrows.userData.mode : null);
+            if (current !== null && current < vibrations.length) this.modeSelect.value = current;
+        }
+        if (this.playButton) this.playButton.textContent = this.isPlaying ? '❚❚' : '▶';
+        if (this.ampSlider) this.ampSlider.value = this.amplitude;
+        if (this.speedSlider) this.speedSlider.value = this.speed;
+        if (this.arrowsButton) this.arrowsButton.classList.toggle('active', this.arrows !== null);
+    }
+}
+
+/**
+ * Largest per-atom displacement length of a mode vector
+ * @param {Float64Array} d
+ * @returns {number}
+ */
+function maxDisplacement(d) {
+    let max = 0;
+    for (let i = 0; i < d.length; i += 3) {
+        max = Math.max(max, Math.hypot(d[i], d[i + 1], d[i + 2]));
+    }
+    return max || 1;
+}
+
+/**
+ * "1234.56 cm⁻¹", with an `i` suffix for imaginary modes
+ * @param {number} frequency
+ * @returns {string}
+ */
+function formatFrequency(frequency) {
+    return `${Math.abs(frequency).toFixed(1)}${frequency < 0 ? 'i' : ''} cm⁻¹`;
+}
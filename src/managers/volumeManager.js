@@ -0,0 +1,294 @@
+import * as THREE from 'three';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { marchingCubes } from '../utils/marchingCubes.js';
+
+/**
+ * Renders isosurfaces of volumetric data (cube files, VASP CHGCAR/LOCPOT, orbitals).
+ *
+ * A volume is attached to a molecule entry as `entry.volume`:
+ *  {
+ *    grid: { dims, data, origin, axes, periodic },   // see VolumeParser
+ *    kind: 'cube' | 'CHGCAR' | 'LOCPOT' | 'MO', units: string, title: string,
+ *    min, max,                                        // data range
+ *    isovalue, opacity, positiveColor, negativeColor, visible
+ *  }
+ * The positive surface is drawn at +isovalue and, when the data goes below it, the
+ * negative surface at -isovalue. Display settings live on the volume, so each molecule
+ * keeps its own isovalue and colors; loading a grid of the same kind over an existing
+ * one (e.g. picking another orbital) keeps them too.
+ */
+export class VolumeManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.group = null;
+
+        this.section = document.getElementById('isosurface-controls');
+        this.isoInput = document.getElementById('iso-value');
+        this.opacitySlider = document.getElementById('iso-opacity');
+        this.opacityLabel = document.getElementById('val-iso-opacity');
+        this.positiveInput = document.getElementById('iso-color-positive');
+        this.negativeInput = document.getElementById('iso-color-negative');
+        this.visibleCheckbox = document.getElementById('chk-isosurface');
+        this.infoLabel = document.getElementById('iso-info');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (this.isoInput) {
+            this.isoInput.addEventListener('change', () => {
+                const value = parseFloat(this.isoInput.value);
+                if (value > 0) this.setIsovalue(value);
+                else this.updateUI();
+            });
+        }
+        if (this.opacitySlider) {
+            this.opacitySlider.addEventListener('input', () => this.setOpacity(parseFloat(this.opacitySlider.value)));
+        }
+        if (this.positiveInput) {
+            this.positiveInput.addEventListener('input', () => this.setColors(this.positiveInput.value));
+        }
+        if (this.negativeInput) {
+            this.negativeInput.addEventListener('input', () => this.setColors(undefined, this.negativeInput.value));
+        }
+        if (this.visibleCheckbox) {
+            this.visibleCheckbox.addEventListener('change', () => this.setVisible(this.visibleCheckbox.checked));
+        }
+    }
+
+    /**
+     * Volume of the active molecule entry, or null
+     * @returns {Object|null}
+     */
+    get volume() {
+        const entry = this.editor.moleculeManager && this.editor.moleculeManager.getActive();
+        return (entry && entry.volume) || null;
+    }
+
+    /**
+     * Attach a grid to the active molecule entry and draw it
+     * @param {Object} grid - VolumeParser grid
+     * @param {Object} meta
+     * @param {string} meta.kind - 'cube' | 'CHGCAR' | 'LOCPOT' | 'MO'
+     * @param {string} [meta.units='']
+     * @param {string} [meta.title='']
+     */
+    load(grid, meta) {
+        const entry = this.editor.moleculeManager.getActive();
+        if (!entry) return;
+
+        let min = Infinity, max = -Infinity, sumAbs = 0;
+        for (let i = 0; i < grid.data.length; i++) {
+            const v = grid.data[i];
+            if (v < min) min = v;
+            if (v > max) max = v;
+            sumAbs += Math.abs(v);
+        }
+
+        const previous = entry.volume && entry.volume.kind === meta.kind ? entry.volume : null;
+        entry.volume = {
+            grid,
+            kind: meta.kind,
+            units: meta.units || '',
+            title: meta.title || '',
+            min,
+            max,
+            isovalue: previous
+                ? previous.isovalue
+                : defaultIsovalue(meta.kind, Math.max(Math.abs(min), Math.abs(max)), sumAbs / grid.data.length),
+            opacity: previous ? previous.opacity : 0.8,
+            positiveColor: previous ? previous.positiveColor : '#1e90ff',
+            negativeColor: previous ? previous.negativeColor : '#ff4444',
+            visible: true
+        };
+        this.update();
+    }
+
+    /**
+     * Detach the volume from the active entry
+     */
+    clear() {
+        const entry = this.editor.moleculeManager.getActive();
+        if (entry) delete entry.volume;
+        this.update();
+    }
+
+    /**
+     * Rebuild the isosurface meshes for the active entry
+     */
+    update() {
+        this._removeMeshes();
+        const volume = this.volume;
+        if (volume && volume.visible) {
+            this.group = new THREE.Group();
+            this.group.userData = { type: 'isosurface' };
+
+            this._addSurface(volume, 1, volume.positiveColor);
+            if (volume.min < -volume.isovalue) this._addSurface(volume, -1, volume.negativeColor);
+            this.editor.renderer.scene.add(this.group);
+        }
+        this.updateUI();
+    }
+
+    _addSurface(volume, sign, color) {
+        const { positions, normals } = marchingCubes(volume.grid, volume.isovalue, sign);
+        if (positions.length === 0) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        const material = new THREE.MeshPhongMaterial({
+            color,
+            transparent: volume.opacity < 1,
+            opacity: volume.opacity,
+            depthWrite: volume.opacity >= 1,
+            side: THREE.DoubleSide,
+            shininess: 40
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.userData = { type: 'isosurface', sign };
+        this.group.add(mesh);
+    }
+
+    _removeMeshes() {
+        if (!this.group) return;
+        this.editor.renderer.scene.remove(this.group);
+        this.group.children.forEach(mesh => {
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.group = null;
+    }
+
+    /**
+     * @param {number} value - Positive isovalue (the negative surface uses -value)
+     * @returns {Object} Result object
+     */
+    setIsovalue(value) {
+        const volume = this.volume;
+        if (!volume) return ErrorHandler.error('No volumetric data loaded');
+        if (!(value > 0)) return ErrorHandler.error(`Invalid isovalue: ${value}`);
+        volume.isovalue = value;
+        volume.visible = true;
+        this.update();
+
+        const extent = Math.max(Math.abs(volume.min), Math.abs(volume.max));
+        if (value >= extent) {
+            return ErrorHandler.warning(`Isovalue ${value} is outside the data range (${formatRange(volume)}); nothing to draw`);
+        }
+        return ErrorHandler.success(`Isovalue set to ±${value}`);
+    }
+
+    setVisible(visible) {
+        const volume = this.volume;
+        if (!volume) return ErrorHandler.error('No volumetric data loaded');
+        volume.visible = visible;
+        this.update();
+        return ErrorHandler.success(`Isosurface ${visible ? 'shown' : 'hidden'}`);
+    }
+
+    /**
+     * Change opacity without recomputing the surface
+     * @param {number} opacity - 0..1
+     */
+    setOpacity(opacity) {
+        const volume = this.volume;
+        if (!volume) return ErrorHandler.error('No volumetric data loaded');
+        if (isNaN(opacity) || opacity < 0 || opacity > 1) return ErrorHandler.error('Opacity must be between 0 and 1');
+        volume.opacity = opacity;
+        if (this.group) {
+            this.group.children.forEach(mesh => {
+                mesh.material.opacity = opacity;
+                mesh.material.transparent = opacity < 1;
+                mesh.material.depthWrite = opacity >= 1;
+                mesh.material.needsUpdate = true;
+            });
+        }
+        this.updateUI();
+        return ErrorHandler.success(`Isosurface opacity set to ${opacity}`);
+    }
+
+    /**
+     * Change surface colors without recomputing the surface
+     * @param {string} [positive] - Any CSS color
+     * @param {string} [negative]
+     * @returns {Object} Result object
+     */
+    setColors(positive, negative) {
+        const volume = this.volume;
+        if (!volume) return ErrorHandler.error('No volumetric data loaded');
+        // '#rrggbb', 'rrggbb' or a CSS color name
+        const toHex = (c) => {
+            if (/^#?[0-9a-f]{6}$/i.test(c)) return `#${c.replace('#', '').toLowerCase()}`;
+            if (!(c.toLowerCase() in THREE.Color.NAMES)) throw new Error(c);
+            return `#${new THREE.Color(c.toLowerCase()).getHexString()}`;
+        };
+        try {
+            if (positive !== undefined) volume.positiveColor = toHex(positive);
+            if (negative !== undefined) volume.negativeColor = toHex(negative);
+        } catch (e) {
+            return ErrorHandler.error(`Invalid color: ${e.message}`);
+        }
+        if (this.group) {
+            this.group.children.forEach(mesh => {
+                mesh.material.color.set(mesh.userData.sign > 0 ? volume.positiveColor : volume.negativeColor);
+            });
+        }
+        this.updateUI();
+        return ErrorHandler.success(`Isosurface colors: ${volume.positiveColor} / ${volume.negativeColor}`);
+    }
+
+    /**
+     * Summary for the console
+     * @returns {string|null}
+     */
+    info() {
+        const volume = this.volume;
+        if (!volume) return null;
+        const { dims } = volume.grid;
+        const triangles = this.group
+            ? this.group.children.reduce((sum, mesh) => sum + mesh.geometry.attributes.position.count / 3, 0)
+            : 0;
+        return [
+            `${volume.kind}${volume.title ? `: ${volume.title}` : ''}`,
+            `Grid: ${dims.join(' x ')}${volume.grid.periodic ? ' (periodic)' : ''}`,
+            `Range: ${formatRange(volume)}`,
+            `Isovalue: ±${volume.isovalue}, opacity ${volume.opacity}, colors ${volume.positiveColor} / ${volume.negativeColor}`,
+            `Surface: ${volume.visible ? `shown (${triangles} triangles)` : 'hidden'}`
+        ].join('\n');
+    }
+
+    /**
+     * Sync the sidebar controls with the active entry (hidden when it has no volume)
+     */
+    updateUI() {
+        if (!this.section) return;
+        const volume = this.volume;
+        if (!volume) {
+            this.section.style.display = 'none';
+            return;
+        }
+        this.section.style.display = 'block';
+        if (this.isoInput) this.isoInput.value = volume.isovalue;
+        if (this.opacitySlider) this.opacitySlider.value = volume.opacity;
+        if (this.opacityLabel) this.opacityLabel.textContent = volume.opacity.toFixed(2);
+        if (this.positiveInput) this.positiveInput.value = volume.positiveColor;
+        if (this.negativeInput) this.negativeInput.value = volume.negativeColor;
+        if (this.visibleCheckbox) this.visibleCheckbox.checked = volume.visible;
+        if (this.infoLabel) this.infoLabel.textContent = `${volume.kind} ${volume.grid.dims.join('×')}, ${formatRange(volume)}`;
+    }
+}
+
+/**
+ * Starting isovalue: the usual 0.02 a.u. for cube files and orbitals,
+ * the mean magnitude for VASP grids whose scale depends on the system.
+ * @returns {number}
+ */
+function defaultIsovalue(kind, maxAbs, meanAbs) {
+    const value = kind === 'cube' || kind === 'MO' ? Math.min(0.02, maxAbs / 2) : meanAbs;
+    return value > 0 ? parseFloat(value.toPrecision(2)) : 0.01;
+}
+
+function formatRange(volume) {
+    const fmt = v => parseFloat(v.toPrecision(4));
+    return `${fmt(volume.min)} to ${fmt(volume.max)}${volume.units ? ` ${volume.units}` : ''}`;
+}
@@ -0,0 +1,158 @@
+import { ELEMENTS } from '../constants.js';
+import { POSCARParser } from './poscarParser.js';
+
+const BOHR_TO_ANGSTROM = 0.529177210903;
+
+/** Atomic number → element symbol */
+const SYMBOLS = Object.fromEntries(
+    Object.entries(ELEMENTS).map(([symbol, data]) => [data.atomicNumber, symbol])
+);
+
+/**
+ * Parser for volumetric data files.
+ *
+ * Supported formats:
+ *  - Gaussian cube (.cube/.cub): molecular orbitals, densities, spin densities.
+ *    Bohr or Ångström units (sign of the voxel counts); MO cubes with several
+ *    orbitals keep the first one.
+ *  - VASP CHGCAR / LOCPOT (and PARCHG, ELFCAR, AECCAR*): POSCAR header followed by
+ *    the grid. CHGCAR-type values are divided by the cell volume (→ e/Å³); only the
+ *    first (total) data set of spin-polarized files is read.
+ *
+ * Grids are returned in the layout expected by marchingCubes():
+ *  { dims: [nx, ny, nz], data: Float32Array (x fastest), origin: [x, y, z], axes: [a, b, c], periodic }
+ */
+export class VolumeParser {
+    /**
+     * Parse a Gaussian cube file.
+     * @param {string} content
+     * @returns {{ title: string, atoms: Array<{element: string, x: number, y: number, z: number}>, grid: Object, orbitals: number[] }}
+     */
+    static parseCube(content) {
+        const lines = content.split(/\r?\n/);
+        if (lines.length < 7) throw new Error('Cube: file too short');
+
+        const title = [lines[0].trim(), lines[1].trim()].filter(Boolean).join(' – ') || 'Cube';
+        const header = lines[2].trim().split(/\s+/).map(Number);
+        const natomsRaw = header[0];
+        const natoms = Math.abs(natomsRaw);
+        if (!Number.isInteger(natoms)) throw new Error('Cube: invalid atom count');
+
+        const dims = [];
+        const axes = [];
+        let scale = BOHR_TO_ANGSTROM;
+        for (let d = 0; d < 3; d++) {
+            const p = lines[3 + d].trim().split(/\s+/).map(Number);
+            // A negative voxel count means the file is already in Ångström
+            if (p[0] < 0) scale = 1;
+            dims.push(Math.abs(p[0]));
+            axes.push([p[1], p[2], p[3]]);
+        }
+        if (dims.some(n => !Number.isInteger(n) || n < 2)) throw new Error('Cube: invalid grid dimensions');
+        axes.forEach(axis => { for (let d = 0; d < 3; d++) axis[d] *= scale; });
+        const origin = [header[1] * scale, header[2] * scale, header[3] * scale];
+
+        const atoms = [];
+        for (let i = 0; i < natoms; i++) {
+            const p = (lines[6 + i] || '').trim().split(/\s+/).map(Number);
+            atoms.push({
+                element: SYMBOLS[p[0]] || 'X',
+                x: p[2] * scale,
+                y: p[3] * scale,
+                z: p[4] * scale
+            });
+        }
+
+        // MO cubes (negative atom count): orbital count and indices follow the atoms
+        let lineIdx = 6 + natoms;
+        let orbitals = [];
+        let perPoint = 1;
+        if (natomsRaw < 0) {
+            const p = lines[lineIdx].trim().split(/\s+/).map(Number);
+            perPoint = p[0] || 1;
+            orbitals = p.slice(1, 1 + perPoint);
+            lineIdx++;
+        }
+
+        // File order is z fastest (x outermost); store x fastest
+        const [nx, ny, nz] = dims;
+        const raw = this._readValues(lines, lineIdx, nx * ny * nz * perPoint);
+        const data = new Float32Array(nx * ny * nz);
+        let n = 0;
+        for (let i = 0; i < nx; i++) {
+            for (let j = 0; j < ny; j++) {
+                for (let k = 0; k < nz; k++) {
+                    data[i + nx * (j + ny * k)] = raw[n];
+                    n += perPoint;
+                }
+            }
+        }
+
+        return { title, atoms, grid: { dims, data, origin, axes, periodic: false }, orbitals };
+    }
+
+    /**
+     * Parse a VASP CHGCAR/LOCPOT-style file.
+     * The grid axes follow the Crystal's lattice vectors (crystal.js orientation,
+     * a along x), so the surface stays aligned with the displayed cell.
+     * @param {string} content
+     * @param {Object} [options]
+     * @param {boolean} [options.perVolume=true] - Divide by the cell volume (CHGCAR); false for LOCPOT
+     * @returns {{ crystal: import('../crystal.js').Crystal, grid: Object }}
+     */
+    static parseVASP(content, options = {}) {
+        const { perVolume = true } = options;
+        const crystal = POSCARParser.parse(content);
+        const lines = content.split(/\r?\n/);
+
+        // Coordinate-mode line ("Direct"/"Cartesian"), after the element/count lines
+        let modeIdx = -1;
+        for (let i = 6; i < Math.min(lines.length, 12); i++) {
+            const t = lines[i].trim().toLowerCase();
+            if (t.startsWith('s')) continue;
+            if (/^[dck]/.test(t)) {
+                modeIdx = i;
+                break;
+            }
+        }
+        if (modeIdx === -1) throw new Error('VASP: coordinate mode line not found');
+
+        // Grid dimensions: first non-empty line after the atom positions
+        let lineIdx = modeIdx + 1 + crystal.atoms.length;
+        while (lineIdx < lines.length && !lines[lineIdx].trim()) lineIdx++;
+        const dims = (lines[lineIdx] || '').trim().split(/\s+/).map(Number);
+        if (dims.length !== 3 || dims.some(n => !Number.isInteger(n) || n < 1)) {
+            throw new Error('VASP: grid dimensions not found');
+        }
+
+        // File order is x fastest, as stored
+        const data = this._readValues(lines, lineIdx + 1, dims[0] * dims[1] * dims[2]);
+        if (perVolume) {
+            const volume = crystal.lattice.volume();
+            for (let i = 0; i < data.length; i++) data[i] /= volume;
+        }
+
+        const { a, b, c } = crystal.lattice.toLatticeVectors();
+        const axes = [a, b, c].map((v, d) => [v.x / dims[d], v.y / dims[d], v.z / dims[d]]);
+
+        return { crystal, grid: { dims, data, origin: [0, 0, 0], axes, periodic: true } };
+    }
+
+    /**
+     * Read `count` whitespace-separated numbers starting at a line
+     * @returns {Float32Array}
+     */
+    static _readValues(lines, start, count) {
+        const values = new Float32Array(count);
+        let n = 0;
+        for (let i = start; i < lines.length && n < count; i++) {
+            const tokens = lines[i].trim().split(/\s+/);
+            for (let t = 0; t < tokens.length && n < count; t++) {
+                if (tokens[t] === '') continue;
+                values[n++] = parseFloat(tokens[t]);
+            }
+        }
+        if (n < count) throw new Error(`Volumetric data truncated (${n} of ${count} values)`);
+        return values;
+    }
+}
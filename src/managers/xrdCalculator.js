@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+import { scatteringFactor, hasScatteringFactor } from '../utils/scatteringFactors.js';
+
+/** Common anode lines, Å (Kα is the Kα1/Kα2 weighted mean) */
+export const XRD_SOURCES = {
+    CuKa: 1.54184,
+    CuKa1: 1.540562,
+    MoKa: 0.71073,
+    MoKa1: 0.709300,
+    CoKa: 1.79026,
+    CoKa1: 1.788965,
+    FeKa: 1.93736,
+    FeKa1: 1.936042,
+    CrKa: 2.29100,
+    CrKa1: 2.289700,
+    AgKa: 0.56087,
+    AgKa1: 0.559421
+};
+
+/**
+ * Wavelength of a named source: "CuKa1", "mo", "Co Ka" (an element alone means its Kα)
+ * @param {string} name
+ * @returns {number|null} Å, or null if unknown
+ */
+export function sourceWavelength(name) {
+    const key = name.replace(/[\s_-]/g, '').toLowerCase().replace(/kα/, 'ka');
+    for (const [source, wavelength] of Object.entries(XRD_SOURCES)) {
+        const lower = source.toLowerCase();
+        if (key === lower || (lower.endsWith('ka') && key === lower.slice(0, -2))) return wavelength;
+    }
+    return null;
+}
+
+/**
+ * Display name of the source emitting a wavelength, e.g. "Cu Kα1", or null
+ * @param {number} wavelength - Å
+ * @returns {string|null}
+ */
+export function sourceLabel(wavelength) {
+    const entry = Object.entries(XRD_SOURCES).find(([, w]) => Math.abs(w - wavelength) < 1e-6);
+    return entry ? entry[0].replace(/Ka(1?)$/, ' Kα$1') : null;
+}
+
+/** Peak shapes understood by XRDCalculator.profile */
+export const XRD_SHAPES = ['gauss', 'lorentz', 'pv', 'stick'];
+
+/** Reflections closer than this in 2θ (degrees) are merged into one powder line */
+const MERGE_TOLERANCE = 1e-4;
+
+/** Reflections with |F|² below this fraction of (Σ|fⱼ|)² are treated as extinct */
+const EXTINCTION_THRESHOLD = 1e-8;
+
+/** Profile evaluation half-window in FWHM units (Lorentzian tails are long) */
+const PROFILE_WINDOW = 30;
+
+/**
+ * Kinematic powder X-ray diffraction patterns.
+ *
+ * For every reciprocal lattice vector G = h·a* + k·b* + l·c* inside the limiting sphere
+ * (|G| ≤ 2·sinθmax/λ) the structure factor is
+ *
+ *     F(hkl) = Σⱼ occⱼ · fⱼ(s) · exp(−Bⱼ·s²) · exp(2πi(h·xⱼ + k·yⱼ + l·zⱼ)),   s = sinθ/λ
+ *
+ * with Cromer–Mann scattering factors, occupancies and isotropic B (or 8π²·U_iso) taken
+ * from the CIF site data when present. Intensities are |F|² times the Lorentz–polarization
+ * factor (1 + cos²2θ)/(sin²θ·cosθ) of an unpolarized beam without monochromator;
+ * reflections at the same 2θ are summed, which is where the powder multiplicity comes from.
+ * Fractional coordinates are derived from the Cartesian positions, so the pattern follows
+ * edits made in the viewer.
+ */
+export class XRDCalculator {
+    /**
+     * Compute the peak list of a crystal.
+     *
+     * @param {import('../crystal.js').Crystal} crystal
+     * @param {Object} [options]
+     * @param {number} [options.wavelength=1.54184] - Å
+     * @param {number} [options.min=5] - Lowest 2θ, degrees
+     * @param {number} [options.max=90] - Highest 2θ, degrees
+     * @returns {{ wavelength: number, min: number, max: number, peaks: Object[], skipped: string[] }}
+     *   peaks: [{ twoTheta, d, intensity (strongest = 100), multiplicity, hkl: [h, k, l], family: number[][] }]
+     *   sorted by 2θ; skipped lists elements without scattering factors (left out of F)
+     */
+    static compute(crystal, { wavelength = XRD_SOURCES.CuKa, min = 5, max = 90 } = {}) {
+        if (!crystal || !crystal.isCrystal || !crystal.lattice) {
+            throw new Error('Input is not a crystal structure');
+        }
+        if (!(wavelength > 0)) throw new Error('Wavelength must be a positive number (Å)');
+        if (!(min >= 0 && max <= 180 && min < max)) throw new Error('2θ range must satisfy 0 ≤ min < max ≤ 180');
+
+        const { a, b, c } = crystal.lattice.toLatticeVectors();
+        const vol = a.dot(new THREE.Vector3().crossVectors(b, c));
+        if (Math.abs(vol) < 1e-10) throw new Error('Degenerate unit cell');
+        const ra = new THREE.Vector3().crossVectors(b, c).divideScalar(vol);
+        const rb = new THREE.Vector3().crossVectors(c, a).divideScalar(vol);
+        const rc = new THREE.Vector3().crossVectors(a, b).divideScalar(vol);
+
+        const skipped = new Set();
+        const sites = [];
+        crystal.atoms.forEach(atom => {
+            if (!hasScatteringFactor(atom.element)) {
+                skipped.add(atom.element);
+                return;
+            }
+            const f = crystal.lattice.cartToFrac(atom.position.x, atom.position.y, atom.position.z);
+            sites.push({ element: atom.element, frac: [f.x, f.y, f.z], ...siteParameters(atom) });
+        });
+        if (sites.length === 0) throw new Error('No atoms with known X-ray scattering factors');
+        const elements = [...new Set(sites.map(s => s.element))];
+
+        // Limiting sphere: |h| ≤ |G|max·|a| since h = G·a
+        const gMax = 2 * Math.sin(THREE.MathUtils.degToRad(max / 2)) / wavelength;
+        const hMax = Math.floor(gMax * a.length() + 1e-9);
+        const kMax = Math.floor(gMax * b.length() + 1e-9);
+        const lMax = Math.floor(gMax * c.length() + 1e-9);
+
+        // Friedel's law: |F(-h -k -l)| = |F(h k l)|, so only half of reciprocal space is summed
+        const reflections = [];
+        const G = new THREE.Vector3();
+        for (let h = 0; h <= hMax; h++) {
+            for (let k = h === 0 ? 0 : -kMax; k <= kMax; k++) {
+                for (let l = h === 0 && k === 0 ? 1 : -lMax; l <= lMax; l++) {
+                    G.set(0, 0, 0).addScaledVector(ra, h).addScaledVector(rb, k).addScaledVector(rc, l);
+                    const g = G.length();
+                    const sinTheta = g * wavelength / 2;
+                    if (sinTheta > 1) continue;
+                    const twoTheta = 2 * THREE.MathUtils.radToDeg(Math.asin(sinTheta));
+                    if (twoTheta < min - MERGE_TOLERANCE || twoTheta > max + MERGE_TOLERANCE) continue;
+
+                    const s = g / 2;
+                    const f = {};
+                    elements.forEach(el => { f[el] = scatteringFactor(el, s); });
+                    let re = 0, im = 0, total = 0;
+                    for (const site of sites) {
+                        const amplitude = site.occupancy * f[site.element] * Math.exp(-site.b * s * s);
+                        const phase = 2 * Math.PI * (h * site.frac[0] + k * site.frac[1] + l * site.frac[2]);
+                        re += amplitude * Math.cos(phase);
+                        im += amplitude * Math.sin(phase);
+                        total += Math.abs(amplitude);
+                    }
+                    // Extinct reflections are skipped so they do not count towards the
+                    // multiplicity of a line they coincide with (supercells have many)
+                    const F2 = re * re + im * im;
+                    if (F2 <= EXTINCTION_THRESHOLD * total * total) continue;
+
+                    const theta = Math.asin(sinTheta);
+                    const cos2T = Math.cos(2 * theta);
+                    const lp = (1 + cos2T * cos2T) / (sinTheta * sinTheta * Math.cos(theta));
+                    const intensity = F2 * lp;
+                    reflections.push({ h, k, l, twoTheta, d: 1 / g, intensity });
+                    reflections.push({ h: -h, k: -k, l: -l, twoTheta, d: 1 / g, intensity });
+                }
+            }
+        }
+
+        // Merge reflections at the same angle into powder lines
+        reflections.sort((x, y) => x.twoTheta - y.twoTheta);
+        const peaks = [];
+        for (const r of reflections) {
+            const last = peaks[peaks.length - 1];
+            if (last && r.twoTheta - last.twoTheta < MERGE_TOLERANCE) {
+                last.intensity += r.intensity;
+                last.family.push([r.h, r.k, r.l]);
+            } else {
+                peaks.push({ twoTheta: r.twoTheta, d: r.d, intensity: r.intensity, family: [[r.h, r.k, r.l]] });
+            }
+        }
+
+        const strongest = Math.max(0, ...peaks.map(p => p.intensity));
+        const result = peaks.map(p => ({
+            twoTheta: p.twoTheta,
+            d: p.d,
+            intensity: 100 * p.intensity / strongest,
+            multiplicity: p.family.length,
+            hkl: representative(p.family),
+            family: p.family
+        }));
+
+        return { wavelength, min, max, peaks: result, skipped: [...skipped] };
+    }
+
+    /**
+     * Broadened pattern on an even 2θ grid. Every peak keeps its height, so an isolated
+     * line reads the same as in the peak list.
+     *
+     * @param {Object[]} peaks - From compute()
+     * @param {Object} options
+     * @param {number} options.min - 2θ start, degrees
+     * @param {number} options.max - 2θ end, degrees
+     * @param {string} [options.shape='pv'] - 'gauss' | 'lorentz' | 'pv' (50:50 pseudo-Voigt)
+     * @param {number} [options.fwhm=0.1] - Full width at half maximum, degrees
+     * @param {number} [options.step] - Grid spacing, degrees (default fwhm/5, at most 0.02)
+     * @returns {{ x: Float64Array, y: Float64Array }}
+     */
+    static profile(peaks, { min, max, shape = 'pv', fwhm = 0.1, step } = {}) {
+        if (!XRD_SHAPES.includes(shape) || shape === 'stick') throw new Error(`Unknown peak shape: ${shape}`);
+        if (!(fwhm > 0)) throw new Error('FWHM must be a positive number (degrees)');
+        step = step || Math.min(0.02, fwhm / 5);
+        const n = Math.floor((max - min) / step + 1e-9) + 1;
+        const x = new Float64Array(n);
+        const y = new Float64Array(n);
+        for (let i = 0; i < n; i++) x[i] = min + i * step;
+
+        const gauss = u => Math.exp(-4 * Math.LN2 * u * u);
+        const lorentz = u => 1 / (1 + 4 * u * u);
+        const kernel = shape === 'gauss' ? gauss
+            : shape === 'lorentz' ? lorentz
+            : u => 0.5 * gauss(u) + 0.5 * lorentz(u);
+        const window = (shape === 'gauss' ? 3 : PROFILE_WINDOW) * fwhm;
+
+        for (const p of peaks) {
+            const from = Math.max(0, Math.ceil((p.twoTheta - window - min) / step));
+            const to = Math.min(n - 1, Math.floor((p.twoTheta + window - min) / step));
+            for (let i = from; i <= to; i++) y[i] += p.intensity * kernel((x[i] - p.twoTheta) / fwhm);
+        }
+        return { x, y };
+    }
+
+    /**
+     * CSV text of a pattern: the broadened profile when given, otherwise the peak list
+     * @param {Object} result - From compute()
+     * @param {{ x: Float64Array, y: Float64Array }|null} [profile] - From profile()
+     * @returns {string}
+     */
+    static toCSV(result, profile = null) {
+        const lines = [`# Powder XRD, wavelength ${result.wavelength} Å`];
+        if (profile) {
+            lines.push('two_theta,intensity');
+            for (let i = 0; i < profile.x.length; i++) {
+                lines.push(`${profile.x[i].toFixed(4)},${profile.y[i].toFixed(4)}`);
+            }
+        } else {
+            lines.push('two_theta,d_spacing,intensity,multiplicity,h,k,l');
+            result.peaks.forEach(p => {
+                lines.push([p.twoTheta.toFixed(4), p.d.toFixed(5), p.intensity.toFixed(3), p.multiplicity, ...p.hkl].join(','));
+            });
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Miller indices as a label: "(1-10)", or "(10 0 -2)" once an index has two digits
+     * @param {number[]} hkl
+     * @returns {string}
+     */
+    static formatHKL(hkl) {
+        return hkl.every(v => v >= -9 && v <= 9) ? `(${hkl.join('')})` : `(${hkl.join(' ')})`;
+    }
+}
+
+/**
+ * Occupancy and isotropic displacement B (Å²) of an atom from its CIF site data
+ * @returns {{ occupancy: number, b: number }}
+ */
+function siteParameters(atom) {
+    const cif = atom.cif || {};
+    const occupancy = parseFloat(cif.occupancy);
+    const bIso = parseFloat(cif.bIso);
+    const uIso = parseFloat(cif.uIso);
+    const b = Number.isFinite(bIso) ? bIso : Number.isFinite(uIso) ? 8 * Math.PI * Math.PI * uIso : 0;
+    return { occupancy: Number.isFinite(occupancy) ? occupancy : 1, b };
+}
+
+/**
+ * Label reflection of a powder line: fewest negative indices, then the largest
+ * indices first, so cubic {100} is labelled (100) rather than (00-1)
+ */
+function representative(family) {
+    const score = v => [v.filter(x => x < 0).length, ...v.map(x => -x)];
+    return family.slice().sort((p, q) => {
+        const sp = score(p), sq = score(q);
+        for (let i = 0; i < sp.length; i++) if (sp[i] !== sq[i]) return sp[i] - sq[i];
+        return 0;
+    })[0];
+}
@@ -0,0 +1,426 @@
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { XRDCalculator, XRD_SOURCES, XRD_SHAPES, sourceLabel } from './xrdCalculator.js';
+
+const LINE_COLOR = '#4fc3f7';
+const HOVER_COLOR = '#bb86fc';
+const AXIS_COLOR = '#888';
+
+/** Plot margins in CSS pixels */
+const MARGIN = { left: 40, right: 12, top: 12, bottom: 26 };
+
+/** Peaks weaker than this (strongest = 100) get no hkl label on the plot */
+const LABEL_THRESHOLD = 3;
+
+/** Peak rows printed to the console before the list is cut short */
+const MAX_TABLE_ROWS = 40;
+
+/**
+ * Powder diffraction panel: computes the pattern of the current crystal with XRDCalculator
+ * and plots it on a canvas with hkl labels, a hover readout and CSV download.
+ *
+ * The pattern is a snapshot of the structure when it was calculated; the refresh button
+ * (or running `xrd` again) recomputes it after edits.
+ */
+export class XRDManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.options = { wavelength: XRD_SOURCES.CuKa, min: 5, max: 90, shape: 'pv', fwhm: 0.1 };
+        this.result = null;
+        this.profile = null;
+        this.name = '';
+        this.hover = -1;
+
+        this.panel = document.getElementById('xrd-panel');
+        this.canvas = document.getElementById('xrd-canvas');
+        this.sourceSelect = document.getElementById('xrd-source');
+        this.wavelengthInput = document.getElementById('xrd-wavelength');
+        this.minInput = document.getElementById('xrd-min');
+        this.maxInput = document.getElementById('xrd-max');
+        this.shapeSelect = document.getElementById('xrd-shape');
+        this.fwhmInput = document.getElementById('xrd-fwhm');
+        this.readout = document.getElementById('xrd-readout');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const report = (result) => {
+            if (result.error) {
+                this.editor.console.print(result.error, 'error');
+                this.syncInputs();
+            } else if (result.warning) {
+                this.editor.console.print(result.warning, 'warning');
+            }
+        };
+
+        if (this.sourceSelect) {
+            Object.keys(XRD_SOURCES).forEach(source => {
+                const option = document.createElement('option');
+                option.value = source;
+                option.textContent = sourceLabel(XRD_SOURCES[source]);
+                this.sourceSelect.appendChild(option);
+            });
+            const custom = document.createElement('option');
+            custom.value = '';
+            custom.textContent = 'Custom';
+            this.sourceSelect.appendChild(custom);
+            this.sourceSelect.addEventListener('change', () => {
+                if (this.sourceSelect.value) report(this.calculate({ wavelength: XRD_SOURCES[this.sourceSelect.value] }));
+            });
+        }
+        const onNumber = (input, key) => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (isNaN(value)) this.syncInputs();
+                else report(this.calculate({ [key]: value }));
+            });
+        };
+        onNumber(this.wavelengthInput, 'wavelength');
+        onNumber(this.minInput, 'min');
+        onNumber(this.maxInput, 'max');
+        onNumber(this.fwhmInput, 'fwhm');
+        if (this.shapeSelect) {
+            this.shapeSelect.addEventListener('change', () => report(this.setShape(this.shapeSelect.value)));
+        }
+
+        const refresh = document.getElementById('btn-xrd-refresh');
+        const csv = document.getElementById('btn-xrd-csv');
+        const close = document.getElementById('btn-xrd-close');
+        if (refresh) refresh.addEventListener('click', () => report(this.calculate()));
+        if (csv) csv.addEventListener('click', () => this.downloadCSV());
+        if (close) close.addEventListener('click', () => this.hide());
+
+        if (this.canvas) {
+            this.canvas.addEventListener('mousemove', (e) => this._onHover(e));
+            this.canvas.addEventListener('mouseleave', () => {
+                this.hover = -1;
+                this._updateReadout();
+                this.draw();
+            });
+        }
+        window.addEventListener('resize', () => {
+            if (this.isVisible) this.draw();
+        });
+    }
+
+    get isVisible() {
+        return !!this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * Compute the pattern of the current crystal and show it
+     * @param {Object} [options] - Changes to the wavelength, min, max, shape or fwhm settings
+     * @returns {Object} Result object with a peak table
+     */
+    calculate(options = {}) {
+        const mol = this.editor.molecule;
+        if (!mol || !mol.isCrystal || !mol.lattice) return ErrorHandler.error('No crystal loaded');
+
+        const next = { ...this.options, ...options };
+        if (!XRD_SHAPES.includes(next.shape)) {
+            return ErrorHandler.error(`Unknown peak shape: ${next.shape}. Use ${XRD_SHAPES.join(', ')}.`);
+        }
+        if (!(next.fwhm > 0)) return ErrorHandler.error('FWHM must be a positive number (degrees)');
+
+        let result;
+        try {
+            result = XRDCalculator.compute(mol, next);
+        } catch (e) {
+            return ErrorHandler.error(e.message);
+        }
+        this.options = next;
+        this.result = result;
+        this.name = mol.name || 'crystal';
+        this._updateProfile();
+        this.show();
+
+        const table = this.peakTable();
+        return result.skipped.length > 0
+            ? ErrorHandler.warning(`${table}\nNo scattering factors for ${result.skipped.join(', ')}; those atoms were left out`)
+            : ErrorHandler.success(table);
+    }
+
+    /**
+     * Change the peak shape without recomputing the peak list
+     * @param {string} shape - 'gauss' | 'lorentz' | 'pv' | 'stick'
+     * @returns {Object} Result object
+     */
+    setShape(shape) {
+        if (!XRD_SHAPES.includes(shape)) {
+            return ErrorHandler.error(`Unknown peak shape: ${shape}. Use ${XRD_SHAPES.join(', ')}.`);
+        }
+        this.options.shape = shape;
+        if (this.result) {
+            this._updateProfile();
+            this.syncInputs();
+            this.draw();
+        }
+        return ErrorHandler.success(`Peak shape: ${shape}`);
+    }
+
+    _updateProfile() {
+        const { shape, fwhm } = this.options;
+        this.profile = shape === 'stick'
+            ? null
+            : XRDCalculator.profile(this.result.peaks, { min: this.result.min, max: this.result.max, shape, fwhm });
+    }
+
+    show() {
+        if (!this.panel) return;
+        this.panel.style.display = 'flex';
+        this.hover = -1;
+        this.syncInputs();
+        this._updateReadout();
+        this.draw();
+    }
+
+    hide() {
+        if (this.panel) this.panel.style.display = 'none';
+    }
+
+    syncInputs() {
+        const { wavelength, min, max, shape, fwhm } = this.options;
+        if (this.sourceSelect) {
+            const source = Object.keys(XRD_SOURCES).find(s => Math.abs(XRD_SOURCES[s] - wavelength) < 1e-6);
+            this.sourceSelect.value = source || '';
+        }
+        if (this.wavelengthInput) this.wavelengthInput.value = wavelength;
+        if (this.minInput) this.minInput.value = min;
+        if (this.maxInput) this.maxInput.value = max;
+        if (this.shapeSelect) this.shapeSelect.value = shape;
+        if (this.fwhmInput) {
+            this.fwhmInput.value = fwhm;
+            this.fwhmInput.disabled = shape === 'stick';
+        }
+    }
+
+    /**
+     * Console table of the current peak list
+     * @returns {string}
+     */
+    peakTable() {
+        const { wavelength, min, max, peaks } = this.result;
+        const source = sourceLabel(wavelength);
+        const lines = [
+            `Powder XRD of ${this.name}: λ = ${wavelength} Å${source ? ` (${source})` : ''}, 2θ ${min}–${max}°, ${peaks.length} peak${peaks.length === 1 ? '' : 's'}`,
+            `     2θ (°)     d (Å)   I (rel)  Mult  hkl`
+        ];
+        peaks.slice(0, MAX_TABLE_ROWS).forEach(p => {
+            lines.push(`  ${p.twoTheta.toFixed(3).padStart(9)} ${p.d.toFixed(4).padStart(9)} ${p.intensity.toFixed(1).padStart(9)}  ` +
+                `${String(p.multiplicity).padStart(4)}  ${XRDCalculator.formatHKL(p.hkl)}`);
+        });
+        if (peaks.length > MAX_TABLE_ROWS) {
+            lines.push(`  ... ${peaks.length - MAX_TABLE_ROWS} more (xrd csv peaks lists all)`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * CSV of the current pattern
+     * @param {boolean} [peaksOnly=false] - Peak list instead of the broadened profile
+     * @returns {string|null} null when nothing has been calculated
+     */
+    toCSV(peaksOnly = false) {
+        if (!this.result) return null;
+        return XRDCalculator.toCSV(this.result, peaksOnly ? null : this.profile);
+    }
+
+    downloadCSV() {
+        const csv = this.toCSV();
+        if (!csv) return;
+        const name = this.name.replace(/\s+/g, '_');
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `${name}_xrd.csv`;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // ─── Plot ───────────────────────────────────────────────────────────────
+
+    /** Canvas geometry and data → pixel mappings for the current pattern */
+    _frame() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const { min, max } = this.result;
+        const top = this.profile ? Math.max(1, ...this.profile.y) : 100;
+        const yMax = top * 1.25;
+        const plotW = width - MARGIN.left - MARGIN.right;
+        const plotH = height - MARGIN.top - MARGIN.bottom;
+        return {
+            width, height, plotW, plotH, yMax,
+            x: t => MARGIN.left + (t - min) / (max - min) * plotW,
+            y: v => MARGIN.top + plotH * (1 - v / yMax)
+        };
+    }
+
+    /**
+     * Redraw the pattern
+     */
+    draw() {
+        if (!this.canvas || !this.result || !this.isVisible) return;
+        const dpr = window.devicePixelRatio || 1;
+        const cw = Math.round(this.canvas.clientWidth * dpr);
+        const ch = Math.round(this.canvas.clientHeight * dpr);
+        if (this.canvas.width !== cw || this.canvas.height !== ch) {
+            this.canvas.width = cw;
+            this.canvas.height = ch;
+        }
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        const f = this._frame();
+        ctx.clearRect(0, 0, f.width, f.height);
+        if (f.plotW <= 0 || f.plotH <= 0) return;
+
+        const { min, max, peaks } = this.result;
+        const textColor = getComputedStyle(this.panel).color;
+        ctx.font = '10px "JetBrains Mono", monospace';
+        ctx.lineWidth = 1;
+
+        // Axes and ticks
+        ctx.strokeStyle = AXIS_COLOR;
+        ctx.fillStyle = textColor;
+        ctx.beginPath();
+        ctx.moveTo(MARGIN.left, MARGIN.top);
+        ctx.lineTo(MARGIN.left, MARGIN.top + f.plotH);
+        ctx.lineTo(MARGIN.left + f.plotW, MARGIN.top + f.plotH);
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const step = niceStep((max - min) / Math.max(2, f.plotW / 60));
+        for (let t = Math.ceil(min / step) * step; t <= max + 1e-9; t += step) {
+            const px = f.x(t);
+            ctx.beginPath();
+            ctx.moveTo(px, MARGIN.top + f.plotH);
+            ctx.lineTo(px, MARGIN.top + f.plotH + 4);
+            ctx.stroke();
+            ctx.fillText(String(+t.toFixed(3)), px, MARGIN.top + f.plotH + 6);
+        }
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('2θ (°)', MARGIN.left + f.plotW, MARGIN.top + f.plotH - 8);
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const yStep = niceStep(f.yMax / 4);
+        for (let v = 0; v <= f.yMax + 1e-9; v += yStep) {
+            const py = f.y(v);
+            ctx.beginPath();
+            ctx.moveTo(MARGIN.left - 4, py);
+            ctx.lineTo(MARGIN.left, py);
+            ctx.stroke();
+            ctx.fillText(String(+v.toFixed(1)), MARGIN.left - 6, py);
+        }
+
+        // Pattern: profile curve with Bragg ticks, or sticks
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(MARGIN.left, 0, f.plotW, MARGIN.top + f.plotH);
+        ctx.clip();
+        ctx.strokeStyle = LINE_COLOR;
+        ctx.beginPath();
+        if (this.profile) {
+            const { x, y } = this.profile;
+            for (let i = 0; i < x.length; i++) {
+                if (i === 0) ctx.moveTo(f.x(x[i]), f.y(y[i]));
+                else ctx.lineTo(f.x(x[i]), f.y(y[i]));
+            }
+            ctx.stroke();
+            ctx.beginPath();
+            peaks.forEach(p => {
+                const px = f.x(p.twoTheta);
+                ctx.moveTo(px, MARGIN.top + f.plotH - 5);
+                ctx.lineTo(px, MARGIN.top + f.plotH);
+            });
+        } else {
+            peaks.forEach(p => {
+                const px = f.x(p.twoTheta);
+                ctx.moveTo(px, f.y(0));
+                ctx.lineTo(px, f.y(p.intensity));
+            });
+        }
+        ctx.stroke();
+
+        if (this.hover >= 0) {
+            const px = f.x(peaks[this.hover].twoTheta);
+            ctx.strokeStyle = HOVER_COLOR;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(px, MARGIN.top);
+            ctx.lineTo(px, MARGIN.top + f.plotH);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        ctx.restore();
+
+        // hkl labels, strongest first, skipping any that would overlap a placed one
+        ctx.fillStyle = textColor;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        const placed = [];
+        peaks
+            .map((p, i) => ({ p, i }))
+            .filter(({ p }) => p.intensity >= LABEL_THRESHOLD)
+            .sort((u, v) => v.p.intensity - u.p.intensity)
+            .forEach(({ p }) => {
+                const px = f.x(p.twoTheta);
+                if (placed.some(x => Math.abs(x - px) < 11)) return;
+                placed.push(px);
+                const height = this.profile ? this._profileAt(p.twoTheta) : p.intensity;
+                ctx.save();
+                ctx.translate(px + 3, f.y(height) - 4);
+                ctx.rotate(-Math.PI / 2);
+                ctx.fillText(XRDCalculator.formatHKL(p.hkl), 0, 0);
+                ctx.restore();
+            });
+    }
+
+    /** Profile height at an angle (nearest grid point) */
+    _profileAt(twoTheta) {
+        const { x, y } = this.profile;
+        const step = x.length > 1 ? x[1] - x[0] : 1;
+        const i = Math.min(x.length - 1, Math.max(0, Math.round((twoTheta - x[0]) / step)));
+        return y[i];
+    }
+
+    _onHover(event) {
+        if (!this.result || this.result.peaks.length === 0) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const mx = event.clientX - rect.left;
+        const f = this._frame();
+        let best = -1, bestDist = 6;
+        this.result.peaks.forEach((p, i) => {
+            const dist = Math.abs(f.x(p.twoTheta) - mx);
+            if (dist < bestDist) {
+                best = i;
+                bestDist = dist;
+            }
+        });
+        if (best !== this.hover) {
+            this.hover = best;
+            this._updateReadout();
+            this.draw();
+        }
+    }
+
+    _updateReadout() {
+        if (!this.readout) return;
+        if (this.hover < 0 || !this.result) {
+            this.readout.textContent = '';
+            return;
+        }
+        const p = this.result.peaks[this.hover];
+        this.readout.textContent = `2θ ${p.twoTheta.toFixed(3)}°  d ${p.d.toFixed(4)} Å  I ${p.intensity.toFixed(1)}  ` +
+            `${XRDCalculator.formatHKL(p.hkl)} ×${p.multiplicity}`;
+    }
+}
+
+/** Round a raw tick spacing up to 1, 2 or 5 × 10ⁿ */
+function niceStep(raw) {
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const unit = raw / power;
+    return (unit <= 1 ? 1 : unit <= 2 ? 2 : unit <= 5 ? 5 : 10) * power;
+}
@@ -7,6 +7,14 @@ import * as THREE from 'three';
  * @property {boolean} selected - Selection state
  * @property {THREE.Mesh} mesh - Visual mesh representation
  * @property {Array} bonds - Array of bonds connected to this atom
+ * @property {Object|null} pdb - Optional PDB record metadata
+ *   ({ name, altLoc, resName, chainID, resSeq, iCode, occupancy, tempFactor, segID, charge, hetatm })
+ * @property {Object|null} charges - Optional computed partial charges by scheme ({ mulliken, loewdin, npa })
+ * @property {Object|null} cif - Optional CIF atom-site data, values as written in the file
+ *   ({ label, typeSymbol, occupancy, uIso, bIso, adpType, uAniso, bAniso }; *Aniso = [11, 22, 33, 12, 13, 23])
+ * @property {boolean[]|null} frozen - Optional per-axis constraints for DFT relaxations ([x, y, z], true = fixed)
+ * @property {Object|null} properties - Optional numeric columns from extended XYZ, by name
+ *   ({ forces: [fx, fy, fz], energies: number, ... })
  */
 export class Atom {
     constructor(element, position, id) {
@@ -17,6 +25,11 @@ export class Atom {
         this.bonds = [];
         this.mesh = null;
         this.selected = false;
+        this.pdb = null;
+        this.charges = null;
+        this.cif = null;
+        this.frozen = null;
+        this.properties = null;
     }
 }
 
@@ -24,7 +37,8 @@ export class Atom {
  * Represents a chemical bond between two atoms
  * @property {Atom} atom1 - First atom in the bond
  * @property {Atom} atom2 - Second atom in the bond
- * @property {number} order - Bond order (1=single, 2=double, 3=triple)
+ * @property {number} order - Bond order (1=single, 2=double, 3=triple, 1.5=aromatic, 0.5=partial,
+ *   0=coordination/dative)
  * @property {THREE.Mesh} mesh - Visual mesh representation
  */
 export class Bond {
@@ -119,7 +133,12 @@ export class Molecule {
                 element: a.element,
                 x: a.position.x,
                 y: a.position.y,
-                z: a.position.z
+                z: a.position.z,
+                ...(a.pdb ? { pdb: { ...a.pdb } } : {}),
+                ...(a.charges ? { charges: { ...a.charges } } : {}),
+                ...(a.cif ? { cif: { ...a.cif } } : {}),
+                ...(a.frozen ? { frozen: [...a.frozen] } : {}),
+                ...(a.properties ? { properties: copyProperties(a.properties) } : {})
             })),
             bonds: this.bonds.map(b => ({
                 atom1Id: b.atom1.id,
@@ -136,6 +155,11 @@ export class Molecule {
         // Recreate atoms
         data.atoms.forEach(a => {
             const atom = new Atom(a.element, new THREE.Vector3(a.x, a.y, a.z), a.id);
+            if (a.pdb) atom.pdb = { ...a.pdb };
+            if (a.charges) atom.charges = { ...a.charges };
+            if (a.cif) atom.cif = { ...a.cif };
+            if (a.frozen) atom.frozen = [...a.frozen];
+            if (a.properties) atom.properties = copyProperties(a.properties);
             this.atoms.push(atom);
             atomMap.set(a.id, atom);
             // Update nextAtomId to avoid collisions
@@ -152,3 +176,12 @@ export class Molecule {
         });
     }
 }
+
+/**
+ * Copy of Atom#properties (vector columns are arrays)
+ * @param {Object} properties
+ * @returns {Object}
+ */
+export function copyProperties(properties) {
+    return Object.fromEntries(Object.entries(properties).map(([k, v]) => [k, Array.isArray(v) ? [...v] : v]));
+}
@@ -1,10 +1,20 @@
-import { Molecule } from './molecule.js';
+import { Molecule, copyProperties } from './molecule.js';
 import { Crystal } from './crystal.js';
 import { GeometryEngine } from './geometryEngine.js';
 import * as THREE from 'three';
 import { ELEMENTS, DEFAULT_ELEMENT } from './constants.js';
 import OCL from 'openchemlib';
 import { oclManager } from './managers/oclManager.js';
+import { DEFAULT_REPRESENTATION } from './managers/renderManager.js';
+import { UFFForceField, LBFGSMinimizer } from './managers/forceField.js';
+
+/**
+ * Common valence states (lowest first) used when filling open valences with hydrogen
+ */
+const VALENCE_STATES = {
+    'H': [1], 'B': [3], 'C': [4], 'N': [3], 'O': [2], 'F': [1],
+    'Si': [4], 'P': [3, 5], 'S': [2, 4, 6], 'Cl': [1], 'Br': [1], 'I': [1]
+};
 
 /**
  * Manages multiple molecules and molecule operations
@@ -13,7 +23,7 @@ import { oclManager } from './managers/oclManager.js';
 export class MoleculeManager {
     constructor(editor) {
         this.editor = editor;
-        this.molecules = []; // Array of { id, name, molecule: Molecule, history, historyIndex, settings }
+        this.molecules = []; // Array of { id, name, molecule: Molecule, history, historyIndex, settings, trajectory? }
         this.activeMoleculeIndex = -1;
         this.nextId = 1;
 
@@ -60,7 +70,10 @@ export class MoleculeManager {
             historyIndex: -1,
             settings: {
                 labelMode: 'none',
-                colorScheme: 'jmol'
+                colorScheme: 'jmol',
+                representation: DEFAULT_REPRESENTATION,
+                atomRepresentations: [], // [atomId, representation] overrides
+                colorBy: null // { property, colormap, min, max } (see RenderManager#setColorBy)
             }
         };
 
@@ -112,6 +125,15 @@ export class MoleculeManager {
             this.saveSettingsToActive();
         }
 
+        // Playback belongs to the molecule being left
+        if (this.editor.trajectoryManager) {
+            this.editor.trajectoryManager.stop();
+        }
+        if (this.editor.vibrationManager) {
+            this.editor.vibrationManager.stop();
+            this.editor.vibrationManager.clearArrows();
+        }
+
         // Clear selection to prevent ghost selection in new molecule
         if (this.editor.molecule) {
             this.editor.selectionManager.clearSelection();
@@ -133,10 +155,54 @@ export class MoleculeManager {
 
         // Update UI
         this.updateUI();
+        if (this.editor.trajectoryManager) {
+            this.editor.trajectoryManager.updateUI();
+        }
+        if (this.editor.vibrationManager) {
+            this.editor.vibrationManager.updateUI();
+        }
+        if (this.editor.volumeManager) {
+            this.editor.volumeManager.update();
+        }
+        if (this.editor.surfaceManager) {
+            this.editor.surfaceManager.update();
+        }
+        if (this.editor.orbitalManager) {
+            this.editor.orbitalManager.updateUI();
+        }
+        if (this.editor.adsorptionManager) {
+            this.editor.adsorptionManager.update();
+        }
 
         return { success: `Switched to "${entry.name}"` };
     }
 
+    /**
+     * Drop the trajectory, normal modes, volumetric data, orbitals, surface and adsorption
+     * sites of the active entry. Used when its structure is replaced by unrelated content.
+     */
+    clearAttachments() {
+        const entry = this.getActive();
+        if (!entry) return;
+        if (this.editor.trajectoryManager) this.editor.trajectoryManager.stop();
+        if (this.editor.vibrationManager) {
+            this.editor.vibrationManager.stop();
+            this.editor.vibrationManager.clearArrows();
+        }
+        delete entry.trajectory;
+        delete entry.vibrations;
+        delete entry.volume;
+        delete entry.orbitals;
+        delete entry.surface;
+        delete entry.adsorption;
+        if (this.editor.trajectoryManager) this.editor.trajectoryManager.updateUI();
+        if (this.editor.vibrationManager) this.editor.vibrationManager.updateUI();
+        if (this.editor.volumeManager) this.editor.volumeManager.update();
+        if (this.editor.orbitalManager) this.editor.orbitalManager.updateUI();
+        if (this.editor.surfaceManager) this.editor.surfaceManager.update();
+        if (this.editor.adsorptionManager) this.editor.adsorptionManager.update();
+    }
+
     renameMolecule(index, newName) {
         if (index < 0 || index >= this.molecules.length) {
             return { error: `Invalid molecule index: ${index}` };
@@ -177,6 +243,9 @@ export class MoleculeManager {
         const entry = this.molecules[this.activeMoleculeIndex];
         entry.settings.labelMode = this.editor.labelMode;
         entry.settings.colorScheme = this.editor.colorScheme;
+        entry.settings.representation = this.editor.renderManager.representation;
+        entry.settings.atomRepresentations = [...this.editor.renderManager.atomRepresentations];
+        entry.settings.colorBy = this.editor.renderManager.colorBy;
     }
 
     loadSettingsFromActive() {
@@ -185,6 +254,9 @@ export class MoleculeManager {
         const entry = this.molecules[this.activeMoleculeIndex];
         this.editor.labelMode = entry.settings.labelMode;
         this.editor.colorScheme = entry.settings.colorScheme;
+        this.editor.renderManager.representation = entry.settings.representation || DEFAULT_REPRESENTATION;
+        this.editor.renderManager.atomRepresentations = new Map(entry.settings.atomRepresentations || []);
+        this.editor.renderManager.colorBy = entry.settings.colorBy || null;
 
         // Apply settings
         this.editor.updateAllLabels();
@@ -202,7 +274,12 @@ export class MoleculeManager {
         // Store atom data
         this.clipboard.atoms = selectedAtoms.map(atom => ({
             element: atom.element,
-            position: atom.position.clone()
+            position: atom.position.clone(),
+            pdb: atom.pdb ? { ...atom.pdb } : null,
+            charges: atom.charges ? { ...atom.charges } : null,
+            cif: atom.cif ? { ...atom.cif } : null,
+            frozen: atom.frozen ? [...atom.frozen] : null,
+            properties: atom.properties ? copyProperties(atom.properties) : null
         }));
 
         // Calculate center of mass
@@ -248,6 +325,11 @@ export class MoleculeManager {
         this.clipboard.atoms.forEach((data, i) => {
             const newPos = data.position.clone().add(offset);
             const atom = activeMol.molecule.addAtom(data.element, newPos);
+            if (data.pdb) atom.pdb = { ...data.pdb };
+            if (data.charges) atom.charges = { ...data.charges };
+            if (data.cif) atom.cif = { ...data.cif };
+            if (data.frozen) atom.frozen = [...data.frozen];
+            if (data.properties) atom.properties = copyProperties(data.properties);
             atom.selected = true;
             newAtoms.push(atom);
             indexMap[i] = atom;
@@ -482,43 +564,553 @@ export class MoleculeManager {
         return data.radius;
     }
 
-    async addExplicitHydrogens() {
+    /**
+     * Add explicit hydrogens to fill open valences.
+     *
+     * Bond orders are perceived from geometry (see perceiveBondOrders), simple formal
+     * charges are assigned (ammonium, nitro / N-oxide, borate), and the remaining
+     * valence is filled with H placed according to the sp/sp2/sp3 environment.
+     * Elements without a known organic valence (e.g. metals) are left untouched.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.selectedOnly=false] - Only protonate selected atoms
+     * @param {boolean} [options.replace=false] - Strip existing H on the target atoms first
+     * @returns {Promise<Object>} Result with success, info or error
+     */
+    async addExplicitHydrogens(options = {}) {
+        const { selectedOnly = false, replace = false } = options;
+        const activeMol = this.getActive();
+        if (!activeMol) return { error: 'No active molecule' };
+
+        const molecule = activeMol.molecule;
+        const neighborsOf = atom => atom.bonds.map(b => b.atom1 === atom ? b.atom2 : b.atom1);
+
+        let targets = molecule.atoms.filter(atom => atom.element !== 'H');
+        if (selectedOnly) {
+            targets = targets.filter(atom => atom.selected);
+            if (targets.length === 0) return { error: 'No heavy atoms selected' };
+        }
+        if (targets.length === 0) return { error: 'No atoms to protonate' };
+
         try {
-            const molBlock = this.editor.fileIOManager.exportSDF();
-            await oclManager.init();
-            const mol = OCL.Molecule.fromMolfile(molBlock);
+            // Optionally strip hydrogens bonded to the targets
+            let removed = 0;
+            if (replace) {
+                const strip = new Set();
+                targets.forEach(atom => {
+                    neighborsOf(atom).forEach(n => { if (n.element === 'H') strip.add(n); });
+                });
+                this.removeAtoms([...strip]);
+                removed = strip.size;
+            }
 
-            // Generate 3D with hydrogens
-            const newMol = await oclManager.generate3D(mol);
-            const newMolBlock = newMol.toMolfile();
+            // Perceive over the whole molecule so neighbouring context is consistent
+            const orders = this.perceiveBondOrders(molecule.atoms);
+            const charges = this._perceiveFormalCharges(molecule.atoms, orders);
+            const valenceSum = atom => atom.bonds.reduce((sum, b) => sum + (orders.get(b) ?? b.order ?? 1), 0);
+
+            let added = 0;
+            let skipped = 0;
+            targets.forEach(atom => {
+                const states = VALENCE_STATES[atom.element];
+                if (!states) {
+                    skipped++;
+                    return;
+                }
+
+                const sum = valenceSum(atom);
+                const charge = charges.get(atom) || 0;
+                const maxValence = this.editor.getMaxValence(atom.element) + Math.abs(charge);
+                let valence = states.find(v => v >= sum) ?? states[states.length - 1];
+                if (charge !== 0) valence = sum; // charged centres are saturated by construction
+                const needed = Math.min(valence, maxValence) - sum;
+                if (needed <= 0) return;
+
+                const directions = this._hydrogenDirections(atom, needed, orders);
+                const bondLength = this.editor.getCovalentRadius(atom.element) + this.editor.getCovalentRadius('H');
+                directions.forEach(dir => {
+                    const pos = atom.position.clone().add(dir.multiplyScalar(bondLength));
+                    const h = molecule.addAtom('H', pos);
+                    molecule.addBond(atom, h, 1);
+                    added++;
+                });
+            });
 
-            this.editor.fileIOManager.importSDF(newMolBlock, { shouldClear: true, autoBond: false });
-            return { success: 'Added explicit hydrogens' };
+            this.editor.rebuildScene();
+            this.editor.saveState();
+            this.updateUI();
+
+            if (added === 0 && removed === 0) {
+                return { info: 'No open valences found' };
+            }
+            let msg = `Added ${added} hydrogen${added === 1 ? '' : 's'}`;
+            if (replace) msg += ` (removed ${removed} existing)`;
+            if (skipped > 0) msg += `; skipped ${skipped} atom(s) without a known valence`;
+            return { success: msg };
         } catch (e) {
             console.error('addExplicitHydrogens failed:', e);
             return { error: e.message };
         }
     }
 
-    async optimizeGeometry() {
+    /**
+     * Perceive bond orders from geometry and valence.
+     *
+     * Explicit multiple bonds are kept. Single bonds between unsaturated atoms are
+     * upgraded when they are short relative to the covalent-radius sum: triple bonds
+     * first, then double bonds shortest-first with augmenting paths so conjugated
+     * rings kekulize. Atoms that are sp3 by geometry never take multiple bonds,
+     * except S/P towards terminal oxygen (sulfoxides, sulfones, phosphates).
+     *
+     * @param {Object[]} atoms - Atoms to perceive
+     * @returns {Map<Object, number>} Bond → perceived order (for all bonds of the atoms)
+     */
+    perceiveBondOrders(atoms) {
+        const orders = new Map();
+        const atomSet = new Set(atoms);
+        atoms.forEach(atom => atom.bonds.forEach(bond => orders.set(bond, bond.order ?? 1)));
+
+        const other = (bond, atom) => bond.atom1 === atom ? bond.atom2 : bond.atom1;
+        const valenceSum = atom => atom.bonds.reduce((sum, b) => sum + orders.get(b), 0);
+        const isTerminalO = atom => atom.element === 'O' && atom.bonds.length === 1;
+        const hyb = new Map(atoms.map(atom => [atom, this._geometricHybridization(atom)]));
+        const ratio = bond => {
+            const d = bond.atom1.position.distanceTo(bond.atom2.position);
+            return d / (this.getElementRadius(bond.atom1.element) + this.getElementRadius(bond.atom2.element));
+        };
+
+        /** Remaining valence of `atom` towards `partner` */
+        const freeValence = (atom, partner) => {
+            const states = VALENCE_STATES[atom.element];
+            if (!states || atom.element === 'H') return 0;
+            const sum = valenceSum(atom);
+            let max = states.find(v => v >= sum) ?? states[states.length - 1];
+            if (partner && isTerminalO(partner)) {
+                // Expanded octets (S=O, P=O) and N+ in nitro groups / N-oxides
+                if (atom.element === 'S' || atom.element === 'P') max = states[states.length - 1];
+                if (atom.element === 'N') max = 4;
+            }
+            return max - sum;
+        };
+        const hasRoom = (atom, partner) => {
+            const doubles = atom.bonds.filter(b => orders.get(b) === 2).length;
+            const cap = (hyb.get(atom) === 1 || atom.element === 'S' || atom.element === 'P') ? 2 : 1;
+            return freeValence(atom, partner) > 0 && doubles < cap;
+        };
+
+        const candidates = [];
+        const candidatesOf = new Map(atoms.map(atom => [atom, []]));
+        atoms.forEach(atom => atom.bonds.forEach(bond => {
+            if (bond.atom1 !== atom) return; // visit each bond once
+            const a = bond.atom1, b = bond.atom2;
+            if (!atomSet.has(b) || orders.get(bond) !== 1) return;
+            if (a.element === 'H' || b.element === 'H') return;
+            const hypervalent = (['S', 'P'].includes(a.element) && isTerminalO(b)) ||
+                (['S', 'P'].includes(b.element) && isTerminalO(a));
+            if ((hyb.get(a) === 3 || hyb.get(b) === 3) && !hypervalent) return;
+            if (ratio(bond) >= 0.95) return;
+            candidates.push(bond);
+            candidatesOf.get(a).push(bond);
+            candidatesOf.get(b).push(bond);
+        }));
+        candidates.sort((x, y) => ratio(x) - ratio(y));
+
+        // Triple bonds
+        candidates.forEach(bond => {
+            if (ratio(bond) < 0.83 &&
+                freeValence(bond.atom1, bond.atom2) >= 2 && freeValence(bond.atom2, bond.atom1) >= 2) {
+                orders.set(bond, 3);
+            }
+        });
+
+        // Double bonds, shortest first
+        candidates.forEach(bond => {
+            if (orders.get(bond) === 1 && hasRoom(bond.atom1, bond.atom2) && hasRoom(bond.atom2, bond.atom1)) {
+                orders.set(bond, 2);
+            }
+        });
+
+        // Augmenting paths fix atoms left unsaturated by the greedy pass
+        const augment = (atom, visited) => {
+            visited.add(atom);
+            for (const bond of candidatesOf.get(atom)) {
+                if (orders.get(bond) !== 1) continue;
+                const v = other(bond, atom);
+                if (visited.has(v)) continue;
+                visited.add(v);
+                if (hasRoom(v, atom)) {
+                    orders.set(bond, 2);
+                    return true;
+                }
+                for (const next of candidatesOf.get(v)) {
+                    if (orders.get(next) !== 2) continue;
+                    const w = other(next, v);
+                    if (visited.has(w)) continue;
+                    orders.set(next, 1);
+                    if (augment(w, visited)) {
+                        orders.set(bond, 2);
+                        return true;
+                    }
+                    orders.set(next, 2);
+                }
+            }
+            return false;
+        };
+        atoms.forEach(atom => {
+            const open = candidatesOf.get(atom).some(b => orders.get(b) === 1 && hasRoom(atom, other(b, atom)));
+            if (open && hasRoom(atom)) augment(atom, new Set());
+        });
+
+        return orders;
+    }
+
+    /**
+     * Hybridization implied by the neighbour geometry alone.
+     * @private
+     * @returns {number|null} 1 (sp), 2 (sp2), 3 (sp3) or null if undetermined
+     */
+    _geometricHybridization(atom) {
+        const nbrs = atom.bonds.map(b => b.atom1 === atom ? b.atom2 : b.atom1);
+        if (nbrs.length >= 4) return 3;
+        if (nbrs.length < 2) return null;
+
+        const dirs = nbrs.map(n => n.position.clone().sub(atom.position).normalize());
+        const angle = (u, v) => Math.acos(Math.max(-1, Math.min(1, u.dot(v)))) * 180 / Math.PI;
+
+        if (nbrs.length === 2) {
+            return angle(dirs[0], dirs[1]) > 165 ? 1 : null;
+        }
+        const total = angle(dirs[0], dirs[1]) + angle(dirs[1], dirs[2]) + angle(dirs[0], dirs[2]);
+        return total > 350 ? 2 : 3;
+    }
+
+    /**
+     * Assign simple formal charges from perceived bond orders:
+     * N with four bonds (+1), O with three bonds (+1), B with four bonds (-1),
+     * and singly bonded terminal O on a cationic N (-1).
+     * @private
+     * @returns {Map<Object, number>} Atom → formal charge (non-zero entries only)
+     */
+    _perceiveFormalCharges(atoms, orders) {
+        const charges = new Map();
+        const valenceSum = atom => atom.bonds.reduce((sum, b) => sum + (orders.get(b) ?? b.order ?? 1), 0);
+
+        atoms.forEach(atom => {
+            const sum = valenceSum(atom);
+            if (atom.element === 'N' && sum >= 4) charges.set(atom, 1);
+            else if (atom.element === 'O' && sum === 3) charges.set(atom, 1);
+            else if (atom.element === 'B' && sum === 4) charges.set(atom, -1);
+        });
+
+        atoms.forEach(atom => {
+            if (atom.element !== 'O' || atom.bonds.length !== 1) return;
+            const bond = atom.bonds[0];
+            const partner = bond.atom1 === atom ? bond.atom2 : bond.atom1;
+            if ((orders.get(bond) ?? 1) === 1 && charges.get(partner) === 1 && partner.element === 'N') {
+                charges.set(atom, -1);
+            }
+        });
+
+        return charges;
+    }
+
+    /**
+     * Unit directions for `count` new hydrogens on `atom`.
+     * The steric number counts lone pairs, so e.g. an O–H is bent and an
+     * amine is pyramidal; sp2 centres with one neighbour stay in the plane
+     * of that neighbour's substituents.
+     * @private
+     */
+    _hydrogenDirections(atom, count, orders) {
+        const nbrs = atom.bonds.map(b => b.atom1 === atom ? b.atom2 : b.atom1);
+        const bondOrders = atom.bonds.map(b => orders.get(b) ?? b.order ?? 1);
+        const doubles = bondOrders.filter(o => o === 2).length;
+        const geomHyb = this._geometricHybridization(atom);
+
+        let steric = 4;
+        if (bondOrders.includes(3) || doubles >= 2 || geomHyb === 1) {
+            steric = 2;
+        } else if (doubles === 1 || geomHyb === 2) {
+            steric = 3;
+        } else if (atom.element === 'N' && nbrs.some(n => n.bonds.some(b => (orders.get(b) ?? b.order ?? 1) === 2))) {
+            steric = 3; // conjugated N (amide, aniline) is planar
+        }
+
+        const nDir = Math.max(count, steric - nbrs.length);
+        const totalCoord = nbrs.length + nDir;
+
+        let directions;
+        if (nbrs.length === 1 && totalCoord === 3) {
+            directions = this._trigonalDirections(atom, nbrs[0]);
+        } else {
+            directions = this.editor.getMultipleBondDirections(atom, nbrs, nDir, totalCoord);
+        }
+        directions = directions.slice(0, count);
+
+        // Hypervalent or crowded centres: fill any remainder away from existing bonds
+        const placed = [...nbrs];
+        while (directions.length < count) {
+            const dir = this.editor.getOptimalBondDirection(atom, placed);
+            directions.push(dir);
+            placed.push({ position: atom.position.clone().add(dir) });
+        }
+        return directions;
+    }
+
+    /**
+     * Two in-plane directions at 120° for an sp2 atom with a single neighbour,
+     * aligned with the plane of that neighbour's other substituents.
+     * @private
+     */
+    _trigonalDirections(atom, neighbor) {
+        const bondDir = neighbor.position.clone().sub(atom.position).normalize();
+
+        // Reference vector in the neighbour's substituent plane, if any
+        const ref = new THREE.Vector3();
+        const others = neighbor.bonds
+            .map(b => b.atom1 === neighbor ? b.atom2 : b.atom1)
+            .filter(n => n !== atom);
+        if (others.length > 0) {
+            ref.subVectors(others[0].position, neighbor.position);
+        }
+        ref.addScaledVector(bondDir, -ref.dot(bondDir));
+        if (ref.lengthSq() < 1e-6) {
+            ref.set(0, 1, 0);
+            if (Math.abs(bondDir.dot(ref)) > 0.9) ref.set(1, 0, 0);
+            ref.addScaledVector(bondDir, -ref.dot(bondDir));
+        }
+        ref.normalize();
+
+        const axis = new THREE.Vector3().crossVectors(bondDir, ref).normalize();
+        return [
+            bondDir.clone().applyAxisAngle(axis, 2 * Math.PI / 3),
+            bondDir.clone().applyAxisAngle(axis, -2 * Math.PI / 3)
+        ];
+    }
+
+    /**
+     * Optimize the geometry of the active molecule in place.
+     *
+     * Methods:
+     *  - 'ff' (default): MMFF94s+ via OpenChemLib, falling back to UFF when MMFF
+     *    atom typing fails (e.g. metals or unusual valences)
+     *  - 'mmff': MMFF94s+ only
+     *  - 'uff': UFF-style pure-JS force field (any element; generic parameters
+     *    are used where UFF has none)
+     *  - 'embed': regenerate a 3D conformer from connectivity (atoms are re-created)
+     *
+     * Atom objects are kept (ids, bonds and selection survive). UFF positions are
+     * streamed to the view every `updateInterval` steps; MMFF results are applied
+     * once converged. The result is recorded as a single undo step; on failure the
+     * original coordinates are restored.
+     *
+     * @param {string} [method='ff']
+     * @param {Object} [options]
+     * @param {number} [options.maxSteps=500] - Maximum number of optimizer iterations
+     * @param {number} [options.gradTol=1e-3] - Gradient (max force, kcal/mol/Å) tolerance
+     * @param {number} [options.energyTol=1e-6] - Energy change tolerance (kcal/mol)
+     * @param {number} [options.updateInterval=10] - Steps between view updates (UFF)
+     * @returns {Promise<Object>} Result with success, warning or error
+     */
+    async optimizeGeometry(method = 'ff', options = {}) {
+        const activeMol = this.getActive();
+        if (!activeMol) return { error: 'No active molecule' };
+
+        const molecule = activeMol.molecule;
+        const atoms = molecule.atoms;
+        if (atoms.length < 2) return { error: 'Nothing to optimize (need at least 2 atoms)' };
+        if (molecule.isCrystal) {
+            return { error: 'Geometry optimization is not supported for periodic structures' };
+        }
+
+        method = method.toLowerCase();
+        if (method === 'embed') return this._embedGeometry();
+        if (!['ff', 'mmff', 'mmff94', 'uff'].includes(method)) {
+            return { error: `Unknown optimization method: ${method} (use ff, mmff, uff or embed)` };
+        }
+        if (molecule.bonds.length === 0) {
+            return { error: "No bonds defined. Run 'rebond' first." };
+        }
+
+        const opts = {
+            maxSteps: Math.round(options.maxSteps ?? 500),
+            gradTol: options.gradTol ?? 1e-3,
+            energyTol: options.energyTol ?? 1e-6,
+            updateInterval: Math.max(1, options.updateInterval ?? 10)
+        };
+
+        const initialPositions = atoms.map(atom => atom.position.clone());
+
+        try {
+            let result = null;
+            let note = '';
+
+            if (method !== 'uff') {
+                result = await this._optimizeMMFF(atoms, opts);
+                if (!result) {
+                    if (method !== 'ff') return { error: 'MMFF94 atom typing failed for this structure' };
+                    note = ' (MMFF94 typing failed, used UFF)';
+                } else if (!result.converged) {
+                    if (method !== 'ff') {
+                        return { warning: `MMFF94s+ did not converge within ${opts.maxSteps} steps; geometry unchanged` };
+                    }
+                    note = ' (MMFF94s+ did not converge, used UFF)';
+                    result = null;
+                }
+            }
+            if (!result) {
+                result = await this._optimizeUFF(atoms, opts);
+            }
+
+            this._refreshPositions(atoms);
+            this.editor.saveState();
+
+            const stepInfo = result.steps !== null ? `${result.steps} steps, ` : '';
+            const summary = `Geometry optimized with ${result.method}${note}: ` +
+                `${stepInfo}E = ${result.energy.toFixed(4)} kcal/mol`;
+            if (result.stalled) {
+                return {
+                    warning: `${summary} (not converged: line search stalled, ` +
+                        `max force ${result.maxForce.toFixed(4)} kcal/mol/Å)`
+                };
+            }
+            if (!result.converged) {
+                return { warning: `${summary} (not converged after ${opts.maxSteps} steps)` };
+            }
+            return { success: summary };
+        } catch (e) {
+            atoms.forEach((atom, i) => atom.position.copy(initialPositions[i]));
+            this._refreshPositions(atoms);
+            console.error('optimizeGeometry failed:', e);
+            return { error: e.message };
+        }
+    }
+
+    /**
+     * MMFF94s+ minimisation through OpenChemLib.
+     * Hydrogens are placed last so OCL keeps the atom order intact.
+     * @private
+     * @returns {Promise<Object|null>} Result, or null if MMFF typing failed
+     */
+    async _optimizeMMFF(atoms, opts) {
+        await oclManager.init();
+
+        const ordered = [
+            ...atoms.filter(atom => atom.element !== 'H'),
+            ...atoms.filter(atom => atom.element === 'H')
+        ];
+        const mol = this.editor.fileIOManager.atomsToOCL(ordered);
+
+        // Verify the index mapping survived OCL's helper-array setup
+        if (mol.getAllAtoms() !== ordered.length) return null;
+        for (let i = 0; i < ordered.length; i++) {
+            const p = ordered[i].position;
+            if (Math.abs(mol.getAtomX(i) - p.x) > 1e-6 ||
+                Math.abs(mol.getAtomY(i) - p.y) > 1e-6 ||
+                Math.abs(mol.getAtomZ(i) - p.z) > 1e-6) {
+                return null;
+            }
+        }
+
+        let ff;
+        try {
+            ff = new OCL.ForceFieldMMFF94(mol, OCL.ForceFieldMMFF94.MMFF94SPLUS, {});
+        } catch (e) {
+            console.warn('MMFF94 setup failed:', e);
+            return null;
+        }
+
+        // OCL only writes coordinates back once the minimiser has converged, so this
+        // runs as a single call and the view is updated afterwards
+        const status = ff.minimise({ maxIts: opts.maxSteps, gradTol: opts.gradTol, funcTol: opts.energyTol });
+        const converged = status === 0;
+        if (converged) {
+            ordered.forEach((atom, i) => {
+                atom.position.set(mol.getAtomX(i), mol.getAtomY(i), mol.getAtomZ(i));
+            });
+        }
+
+        return { method: 'MMFF94s+', steps: null, converged, energy: ff.getTotalEnergy() };
+    }
+
+    /**
+     * UFF-style minimisation with the built-in L-BFGS optimizer.
+     * @private
+     */
+    async _optimizeUFF(atoms, opts) {
+        const ff = new UFFForceField(atoms);
+        const x0 = new Float64Array(atoms.length * 3);
+        atoms.forEach((atom, i) => {
+            x0[i * 3] = atom.position.x;
+            x0[i * 3 + 1] = atom.position.y;
+            x0[i * 3 + 2] = atom.position.z;
+        });
+
+        const minimizer = new LBFGSMinimizer((x, g) => ff.evaluate(x, g), x0);
+        const writeBack = () => {
+            atoms.forEach((atom, i) => {
+                atom.position.set(minimizer.x[i * 3], minimizer.x[i * 3 + 1], minimizer.x[i * 3 + 2]);
+            });
+        };
+
+        let steps = 0;
+        let converged = minimizer.maxForce < opts.gradTol;
+        let stalled = false;
+        while (steps < opts.maxSteps && !converged && !stalled) {
+            const res = minimizer.step();
+            steps++;
+            // A failed line search is not convergence: the energy could not be lowered
+            stalled = res.stalled;
+            converged = !stalled && (res.maxForce < opts.gradTol || Math.abs(res.deltaE) < opts.energyTol);
+
+            if (steps % opts.updateInterval === 0) {
+                writeBack();
+                this._refreshPositions(atoms);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        writeBack();
+
+        const method = ff.genericAtoms > 0 ? `UFF (${ff.genericAtoms} atoms with generic parameters)` : 'UFF';
+        return { method, steps, converged, stalled, maxForce: minimizer.maxForce, energy: minimizer.energy };
+    }
+
+    /**
+     * Regenerate a 3D conformer from connectivity via OpenChemLib.
+     * Replaces all atoms of the active molecule.
+     * @private
+     */
+    async _embedGeometry() {
         try {
             const molBlock = this.editor.fileIOManager.exportSDF();
             await oclManager.init();
             const mol = OCL.Molecule.fromMolfile(molBlock);
 
-            // Generate 3D (Optimization)
-            // Note: OCL's generate3D effectively optimizes geometry from scratch based on connectivity
+            // Note: OCL's generate3D builds the geometry from scratch based on connectivity
             const newMol = await oclManager.generate3D(mol);
             const newMolBlock = newMol.toMolfile();
 
-            this.editor.fileIOManager.importSDF(newMolBlock, { shouldClear: true, autoBond: false });
-            return { success: 'Geometry optimized' };
+            // Import into the active slot only; other molecules are left untouched
+            this.editor.fileIOManager.importSingleSDF(newMolBlock, { shouldClear: true, autoBond: false });
+            this.editor.saveState();
+            return { success: 'Generated 3D geometry from connectivity' };
         } catch (e) {
-            console.error('optimizeGeometry failed:', e);
+            console.error('embedGeometry failed:', e);
             return { error: e.message };
         }
     }
 
+    /**
+     * Push current atom positions to meshes and bond cylinders without a full rebuild
+     * @private
+     */
+    _refreshPositions(atoms) {
+        const renderManager = this.editor.renderManager;
+        if (!renderManager) return;
+        atoms.forEach(atom => renderManager.updateAtomPosition(atom));
+        renderManager.updateBondVisuals();
+    }
+
     // ─── Crystal-specific methods ─────────────────────────────────────────────
 
     /**
@@ -531,6 +1123,8 @@ export class MoleculeManager {
         const activeMol = this.getActive();
         if (!activeMol) return { error: 'No active slot' };
 
+        this.clearAttachments();
+
         // Replace the molecule object in the active entry
         activeMol.molecule = crystal;
         activeMol.name = crystal.name;
@@ -61,6 +61,10 @@ export class Renderer {
     this.originalTrackballNoPan = this.trackballControls.noPan;
     this.originalTrackballNoRotate = this.trackballControls.noRotate;
 
+    // Drawn beside PNG snapshots when set: (ctx, { x, y, width, height }) => void
+    // (the color-bar legend of color-by mode)
+    this.snapshotOverlay = null;
+
     // Lights - full ambient light to minimize shadows
     const ambientLight = new THREE.AmbientLight(0xffffff, 1.0);
     this.scene.add(ambientLight);
@@ -278,8 +282,26 @@ export class Renderer {
     // Transform each atom position to camera space and expand bounds by radius
     const viewMatrixInverse = this.activeCamera.matrixWorldInverse;
 
+    const instanceMatrix = new THREE.Matrix4();
+    const instancePosition = new THREE.Vector3();
+    const instanceQuaternion = new THREE.Quaternion();
+    const instanceScale = new THREE.Vector3();
+
     objects.forEach(obj => {
-      if (obj.geometry && obj.userData && obj.userData.type === 'atom') {
+      if (obj.isInstancedMesh && obj.userData && obj.userData.type === 'atom') {
+        // Instanced atoms (large systems): unit spheres, radius is the instance scale
+        for (let i = 0; i < obj.count; i++) {
+          obj.getMatrixAt(i, instanceMatrix);
+          instanceMatrix.decompose(instancePosition, instanceQuaternion, instanceScale);
+          const pos = instancePosition.applyMatrix4(viewMatrixInverse);
+          const radius = obj.geometry.parameters.radius * instanceScale.x;
+
+          minX = Math.min(minX, pos.x - radius);
+          maxX = Math.max(maxX, pos.x + radius);
+          minY = Math.min(minY, pos.y - radius);
+          maxY = Math.max(maxY, pos.y + radius);
+        }
+      } else if (obj.geometry && obj.userData && obj.userData.type === 'atom') {
         // Get position in camera space
         const pos = obj.position.clone().applyMatrix4(viewMatrixInverse);
 
@@ -437,7 +459,9 @@ export class Renderer {
     this.scene.background = originalBackground;
 
     // Capture
-    const dataURL = offscreenCanvas.toDataURL('image/png');
+    const dataURL = this.snapshotOverlay
+      ? this.composeSnapshotOverlay(offscreenCanvas, transparentBg)
+      : offscreenCanvas.toDataURL('image/png');
 
     // Cleanup
     tempRenderer.dispose();
@@ -445,6 +469,30 @@ export class Renderer {
     return dataURL;
   }
 
+  /**
+   * Widen a snapshot by a strip on the right and draw the snapshot overlay into it
+   * @param {HTMLCanvasElement} canvas - Rendered snapshot
+   * @param {boolean} transparentBg - Leave the strip transparent instead of white
+   * @returns {string} PNG data URL
+   */
+  composeSnapshotOverlay(canvas, transparentBg) {
+    const strip = Math.round(Math.max(canvas.width, canvas.height) * 0.12);
+    const composite = document.createElement('canvas');
+    composite.width = canvas.width + strip;
+    composite.height = canvas.height;
+
+    const ctx = composite.getContext('2d');
+    if (!transparentBg) {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, composite.width, composite.height);
+    }
+    ctx.drawImage(canvas, 0, 0);
+
+    const height = Math.min(canvas.height, strip * 2.5);
+    this.snapshotOverlay(ctx, { x: canvas.width, y: (canvas.height - height) / 2, width: strip, height });
+    return composite.toDataURL('image/png');
+  }
+
   captureSnapshotLegacy(objects, transparentBg, padding) {
     // ... (Original implementation if needed, but we can probably drop it)
     return null;
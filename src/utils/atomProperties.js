@@ -0,0 +1,142 @@
+/**
+ * Numeric per-atom properties for `color by` and surface coloring.
+ *
+ * Built-in properties read the atom's metadata (partial charges, PDB and CIF records,
+ * extended XYZ columns) or its place in the molecule (index, fragment, height). Any other
+ * name is looked up among the extended XYZ columns (Atom#properties); vector columns such
+ * as forces give their magnitude.
+ */
+
+/** Partial charge schemes in order of preference (see Atom#charges) */
+export const CHARGE_SCHEMES = ['mulliken', 'loewdin', 'npa'];
+
+const chargeValues = (atoms, scheme) =>
+    atoms.map(a => (scheme && a.charges && a.charges[scheme] !== undefined ? a.charges[scheme] : null));
+
+const cifNumber = (atom, key) => {
+    const value = atom.cif ? parseFloat(atom.cif[key]) : NaN;
+    return Number.isFinite(value) ? value : null;
+};
+
+/** Extended XYZ column by case-insensitive name; vectors give their length */
+function columnValue(atom, name) {
+    if (!atom.properties) return null;
+    const key = Object.keys(atom.properties).find(k => k.toLowerCase() === name);
+    if (key === undefined) return null;
+    const value = atom.properties[key];
+    if (Array.isArray(value)) return Math.hypot(...value);
+    return Number.isFinite(value) ? value : null;
+}
+
+const PROPERTIES = {
+    charge: {
+        label: 'Partial charge', units: 'e', diverging: true,
+        values: atoms => {
+            const scheme = CHARGE_SCHEMES.find(s => atoms.some(a => a.charges && a.charges[s] !== undefined));
+            // Without QC charges, an extended XYZ charge column
+            return scheme
+                ? chargeValues(atoms, scheme)
+                : atoms.map(a => columnValue(a, 'charges') ?? columnValue(a, 'charge') ?? columnValue(a, 'initial_charges'));
+        }
+    },
+    mulliken: { label: 'Mulliken charge', units: 'e', diverging: true, values: atoms => chargeValues(atoms, 'mulliken') },
+    loewdin: { label: 'Loewdin charge', units: 'e', diverging: true, values: atoms => chargeValues(atoms, 'loewdin') },
+    npa: { label: 'NPA charge', units: 'e', diverging: true, values: atoms => chargeValues(atoms, 'npa') },
+    bfactor: {
+        label: 'B-factor', units: 'Å²',
+        values: atoms => atoms.map(a => {
+            if (a.pdb) return a.pdb.tempFactor;
+            const b = cifNumber(a, 'bIso');
+            if (b !== null) return b;
+            const u = cifNumber(a, 'uIso');
+            return u !== null ? 8 * Math.PI * Math.PI * u : null;
+        })
+    },
+    occupancy: {
+        label: 'Occupancy', units: '',
+        values: atoms => atoms.map(a => (a.pdb ? a.pdb.occupancy : cifNumber(a, 'occupancy')))
+    },
+    resseq: { label: 'Residue number', units: '', values: atoms => atoms.map(a => (a.pdb ? a.pdb.resSeq : null)) },
+    force: {
+        label: 'Force', units: 'eV/Å',
+        values: atoms => atoms.map(a => columnValue(a, 'forces') ?? columnValue(a, 'force'))
+    },
+    index: { label: 'Atom index', units: '', values: atoms => atoms.map((a, i) => i) },
+    fragment: {
+        label: 'Fragment', units: '',
+        values: (atoms, { fragments = [] }) => {
+            const fragmentOf = new Map();
+            fragments.forEach((fragment, i) => fragment.forEach(atom => fragmentOf.set(atom, i)));
+            return atoms.map(a => fragmentOf.get(a) ?? null);
+        }
+    },
+    height: { label: 'Height (z)', units: 'Å', values: atoms => atoms.map(a => a.position.z) }
+};
+
+const ALIASES = {
+    q: 'charge', charges: 'charge', b: 'bfactor', 'b-factor': 'bfactor', tempfactor: 'bfactor',
+    occ: 'occupancy', residue: 'resseq', forces: 'force', idx: 'index', frag: 'fragment',
+    layer: 'height'
+};
+
+/**
+ * Values of a property for each atom
+ * @param {string} name - Built-in name or alias, or an extended XYZ column
+ * @param {Object[]} atoms - All atoms of the molecule, in order
+ * @param {Object} [context]
+ * @param {Object[][]} [context.fragments] - Connected fragments (for `fragment`)
+ * @returns {{ name: string, label: string, units: string, diverging: boolean, values: (number|null)[] }}
+ *   diverging properties (charges) are centred on zero. Values are null where the atom has no data.
+ * @throws {Error} If no atom has the property
+ */
+export function atomPropertyValues(name, atoms, context = {}) {
+    const key = ALIASES[name.toLowerCase()] || name.toLowerCase();
+    const builtin = PROPERTIES[key];
+    const result = builtin
+        ? { name: key, label: builtin.label, units: builtin.units, diverging: !!builtin.diverging, values: builtin.values(atoms, context) }
+        : { name: key, label: name, units: '', diverging: false, values: atoms.map(a => columnValue(a, key)) };
+    if (!result.values.some(v => v !== null && v !== undefined)) {
+        const available = listAtomProperties(atoms);
+        throw new Error(`No ${builtin ? builtin.label.toLowerCase() : `property "${name}"`} on these atoms` +
+            (available.length > 0 ? `. Available: ${available.join(', ')}` : ''));
+    }
+    result.values = result.values.map(v => v ?? null);
+    return result;
+}
+
+/**
+ * Smallest and largest value, skipping nulls. A loop rather than Math.min(...values),
+ * which overflows the call stack for large systems.
+ * @param {(number|null)[]} values
+ * @returns {{ min: number, max: number }} Infinity / -Infinity if there are no values
+ */
+export function valueRange(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of values) {
+        if (v === null) continue;
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+    return { min, max };
+}
+
+/**
+ * Properties with data on at least one atom: built-ins, then extended XYZ columns
+ * @param {Object[]} atoms
+ * @returns {string[]}
+ */
+export function listAtomProperties(atoms) {
+    const names = ['charge', 'mulliken', 'loewdin', 'npa', 'bfactor', 'occupancy', 'resseq', 'force']
+        .filter(name => PROPERTIES[name].values(atoms, {}).some(v => v !== null));
+    names.push('index', 'fragment', 'height');
+    const columns = new Set();
+    atoms.forEach(a => {
+        if (a.properties) Object.keys(a.properties).forEach(k => columns.add(k));
+    });
+    columns.forEach(column => {
+        const lower = column.toLowerCase();
+        if (!PROPERTIES[lower] && !ALIASES[lower]) names.push(column);
+    });
+    return names;
+}
@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+
+/**
+ * Colormaps for mapping per-atom values to colors (`color by`, surfaces).
+ *
+ * Each map is a list of evenly spaced sRGB stops, interpolated linearly like matplotlib's
+ * listed maps. Append `_r` to a name for the reversed map (e.g. `coolwarm_r`).
+ */
+export const COLORMAPS = {
+    viridis: ['#440154', '#482878', '#3e4a89', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6dcd59', '#b4de2c', '#fde725'],
+    plasma: ['#0d0887', '#47039f', '#7301a8', '#9c179e', '#bd3786', '#d8576b', '#ed7953', '#fa9e3b', '#fdc926', '#f0f921'],
+    inferno: ['#000004', '#1b0c42', '#4b0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9a06', '#f7d03c', '#fcffa4'],
+    coolwarm: ['#3b4cc0', '#8db0fe', '#dddddd', '#f49a7b', '#b40426'],
+    bwr: ['#0000ff', '#ffffff', '#ff0000'],
+    jet: ['#00007f', '#0000ff', '#007fff', '#00ffff', '#7fff7f', '#ffff00', '#ff7f00', '#ff0000', '#7f0000'],
+    gray: ['#000000', '#ffffff']
+};
+
+const _stopCache = new Map();
+
+/**
+ * Stops of a map as [r, g, b] in 0..1, reversed for `<name>_r`; null if unknown
+ * @param {string} name
+ * @returns {number[][]|null}
+ */
+function stops(name) {
+    if (_stopCache.has(name)) return _stopCache.get(name);
+    const reversed = name.endsWith('_r');
+    const hexes = COLORMAPS[reversed ? name.slice(0, -2) : name];
+    if (!hexes) return null;
+    const rgb = hexes.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255));
+    if (reversed) rgb.reverse();
+    _stopCache.set(name, rgb);
+    return rgb;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} Whether `name` (optionally with `_r`) is a colormap
+ */
+export function isColormap(name) {
+    return stops(name) !== null;
+}
+
+/**
+ * sRGB components of a colormap at t
+ * @param {string} name
+ * @param {number} t - 0..1 (clamped)
+ * @returns {number[]} [r, g, b] in 0..1
+ */
+export function sampleColormap(name, t) {
+    const rgb = stops(name);
+    const s = Math.min(1, Math.max(0, Number.isFinite(t) ? t : 0)) * (rgb.length - 1);
+    const i = Math.min(rgb.length - 2, Math.floor(s));
+    const f = s - i;
+    return [0, 1, 2].map(c => rgb[i][c] + f * (rgb[i + 1][c] - rgb[i][c]));
+}
+
+/**
+ * @param {string} name
+ * @param {number} t - 0..1
+ * @param {THREE.Color} [target]
+ * @returns {THREE.Color} target
+ */
+export function colormapColor(name, t, target = new THREE.Color()) {
+    const [r, g, b] = sampleColormap(name, t);
+    return target.setRGB(r, g, b, THREE.SRGBColorSpace);
+}
+
+/**
+ * Vertical color bar with tick values and a title, for the viewport legend and snapshots
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} legend
+ * @param {string} legend.colormap
+ * @param {number} legend.min - Value at the bottom
+ * @param {number} legend.max - Value at the top
+ * @param {string} legend.label - Title (property and units)
+ * @param {Object} box - { x, y, width, height } in canvas pixels
+ * @param {Object} [style]
+ * @param {string} [style.color='#ffffff'] - Text color
+ */
+export function drawColorBar(ctx, legend, box, style = {}) {
+    const { color = '#ffffff' } = style;
+    const font = Math.max(10, Math.round(box.width / 9));
+    const titleHeight = font * 2;
+    const barX = box.x + font * 0.5;
+    const barY = box.y + titleHeight;
+    const barWidth = Math.max(8, box.width * 0.18);
+    const barHeight = box.height - titleHeight - font;
+
+    ctx.save();
+    ctx.font = `${font}px sans-serif`;
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'alphabetic';
+    ctx.textAlign = 'left';
+    ctx.fillText(legend.label, box.x + font * 0.5, box.y + font * 1.2, box.width - font);
+
+    const gradient = ctx.createLinearGradient(0, barY + barHeight, 0, barY);
+    for (let i = 0; i <= 32; i++) {
+        const [r, g, b] = sampleColormap(legend.colormap, i / 32);
+        gradient.addColorStop(i / 32, `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`);
+    }
+    ctx.fillStyle = gradient;
+    ctx.fillRect(barX, barY, barWidth, barHeight);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(barX + 0.5, barY + 0.5, barWidth - 1, barHeight - 1);
+
+    // Five ticks from max (top) to min (bottom)
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'middle';
+    const ticks = 4;
+    for (let i = 0; i <= ticks; i++) {
+        const y = barY + barHeight * i / ticks;
+        const value = legend.max - (legend.max - legend.min) * i / ticks;
+        ctx.beginPath();
+        ctx.moveTo(barX + barWidth, y);
+        ctx.lineTo(barX + barWidth + font * 0.4, y);
+        ctx.stroke();
+        ctx.fillText(formatTick(value), barX + barWidth + font * 0.6, y);
+    }
+    ctx.restore();
+}
+
+function formatTick(value) {
+    if (value === 0) return '0';
+    const abs = Math.abs(value);
+    if (abs >= 1e5 || abs < 1e-3) return value.toExponential(1);
+    return String(parseFloat(value.toPrecision(3)));
+}
@@ -0,0 +1,195 @@
+/**
+ * Lattice reduction.
+ *
+ * Lattices are 3×3 matrices whose columns are the Cartesian lattice vectors a, b, c.
+ * Both reductions return a unimodular integer matrix U (det +1): the columns of U are
+ * the reduced vectors in the basis of the input, so the reduced lattice is L·U.
+ */
+
+/** Iteration cap for both reductions; real cells converge in a few dozen steps */
+const MAX_ITERATIONS = 1000;
+
+/**
+ * Lattice matrix (columns a, b, c) of a LatticeParams
+ * @param {import('../crystal.js').LatticeParams} lattice
+ * @returns {number[][]}
+ */
+export function latticeMatrix(lattice) {
+    const { a, b, c } = lattice.toLatticeVectors();
+    return [[a.x, b.x, c.x], [a.y, b.y, c.y], [a.z, b.z, c.z]];
+}
+
+/**
+ * Delaunay reduction of a lattice (columns of L).
+ * @returns {number[][]} Unimodular integer matrix U (det +1) such that L·U is reduced
+ */
+export function delaunayReduce(L) {
+    const cart = [0, 1, 2].map(j => [L[0][j], L[1][j], L[2][j]]);
+    const scaleSq = Math.max(...cart.map(v => dot(v, v)));
+    const epsilon = 1e-8 * scaleSq;
+    const b = cart.map((v, j) => ({ cart: v, int: identity()[j] }));
+    b.push({ cart: scaleVec(addVec(addVec(cart[0], cart[1]), cart[2]), -1), int: [-1, -1, -1] });
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        let changed = false;
+        for (let i = 0; i < 4 && !changed; i++) {
+            for (let j = i + 1; j < 4 && !changed; j++) {
+                if (dot(b[i].cart, b[j].cart) > epsilon) {
+                    for (let k = 0; k < 4; k++) {
+                        if (k === i || k === j) continue;
+                        b[k] = { cart: addVec(b[k].cart, b[i].cart), int: addVec(b[k].int, b[i].int) };
+                    }
+                    b[i] = { cart: scaleVec(b[i].cart, -1), int: scaleVec(b[i].int, -1) };
+                    changed = true;
+                }
+            }
+        }
+        if (!changed) break;
+    }
+
+    const sum = (x, y) => ({ cart: addVec(x.cart, y.cart), int: addVec(x.int, y.int) });
+    const pool = [b[0], b[1], b[2], b[3], sum(b[0], b[1]), sum(b[1], b[2]), sum(b[2], b[0])]
+        .sort((x, y) => dot(x.cart, x.cart) - dot(y.cart, y.cart));
+
+    const chosen = [pool[0]];
+    for (const v of pool.slice(1)) {
+        if (chosen.length === 1 && norm(cross(chosen[0].cart, v.cart)) > 1e-6 * scaleSq) chosen.push(v);
+        else if (chosen.length === 2 && Math.abs(dot(cross(chosen[0].cart, chosen[1].cart), v.cart)) > 1e-6 * scaleSq * Math.sqrt(scaleSq)) {
+            chosen.push(v);
+            break;
+        }
+    }
+    const U = columns(chosen[0].int, chosen[1].int, chosen[2].int);
+    return det3(U) < 0 ? scale(U, -1) : U;
+}
+
+/**
+ * Niggli reduction (Křivý & Gruber, 1976, with the tolerances of Grosse-Kunstleve
+ * et al., 2004). The reduced cell is unique for a given lattice: a ≤ b ≤ c, and the
+ * cell angles are either all acute or all non-acute.
+ *
+ * @param {number[][]} L - Lattice matrix (columns a, b, c)
+ * @param {number} [relativeEpsilon=1e-5] - Tolerance relative to V^(2/3)
+ * @returns {number[][]} Unimodular integer matrix U (det +1) such that L·U is Niggli-reduced
+ */
+export function niggliReduce(L, relativeEpsilon = 1e-5) {
+    const volume = Math.abs(det3(L));
+    if (volume < 1e-8) throw new Error('Lattice vectors are linearly dependent');
+    const eps = relativeEpsilon * Math.pow(volume, 2 / 3);
+    let U = identity();
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        const step = niggliStep(metric(mul(L, U)), eps);
+        if (!step) return U;
+        U = mul(U, step);
+    }
+    throw new Error('Niggli reduction did not converge');
+}
+
+/**
+ * First applicable step of the Křivý–Gruber algorithm for metric G
+ * @returns {number[][]|null} Basis change for that step, or null when G is reduced
+ */
+function niggliStep(G, eps) {
+    const A = G[0][0], B = G[1][1], C = G[2][2];
+    const xi = 2 * G[1][2], eta = 2 * G[0][2], zeta = 2 * G[0][1];
+    const sign = v => (v > eps ? 1 : v < -eps ? -1 : 0);
+
+    // 1–2: order the lengths
+    if (A > B + eps || (Math.abs(A - B) <= eps && Math.abs(xi) > Math.abs(eta) + eps)) {
+        return [[0, -1, 0], [-1, 0, 0], [0, 0, -1]];
+    }
+    if (B > C + eps || (Math.abs(B - C) <= eps && Math.abs(eta) > Math.abs(zeta) + eps)) {
+        return [[-1, 0, 0], [0, 0, -1], [0, -1, 0]];
+    }
+
+    // 3–4: all angles acute or all non-acute
+    const l = sign(xi), m = sign(eta), n = sign(zeta);
+    if (l * m * n === 1) {
+        if (l === 1 && m === 1 && n === 1) {
+            // Already normalized; continue with the reduction conditions
+        } else {
+            return [[l, 0, 0], [0, m, 0], [0, 0, n]];
+        }
+    } else {
+        const d = [1, 1, 1];
+        let free = -1;
+        [l, m, n].forEach((s, k) => {
+            if (s === 1) d[k] = -1;
+            else if (s === 0) free = k;
+        });
+        if (d[0] * d[1] * d[2] === -1 && free >= 0) d[free] = -1;
+        if (d[0] * d[1] * d[2] === 1 && d.some(v => v === -1)) {
+            return [[d[0], 0, 0], [0, d[1], 0], [0, 0, d[2]]];
+        }
+    }
+
+    // 5–7: reduce the off-diagonal terms
+    if (Math.abs(xi) > B + eps || (Math.abs(xi - B) <= eps && 2 * eta < zeta - eps) ||
+        (Math.abs(xi + B) <= eps && zeta < -eps)) {
+        return [[1, 0, 0], [0, 1, -Math.sign(xi)], [0, 0, 1]];
+    }
+    if (Math.abs(eta) > A + eps || (Math.abs(eta - A) <= eps && 2 * xi < zeta - eps) ||
+        (Math.abs(eta + A) <= eps && zeta < -eps)) {
+        return [[1, 0, -Math.sign(eta)], [0, 1, 0], [0, 0, 1]];
+    }
+    if (Math.abs(zeta) > A + eps || (Math.abs(zeta - A) <= eps && 2 * xi < eta - eps) ||
+        (Math.abs(zeta + A) <= eps && eta < -eps)) {
+        return [[1, -Math.sign(zeta), 0], [0, 1, 0], [0, 0, 1]];
+    }
+
+    // 8: the a + b + c diagonal
+    const total = xi + eta + zeta + A + B;
+    if (total < -eps || (Math.abs(total) <= eps && 2 * (A + eta) + zeta > eps)) {
+        return [[1, 0, 1], [0, 1, 1], [0, 0, 1]];
+    }
+    return null;
+}
+
+// ─── Small linear-algebra helpers (matrices are arrays of rows) ───
+
+function identity() {
+    return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+}
+
+function columns(a, b, c) {
+    return [0, 1, 2].map(i => [a[i], b[i], c[i]]);
+}
+
+function mul(A, B) {
+    return A.map(row => [0, 1, 2].map(j => row.reduce((s, v, k) => s + v * B[k][j], 0)));
+}
+
+function metric(L) {
+    return [0, 1, 2].map(i => [0, 1, 2].map(j => L[0][i] * L[0][j] + L[1][i] * L[1][j] + L[2][i] * L[2][j]));
+}
+
+function scale(A, s) {
+    return A.map(row => row.map(v => v * s));
+}
+
+function scaleVec(v, s) {
+    return v.map(x => x * s);
+}
+
+function addVec(a, b) {
+    return a.map((v, k) => v + b[k]);
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function norm(v) {
+    return Math.sqrt(dot(v, v));
+}
+
+function det3(m) {
+    return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+         - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+         + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
@@ -0,0 +1,155 @@
+import { edgeTable, triTable } from 'three/examples/jsm/objects/MarchingCubes.js';
+
+/** Cube corner offsets (Bourke ordering, matching three.js edge/triangle tables) */
+const CORNERS = [
+    [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+    [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+];
+
+/** Corner pairs joined by each of the 12 cube edges */
+const EDGES = [
+    [0, 1], [1, 2], [2, 3], [3, 0],
+    [4, 5], [5, 6], [6, 7], [7, 4],
+    [0, 4], [1, 5], [2, 6], [3, 7]
+];
+
+/**
+ * Extract an isosurface from a scalar grid with marching cubes.
+ *
+ * Grid layout: `data[ix + nx * (iy + ny * iz)]` (x fastest), with the point (ix, iy, iz)
+ * at `origin + ix * axes[0] + iy * axes[1] + iz * axes[2]` (Å). Axes may be non-orthogonal.
+ * For periodic grids the last cell layer wraps to index 0, so surfaces close across the cell.
+ *
+ * @param {Object} grid
+ * @param {number[]} grid.dims - [nx, ny, nz]
+ * @param {Float32Array} grid.data
+ * @param {number[]} grid.origin - [x, y, z]
+ * @param {number[][]} grid.axes - Three step vectors
+ * @param {boolean} [grid.periodic=false]
+ * @param {number} isovalue - Surface level (applied to sign * value)
+ * @param {number} [sign=1] - -1 extracts the negative lobe at -isovalue
+ * @returns {{ positions: Float32Array, normals: Float32Array }} Non-indexed triangle list
+ */
+export function marchingCubes(grid, isovalue, sign = 1) {
+    const [nx, ny, nz] = grid.dims;
+    const { data, origin, axes, periodic = false } = grid;
+    const value = (i, j, k) => sign * data[i + nx * (j + ny * k)];
+    const wrap = (i, n) => (i >= n ? i - n : i);
+
+    // Gradient in grid index space → Cartesian via the inverse-transpose of the axes matrix
+    const inv = invertTranspose(axes);
+    const gradient = (i, j, k, out) => {
+        const ip = periodic ? wrap(i + 1, nx) : Math.min(i + 1, nx - 1), im = periodic ? (i - 1 + nx) % nx : Math.max(i - 1, 0);
+        const jp = periodic ? wrap(j + 1, ny) : Math.min(j + 1, ny - 1), jm = periodic ? (j - 1 + ny) % ny : Math.max(j - 1, 0);
+        const kp = periodic ? wrap(k + 1, nz) : Math.min(k + 1, nz - 1), km = periodic ? (k - 1 + nz) % nz : Math.max(k - 1, 0);
+        const gi = value(ip, j, k) - value(im, j, k);
+        const gj = value(i, jp, k) - value(i, jm, k);
+        const gk = value(i, j, kp) - value(i, j, km);
+        out[0] = inv[0] * gi + inv[1] * gj + inv[2] * gk;
+        out[1] = inv[3] * gi + inv[4] * gj + inv[5] * gk;
+        out[2] = inv[6] * gi + inv[7] * gj + inv[8] * gk;
+    };
+
+    const positions = new GrowableBuffer();
+    const normals = new GrowableBuffer();
+    const vertList = new Float32Array(12 * 3);
+    const normList = new Float32Array(12 * 3);
+    const cornerValues = new Float64Array(8);
+    const g1 = [0, 0, 0], g2 = [0, 0, 0];
+
+    const cellsX = periodic ? nx : nx - 1;
+    const cellsY = periodic ? ny : ny - 1;
+    const cellsZ = periodic ? nz : nz - 1;
+
+    for (let k = 0; k < cellsZ; k++) {
+        for (let j = 0; j < cellsY; j++) {
+            for (let i = 0; i < cellsX; i++) {
+                let cubeIndex = 0;
+                for (let c = 0; c < 8; c++) {
+                    const [dx, dy, dz] = CORNERS[c];
+                    cornerValues[c] = value(wrap(i + dx, nx), wrap(j + dy, ny), wrap(k + dz, nz));
+                    if (cornerValues[c] < isovalue) cubeIndex |= 1 << c;
+                }
+                const edges = edgeTable[cubeIndex];
+                if (edges === 0) continue;
+
+                for (let e = 0; e < 12; e++) {
+                    if (!(edges & (1 << e))) continue;
+                    const [c1, c2] = EDGES[e];
+                    const v1 = cornerValues[c1], v2 = cornerValues[c2];
+                    const t = Math.abs(v2 - v1) < 1e-12 ? 0.5 : (isovalue - v1) / (v2 - v1);
+
+                    // Unwrapped index-space position along the edge
+                    const a = CORNERS[c1], b = CORNERS[c2];
+                    const fi = i + a[0] + t * (b[0] - a[0]);
+                    const fj = j + a[1] + t * (b[1] - a[1]);
+                    const fk = k + a[2] + t * (b[2] - a[2]);
+                    for (let d = 0; d < 3; d++) {
+                        vertList[3 * e + d] = origin[d] + fi * axes[0][d] + fj * axes[1][d] + fk * axes[2][d];
+                    }
+
+                    gradient(wrap(i + a[0], nx), wrap(j + a[1], ny), wrap(k + a[2], nz), g1);
+                    gradient(wrap(i + b[0], nx), wrap(j + b[1], ny), wrap(k + b[2], nz), g2);
+                    // Surface encloses values above the level, so the outward normal is -∇f
+                    let gx = -(g1[0] + t * (g2[0] - g1[0]));
+                    let gy = -(g1[1] + t * (g2[1] - g1[1]));
+                    let gz = -(g1[2] + t * (g2[2] - g1[2]));
+                    const len = Math.hypot(gx, gy, gz) || 1;
+                    normList[3 * e] = gx / len;
+                    normList[3 * e + 1] = gy / len;
+                    normList[3 * e + 2] = gz / len;
+                }
+
+                const base = cubeIndex * 16;
+                for (let t = 0; triTable[base + t] !== -1; t++) {
+                    const e = triTable[base + t];
+                    positions.push3(vertList[3 * e], vertList[3 * e + 1], vertList[3 * e + 2]);
+                    normals.push3(normList[3 * e], normList[3 * e + 1], normList[3 * e + 2]);
+                }
+            }
+        }
+    }
+
+    return { positions: positions.toArray(), normals: normals.toArray() };
+}
+
+/**
+ * Row-major inverse-transpose of the matrix whose columns are the three axes
+ * @param {number[][]} axes
+ * @returns {number[]} 9 components
+ */
+function invertTranspose(axes) {
+    const [a, b, c] = axes;
+    // M = [a|b|c]; (M^-1)^T has rows (b×c, c×a, a×b) / det as columns
+    const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const bc = cross(b, c), ca = cross(c, a), ab = cross(a, b);
+    const det = a[0] * bc[0] + a[1] * bc[1] + a[2] * bc[2] || 1;
+    return [
+        bc[0] / det, ca[0] / det, ab[0] / det,
+        bc[1] / det, ca[1] / det, ab[1] / det,
+        bc[2] / det, ca[2] / det, ab[2] / det
+    ];
+}
+
+/** Float32Array that doubles in size as triangles are appended */
+class GrowableBuffer {
+    constructor() {
+        this.array = new Float32Array(3 * 4096);
+        this.length = 0;
+    }
+
+    push3(x, y, z) {
+        if (this.length + 3 > this.array.length) {
+            const grown = new Float32Array(this.array.length * 2);
+            grown.set(this.array);
+            this.array = grown;
+        }
+        this.array[this.length++] = x;
+        this.array[this.length++] = y;
+        this.array[this.length++] = z;
+    }
+
+    toArray() {
+        return this.array.slice(0, this.length);
+    }
+}
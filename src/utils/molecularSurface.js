@@ -0,0 +1,191 @@
+import { marchingCubes } from './marchingCubes.js';
+
+/**
+ * Molecular surfaces from a distance grid and marching cubes.
+ *
+ *  - vdw: union of van der Waals spheres
+ *  - sas: solvent-accessible surface, traced by the centre of a probe sphere rolling over
+ *    the atoms (spheres enlarged by the probe radius)
+ *  - ses: solvent-excluded (Connolly) surface, traced by the probe's inner face; the SAS
+ *    interior eroded by the probe radius
+ *
+ * The grid holds `R - |p - c|` of the atom whose sphere reaches furthest (positive inside),
+ * so the surface is the zero level. Lengths in Å. Pure functions, so they can run in a Web Worker.
+ */
+
+export const SURFACE_TYPES = ['vdw', 'sas', 'ses'];
+
+/** Largest grid edge; the spacing grows for big systems to stay below it */
+const MAX_POINTS_PER_AXIS = 160;
+
+/**
+ * @param {Object} atoms
+ * @param {Float64Array|number[]} atoms.positions - x, y, z per atom
+ * @param {Float64Array|number[]} atoms.radii - van der Waals radius per atom
+ * @param {Object} [options]
+ * @param {string} [options.type='vdw'] - One of SURFACE_TYPES
+ * @param {number} [options.probe=1.4] - Probe radius (sas, ses)
+ * @param {number} [options.spacing=0.3] - Grid spacing (raised for large systems)
+ * @returns {{ positions: Float32Array, normals: Float32Array, atomIndex: Int32Array,
+ *   area: number, volume: number, dims: number[], spacing: number }}
+ *   Non-indexed triangle list; atomIndex is the atom each vertex belongs to.
+ */
+export function computeSurface({ positions, radii }, options = {}) {
+    const { type = 'vdw', probe = 1.4, spacing = 0.3 } = options;
+    if (!SURFACE_TYPES.includes(type)) throw new Error(`Unknown surface type: ${type}`);
+    const count = radii.length;
+    if (count === 0) throw new Error('No atoms');
+
+    const grow = type === 'vdw' ? 0 : probe;
+    const sphereRadii = Float64Array.from(radii, r => r + grow);
+
+    // Box around the spheres, two grid steps of margin so the surface closes
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let a = 0; a < count; a++) {
+        for (let d = 0; d < 3; d++) {
+            min[d] = Math.min(min[d], positions[3 * a + d] - sphereRadii[a]);
+            max[d] = Math.max(max[d], positions[3 * a + d] + sphereRadii[a]);
+        }
+    }
+    const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    const h = Math.max(spacing, extent / (MAX_POINTS_PER_AXIS - 5));
+    const margin = 2 * h;
+    const origin = min.map(v => v - margin);
+    const dims = [0, 1, 2].map(d => Math.ceil((max[d] - min[d] + 2 * margin) / h) + 1);
+    const grid = { dims, origin, h };
+
+    // Points further than the margin outside every sphere keep this value
+    const field = new Float32Array(dims[0] * dims[1] * dims[2]).fill(-margin);
+    const owner = new Int32Array(field.length).fill(-1);
+    for (let a = 0; a < count; a++) {
+        const [cx, cy, cz] = [positions[3 * a], positions[3 * a + 1], positions[3 * a + 2]];
+        const radius = sphereRadii[a];
+        forEachPointNear(grid, cx, cy, cz, radius + margin, (index, distance) => {
+            const value = radius - distance;
+            if (value > field[index]) {
+                field[index] = value;
+                owner[index] = a;
+            }
+        });
+    }
+
+    const data = type === 'ses' ? excludedField(grid, field, owner, positions, sphereRadii, probe) : field;
+    const mesh = marchingCubes({ dims, data, origin, axes: [[h, 0, 0], [0, h, 0], [0, 0, h]], periodic: false }, 0);
+
+    // Each vertex belongs to the atom owning its nearest grid point
+    const vertexCount = mesh.positions.length / 3;
+    const atomIndex = new Int32Array(vertexCount);
+    for (let v = 0; v < vertexCount; v++) {
+        const ijk = [0, 1, 2].map(d => Math.min(dims[d] - 1, Math.max(0, Math.round((mesh.positions[3 * v + d] - origin[d]) / h))));
+        const a = owner[ijk[0] + dims[0] * (ijk[1] + dims[1] * ijk[2])];
+        atomIndex[v] = a !== -1 ? a : nearestAtom(positions, radii, mesh.positions, v);
+    }
+
+    return { ...mesh, atomIndex, ...measure(mesh.positions), dims, spacing: h };
+}
+
+/**
+ * Call fn(index, distance) for each grid point within `radius` of (x, y, z)
+ */
+function forEachPointNear({ dims, origin, h }, x, y, z, radius, fn) {
+    const [nx, ny, nz] = dims;
+    const i0 = Math.max(0, Math.ceil((x - radius - origin[0]) / h)), i1 = Math.min(nx - 1, Math.floor((x + radius - origin[0]) / h));
+    const j0 = Math.max(0, Math.ceil((y - radius - origin[1]) / h)), j1 = Math.min(ny - 1, Math.floor((y + radius - origin[1]) / h));
+    const k0 = Math.max(0, Math.ceil((z - radius - origin[2]) / h)), k1 = Math.min(nz - 1, Math.floor((z + radius - origin[2]) / h));
+    const r2 = radius * radius;
+    for (let k = k0; k <= k1; k++) {
+        const dz = origin[2] + k * h - z;
+        for (let j = j0; j <= j1; j++) {
+            const dy = origin[1] + j * h - y;
+            const dyz2 = dy * dy + dz * dz;
+            if (dyz2 > r2) continue;
+            const row = nx * (j + ny * k);
+            for (let i = i0; i <= i1; i++) {
+                const dx = origin[0] + i * h - x;
+                const d2 = dx * dx + dyz2;
+                if (d2 <= r2) fn(i + row, Math.sqrt(d2));
+            }
+        }
+    }
+}
+
+/**
+ * SES field from the SAS field: inside the SAS, the distance to the SAS surface minus the
+ * probe radius. The SAS surface is sampled at the outside grid points next to the inside,
+ * each moved onto the sphere of its atom.
+ */
+function excludedField(grid, sas, owner, positions, sphereRadii, probe) {
+    const { dims, origin, h } = grid;
+    const [nx, ny, nz] = dims;
+    const margin = 2 * h;
+    // Inside points further than probe + margin from the surface keep the cap
+    const distance = new Float32Array(sas.length).fill(probe + margin);
+
+    const inside = (i, j, k) => i >= 0 && j >= 0 && k >= 0 && i < nx && j < ny && k < nz && sas[i + nx * (j + ny * k)] > 0;
+    for (let k = 0; k < nz; k++) {
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const index = i + nx * (j + ny * k);
+                if (sas[index] > 0) continue;
+                if (!inside(i - 1, j, k) && !inside(i + 1, j, k) && !inside(i, j - 1, k) &&
+                    !inside(i, j + 1, k) && !inside(i, j, k - 1) && !inside(i, j, k + 1)) continue;
+
+                // Outside the SAS but next to it, so owned by the nearest sphere
+                const a = owner[index];
+                const cx = positions[3 * a], cy = positions[3 * a + 1], cz = positions[3 * a + 2];
+                const px = origin[0] + i * h - cx, py = origin[1] + j * h - cy, pz = origin[2] + k * h - cz;
+                const scale = sphereRadii[a] / (Math.hypot(px, py, pz) || 1);
+                forEachPointNear(grid, cx + px * scale, cy + py * scale, cz + pz * scale, probe + margin, (n, d) => {
+                    if (sas[n] > 0 && d < distance[n]) distance[n] = d;
+                });
+            }
+        }
+    }
+
+    const field = new Float32Array(sas.length);
+    for (let n = 0; n < sas.length; n++) {
+        field[n] = sas[n] > 0 ? distance[n] - probe : sas[n] - probe;
+    }
+    return field;
+}
+
+/**
+ * Atom whose van der Waals sphere is closest to vertex v (fallback for unowned points)
+ */
+function nearestAtom(positions, radii, vertices, v) {
+    let best = 0, bestDistance = Infinity;
+    for (let a = 0; a < radii.length; a++) {
+        const d = Math.hypot(
+            vertices[3 * v] - positions[3 * a],
+            vertices[3 * v + 1] - positions[3 * a + 1],
+            vertices[3 * v + 2] - positions[3 * a + 2]
+        ) - radii[a];
+        if (d < bestDistance) {
+            bestDistance = d;
+            best = a;
+        }
+    }
+    return best;
+}
+
+/**
+ * Area (Å²) and enclosed volume (Å³, divergence theorem) of a closed triangle list
+ * @param {Float32Array} positions
+ * @returns {{ area: number, volume: number }}
+ */
+export function measure(positions) {
+    let area = 0, volume = 0;
+    for (let t = 0; t < positions.length; t += 9) {
+        const ax = positions[t], ay = positions[t + 1], az = positions[t + 2];
+        const bx = positions[t + 3], by = positions[t + 4], bz = positions[t + 5];
+        const cx = positions[t + 6], cy = positions[t + 7], cz = positions[t + 8];
+        // (b - a) × (c - a)
+        const ux = bx - ax, uy = by - ay, uz = bz - az;
+        const vx = cx - ax, vy = cy - ay, vz = cz - az;
+        area += Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+        // a · (b × c)
+        volume += (ax * (by * cz - bz * cy) + ay * (bz * cx - bx * cz) + az * (bx * cy - by * cx)) / 6;
+    }
+    return { area, volume: Math.abs(volume) };
+}
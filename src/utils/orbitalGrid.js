@@ -0,0 +1,177 @@
+/**
+ * Evaluation of molecular orbitals built from contracted Gaussian shells.
+ *
+ * Conventions follow the Molden format:
+ *  - Coefficients of a contraction refer to normalized primitives; the contraction is
+ *    renormalized as a whole.
+ *  - Cartesian components are individually normalized and ordered
+ *    d: xx yy zz xy xz yz, f: xxx yyy zzz xyy xxy xxz xzz yzz yyz xyz, g: (see CARTESIAN_ORDER).
+ *  - Spherical components are real solid harmonics ordered m = 0, +1, -1, +2, -2, ...
+ *
+ * All lengths are in Bohr. Pure functions, so they can run in a Web Worker.
+ */
+
+const CARTESIAN_ORDER = {
+    0: ['000'],
+    1: ['100', '010', '001'],
+    2: ['200', '020', '002', '110', '101', '011'],
+    3: ['300', '030', '003', '120', '210', '201', '102', '012', '021', '111'],
+    4: ['400', '040', '004', '310', '301', '130', '031', '103', '013', '220', '202', '022', '211', '121', '112']
+};
+
+/** Primitives are skipped beyond exp(-CUTOFF) */
+const CUTOFF = 36;
+
+function doubleFactorial(n) {
+    let r = 1;
+    for (let k = n; k > 1; k -= 2) r *= k;
+    return r;
+}
+
+/**
+ * Normalization of the axis-aligned primitive x^l exp(-a r²)
+ */
+function primitiveNorm(alpha, l) {
+    return Math.pow(2 * alpha / Math.PI, 0.75) * Math.pow(4 * alpha, l / 2) / Math.sqrt(doubleFactorial(2 * l - 1));
+}
+
+/**
+ * Precompute normalized contraction coefficients and component layout for each shell.
+ * @param {Object[]} shells - [{ atom, l, exponents, coefficients }]
+ * @param {{ d: boolean, f: boolean, g: boolean }} spherical
+ * @returns {Object[]} Prepared shells with `offset`, `size`, `spherical`, `norms`, `cartFactors`
+ */
+export function prepareShells(shells, spherical) {
+    let offset = 0;
+    return shells.map(shell => {
+        const { l, exponents } = shell;
+        const isSpherical = (l === 2 && spherical.d) || (l === 3 && spherical.f) || (l === 4 && spherical.g);
+        const size = isSpherical ? 2 * l + 1 : (l + 1) * (l + 2) / 2;
+
+        // Contraction self-overlap with normalized primitives
+        let overlap = 0;
+        for (let i = 0; i < exponents.length; i++) {
+            for (let j = 0; j < exponents.length; j++) {
+                const s = 2 * Math.sqrt(exponents[i] * exponents[j]) / (exponents[i] + exponents[j]);
+                overlap += shell.coefficients[i] * shell.coefficients[j] * Math.pow(s, l + 1.5);
+            }
+        }
+        const contractionNorm = overlap > 0 ? 1 / Math.sqrt(overlap) : 1;
+        const norms = exponents.map((a, i) => shell.coefficients[i] * primitiveNorm(a, l) * contractionNorm);
+
+        const powers = (CARTESIAN_ORDER[l] || []).map(s => s.split('').map(Number));
+        const cartFactors = powers.map(([lx, ly, lz]) => Math.sqrt(
+            doubleFactorial(2 * l - 1) / (doubleFactorial(2 * lx - 1) * doubleFactorial(2 * ly - 1) * doubleFactorial(2 * lz - 1))
+        ));
+
+        const minExponent = Math.min(...exponents);
+        const prepared = {
+            atom: shell.atom, l, exponents, norms, offset, size,
+            spherical: isSpherical, powers, cartFactors,
+            cutoff2: CUTOFF / minExponent
+        };
+        offset += size;
+        return prepared;
+    });
+}
+
+/**
+ * Real solid harmonics C/S of degree l at (x, y, z), Racah-normalized
+ * (coefficient 1 on z^l for m = 0), in Molden order m = 0, +1, -1, +2, -2, ...
+ * @param {number} l
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {Float64Array} out - Length >= 2l+1
+ */
+export function solidHarmonics(l, x, y, z, out) {
+    const r2 = x * x + y * y + z * z;
+    // C[n][m], S[n][m] for n <= l via the standard recursions
+    let Cprev = null, Sprev = null;
+    let C = [1], S = [0];
+    for (let n = 0; n < l; n++) {
+        const Cn = new Array(n + 2).fill(0);
+        const Sn = new Array(n + 2).fill(0);
+        const top = Math.sqrt((n === 0 ? 2 : 1) * (2 * n + 1) / (2 * n + 2));
+        Cn[n + 1] = top * (x * C[n] - y * S[n]);
+        Sn[n + 1] = top * (y * C[n] + x * S[n]);
+        for (let m = 0; m <= n; m++) {
+            const a = (2 * n + 1) * z;
+            const b = Math.sqrt((n + m) * (n - m)) * r2;
+            const d = Math.sqrt((n + m + 1) * (n - m + 1));
+            Cn[m] = (a * C[m] - (m <= n - 1 ? b * Cprev[m] : 0)) / d;
+            Sn[m] = (a * S[m] - (m <= n - 1 ? b * Sprev[m] : 0)) / d;
+        }
+        Cprev = C; Sprev = S;
+        C = Cn; S = Sn;
+    }
+    out[0] = C[0];
+    for (let m = 1; m <= l; m++) {
+        out[2 * m - 1] = C[m];
+        out[2 * m] = S[m];
+    }
+}
+
+/**
+ * Evaluate one orbital on a grid.
+ * @param {Object} params
+ * @param {Object[]} params.shells - Output of prepareShells
+ * @param {Float64Array|number[]} params.centers - Atom positions (Bohr), 3 per atom
+ * @param {Float64Array|number[]} params.coefficients - MO coefficients, one per basis function
+ * @param {Object} grid - { dims: [nx, ny, nz], origin: [x, y, z], axes: [a, b, c] } in Bohr
+ * @returns {Float32Array} Values, x fastest
+ */
+export function evaluateOrbital({ shells, centers, coefficients }, grid) {
+    const [nx, ny, nz] = grid.dims;
+    const { origin, axes } = grid;
+    const values = new Float32Array(nx * ny * nz);
+
+    // Only shells with non-zero coefficients contribute
+    const active = shells.filter(shell => {
+        for (let k = 0; k < shell.size; k++) {
+            if (coefficients[shell.offset + k]) return true;
+        }
+        return false;
+    });
+    const angular = new Float64Array(15);
+
+    for (let k = 0; k < nz; k++) {
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const px = origin[0] + i * axes[0][0] + j * axes[1][0] + k * axes[2][0];
+                const py = origin[1] + i * axes[0][1] + j * axes[1][1] + k * axes[2][1];
+                const pz = origin[2] + i * axes[0][2] + j * axes[1][2] + k * axes[2][2];
+                let value = 0;
+
+                for (const shell of active) {
+                    const c = 3 * shell.atom;
+                    const dx = px - centers[c], dy = py - centers[c + 1], dz = pz - centers[c + 2];
+                    const r2 = dx * dx + dy * dy + dz * dz;
+                    if (r2 > shell.cutoff2) continue;
+
+                    let radial = 0;
+                    for (let p = 0; p < shell.exponents.length; p++) {
+                        const ar2 = shell.exponents[p] * r2;
+                        if (ar2 < CUTOFF) radial += shell.norms[p] * Math.exp(-ar2);
+                    }
+                    if (radial === 0) continue;
+
+                    if (shell.spherical) {
+                        solidHarmonics(shell.l, dx, dy, dz, angular);
+                    } else {
+                        for (let q = 0; q < shell.size; q++) {
+                            const [lx, ly, lz] = shell.powers[q];
+                            angular[q] = shell.cartFactors[q] * Math.pow(dx, lx) * Math.pow(dy, ly) * Math.pow(dz, lz);
+                        }
+                    }
+
+                    let sum = 0;
+                    for (let q = 0; q < shell.size; q++) sum += coefficients[shell.offset + q] * angular[q];
+                    value += radial * sum;
+                }
+                values[i + nx * (j + ny * k)] = value;
+            }
+        }
+    }
+    return values;
+}
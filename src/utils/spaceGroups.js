@@ -0,0 +1,410 @@
+/**
+ * Space-group reference data: the 230 space-group types in their standard settings
+ * (origin choice 2 where ITA lists two, hexagonal axes for R groups), generated from
+ * Hall symbols, plus point-group identification from rotation types.
+ *
+ * Operations use fractional coordinates: x' = R x + t with R an integer 3×3 matrix
+ * (array of rows) and t in [0, 1).
+ */
+
+/** [short Hermann–Mauguin symbol, Hall symbol], indexed by IT number - 1 */
+const TABLE = [
+    ['P1', 'P 1'], ['P-1', '-P 1'], ['P2', 'P 2y'], ['P2_1', 'P 2yb'], ['C2', 'C 2y'],
+    ['Pm', 'P -2y'], ['Pc', 'P -2yc'], ['Cm', 'C -2y'], ['Cc', 'C -2yc'], ['P2/m', '-P 2y'],
+    ['P2_1/m', '-P 2yb'], ['C2/m', '-C 2y'], ['P2/c', '-P 2yc'], ['P2_1/c', '-P 2ybc'], ['C2/c', '-C 2yc'],
+    ['P222', 'P 2 2'], ['P222_1', 'P 2c 2'], ['P2_12_12', 'P 2 2ab'], ['P2_12_12_1', 'P 2ac 2ab'], ['C222_1', 'C 2c 2'],
+    ['C222', 'C 2 2'], ['F222', 'F 2 2'], ['I222', 'I 2 2'], ['I2_12_12_1', 'I 2b 2c'], ['Pmm2', 'P 2 -2'],
+    ['Pmc2_1', 'P 2c -2'], ['Pcc2', 'P 2 -2c'], ['Pma2', 'P 2 -2a'], ['Pca2_1', 'P 2c -2ac'], ['Pnc2', 'P 2 -2bc'],
+    ['Pmn2_1', 'P 2ac -2'], ['Pba2', 'P 2 -2ab'], ['Pna2_1', 'P 2c -2n'], ['Pnn2', 'P 2 -2n'], ['Cmm2', 'C 2 -2'],
+    ['Cmc2_1', 'C 2c -2'], ['Ccc2', 'C 2 -2c'], ['Amm2', 'A 2 -2'], ['Aem2', 'A 2 -2c'], ['Ama2', 'A 2 -2a'],
+    ['Aea2', 'A 2 -2ac'], ['Fmm2', 'F 2 -2'], ['Fdd2', 'F 2 -2d'], ['Imm2', 'I 2 -2'], ['Iba2', 'I 2 -2c'],
+    ['Ima2', 'I 2 -2a'], ['Pmmm', '-P 2 2'], ['Pnnn', '-P 2ab 2bc'], ['Pccm', '-P 2 2c'], ['Pban', '-P 2ab 2b'],
+    ['Pmma', '-P 2a 2a'], ['Pnna', '-P 2a 2bc'], ['Pmna', '-P 2ac 2'], ['Pcca', '-P 2a 2ac'], ['Pbam', '-P 2 2ab'],
+    ['Pccn', '-P 2ab 2ac'], ['Pbcm', '-P 2c 2b'], ['Pnnm', '-P 2 2n'], ['Pmmn', '-P 2ab 2a'], ['Pbcn', '-P 2n 2ab'],
+    ['Pbca', '-P 2ac 2ab'], ['Pnma', '-P 2ac 2n'], ['Cmcm', '-C 2c 2'], ['Cmce', '-C 2bc 2'], ['Cmmm', '-C 2 2'],
+    ['Cccm', '-C 2 2c'], ['Cmme', '-C 2b 2'], ['Ccce', '-C 2b 2bc'], ['Fmmm', '-F 2 2'], ['Fddd', '-F 2uv 2vw'],
+    ['Immm', '-I 2 2'], ['Ibam', '-I 2 2c'], ['Ibca', '-I 2b 2c'], ['Imma', '-I 2b 2'], ['P4', 'P 4'],
+    ['P4_1', 'P 4w'], ['P4_2', 'P 4c'], ['P4_3', 'P 4cw'], ['I4', 'I 4'], ['I4_1', 'I 4bw'],
+    ['P-4', 'P -4'], ['I-4', 'I -4'], ['P4/m', '-P 4'], ['P4_2/m', '-P 4c'], ['P4/n', '-P 4a'],
+    ['P4_2/n', '-P 4bc'], ['I4/m', '-I 4'], ['I4_1/a', '-I 4ad'], ['P422', 'P 4 2'], ['P42_12', 'P 4ab 2ab'],
+    ['P4_122', 'P 4w 2c'], ['P4_12_12', 'P 4abw 2nw'], ['P4_222', 'P 4c 2'], ['P4_22_12', 'P 4n 2n'], ['P4_322', 'P 4cw 2c'],
+    ['P4_32_12', 'P 4nw 2abw'], ['I422', 'I 4 2'], ['I4_122', 'I 4bw 2bw'], ['P4mm', 'P 4 -2'], ['P4bm', 'P 4 -2ab'],
+    ['P4_2cm', 'P 4c -2c'], ['P4_2nm', 'P 4n -2n'], ['P4cc', 'P 4 -2c'], ['P4nc', 'P 4 -2n'], ['P4_2mc', 'P 4c -2'],
+    ['P4_2bc', 'P 4c -2ab'], ['I4mm', 'I 4 -2'], ['I4cm', 'I 4 -2c'], ['I4_1md', 'I 4bw -2'], ['I4_1cd', 'I 4bw -2c'],
+    ['P-42m', 'P -4 2'], ['P-42c', 'P -4 2c'], ['P-42_1m', 'P -4 2ab'], ['P-42_1c', 'P -4 2n'], ['P-4m2', 'P -4 -2'],
+    ['P-4c2', 'P -4 -2c'], ['P-4b2', 'P -4 -2ab'], ['P-4n2', 'P -4 -2n'], ['I-4m2', 'I -4 -2'], ['I-4c2', 'I -4 -2c'],
+    ['I-42m', 'I -4 2'], ['I-42d', 'I -4 2bw'], ['P4/mmm', '-P 4 2'], ['P4/mcc', '-P 4 2c'], ['P4/nbm', '-P 4a 2b'],
+    ['P4/nnc', '-P 4a 2bc'], ['P4/mbm', '-P 4 2ab'], ['P4/mnc', '-P 4 2n'], ['P4/nmm', '-P 4a 2a'], ['P4/ncc', '-P 4a 2ac'],
+    ['P4_2/mmc', '-P 4c 2'], ['P4_2/mcm', '-P 4c 2c'], ['P4_2/nbc', '-P 4ac 2b'], ['P4_2/nnm', '-P 4ac 2bc'], ['P4_2/mbc', '-P 4c 2ab'],
+    ['P4_2/mnm', '-P 4n 2n'], ['P4_2/nmc', '-P 4ac 2a'], ['P4_2/ncm', '-P 4ac 2ac'], ['I4/mmm', '-I 4 2'], ['I4/mcm', '-I 4 2c'],
+    ['I4_1/amd', '-I 4bd 2'], ['I4_1/acd', '-I 4bd 2c'], ['P3', 'P 3'], ['P3_1', 'P 31'], ['P3_2', 'P 32'],
+    ['R3', 'R 3'], ['P-3', '-P 3'], ['R-3', '-R 3'], ['P312', 'P 3 2'], ['P321', 'P 3 2"'],
+    ['P3_112', 'P 31 2c (0 0 1)'], ['P3_121', 'P 31 2"'], ['P3_212', 'P 32 2c (0 0 -1)'], ['P3_221', 'P 32 2"'], ['R32', 'R 3 2"'],
+    ['P3m1', 'P 3 -2"'], ['P31m', 'P 3 -2'], ['P3c1', 'P 3 -2"c'], ['P31c', 'P 3 -2c'], ['R3m', 'R 3 -2"'],
+    ['R3c', 'R 3 -2"c'], ['P-31m', '-P 3 2'], ['P-31c', '-P 3 2c'], ['P-3m1', '-P 3 2"'], ['P-3c1', '-P 3 2"c'],
+    ['R-3m', '-R 3 2"'], ['R-3c', '-R 3 2"c'], ['P6', 'P 6'], ['P6_1', 'P 61'], ['P6_5', 'P 65'],
+    ['P6_2', 'P 62'], ['P6_4', 'P 64'], ['P6_3', 'P 6c'], ['P-6', 'P -6'], ['P6/m', '-P 6'],
+    ['P6_3/m', '-P 6c'], ['P622', 'P 6 2'], ['P6_122', 'P 61 2 (0 0 -1)'], ['P6_522', 'P 65 2 (0 0 1)'], ['P6_222', 'P 62 2c (0 0 1)'],
+    ['P6_422', 'P 64 2c (0 0 -1)'], ['P6_322', 'P 6c 2c'], ['P6mm', 'P 6 -2'], ['P6cc', 'P 6 -2c'], ['P6_3cm', 'P 6c -2'],
+    ['P6_3mc', 'P 6c -2c'], ['P-6m2', 'P -6 2'], ['P-6c2', 'P -6c 2'], ['P-62m', 'P -6 -2'], ['P-62c', 'P -6c -2c'],
+    ['P6/mmm', '-P 6 2'], ['P6/mcc', '-P 6 2c'], ['P6_3/mcm', '-P 6c 2'], ['P6_3/mmc', '-P 6c 2c'], ['P23', 'P 2 2 3'],
+    ['F23', 'F 2 2 3'], ['I23', 'I 2 2 3'], ['P2_13', 'P 2ac 2ab 3'], ['I2_13', 'I 2b 2c 3'], ['Pm-3', '-P 2 2 3'],
+    ['Pn-3', '-P 2ab 2bc 3'], ['Fm-3', '-F 2 2 3'], ['Fd-3', '-F 2uv 2vw 3'], ['Im-3', '-I 2 2 3'], ['Pa-3', '-P 2ac 2ab 3'],
+    ['Ia-3', '-I 2b 2c 3'], ['P432', 'P 4 2 3'], ['P4_232', 'P 4n 2 3'], ['F432', 'F 4 2 3'], ['F4_132', 'F 4d 2 3'],
+    ['I432', 'I 4 2 3'], ['P4_332', 'P 4acd 2ab 3'], ['P4_132', 'P 4bd 2ab 3'], ['I4_132', 'I 4bd 2c 3'], ['P-43m', 'P -4 2 3'],
+    ['F-43m', 'F -4 2 3'], ['I-43m', 'I -4 2 3'], ['P-43n', 'P -4n 2 3'], ['F-43c', 'F -4c 2 3'], ['I-43d', 'I -4bd 2c 3'],
+    ['Pm-3m', '-P 4 2 3'], ['Pn-3n', '-P 4a 2bc 3'], ['Pm-3n', '-P 4n 2 3'], ['Pn-3m', '-P 4bc 2bc 3'], ['Fm-3m', '-F 4 2 3'],
+    ['Fm-3c', '-F 4c 2 3'], ['Fd-3m', '-F 4vw 2vw 3'], ['Fd-3c', '-F 4cvw 2vw 3'], ['Im-3m', '-I 4 2 3'], ['Ia-3d', '-I 4bd 2c 3']
+];
+
+/** Centering translations per lattice symbol (besides the origin) */
+const CENTERING = {
+    P: [],
+    A: [[0, 1 / 2, 1 / 2]],
+    B: [[1 / 2, 0, 1 / 2]],
+    C: [[1 / 2, 1 / 2, 0]],
+    I: [[1 / 2, 1 / 2, 1 / 2]],
+    R: [[2 / 3, 1 / 3, 1 / 3], [1 / 3, 2 / 3, 2 / 3]],
+    F: [[0, 1 / 2, 1 / 2], [1 / 2, 0, 1 / 2], [1 / 2, 1 / 2, 0]]
+};
+
+/** Hall rotation matrices along the principal axes */
+const AXIS_ROTATIONS = {
+    x: {
+        2: [[1, 0, 0], [0, -1, 0], [0, 0, -1]],
+        3: [[1, 0, 0], [0, 0, -1], [0, 1, -1]],
+        4: [[1, 0, 0], [0, 0, -1], [0, 1, 0]],
+        6: [[1, 0, 0], [0, 1, -1], [0, 1, 0]]
+    },
+    y: {
+        2: [[-1, 0, 0], [0, 1, 0], [0, 0, -1]],
+        3: [[-1, 0, 1], [0, 1, 0], [-1, 0, 0]],
+        4: [[0, 0, 1], [0, 1, 0], [-1, 0, 0]],
+        6: [[0, 0, 1], [0, 1, 0], [-1, 0, 1]]
+    },
+    z: {
+        2: [[-1, 0, 0], [0, -1, 0], [0, 0, 1]],
+        3: [[0, -1, 0], [1, -1, 0], [0, 0, 1]],
+        4: [[0, -1, 0], [1, 0, 0], [0, 0, 1]],
+        6: [[1, -1, 0], [1, 0, 0], [0, 0, 1]]
+    }
+};
+
+/** Two-fold rotations about face diagonals, keyed by the preceding axis */
+const DIAGONAL_ROTATIONS = {
+    "'": {
+        x: [[-1, 0, 0], [0, 0, -1], [0, -1, 0]],
+        y: [[0, 0, -1], [0, -1, 0], [-1, 0, 0]],
+        z: [[0, -1, 0], [-1, 0, 0], [0, 0, -1]]
+    },
+    '"': {
+        x: [[-1, 0, 0], [0, 0, 1], [0, 1, 0]],
+        y: [[0, 0, 1], [0, -1, 0], [1, 0, 0]],
+        z: [[0, 1, 0], [1, 0, 0], [0, 0, -1]]
+    }
+};
+
+/** Three-fold rotation about the body diagonal */
+const BODY_DIAGONAL = [[0, 0, 1], [1, 0, 0], [0, 1, 0]];
+
+const HALL_TRANSLATIONS = {
+    a: [1 / 2, 0, 0], b: [0, 1 / 2, 0], c: [0, 0, 1 / 2], n: [1 / 2, 1 / 2, 1 / 2],
+    u: [1 / 4, 0, 0], v: [0, 1 / 4, 0], w: [0, 0, 1 / 4], d: [1 / 4, 1 / 4, 1 / 4]
+};
+
+/**
+ * Point groups keyed by rotation-type counts. Key order: counts of
+ * -6, -4, -3, -2 (m), -1, 1, 2, 3, 4, 6 (rotation types from det and trace).
+ */
+const POINT_GROUPS = {
+    '0,0,0,0,0,1,0,0,0,0': '1',
+    '0,0,0,0,1,1,0,0,0,0': '-1',
+    '0,0,0,0,0,1,1,0,0,0': '2',
+    '0,0,0,1,0,1,0,0,0,0': 'm',
+    '0,0,0,1,1,1,1,0,0,0': '2/m',
+    '0,0,0,0,0,1,3,0,0,0': '222',
+    '0,0,0,2,0,1,1,0,0,0': 'mm2',
+    '0,0,0,3,1,1,3,0,0,0': 'mmm',
+    '0,0,0,0,0,1,1,0,2,0': '4',
+    '0,2,0,0,0,1,1,0,0,0': '-4',
+    '0,2,0,1,1,1,1,0,2,0': '4/m',
+    '0,0,0,0,0,1,5,0,2,0': '422',
+    '0,0,0,4,0,1,1,0,2,0': '4mm',
+    '0,2,0,2,0,1,3,0,0,0': '-42m',
+    '0,2,0,5,1,1,5,0,2,0': '4/mmm',
+    '0,0,0,0,0,1,0,2,0,0': '3',
+    '0,0,2,0,1,1,0,2,0,0': '-3',
+    '0,0,0,0,0,1,3,2,0,0': '32',
+    '0,0,0,3,0,1,0,2,0,0': '3m',
+    '0,0,2,3,1,1,3,2,0,0': '-3m',
+    '0,0,0,0,0,1,1,2,0,2': '6',
+    '2,0,0,1,0,1,0,2,0,0': '-6',
+    '2,0,2,1,1,1,1,2,0,2': '6/m',
+    '0,0,0,0,0,1,7,2,0,2': '622',
+    '0,0,0,6,0,1,1,2,0,2': '6mm',
+    '2,0,0,4,0,1,3,2,0,0': '-6m2',
+    '2,0,2,7,1,1,7,2,0,2': '6/mmm',
+    '0,0,0,0,0,1,3,8,0,0': '23',
+    '0,0,8,3,1,1,3,8,0,0': 'm-3',
+    '0,0,0,0,0,1,9,8,6,0': '432',
+    '0,6,0,6,0,1,3,8,0,0': '-43m',
+    '0,6,8,9,1,1,9,8,6,0': 'm-3m'
+};
+
+/** Crystal system per point group */
+const CRYSTAL_SYSTEMS = {
+    triclinic: ['1', '-1'],
+    monoclinic: ['2', 'm', '2/m'],
+    orthorhombic: ['222', 'mm2', 'mmm'],
+    tetragonal: ['4', '-4', '4/m', '422', '4mm', '-42m', '4/mmm'],
+    trigonal: ['3', '-3', '32', '3m', '-3m'],
+    hexagonal: ['6', '-6', '6/m', '622', '6mm', '-6m2', '6/mmm'],
+    cubic: ['23', 'm-3', '432', '-43m', 'm-3m']
+};
+
+/**
+ * Rotation type from determinant and trace: ±1, ±2, ±3, ±4, ±6
+ * (negative for rotoinversions; -2 is a mirror).
+ * @param {number[][]} R
+ * @returns {number}
+ */
+export function rotationType(R) {
+    const det = det3(R);
+    const trace = R[0][0] + R[1][1] + R[2][2];
+    const order = { 3: 1, '-1': 2, 0: 3, 1: 4, 2: 6 }[det * trace];
+    return det * order;
+}
+
+/**
+ * Point-group symbol of a set of rotations, or null if it is not a crystallographic group
+ * @param {number[][][]} rotations
+ * @returns {string|null}
+ */
+export function pointGroupOf(rotations) {
+    const types = [-6, -4, -3, -2, -1, 1, 2, 3, 4, 6];
+    const counts = types.map(type => rotations.filter(R => rotationType(R) === type).length);
+    return POINT_GROUPS[counts.join(',')] || null;
+}
+
+/**
+ * @param {string} pointGroup
+ * @returns {string} 'triclinic' ... 'cubic'
+ */
+export function crystalSystemOf(pointGroup) {
+    return Object.keys(CRYSTAL_SYSTEMS).find(system => CRYSTAL_SYSTEMS[system].includes(pointGroup));
+}
+
+/**
+ * Space-group type by IT number
+ * @param {number} number - 1-230
+ * @returns {{ number: number, symbol: string, hall: string }}
+ */
+export function spaceGroupInfo(number) {
+    const [symbol, hall] = TABLE[number - 1];
+    return { number, symbol, hall };
+}
+
+const operationCache = new Map();
+
+/**
+ * Operations of a space group in its standard setting (cached).
+ * @param {number} number - IT number
+ * @returns {{ centering: number[][], operations: { rotation: number[][], translation: number[] }[], pointGroup: string }}
+ *   `operations` has one entry per rotation; the full group adds the centering vectors
+ *   (which include the origin).
+ */
+export function standardOperations(number) {
+    if (!operationCache.has(number)) {
+        const ops = operationsFromHall(TABLE[number - 1][1]);
+        operationCache.set(number, ops);
+    }
+    return operationCache.get(number);
+}
+
+/**
+ * Numbers of the space groups belonging to a point group
+ * @param {string} pointGroup
+ * @returns {number[]}
+ */
+export function spaceGroupsOfPointGroup(pointGroup) {
+    const numbers = [];
+    for (let n = 1; n <= 230; n++) {
+        if (standardOperations(n).pointGroup === pointGroup) numbers.push(n);
+    }
+    return numbers;
+}
+
+/**
+ * Expand a Hall symbol into the group's operations.
+ * @param {string} hall - e.g. '-P 2ac 2n', 'P 31 2c (0 0 1)'
+ * @returns {{ centering: number[][], operations: Object[], pointGroup: string }}
+ */
+export function operationsFromHall(hall) {
+    const shiftMatch = hall.match(/\(([^)]*)\)/);
+    const tokens = hall.replace(/\(.*\)/, '').trim().split(/\s+/);
+
+    let latticeToken = tokens.shift();
+    const centrosymmetric = latticeToken.startsWith('-');
+    if (centrosymmetric) latticeToken = latticeToken.slice(1);
+    const centering = [[0, 0, 0], ...CENTERING[latticeToken]];
+
+    const generators = [];
+    let previous = null;
+    tokens.forEach((token, index) => {
+        const m = token.match(/^(-?)([12346])([1-5]?)([xyz'"*]?)([abcnuvwd]*)$/);
+        if (!m) throw new Error(`Invalid Hall symbol: ${hall}`);
+        const [, improper, nStr, screwStr, axisChar, translationChars] = m;
+        const n = parseInt(nStr);
+
+        let axis = axisChar;
+        if (!axis) {
+            if (index === 0) axis = 'z';
+            else if (index === 1 && n === 2) axis = previous.n === 2 || previous.n === 4 ? 'x' : "'";
+            else if (index === 2 && n === 3) axis = '*';
+            else axis = 'z';
+        }
+
+        let R;
+        if (n === 1) R = identity();
+        else if (axis === '*') R = BODY_DIAGONAL.map(r => r.slice());
+        else if (axis === "'" || axis === '"') R = DIAGONAL_ROTATIONS[axis][previous.axis].map(r => r.slice());
+        else R = AXIS_ROTATIONS[axis][n].map(r => r.slice());
+        if (improper) R = R.map(r => r.map(v => -v));
+
+        const t = [0, 0, 0];
+        if (screwStr) {
+            const k = { x: 0, y: 1, z: 2 }[axis];
+            t[k] += parseInt(screwStr) / n;
+        }
+        for (const ch of translationChars) {
+            HALL_TRANSLATIONS[ch].forEach((v, i) => { t[i] += v; });
+        }
+        generators.push({ rotation: R, translation: t });
+        previous = { n, axis: 'xyz'.includes(axis) ? axis : previous ? previous.axis : 'z' };
+    });
+    if (centrosymmetric) generators.push({ rotation: identity().map(r => r.map(v => -v)), translation: [0, 0, 0] });
+    centering.slice(1).forEach(c => generators.push({ rotation: identity(), translation: c.slice() }));
+
+    // Closure modulo lattice translations
+    let group = [{ rotation: identity(), translation: [0, 0, 0] }];
+    const keys = new Set([operationKey(group[0])]);
+    let added = true;
+    while (added) {
+        added = false;
+        const current = group.slice();
+        for (const a of current) {
+            for (const b of generators) {
+                const product = multiply(a, b);
+                const key = operationKey(product);
+                if (!keys.has(key)) {
+                    keys.add(key);
+                    group.push(product);
+                    added = true;
+                }
+            }
+        }
+    }
+
+    // Origin shift in units of 1/12: t' = t + (I - R) v
+    if (shiftMatch) {
+        const v = shiftMatch[1].trim().split(/\s+/).map(s => parseFloat(s) / 12);
+        group = group.map(op => {
+            const Rv = matVec(op.rotation, v);
+            return {
+                rotation: op.rotation,
+                translation: op.translation.map((t, i) => mod1(t + v[i] - Rv[i]))
+            };
+        });
+    }
+
+    // One representative per rotation (smallest translation)
+    const byRotation = new Map();
+    group.forEach(op => {
+        const key = op.rotation.flat().join(',');
+        const existing = byRotation.get(key);
+        const size = op.translation.reduce((s, v) => s + v, 0);
+        if (!existing || size < existing.translation.reduce((s, v) => s + v, 0) - 1e-9) byRotation.set(key, op);
+    });
+    const operations = [...byRotation.values()];
+    return { centering, operations, pointGroup: pointGroupOf(operations.map(op => op.rotation)) };
+}
+
+/**
+ * Format an operation as a coordinate triplet, e.g. '-y,x-y,z+1/3'
+ * @param {number[][]} R
+ * @param {number[]} t
+ * @returns {string}
+ */
+export function formatOperation(R, t) {
+    return [0, 1, 2].map(i => {
+        let s = '';
+        ['x', 'y', 'z'].forEach((v, j) => {
+            const c = R[i][j];
+            if (Math.abs(c) < 1e-8) return;
+            const magnitude = Math.abs(Math.abs(c) - 1) < 1e-8 ? '' : formatFraction(Math.abs(c));
+            s += (c < 0 ? '-' : s ? '+' : '') + magnitude + v;
+        });
+        const shift = mod1(t[i]);
+        if (shift > 1e-6 && shift < 1 - 1e-6) s += `+${formatFraction(shift)}`;
+        return s || '0';
+    }).join(',');
+}
+
+/**
+ * Format a number as a fraction with denominator up to 24 when close enough,
+ * otherwise with 4 decimals.
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatFraction(value) {
+    for (const d of [1, 2, 3, 4, 6, 8, 12, 24]) {
+        const n = Math.round(value * d);
+        if (Math.abs(value * d - n) < 1e-4 * d) {
+            if (d === 1) return String(n);
+            return `${n}/${d}`;
+        }
+    }
+    return value.toFixed(4);
+}
+
+/**
+ * Spaced symbol as used in CIF and PDB files: 'P2_1/c' -> 'P 21/c', 'Fm-3m' -> 'F m -3 m'
+ * @param {string} symbol
+ * @returns {string}
+ */
+export function spacedSymbol(symbol) {
+    const parts = symbol.slice(1).match(/-?\d(?:_\d)?(?:\/[a-z])?|[a-z]/g) || [];
+    return [symbol[0], ...parts.map(p => p.replace('_', ''))].join(' ');
+}
+
+// ─── Small matrix helpers ───
+
+function identity() {
+    return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+}
+
+function det3(m) {
+    return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+         - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+         + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
+
+function matVec(m, v) {
+    return [0, 1, 2].map(i => m[i][0] * v[0] + m[i][1] * v[1] + m[i][2] * v[2]);
+}
+
+function mod1(v) {
+    const r = v - Math.floor(v);
+    return r > 1 - 1e-9 ? 0 : r;
+}
+
+function multiply(a, b) {
+    const rotation = [0, 1, 2].map(i => [0, 1, 2].map(j =>
+        a.rotation[i][0] * b.rotation[0][j] + a.rotation[i][1] * b.rotation[1][j] + a.rotation[i][2] * b.rotation[2][j]));
+    const Rt = matVec(a.rotation, b.translation);
+    return { rotation, translation: Rt.map((v, i) => mod1(v + a.translation[i])) };
+}
+
+function operationKey(op) {
+    return op.rotation.flat().join(',') + '|' + op.translation.map(v => Math.round(v * 48) % 48).join(',');
+}
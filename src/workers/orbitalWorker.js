@@ -0,0 +1,17 @@
+import { prepareShells, evaluateOrbital } from '../utils/orbitalGrid.js';
+
+/**
+ * Web Worker evaluating molecular orbitals on a grid (see OrbitalManager).
+ *
+ * Message in:  { id, shells, spherical, centers, coefficients, grid }
+ * Message out: { id, data: Float32Array } or { id, error }
+ */
+self.onmessage = (event) => {
+    const { id, shells, spherical, centers, coefficients, grid } = event.data;
+    try {
+        const data = evaluateOrbital({ shells: prepareShells(shells, spherical), centers, coefficients }, grid);
+        self.postMessage({ id, data }, [data.buffer]);
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+};
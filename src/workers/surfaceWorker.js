@@ -0,0 +1,17 @@
+import { computeSurface } from '../utils/molecularSurface.js';
+
+/**
+ * Web Worker computing molecular surfaces (see SurfaceManager).
+ *
+ * Message in:  { id, positions, radii, options }
+ * Message out: { id, surface } or { id, error }
+ */
+self.onmessage = (event) => {
+    const { id, positions, radii, options } = event.data;
+    try {
+        const surface = computeSurface({ positions, radii }, options);
+        self.postMessage({ id, surface }, [surface.positions.buffer, surface.normals.buffer, surface.atomIndex.buffer]);
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+};